@@ -1,16 +1,44 @@
 // src/analysis/bundle.js - Cleaned version without team analysis + block detection for bonkfun
 
 const pumpfunApi = require('../integrations/pumpfunApi');
+const definedApi = require('../integrations/definedApi');
+const dexscreenerApi = require('../integrations/dexScreenerApi');
 const { getSolanaApi } = require('../integrations/solanaApi');
 const config = require('../utils/config');
 const logger = require('../utils/logger');
 const BigNumber = require('bignumber.js');
-const { PublicKey } = require('@solana/web3.js');
+const { detectSlotBundles } = require('../tools/jitoBundleDetector');
+const { getOwnerTokenDeltas } = require('../tools/tokenFlowAnalyzer');
+const { analyzeFunding, groupWalletsByFunder } = require('../tools/fundingAnalyzer');
+const { resolveBonkfunPools } = require('../tools/bonkfunPoolRegistry');
+const { buildSellTimeline, findUnexplainedOutflows, traceBundleTransfers } = require('../tools/bundleTimeline');
+
+const WSOL_MINT = 'So11111111111111111111111111111111111111112';
+
+// DexScreener dexId -> platform name shown in /bundle
+const DEX_PLATFORM_NAMES = {
+    raydium: 'Raydium',
+    meteora: 'Meteora',
+    moonshot: 'Moonshot',
+    pumpswap: 'PumpSwap'
+};
 
 class PumpfunBundleAnalyzer {
     constructor() {
         this.logger = logger;
         this.FRESH_WALLET_THRESHOLD = 10;
+        // Jito mode: number of slots (largest buys first) whose transactions are inspected
+        this.MAX_JITO_CANDIDATE_SLOTS = 25;
+        // DEX fallback (no Defined history): the pool signatures are walked back to the first one
+        // (pages of 1000), then its oldest transactions are parsed
+        this.POOL_SIGNATURES_PAGE_SIZE = 1000;
+        this.MAX_POOL_SIGNATURE_PAGES = 20;
+        this.MAX_POOL_TRANSACTIONS = 300;
+        this.POOL_TRANSACTION_BATCH_SIZE = 5;
+        // Funding clusters: wallets of the largest bundles first, each costs up to 11 RPC calls
+        this.MAX_FUNDING_WALLETS = 150;
+        // Sell-off timeline: wallets checked for SPL transfers out (up to 6 RPC calls each)
+        this.MAX_TRANSFER_CHECKS = 30;
         this.TOKEN_DECIMALS = config.PUMPFUN_DECIMALS;
         this.SOL_DECIMALS = config.SOL_DECIMALS;
         this.TOKEN_FACTOR = Math.pow(10, this.TOKEN_DECIMALS);
@@ -18,19 +46,6 @@ class PumpfunBundleAnalyzer {
         
         // Bonk.fun specific constants
         this.RAYDIUM_API_BASE = 'https://launch-history-v1.raydium.io';
-        this.RAYDIUM_V3_API = 'https://api-v3.raydium.io';
-        
-        // Program constants
-        this.LAUNCHLAB_PROGRAM = new PublicKey('LanMV9sAd7wArD4vJFi2qDdfnVhFxYSUg6eADduJ3uj');
-        this.RAYDIUM_CPMM_PROGRAM = new PublicKey('CPMMoo8L3F4NbTegBCKVNunggL7H1ZpdTHKxQB5qKP1C');
-        this.RAYDIUM_AMM_PROGRAM = new PublicKey('675kPX9MHTjS2zt1qfr1NYHuzeLXfQM9H24wFSUt1Mp8');
-        this.SOL_MINT = new PublicKey('So11111111111111111111111111111111111111112');
-        
-        // Known pool mappings for immediate fixes
-        this.KNOWN_BONKFUN_POOLS = {
-            'CssndHPw8AdKRRpcNowaA8QFcihaf139pRa98oxobonk': '93nDGcvueZzf8N5mP6hJuSUcHja7UAU1zwVd85vCn71R',
-            'HhfyQNANe8DNAgSaMNRAW5GAs6J15PpTNMUpzBbbonk': '4sRW7YEmDXbBZRVGAUBT4RHPWcJ8ALyXmfYbd9dtWNtg'
-        };
     }
 
     async getTokenMetadata(tokenAddress, mainContext, subContext) {
@@ -99,263 +114,32 @@ class PumpfunBundleAnalyzer {
         }
     }
 
+    // Bonk.fun tokens are the mints with a LaunchLab pool (see bonkfunPoolRegistry)
     async isBonkfunCoin(address) {
         try {
-            // If it ends with 'bonk', be more permissive
-            const endsWithBonk = address.toLowerCase().endsWith('bonk');
-            
-            if (!endsWithBonk) {
-                logger.debug(`Token ${address} doesn't end with 'bonk', likely not bonk.fun`);
-                return false;
-            }
-
-            // Check known pools first
-            if (this.KNOWN_BONKFUN_POOLS[address]) {
-                const poolId = this.KNOWN_BONKFUN_POOLS[address];
-                if (await this.testBonkfunPoolId(poolId)) {
-                    logger.debug(`Successfully verified ${address} as bonk.fun token using known pool ${poolId}`);
-                    this._cachedPoolId = poolId;
-                    return true;
-                }
-            }
-
-            // Try API discovery
-            const apiPool = await this.findPoolViaAPI(address);
-            if (apiPool && await this.testBonkfunPoolId(apiPool)) {
-                logger.debug(`Successfully verified ${address} as bonk.fun token using API pool ${apiPool}`);
-                this._cachedPoolId = apiPool;
+            const pools = await resolveBonkfunPools(address, 'bundle', 'bonkfunPools');
+            if (pools) {
+                logger.debug(`Verified ${address} as bonk.fun token (LaunchLab pool ${pools.launchpadPoolId})`);
                 return true;
             }
 
-            // Try comprehensive pool discovery
-            try {
-                const poolId = await this.getBonkfunPoolId(address);
-                if (poolId) {
-                    logger.debug(`Successfully verified ${address} as bonk.fun token using discovered pool ${poolId}`);
-                    this._cachedPoolId = poolId;
-                    return true;
-                }
-            } catch (error) {
-                logger.debug(`Pool discovery failed for ${address}: ${error.message}`);
-            }
-
-            // If it ends with 'bonk' but we can't find a pool, still treat it as bonk.fun
-            logger.debug(`Token ${address} ends with 'bonk' but no pool found yet - will treat as bonk.fun`);
-            return true;
-
-        } catch (error) {
-            logger.debug(`Token ${address} bonk.fun detection error: ${error.message}`);
-            
-            // If it ends with 'bonk', still return true even if detection fails
-            if (address.toLowerCase().endsWith('bonk')) {
-                logger.debug(`${address} ends with 'bonk' - treating as bonk.fun despite detection error`);
-                return true;
-            }
-            
+            logger.debug(`No LaunchLab pool found for ${address}, not a bonk.fun token`);
             return false;
-        }
-    }
-
-    // Get known bonk.fun pool ID
-    getKnownBonkfunPoolId(tokenAddress) {
-        if (this.KNOWN_BONKFUN_POOLS[tokenAddress]) {
-            logger.debug(`Using known pool mapping: ${tokenAddress} -> ${this.KNOWN_BONKFUN_POOLS[tokenAddress]}`);
-            return this.KNOWN_BONKFUN_POOLS[tokenAddress];
-        }
-        return null;
-    }
-
-    // API-based pool discovery
-    async findPoolViaAPI(tokenAddress) {
-        try {
-            logger.debug(`Searching for pool via Raydium V3 API...`);
-            
-            const url = `${this.RAYDIUM_V3_API}/pools/info/mint?mint1=${tokenAddress}&poolType=cpmm&poolSortField=liquidity&sortType=desc&pageSize=10&page=1`;
-            
-            const response = await fetch(url);
-            if (response.ok) {
-                const data = await response.json();
-                if (data.success && data.data && data.data.data && data.data.data.length > 0) {
-                    const pool = data.data.data[0];
-                    logger.debug(`Found pool via API: ${pool.id}`);
-                    return pool.id;
-                }
-            }
-        } catch (error) {
-            logger.debug(`API pool discovery failed: ${error.message}`);
-        }
-        return null;
-    }
-
-    // Test if pool ID works
-    async testBonkfunPoolId(poolId) {
-        try {
-            const result = await this.getBonkfunPoolTrades(poolId, 1);
-            if (result && result.trades) {
-                return Array.isArray(result.trades);
-            }
-            return Array.isArray(result);
         } catch (error) {
+            logger.debug(`Token ${address} bonk.fun detection error: ${error.message}`);
             return false;
         }
     }
 
-    // Comprehensive pool discovery for bonk.fun tokens
+    // Pool whose trades are read from the launch history API: LaunchLab pool, else the migrated pool
     async getBonkfunPoolId(tokenAddress) {
-        try {
-            // Step 1: Check known mappings first
-            const knownPool = this.getKnownBonkfunPoolId(tokenAddress);
-            if (knownPool) {
-                if (await this.testBonkfunPoolId(knownPool)) {
-                    logger.debug(`Using known pool mapping: ${knownPool}`);
-                    return knownPool;
-                }
-            }
-            
-            // Step 2: Try API discovery
-            const apiPool = await this.findPoolViaAPI(tokenAddress);
-            if (apiPool) {
-                if (await this.testBonkfunPoolId(apiPool)) {
-                    logger.debug(`Found pool via API: ${apiPool}`);
-                    return apiPool;
-                }
-            }
-            
-            // Step 3: Multi-pool derivation and testing
-            const candidatePools = await this.deriveAllBonkfunPools(tokenAddress);
-            
-            logger.debug(`Found ${candidatePools.length} candidate pools for ${tokenAddress}`);
-            
-            // Test all pools and find the one with trades
-            for (const pool of candidatePools) {
-                const testResult = await this.testBonkfunPoolWithTrades(pool.poolId);
-                
-                logger.debug(`Testing ${pool.name}: ${pool.poolId} - ${testResult.tradeCount} trades`);
-                
-                if (testResult.valid && testResult.tradeCount > 0) {
-                    logger.debug(`✅ Found active pool: ${pool.poolId} (${pool.name}) with ${testResult.tradeCount} trades`);
-                    return pool.poolId;
-                }
-            }
-            
-            // If no pool has trades, return the first valid one
-            for (const pool of candidatePools) {
-                const testResult = await this.testBonkfunPoolWithTrades(pool.poolId);
-                if (testResult.valid) {
-                    logger.debug(`⚠️ Using valid pool without trades: ${pool.poolId} (${pool.name})`);
-                    return pool.poolId;
-                }
-            }
-            
-            throw new Error(`No valid pools found for bonk.fun token ${tokenAddress}`);
-            
-        } catch (error) {
-            logger.error(`Error finding bonk.fun pool for ${tokenAddress}: ${error.message}`);
-            throw error;
-        }
-    }
+        const pools = await resolveBonkfunPools(tokenAddress, 'bundle', 'bonkfunPools');
+        const poolId = pools?.launchpadPoolId || pools?.migratedPoolId;
 
-    // Derive all possible bonk.fun pools
-    async deriveAllBonkfunPools(tokenAddress) {
-        const tokenMint = new PublicKey(tokenAddress);
-        const pools = [];
-        
-        const derivationMethods = [
-            // LaunchLab patterns (bonding curve)
-            {
-                name: 'LaunchLab Standard',
-                program: this.LAUNCHLAB_PROGRAM,
-                seeds: () => [Buffer.from('pool'), tokenMint.toBuffer()]
-            },
-            {
-                name: 'LaunchLab with SOL',
-                program: this.LAUNCHLAB_PROGRAM,
-                seeds: () => [Buffer.from('pool'), tokenMint.toBuffer(), this.SOL_MINT.toBuffer()]
-            },
-            
-            // CPMM patterns (migrated pools)
-            {
-                name: 'CPMM Standard',
-                program: this.RAYDIUM_CPMM_PROGRAM,
-                seeds: () => [Buffer.from('cp_pool'), tokenMint.toBuffer(), this.SOL_MINT.toBuffer()]
-            },
-            {
-                name: 'CPMM Reverse',
-                program: this.RAYDIUM_CPMM_PROGRAM,
-                seeds: () => [Buffer.from('cp_pool'), this.SOL_MINT.toBuffer(), tokenMint.toBuffer()]
-            },
-            {
-                name: 'CPMM Alternative',
-                program: this.RAYDIUM_CPMM_PROGRAM,
-                seeds: () => [Buffer.from('pool'), tokenMint.toBuffer(), this.SOL_MINT.toBuffer()]
-            },
-            
-            // AMM patterns (legacy)
-            {
-                name: 'AMM Legacy',
-                program: this.RAYDIUM_AMM_PROGRAM,
-                seeds: () => [Buffer.from('pool'), this.RAYDIUM_AMM_PROGRAM.toBuffer(), tokenMint.toBuffer(), this.SOL_MINT.toBuffer()]
-            },
-            {
-                name: 'AMM Simple',
-                program: this.RAYDIUM_AMM_PROGRAM,
-                seeds: () => [Buffer.from('pool'), tokenMint.toBuffer(), this.SOL_MINT.toBuffer()]
-            }
-        ];
-        
-        for (const method of derivationMethods) {
-            try {
-                const seeds = method.seeds();
-                const [poolId] = await PublicKey.findProgramAddress(seeds, method.program);
-                
-                pools.push({
-                    name: method.name,
-                    poolId: poolId.toBase58(),
-                    program: method.program.toBase58()
-                });
-            } catch (error) {
-                logger.debug(`${method.name} derivation failed: ${error.message}`);
-            }
-        }
-        
-        return pools;
-    }
-
-    // Test pool and get trade count
-    async testBonkfunPoolWithTrades(poolId) {
-        try {
-            const result = await this.getBonkfunPoolTrades(poolId, 1);
-            
-            if (result && result.trades) {
-                return {
-                    valid: true,
-                    tradeCount: result.trades.length,
-                    hasData: result.trades.length > 0
-                };
-            }
-            
-            // Fallback for old format
-            if (Array.isArray(result)) {
-                return {
-                    valid: true,
-                    tradeCount: result.length,
-                    hasData: result.length > 0
-                };
-            }
-            
-            return {
-                valid: false,
-                tradeCount: 0,
-                hasData: false
-            };
-        } catch (error) {
-            return {
-                valid: false,
-                tradeCount: 0,
-                hasData: false,
-                error: error.message
-            };
+        if (!poolId) {
+            throw new Error(`No bonk.fun pool found for ${tokenAddress}`);
         }
+        return poolId;
     }
 
     // Proper Raydium API pagination using nextPageKey
@@ -449,12 +233,7 @@ class PumpfunBundleAnalyzer {
     // getBonkfunAllTrades with proper pagination
     async getBonkfunAllTrades(tokenAddress, limit = 200, offset = 0) {
         try {
-            let poolId = this._cachedPoolId;
-            
-            if (!poolId) {
-                poolId = await this.getBonkfunPoolId(tokenAddress);
-                this._cachedPoolId = poolId;
-            }
+            const poolId = await this.getBonkfunPoolId(tokenAddress);
 
             logger.debug(`Using pool ID ${poolId} for bonk.fun token ${tokenAddress}`);
 
@@ -497,7 +276,8 @@ class PumpfunBundleAnalyzer {
                 return {
                     is_buy: isBuy,
                     user: trade.owner || trade.user,
-                    slot: trade.blockTime, // Use blockTime directly as slot equivalent
+                    // Resolved from the signature when the launch history has no slot (see resolveTradeSlots)
+                    slot: Number.isInteger(trade.slot) ? trade.slot : null,
                     signature: trade.txid || trade.signature,
                     token_amount: isBuy ? 
                         (trade.amountA * Math.pow(10, 6)) : 
@@ -519,9 +299,10 @@ class PumpfunBundleAnalyzer {
 
     // Platform detection
     async detectTokenPlatform(address) {
-        // Check address patterns first
-        if (address.toLowerCase().endsWith('bonk')) {
-            logger.debug(`Token ${address} detected as Bonk.fun based on address pattern`);
+        // Check address patterns first; a 'bonk' suffix alone is not enough (vanity addresses)
+        const endsWithBonk = address.toLowerCase().endsWith('bonk');
+        if (endsWithBonk) {
+            logger.debug(`Token ${address} looks like Bonk.fun based on address pattern`);
             
             const isBonkfun = await this.isBonkfunCoin(address);
             if (isBonkfun) {
@@ -529,8 +310,7 @@ class PumpfunBundleAnalyzer {
                 return 'bonkfun';
             }
             
-            logger.debug(`${address} ends with 'bonk' but pool detection failed - treating as Bonk.fun anyway`);
-            return 'bonkfun';
+            logger.debug(`${address} ends with 'bonk' but has no LaunchLab pool - checking other platforms`);
         }
         
         if (address.toLowerCase().endsWith('pump')) {
@@ -554,40 +334,80 @@ class PumpfunBundleAnalyzer {
         }
         
         // Try Bonk.fun as fallback
-        const isBonkfun = await this.isBonkfunCoin(address);
+        const isBonkfun = !endsWithBonk && await this.isBonkfunCoin(address);
         if (isBonkfun) {
             logger.debug(`API confirmed ${address} as Bonk.fun token`);
             return 'bonkfun';
         }
+
+        // Any other token with a DEX pool (Raydium, Meteora, Moonshot, PumpSwap...)
+        const pair = await this.getDexPair(address);
+        if (pair) {
+            logger.debug(`${address} trades on ${pair.dexId} (${pair.pairAddress}), using DEX swap history`);
+            return 'dex';
+        }
         
         return null;
     }
 
+    // DexScreener pairs of the token quoted in SOL, oldest first: trade amounts are read in the
+    // quote token, and the first pool holds the launch buys
+    async getDexPairs(address) {
+        try {
+            const pairs = await dexscreenerApi.getTokenPairs(address, 'bundle', 'getDexPairs');
+            return pairs
+                .filter(pair => pair?.pairAddress && [pair.baseToken?.address, pair.quoteToken?.address].includes(WSOL_MINT))
+                .sort((a, b) => (a.pairCreatedAt || Infinity) - (b.pairCreatedAt || Infinity));
+        } catch (error) {
+            logger.debug(`No DEX pair found for ${address}: ${error.message}`);
+            return [];
+        }
+    }
+
+    // Launch pool of the token: its oldest SOL pair, or null
+    async getDexPair(address) {
+        const [pair] = await this.getDexPairs(address);
+        return pair || null;
+    }
+
+    getDexPlatformName(dexId) {
+        if (!dexId) return 'DEX';
+        return DEX_PLATFORM_NAMES[dexId] || dexId.charAt(0).toUpperCase() + dexId.slice(1);
+    }
+
     // Main bundle analysis entry point
-    async analyzeBundle(address, limit = 50000) {
+    // options.jito: inspect candidate slots for Jito tips instead of the 3+ wallets per slot rule
+    // options.funding: group the bundle wallets by funder (up to 11 RPC calls per wallet)
+    // options.transfers: trace the tokens bundle wallets moved out without selling (2+ RPC calls per wallet)
+    async analyzeBundle(address, limit = 50000, options = {}) {
         logger.debug(`Starting bundle analysis for ${address}`);
         
         const platform = await this.detectTokenPlatform(address);
         
         if (platform === 'pumpfun') {
             logger.debug('Detected PumpFun token, using PumpFun analyzer');
-            const result = await this.analyzePumpfunBundle(address, limit);
+            const result = await this.analyzePumpfunBundle(address, limit, options);
             result.platform = 'PumpFun';
             return result;
         }
         
         if (platform === 'bonkfun') {
             logger.debug('Detected Bonk.fun token, using Bonk.fun analyzer');
-            const result = await this.analyzeBonkfunBundle(address, limit);
+            const result = await this.analyzeBonkfunBundle(address, limit, options);
             result.platform = 'Bonk.fun';
             return result;
         }
+
+        if (platform === 'dex') {
+            logger.debug('Detected DEX token, using swap history analyzer');
+            return await this.analyzeDexBundle(address, limit, options);
+        }
         
-        throw new Error(`This token is not supported. Bundle analysis only works with PumpFun (.../pump) and Bonk.fun (.../bonk) tokens. Token ${address} was not detected as either platform.`);
+        throw new Error(`This token is not supported. Bundle analysis works with PumpFun, Bonk.fun and tokens with a SOL pool on Raydium, Meteora, Moonshot or PumpSwap. No trade history was found for ${address}.`);
     }
 
     // PumpFun bundle analysis
-    async analyzePumpfunBundle(address, limit) {
+    async analyzePumpfunBundle(address, limit, options = {}) {
         let offset = 0;
         const pageLimit = 200;
         let hasMoreTransactions = true;
@@ -614,10 +434,50 @@ class PumpfunBundleAnalyzer {
 
         logger.debug(`Total trades fetched: ${allTrades.length}`);
 
-        // Group trades by slot to find bundles
+        // Graduated tokens keep trading on their PumpSwap pool, outside of the bonding curve history
+        const pair = (await this.getDexPairs(address)).find(dexPair => dexPair.dexId === 'pumpswap');
+        if (pair) {
+            const knownSignatures = new Set(allTrades.map(trade => trade.signature));
+            const poolTrades = await this.getDexTrades(address, pair, Math.max(limit - allTrades.length, 0));
+            const newTrades = poolTrades.filter(trade => !knownSignatures.has(trade.signature));
+            logger.debug(`Added ${newTrades.length} PumpSwap trades from pool ${pair.pairAddress}`);
+            allTrades.push(...newTrades);
+        }
+
+        const filteredBundles = await this.selectBundles(this.groupBuysBySlot(allTrades), options);
+
+        const tokenInfo = await this.getTokenMetadata(address, 'bundle', 'getTokenInfo');
+        const totalSupply = parseFloat(tokenInfo.total_supply);
+
+        const result = await this.performBundleAnalysis(filteredBundles, tokenInfo, totalSupply, allTrades, options);
+        return this.addDetectionSummary(result, filteredBundles, options);
+    }
+
+    // Raydium, Meteora, Moonshot, PumpSwap... : swap history of the main pool, grouped by slot like PumpFun
+    async analyzeDexBundle(address, limit, options = {}) {
+        const pair = await this.getDexPair(address);
+        if (!pair) {
+            throw new Error(`No DEX pool found for ${address}.`);
+        }
+
+        const allTrades = await this.getDexTrades(address, pair, limit);
+        logger.debug(`Total DEX trades fetched: ${allTrades.length}`);
+
+        const filteredBundles = await this.selectBundles(this.groupBuysBySlot(allTrades), options);
+
+        const tokenInfo = await this.getTokenMetadata(address, 'bundle', 'getTokenInfo');
+        const totalSupply = parseFloat(tokenInfo.total_supply);
+
+        const result = await this.performBundleAnalysis(filteredBundles, tokenInfo, totalSupply, allTrades, options);
+        result.platform = this.getDexPlatformName(pair.dexId);
+        return this.addDetectionSummary(result, filteredBundles, options);
+    }
+
+    // Group buy trades (PumpFun trade shape) by slot
+    groupBuysBySlot(trades) {
         const bundles = {};
 
-        allTrades.forEach(trade => {
+        trades.forEach(trade => {
             if (trade.is_buy) {
                 if (!bundles[trade.slot]) {
                     bundles[trade.slot] = {
@@ -635,7 +495,16 @@ class PumpfunBundleAnalyzer {
             }
         });
 
-        const filteredBundles = Object.entries(bundles)
+        return bundles;
+    }
+
+    // Keep slots with 3+ buyers, or run the Jito detection on them (options.jito)
+    async selectBundles(bundlesBySlot, options = {}) {
+        if (options.jito) {
+            return this.detectJitoBundles(bundlesBySlot);
+        }
+
+        return Object.entries(bundlesBySlot)
             .filter(([_, bundle]) => bundle.uniqueWallets.size >= 3)
             .map(([slot, bundle]) => ({
                 slot: parseInt(slot),
@@ -646,68 +515,274 @@ class PumpfunBundleAnalyzer {
                 transactions: bundle.transactions
             }))
             .sort((a, b) => b.tokensBought - a.tokensBought);
+    }
 
-        const tokenInfo = await this.getTokenMetadata(address, 'bundle', 'getTokenInfo');
-        const totalSupply = parseFloat(tokenInfo.total_supply);
+    addDetectionSummary(result, filteredBundles, options = {}) {
+        if (options.jito) {
+            result.detectionMode = 'jito';
+            result.jitoBundles = filteredBundles.filter(bundle => bundle.detection === 'jito').length;
+            result.coincidenceBundles = filteredBundles.filter(bundle => bundle.detection === 'coincidence').length;
+        }
+        return result;
+    }
+
+    // Swap history of a DEX pool in PumpFun trade shape: Defined events first, parsed pool transactions otherwise
+    async getDexTrades(address, pair, limit) {
+        if (limit <= 0) return [];
 
-        return await this.performBundleAnalysis(filteredBundles, tokenInfo, totalSupply);
+        try {
+            const trades = await this.getDefinedPoolTrades(pair, limit);
+            if (trades.length > 0) return trades;
+            logger.debug(`No Defined events for pool ${pair.pairAddress}, parsing pool transactions`);
+        } catch (error) {
+            logger.warn(`Defined events unavailable for pool ${pair.pairAddress}: ${error.message}`);
+        }
+
+        return this.getPoolTransactionTrades(address, pair.pairAddress, limit);
     }
 
-    // Bonk.fun bundle analysis with block-based detection
-    async analyzeBonkfunBundle(address, limit) {
-        logger.debug(`Fetching trades from Bonk.fun/Raydium API for ${address}`);
-        
-        // Fetch all trades using proper pagination
-        const allTrades = await this.getBonkfunAllTrades(address, limit);
-        
-        logger.debug(`Total trades fetched: ${allTrades.length}`);
+    // Defined swap events of the pool since its creation (oldest first)
+    async getDefinedPoolTrades(pair, limit) {
+        const fromTimestamp = Math.floor((pair.pairCreatedAt || 0) / 1000);
+        const toTimestamp = Math.floor(Date.now() / 1000);
+        const trades = [];
+        let cursor = null;
+
+        do {
+            const response = await definedApi.getTokenEvents(
+                pair.pairAddress,
+                fromTimestamp,
+                toTimestamp,
+                cursor,
+                100,
+                'bundle',
+                'getTokenEvents',
+                { eventDisplayType: ['Buy', 'Sell'], direction: 'ASC' }
+            );
+
+            const events = response?.data?.getTokenEvents;
+            if (!events?.items?.length) break;
+
+            events.items
+                .filter(event => event.data?.__typename === 'SwapEventData')
+                .forEach(event => trades.push(this.mapDefinedEvent(event)));
+
+            cursor = events.cursor;
+        } while (cursor && trades.length < limit);
+
+        return trades.slice(0, limit);
+    }
 
-        // Group trades by blockTime (same as pumpfun uses slot) to find bundles
-        const bundles = {};
+    // amountNonLiquidityToken is the analyzed token; priceBaseTokenTotal is the value in the pair's quote token,
+    // SOL for the pairs kept by getDexPairs
+    mapDefinedEvent(event) {
+        const data = event.data;
+        const tokenAmount = Math.abs(parseFloat(data.amountNonLiquidityToken ?? data.amount1)) || 0;
+        const solAmount = Math.abs(parseFloat(data.priceBaseTokenTotal ?? data.amount0)) || 0;
 
-        allTrades.forEach(trade => {
-            if (trade.is_buy) {
-                // Use blockTime as the grouping key (equivalent to slot for pumpfun)
-                const blockTime = trade.block_time || trade.blockTime;
-                
-                if (!bundles[blockTime]) {
-                    bundles[blockTime] = {
-                        uniqueWallets: new Set(),
-                        tokensBought: 0,
-                        solSpent: 0,
-                        transactions: []
-                    };
-                }
-                
-                bundles[blockTime].uniqueWallets.add(trade.user);
-                const tokenAmount = trade.token_amount / this.TOKEN_FACTOR;
-                bundles[blockTime].tokensBought += tokenAmount;
-                bundles[blockTime].solSpent += trade.sol_amount / this.SOL_FACTOR;
-                bundles[blockTime].transactions.push(trade);
-            }
-        });
+        return {
+            is_buy: event.eventDisplayType === 'Buy',
+            user: event.maker,
+            slot: event.blockNumber,
+            signature: event.transactionHash,
+            tx_index: event.transactionIndex,
+            token_amount: tokenAmount * this.TOKEN_FACTOR,
+            sol_amount: solAmount * this.SOL_FACTOR,
+            timestamp: event.timestamp
+        };
+    }
+
+    // Walks the pool signatures back with `before` until the first one, keeping only the oldest `count`.
+    // Throws when the history is too long to reach the launch: newer trades would be mistaken for launch buys.
+    async getOldestPoolSignatures(poolAddress, count) {
+        const solanaApi = getSolanaApi();
+        let oldest = [];
+        let before = null;
+
+        for (let page = 0; page < this.MAX_POOL_SIGNATURE_PAGES; page++) {
+            const signatures = await solanaApi.getSignaturesForAddress(
+                poolAddress,
+                { limit: this.POOL_SIGNATURES_PAGE_SIZE, ...(before && { before }) },
+                'bundle',
+                'poolSignatures'
+            );
+
+            // Newest first: the end of the list holds the oldest signatures seen so far
+            oldest = oldest.concat(signatures.filter(signature => !signature.err)).slice(-count);
+            if (signatures.length < this.POOL_SIGNATURES_PAGE_SIZE) {
+                return oldest.reverse();
+            }
+            before = signatures[signatures.length - 1].signature;
+        }
 
-        // Filter bundles to only include those with 3+ unique wallets
-        const filteredBundles = Object.entries(bundles)
+        throw new Error(
+            `Pool ${poolAddress} has more than ${this.MAX_POOL_SIGNATURE_PAGES * this.POOL_SIGNATURES_PAGE_SIZE} transactions ` +
+            `and no Defined history, its launch trades cannot be reached.`
+        );
+    }
+
+    // Fallback: parse the oldest transactions of the pool; the fee payer is the trader
+    async getPoolTransactionTrades(address, poolAddress, limit) {
+        const oldest = await this.getOldestPoolSignatures(poolAddress, Math.min(limit, this.MAX_POOL_TRANSACTIONS));
+
+        logger.debug(`Parsing the ${oldest.length} oldest transactions of pool ${poolAddress}`);
+        return this.parsePoolTransactions(address, oldest);
+    }
+
+    // Trades of the given pool signatures, in the same order
+    async parsePoolTransactions(address, signatures) {
+        const solanaApi = getSolanaApi();
+        const trades = [];
+        for (let i = 0; i < signatures.length; i += this.POOL_TRANSACTION_BATCH_SIZE) {
+            const batch = signatures.slice(i, i + this.POOL_TRANSACTION_BATCH_SIZE);
+            const transactions = await Promise.all(batch.map(({ signature }) =>
+                solanaApi.getTransaction(
+                    signature,
+                    { encoding: 'jsonParsed', maxSupportedTransactionVersion: 0 },
+                    'bundle',
+                    'poolTransactions'
+                ).catch(error => {
+                    logger.debug(`Could not fetch pool transaction ${signature}: ${error.message}`);
+                    return null;
+                })
+            ));
+
+            transactions.forEach((txDetails, index) => {
+                const trade = this.parsePoolTransaction(txDetails, batch[index].signature, address);
+                if (trade) trades.push(trade);
+            });
+        }
+
+        return trades;
+    }
+
+    parsePoolTransaction(txDetails, signature, mint) {
+        if (!txDetails?.meta || txDetails.meta.err) return null;
+
+        const feePayerKey = txDetails.transaction?.message?.accountKeys?.[0];
+        const feePayer = feePayerKey?.pubkey?.toString() || feePayerKey?.toString();
+        const tokenDelta = getOwnerTokenDeltas(txDetails, mint).get(feePayer);
+        if (!feePayer || !tokenDelta || tokenDelta.isZero()) return null;
+
+        // SOL moved by the fee payer, network fee excluded (wrapped SOL accounts are closed in the same transaction)
+        const { preBalances = [], postBalances = [], fee = 0 } = txDetails.meta;
+        const solDelta = Math.abs((preBalances[0] || 0) - (postBalances[0] || 0) - fee);
+
+        return {
+            is_buy: tokenDelta.isPositive(),
+            user: feePayer,
+            slot: txDetails.slot,
+            signature,
+            token_amount: tokenDelta.abs().toNumber() * this.TOKEN_FACTOR,
+            sol_amount: solDelta,
+            timestamp: txDetails.blockTime
+        };
+    }
+
+    // Jito mode: slots with 2+ buyers are candidates; their buy transactions are fetched to find
+    // tips to the Jito tip accounts. Each slot yields Jito bundles and/or one same-slot coincidence.
+    async detectJitoBundles(bundlesBySlot) {
+        const candidates = Object.entries(bundlesBySlot)
+            .filter(([_, bundle]) => bundle.uniqueWallets.size >= 2)
+            .sort((a, b) => b[1].tokensBought - a[1].tokensBought);
+
+        logger.debug(`Jito detection: ${candidates.length} candidate slots, inspecting ${Math.min(candidates.length, this.MAX_JITO_CANDIDATE_SLOTS)}`);
+
+        const detectedBundles = [];
+        for (const [slot, bundle] of candidates.slice(0, this.MAX_JITO_CANDIDATE_SLOTS)) {
+            const groups = await detectSlotBundles(parseInt(slot), bundle.transactions, 'bundle', 'jitoDetection');
+            groups.forEach(group => {
+                const uniqueWallets = new Set(group.buys.map(trade => trade.user));
+                detectedBundles.push({
+                    slot: parseInt(slot),
+                    uniqueWallets,
+                    uniqueWalletsCount: uniqueWallets.size,
+                    tokensBought: group.buys.reduce((sum, trade) => sum + trade.token_amount / this.TOKEN_FACTOR, 0),
+                    solSpent: group.buys.reduce((sum, trade) => sum + trade.sol_amount / this.SOL_FACTOR, 0),
+                    transactions: group.buys,
+                    detection: group.detection,
+                    tipPayers: group.tipPayers,
+                    tipSol: group.tipLamports / this.SOL_FACTOR
+                });
+            });
+        }
+
+        // Slots beyond the inspection budget keep the legacy rule, without a label
+        candidates.slice(this.MAX_JITO_CANDIDATE_SLOTS)
             .filter(([_, bundle]) => bundle.uniqueWallets.size >= 3)
-            .map(([blockTime, bundle]) => ({
-                slot: parseInt(blockTime), // Use blockTime as slot equivalent for consistency
+            .forEach(([slot, bundle]) => detectedBundles.push({
+                slot: parseInt(slot),
                 uniqueWallets: bundle.uniqueWallets,
                 uniqueWalletsCount: bundle.uniqueWallets.size,
                 tokensBought: bundle.tokensBought,
                 solSpent: bundle.solSpent,
                 transactions: bundle.transactions
-            }))
-            .sort((a, b) => b.tokensBought - a.tokensBought);
+            }));
+
+        return detectedBundles.sort((a, b) => b.tokensBought - a.tokensBought);
+    }
+
+    // Bonk.fun bundle analysis: the launch history only has 1-second block times, so buys
+    // sharing a block time are resolved to their real slot before being grouped like PumpFun
+    async analyzeBonkfunBundle(address, limit, options = {}) {
+        logger.debug(`Fetching trades from Bonk.fun/Raydium API for ${address}`);
+        
+        // Fetch all trades using proper pagination
+        const allTrades = await this.getBonkfunAllTrades(address, limit);
+        
+        logger.debug(`Total trades fetched: ${allTrades.length}`);
+
+        // A slot holds a single block time: only seconds with enough buyers can contain a bundle
+        const minWallets = options.jito ? 2 : 3;
+        const buysBySecond = {};
+        allTrades.filter(trade => trade.is_buy).forEach(trade => {
+            const blockTime = trade.block_time || trade.blockTime;
+            if (!buysBySecond[blockTime]) buysBySecond[blockTime] = [];
+            buysBySecond[blockTime].push(trade);
+        });
+
+        const candidateBuys = Object.values(buysBySecond)
+            .filter(buys => new Set(buys.map(trade => trade.user)).size >= minWallets)
+            .flat();
+
+        await this.resolveTradeSlots(candidateBuys);
+
+        const slotBuys = candidateBuys.filter(trade => trade.slot !== null);
+        if (slotBuys.length < candidateBuys.length) {
+            logger.warn(`Could not resolve the slot of ${candidateBuys.length - slotBuys.length} bonk.fun buys for ${address}`);
+        }
+
+        const filteredBundles = await this.selectBundles(this.groupBuysBySlot(slotBuys), options);
 
         const tokenInfo = await this.getTokenMetadata(address, 'bundle', 'getTokenInfo');
         const totalSupply = parseFloat(tokenInfo.total_supply);
 
-        return await this.performBundleAnalysis(filteredBundles, tokenInfo, totalSupply);
+        const result = await this.performBundleAnalysis(filteredBundles, tokenInfo, totalSupply, allTrades, options);
+        return this.addDetectionSummary(result, filteredBundles, options);
+    }
+
+    // Fill in trade.slot from the signature status (256 signatures per RPC call)
+    async resolveTradeSlots(trades) {
+        const unresolved = trades.filter(trade => trade.slot === null && trade.signature);
+        const signatures = [...new Set(unresolved.map(trade => trade.signature))];
+        if (signatures.length === 0) return;
+
+        try {
+            const solanaApi = getSolanaApi();
+            const statuses = await solanaApi.getSignatureStatuses(signatures, 'bundle', 'resolveTradeSlots');
+            const slots = new Map(signatures.map((signature, index) => [signature, statuses[index]?.slot ?? null]));
+            unresolved.forEach(trade => {
+                trade.slot = slots.get(trade.signature);
+            });
+            logger.debug(`Resolved slots for ${unresolved.length} bonk.fun trades`);
+        } catch (error) {
+            logger.error(`Error resolving bonk.fun trade slots: ${error.message}`);
+        }
     }
 
     // Single bundle analysis method (no more team vs regular split)
-    async performBundleAnalysis(filteredBundles, tokenInfo, totalSupply) {
+    // allTrades: whole trade history of the token (PumpFun trade shape), used for the sell-off timelines
+    async performBundleAnalysis(filteredBundles, tokenInfo, totalSupply, allTrades = [], options = {}) {
         let totalTokensBundled = 0;
         let totalSolSpent = 0;
 
@@ -729,6 +804,7 @@ class PumpfunBundleAnalyzer {
 
         // Calculate total current holdings
         let totalHoldingAmount = 0;
+        const walletHoldings = new Map();
         const solanaApi = getSolanaApi();
 
         const batchSize = 10;
@@ -754,6 +830,7 @@ class PumpfunBundleAnalyzer {
                             }
                         }
                         
+                        walletHoldings.set(wallet, totalBalance);
                         return totalBalance;
                     } catch (error) {
                         logger.debug(`Failed to get balance for wallet ${wallet}: ${error.message}`);
@@ -771,42 +848,28 @@ class PumpfunBundleAnalyzer {
             }
         }
 
-        // Calculate holdings for individual bundles (top 20 only for performance)
-        const bundlesWithHoldings = await Promise.all(
-            filteredBundles.slice(0, 20).map(async (bundle) => {
-                let bundleHoldingAmount = 0;
-                const bundleWalletsArray = Array.from(bundle.uniqueWallets);
-
-                for (const wallet of bundleWalletsArray) {
-                    try {
-                        // Get token accounts for the wallet first
-                        const tokenAccounts = await solanaApi.getTokenAccountsByOwner(
-                            wallet, 
-                            tokenInfo.address, 
-                            'bundle', 
-                            'bundleHoldings'
-                        );
-                        
-                        // Calculate total balance from all token accounts
-                        for (const account of tokenAccounts) {
-                            if (account.tokenAmount && account.tokenAmount.uiAmount) {
-                                bundleHoldingAmount += account.tokenAmount.uiAmount;
-                            }
-                        }
-                    } catch (error) {
-                        logger.debug(`Failed to get balance for bundle wallet ${wallet}: ${error.message}`);
-                    }
-                }
+        // Funding clusters only on request (options.funding): they cost more than the rest of the analysis
+        const funding = options.funding
+            ? await this.analyzeFundingClusters(filteredBundles, walletHoldings, totalSupply)
+            : null;
+        const { timelines, untracedWallets } = await this.buildSellTimelines(
+            filteredBundles.slice(0, 20), allTrades, walletHoldings, tokenInfo, totalSupply, { traceTransfers: Boolean(options.transfers) }
+        );
 
-                const bundleHoldingPercentage = totalSupply > 0 ? (bundleHoldingAmount / totalSupply) * 100 : 0;
+        // Calculate holdings for individual bundles (top 20 only for performance)
+        const bundlesWithHoldings = filteredBundles.slice(0, 20).map((bundle, index) => {
+            const bundleWalletsArray = Array.from(bundle.uniqueWallets);
+            const bundleHoldingAmount = bundleWalletsArray.reduce((sum, wallet) => sum + (walletHoldings.get(wallet) || 0), 0);
+            const bundleHoldingPercentage = totalSupply > 0 ? (bundleHoldingAmount / totalSupply) * 100 : 0;
 
-                return {
-                    ...bundle,
-                    holdingAmount: bundleHoldingAmount,
-                    holdingPercentage: bundleHoldingPercentage
-                };
-            })
-        );
+            return {
+                ...bundle,
+                holdingAmount: bundleHoldingAmount,
+                holdingPercentage: bundleHoldingPercentage,
+                fundingGroups: funding ? this.getBundleFundingGroups(bundleWalletsArray, funding) : [],
+                sellTimeline: timelines[index]
+            };
+        });
 
         // Sort bundles by holding amount (descending)
         bundlesWithHoldings.sort((a, b) => b.holdingAmount - a.holdingAmount);
@@ -825,10 +888,112 @@ class PumpfunBundleAnalyzer {
             totalHoldingAmount: totalHoldingAmount,
             totalHoldingAmountPercentage: totalHoldingAmountPercentage,
             allBundles: bundlesWithHoldings,
+            fundingClusters: funding?.clusters || null,
+            fundingWalletsChecked: funding?.walletsChecked || 0,
+            fundingWalletsTotal: funding?.walletsTotal || 0,
+            untracedTransferWallets: untracedWallets,
             tokenInfo: tokenInfo,
             isTeamAnalysis: false // Always false since we removed team analysis
         };
     }
+
+    // When and how each bundle exited: sells from the trade history, plus SPL transfers out of
+    // wallets whose tokens left without a sell (bought - sold - held), traced only on request
+    async buildSellTimelines(bundles, allTrades, walletHoldings, tokenInfo, totalSupply, { traceTransfers = false } = {}) {
+        const trades = allTrades.map(trade => ({
+            user: trade.user,
+            isBuy: trade.is_buy,
+            tokens: trade.token_amount / this.TOKEN_FACTOR,
+            sol: trade.sol_amount / this.SOL_FACTOR,
+            timestamp: Number(trade.timestamp || trade.block_time)
+        }));
+
+        const bundleWallets = [...new Set(bundles.flatMap(bundle => Array.from(bundle.uniqueWallets)))];
+        const unexplainedWallets = findUnexplainedOutflows(bundleWallets, trades, walletHoldings);
+        const walletsToTrace = unexplainedWallets.slice(0, this.MAX_TRANSFER_CHECKS);
+        const firstBuyTime = Math.min(...bundles.flatMap(bundle => bundle.transactions.map(trade => Number(trade.timestamp))).filter(Number.isFinite));
+
+        let transfersByWallet = new Map();
+        if (traceTransfers && walletsToTrace.length > 0) {
+            transfersByWallet = await traceBundleTransfers(
+                walletsToTrace,
+                tokenInfo.address,
+                Number.isFinite(firstBuyTime) ? firstBuyTime * 1000 : null,
+                'bundle',
+                'bundleTransfers'
+            );
+        }
+
+        const timelines = bundles.map(bundle => buildSellTimeline(bundle, trades, {
+            totalSupply,
+            solPriceUsd: tokenInfo.solPriceUsd || 0,
+            transfersByWallet
+        }));
+        return { timelines, untracedWallets: traceTransfers ? 0 : unexplainedWallets.length };
+    }
+
+    // Group bundle wallets by shared funder: one entity splitting buys across slots shows up as
+    // a cluster spanning several bundles. Only funders of 2+ wallets form a cluster.
+    async analyzeFundingClusters(filteredBundles, walletHoldings, totalSupply) {
+        const allWallets = [...new Set(filteredBundles.flatMap(bundle => Array.from(bundle.uniqueWallets)))];
+        const walletsToCheck = allWallets.slice(0, this.MAX_FUNDING_WALLETS);
+
+        let analyzedWallets = [];
+        try {
+            analyzedWallets = await analyzeFunding(
+                walletsToCheck.map(address => ({ address })),
+                'bundle',
+                'analyzeFunding'
+            );
+        } catch (error) {
+            logger.error(`Error analyzing bundle wallet funding: ${error.message}`);
+        }
+
+        const bundlesByWallet = new Map();
+        filteredBundles.forEach((bundle, index) => {
+            bundle.uniqueWallets.forEach(wallet => {
+                if (!bundlesByWallet.has(wallet)) bundlesByWallet.set(wallet, new Set());
+                bundlesByWallet.get(wallet).add(index);
+            });
+        });
+
+        const clusters = [...groupWalletsByFunder(analyzedWallets).values()]
+            .filter(group => group.wallets.length >= 2)
+            .map(group => {
+                const holdingAmount = group.wallets.reduce((sum, wallet) => sum + (walletHoldings.get(wallet) || 0), 0);
+                const bundleIndexes = new Set(group.wallets.flatMap(wallet => [...(bundlesByWallet.get(wallet) || [])]));
+                return {
+                    ...group,
+                    bundleCount: bundleIndexes.size,
+                    holdingAmount,
+                    holdingPercentage: totalSupply > 0 ? (holdingAmount / totalSupply) * 100 : 0
+                };
+            })
+            .sort((a, b) => b.holdingAmount - a.holdingAmount || b.wallets.length - a.wallets.length);
+
+        logger.debug(`Funding clusters: ${clusters.length} from ${walletsToCheck.length}/${allWallets.length} wallets`);
+
+        return {
+            clusters,
+            walletsChecked: walletsToCheck.length,
+            walletsTotal: allWallets.length
+        };
+    }
+
+    // Funders of a bundle's wallets that belong to a cluster ("N wallets funded by X")
+    getBundleFundingGroups(bundleWallets, funding) {
+        return funding.clusters
+            .map(cluster => ({
+                funderAddress: cluster.funderAddress,
+                sourceName: cluster.sourceName,
+                sourceCategory: cluster.sourceCategory,
+                walletCount: bundleWallets.filter(wallet => cluster.wallets.includes(wallet)).length,
+                clusterWalletCount: cluster.wallets.length,
+                clusterBundleCount: cluster.bundleCount
+            }))
+            .filter(group => group.walletCount > 0)
+            .sort((a, b) => b.walletCount - a.walletCount);
+    }
 }
 
 module.exports = new PumpfunBundleAnalyzer();
\ No newline at end of file
@@ -1,9 +1,13 @@
-const { analyzeFunding } = require('../tools/fundingAnalyzer');
+const { analyzeFunding, findFundedWallets, isPublicFunder, DEFAULT_MAX_HOPS } = require('../tools/fundingAnalyzer');
 const pumpfunApi = require('../integrations/pumpfunApi');
 const gmgnApi = require('../integrations/gmgnApi');
 const { getSolanaApi } = require('../integrations/solanaApi');
 const BigNumber = require('bignumber.js');
 const { getAssetsForMultipleWallets } = require('../tools/walletValueCalculator');
+const { findLaunchLabCreator, getLaunchLabLaunches } = require('../tools/launchlabCreator');
+const { normalizeTrades, analyzeCoinExit, buildDevExitProfile } = require('../tools/devExitProfile');
+const { findRecurringSnipers } = require('../tools/recurringSnipers');
+const bundleAnalyzer = require('./bundle');
 const logger = require('../utils/logger');
 
 const EXCHANGE_ADDRESSES = {
@@ -27,6 +31,29 @@ const EXCHANGE_ADDRESSES = {
     'HWEoBxYs7ssKuudEjzjmpfJVX7Dvi7wescFsVx2L5yoY': 'bloxroute'
 };
 
+// Launchpads supportés par /dev (mêmes libellés que /bundle)
+const PLATFORMS = {
+    PUMPFUN: 'PumpFun',
+    BONKFUN: 'Bonk.fun'
+};
+
+// Coins précédents analysés (profil de sortie, snipers récurrents) : les plus récents, fenêtre de lancement
+// (premiers trades) limitée par coin
+const MAX_PREVIOUS_COINS_ANALYZED = 10;
+const MAX_COIN_TRADES = 2000;
+const TRADES_PAGE_SIZE = 200;
+// Sondes pour localiser la fin d'un historique PumpFun (offsets doublés à partir de MAX_COIN_TRADES)
+const MAX_TRADE_HISTORY_PROBES = 12;
+const MAX_RECURRING_SNIPERS = 15;
+
+// Réseau de devs liés : wallets candidats vérifiés (coins créés)
+const MAX_LINKED_CANDIDATES = 15;
+const LINK_TYPES = {
+    FUNDER: 'funder',
+    SHARED_FUNDER: 'shared_funder',
+    DEV_TRANSFER: 'dev_transfer'
+};
+
 class DevAnalyzer {
     constructor() {
         this.solanaApi = getSolanaApi();
@@ -42,10 +69,10 @@ class DevAnalyzer {
             const tokenInfo = await this.getTokenMetadata(tokenAddress);
             logger.debug('Token info retrieved:', { tokenInfo });
     
-            const devAddress = await this.findDevAddress(tokenAddress);
-            logger.info('Found dev address:', { devAddress });
+            const { devAddress, platform } = await this.findCreator(tokenAddress);
+            logger.info('Found dev address:', { devAddress, platform });
     
-            const createdCoins = await this.getAllCreatedCoins(devAddress);
+            const createdCoins = await this.getAllCreatedCoins(devAddress, platform);
             
             const coinsStats = this.analyzeCoinsStats(createdCoins);
             logger.debug('Coins stats:', { coinsStats });
@@ -53,11 +80,18 @@ class DevAnalyzer {
             logger.debug('Fetching bonded coins info...');
             const bondedCoinsInfo = await this.getBondedCoinsInfo(createdCoins);
             logger.debug('Bonded coins info:', { bondedCoinsInfo });
+
+            const previousCoinTrades = await this.getPreviousCoinTrades(tokenAddress, createdCoins, platform);
+            const exitProfile = this.analyzeExitProfile(devAddress, previousCoinTrades);
+            logger.debug('Dev exit profile:', { exitProfile });
             
-            const fundingInfo = await analyzeFunding([{ address: devAddress }]);
+            const fundingInfo = await analyzeFunding([{ address: devAddress }], 'devAnalyzer', 'analyzeFunding', { maxHops: DEFAULT_MAX_HOPS });
             logger.debug('Funding info:', { fundingInfo });
     
             const transferConnections = await this.analyzeTransferConnections(devAddress);
+
+            const linkedDevs = await this.analyzeLinkedDevs(devAddress, fundingInfo[0]?.funderAddress, transferConnections, platform, coinsStats);
+            logger.debug('Linked devs:', { linkedDevs });
     
             logger.debug('Getting wallet assets...');
             const walletAssets = await getAssetsForMultipleWallets([devAddress]);
@@ -85,6 +119,9 @@ class DevAnalyzer {
                     .toNumber();
             }
     
+            const recurringSnipers = await this.analyzeRecurringSnipers(devAddress, previousCoinTrades, tokenAddress, tokenSupplyInfo);
+            logger.debug('Recurring snipers:', { recurringSnipers });
+    
             let holdingPercentage = 0;
             if (totalSupply > 0) {
                 holdingPercentage = (devTokenBalance / totalSupply) * 100;
@@ -103,16 +140,24 @@ class DevAnalyzer {
             const finalAnalysis = {
                 tokenAddress,
                 tokenSymbol: tokenInfo.symbol,
+                tokenDecimals: tokenInfo.decimals,
                 devAddress,
+                platform,
                 coinsStats,
                 bondedCoinsInfo: bondedCoinsInfo || { topPerformers: [] },
+                exitProfile,
+                recurringSnipers,
                 fundingInfo: fundingInfo[0] ? {
                     funderAddress: fundingInfo[0].funderAddress,
                     amount: await this.getFundingAmount(devAddress, fundingInfo[0].funderAddress),
                     timestamp: await this.getFundingTimestamp(devAddress, fundingInfo[0].funderAddress),
-                    label: EXCHANGE_ADDRESSES[fundingInfo[0].funderAddress]
+                    label: EXCHANGE_ADDRESSES[fundingInfo[0].funderAddress],
+                    fundingPath: fundingInfo[0].fundingDetails?.fundingPath || [],
+                    origin: fundingInfo[0].fundingDetails?.origin || null,
+                    endReason: fundingInfo[0].fundingDetails?.endReason || null
                 } : null,
                 transferConnections,
+                linkedDevs,
                 ownerTokenStats,
                 ownerPortfolio: ownerPortfolio || { topTokens: [] },
                 success: true
@@ -156,6 +201,27 @@ class DevAnalyzer {
         }
     }
 
+    // Bonk.fun : créateur lu dans l'état du pool LaunchLab, sinon PumpFun
+    async findCreator(tokenAddress) {
+        let launch = null;
+        try {
+            launch = await findLaunchLabCreator(tokenAddress, 'devAnalyzer', 'findCreator');
+        } catch (error) {
+            logger.warn('LaunchLab creator lookup failed:', { tokenAddress, error: error.message });
+        }
+        if (launch) {
+            // Token LaunchLab confirmé : pas de repli sur PumpFun qui donnerait un autre wallet
+            if (!launch.creator) {
+                throw new Error('Creator not found for this Bonk.fun token');
+            }
+            this.initialBuy = null;
+            return { devAddress: launch.creator, platform: PLATFORMS.BONKFUN };
+        }
+
+        const devAddress = await this.findDevAddress(tokenAddress);
+        return { devAddress, platform: PLATFORMS.PUMPFUN };
+    }
+
     async findDevAddress(tokenAddress) {
         try {
             let offset = 0;
@@ -202,8 +268,12 @@ class DevAnalyzer {
         }
      }
 
-    async getAllCreatedCoins(address) {
+    async getAllCreatedCoins(address, platform = PLATFORMS.PUMPFUN) {
         try {
+            if (platform === PLATFORMS.BONKFUN) {
+                return await getLaunchLabLaunches(address, 'devAnalyzer', 'getAllCreatedCoins');
+            }
+
             let offset = 0;
             const limit = 10; // On garde la limite à 10 comme dans l'API
             let allCoins = [];
@@ -387,6 +457,209 @@ class DevAnalyzer {
         }
     }
 
+    // Fenêtre de lancement des coins précédents du dev (hors coin analysé), les plus récents d'abord
+    // (les pools LaunchLab n'ont pas de date de création : ordre du programme)
+    async getPreviousCoinTrades(tokenAddress, createdCoins, platform) {
+        const previousCoins = (createdCoins || [])
+            .filter(coin => coin && coin.mint && coin.mint !== tokenAddress)
+            .sort((a, b) => (b.created_timestamp || 0) - (a.created_timestamp || 0))
+            .slice(0, MAX_PREVIOUS_COINS_ANALYZED);
+
+        const coinTrades = [];
+        let skippedCoins = 0;
+        for (const coin of previousCoins) {
+            const launchTrades = await this.getCoinLaunchTrades(coin, platform);
+            if (!launchTrades) {
+                skippedCoins++;
+                continue;
+            }
+            coinTrades.push({ coin, trades: normalizeTrades(launchTrades.trades), partialHistory: launchTrades.partialHistory });
+        }
+
+        return { coinTrades, skippedCoins };
+    }
+
+    // Comportement de sortie du dev sur ses coins précédents
+    analyzeExitProfile(devAddress, previousCoinTrades) {
+        try {
+            const coinExits = previousCoinTrades.coinTrades.map(({ coin, trades, partialHistory }) =>
+                analyzeCoinExit(devAddress, coin, trades, { partialHistory }));
+            return buildDevExitProfile(coinExits, previousCoinTrades.skippedCoins);
+        } catch (error) {
+            logger.error('Error building dev exit profile:', { devAddress, error: error.message });
+            return null;
+        }
+    }
+
+    // Wallets ayant snipé plusieurs lancements du dev, et s'ils détiennent le token analysé
+    async analyzeRecurringSnipers(devAddress, previousCoinTrades, tokenAddress, tokenSupplyInfo) {
+        try {
+            const { coinTrades } = previousCoinTrades;
+            const snipers = findRecurringSnipers(coinTrades, devAddress).slice(0, MAX_RECURRING_SNIPERS);
+
+            if (snipers.length > 0) {
+                const decimals = tokenSupplyInfo?.value?.decimals || 0;
+                const supply = new BigNumber(tokenSupplyInfo?.value?.amount || 0);
+                const balances = await this.solanaApi.getTokenBalancesByOwners(
+                    snipers.map(sniper => sniper.address),
+                    tokenAddress,
+                    'devAnalyzer',
+                    'recurringSnipers'
+                );
+
+                snipers.forEach(sniper => {
+                    const rawBalance = balances.get(sniper.address) || new BigNumber(0);
+                    sniper.currentBalance = rawBalance.dividedBy(Math.pow(10, decimals)).toNumber();
+                    sniper.currentSupplyPercentage = supply.gt(0) ? rawBalance.dividedBy(supply).times(100).toNumber() : 0;
+                    sniper.holdsCurrentToken = rawBalance.gt(0);
+                });
+            }
+
+            return {
+                launchesAnalyzed: coinTrades.length,
+                snipers,
+                holdingCount: snipers.filter(sniper => sniper.holdsCurrentToken).length
+            };
+        } catch (error) {
+            logger.error('Error finding recurring snipers:', { devAddress, error: error.message });
+            return null;
+        }
+    }
+
+    // Premiers trades d'un coin (au plus MAX_COIN_TRADES) : les achats et premières ventes du dev sont au lancement.
+    // partialHistory indique que des trades plus récents n'ont pas été lus ; null si l'historique est inaccessible
+    async getCoinLaunchTrades(coin, platform) {
+        try {
+            return platform === PLATFORMS.BONKFUN
+                ? await this.getBonkfunLaunchTrades(coin)
+                : await this.getPumpfunLaunchTrades(coin.mint);
+        } catch (error) {
+            logger.warn('Could not fetch coin trades:', { mint: coin.mint, error: error.message });
+            return null;
+        }
+    }
+
+    // L'API PumpFun renvoie les trades les plus récents d'abord : la fin de l'historique est localisée
+    // par des sondes d'un trade, puis seule la dernière fenêtre (les plus anciens) est lue
+    async getPumpfunLaunchTrades(mint) {
+        const end = await this.findPumpfunHistoryEnd(mint);
+        if (end === null) return null;
+
+        const start = Math.max(0, end - MAX_COIN_TRADES);
+        const trades = [];
+        for (let offset = start; offset < end; offset += TRADES_PAGE_SIZE) {
+            const page = await this.pumpFunApi.getAllTrades(mint, TRADES_PAGE_SIZE, offset);
+            if (!page || page.length === 0) break;
+            trades.push(...page);
+            if (page.length < TRADES_PAGE_SIZE) break;
+        }
+        return { trades, partialHistory: start > 0 };
+    }
+
+    // Offset sans trade, au plus TRADES_PAGE_SIZE après le plus ancien trade ; null si l'historique est trop long
+    async findPumpfunHistoryEnd(mint) {
+        const hasTradeAt = async offset => {
+            const page = await this.pumpFunApi.getAllTrades(mint, 1, offset);
+            return Array.isArray(page) && page.length > 0;
+        };
+
+        let low = 0;
+        let high = MAX_COIN_TRADES;
+        for (let probes = 0; await hasTradeAt(high); probes++) {
+            if (probes >= MAX_TRADE_HISTORY_PROBES) return null;
+            low = high;
+            high *= 2;
+        }
+        // Historique court : lu entièrement depuis l'offset 0
+        if (high === MAX_COIN_TRADES) return high;
+
+        while (high - low > TRADES_PAGE_SIZE) {
+            const middle = Math.floor((low + high) / 2);
+            if (await hasTradeAt(middle)) {
+                low = middle;
+            } else {
+                high = middle;
+            }
+        }
+        return high;
+    }
+
+    // Pool LaunchLab lu dans l'ordre chronologique : événements Defined, sinon ses plus anciennes transactions
+    async getBonkfunLaunchTrades(coin) {
+        if (!coin.launchpadPoolId) return null;
+
+        const pair = { pairAddress: coin.launchpadPoolId, pairCreatedAt: coin.created_timestamp };
+        try {
+            const trades = await bundleAnalyzer.getDefinedPoolTrades(pair, MAX_COIN_TRADES);
+            if (trades.length > 0) return { trades, partialHistory: trades.length >= MAX_COIN_TRADES };
+        } catch (error) {
+            logger.debug('Defined events unavailable for LaunchLab pool:', { pool: coin.launchpadPoolId, error: error.message });
+        }
+
+        const maxTransactions = Math.min(MAX_COIN_TRADES, bundleAnalyzer.MAX_POOL_TRANSACTIONS);
+        const signatures = await bundleAnalyzer.getOldestPoolSignatures(coin.launchpadPoolId, maxTransactions);
+        const trades = await bundleAnalyzer.parsePoolTransactions(coin.mint, signatures);
+        return { trades, partialHistory: signatures.length >= maxTransactions };
+    }
+
+    // Autres deployers liés au dev : même funder (hors exchanges/bridges) ou SOL reçus du dev
+    async analyzeLinkedDevs(devAddress, funderAddress, transferConnections, platform, coinsStats) {
+        try {
+            const candidates = new Map();
+            const addCandidate = (address, linkType) => {
+                if (!address || address === devAddress || this.isPublicWallet(address)) return;
+                if (!candidates.has(address)) candidates.set(address, new Set());
+                candidates.get(address).add(linkType);
+            };
+
+            (transferConnections || [])
+                .filter(conn => conn.sentByDev)
+                .forEach(conn => addCandidate(conn.address, LINK_TYPES.DEV_TRANSFER));
+
+            if (funderAddress && !this.isPublicWallet(funderAddress)) {
+                addCandidate(funderAddress, LINK_TYPES.FUNDER);
+                const fundedWallets = await findFundedWallets(funderAddress, 'devAnalyzer', 'linkedDevs');
+                fundedWallets.forEach(wallet => addCandidate(wallet.address, LINK_TYPES.SHARED_FUNDER));
+            }
+
+            const linkedDevs = [];
+            for (const [address, linkTypes] of [...candidates.entries()].slice(0, MAX_LINKED_CANDIDATES)) {
+                const createdCoins = await this.getAllCreatedCoins(address, platform);
+                if (!createdCoins || createdCoins.length === 0) continue;
+
+                linkedDevs.push({
+                    address,
+                    links: [...linkTypes],
+                    coinsStats: this.analyzeCoinsStats(createdCoins)
+                });
+            }
+            linkedDevs.sort((a, b) => b.coinsStats.totalCoins - a.coinsStats.totalCoins);
+
+            const linkedLaunches = linkedDevs.reduce((sum, dev) => sum + dev.coinsStats.totalCoins, 0);
+            const linkedBonded = linkedDevs.reduce((sum, dev) => sum + dev.coinsStats.bondedCount, 0);
+
+            return {
+                candidatesChecked: Math.min(candidates.size, MAX_LINKED_CANDIDATES),
+                linkedDevs,
+                network: {
+                    deployers: linkedDevs.length + 1,
+                    totalLaunches: (coinsStats?.totalCoins || 0) + linkedLaunches,
+                    bondedCount: (coinsStats?.bondedCount || 0) + linkedBonded,
+                    linkedLaunches,
+                    linkedBonded
+                }
+            };
+        } catch (error) {
+            logger.error('Error analyzing linked devs:', { devAddress, error: error.message });
+            return null;
+        }
+    }
+
+    // Exchanges et bridges financent tout le monde : ils ne relient pas deux deployers
+    isPublicWallet(address) {
+        return !!EXCHANGE_ADDRESSES[address] || isPublicFunder(address);
+    }
+
     async analyzeTransferConnections(address) {
         try {
             logger.debug('Fetching signatures for address:', { address });
@@ -404,18 +677,23 @@ class DevAnalyzer {
                         if (this.isTransferTransaction(tx)) {
                             const connection = this.getTransferDetails(tx, address);
                             if (connection) {
-                                const { counterparty, amount, timestamp } = connection;
+                                const { counterparty, direction, amount, timestamp } = connection;
                                 const label = EXCHANGE_ADDRESSES[counterparty];
+                                const known = transferConnectionsMap.get(counterparty);
+                                // Le dev a envoyé des SOL à ce wallet (au moins une fois)
+                                const sentByDev = direction === 'out' || Boolean(known?.sentByDev);
                                 
-                                if (!transferConnectionsMap.has(counterparty) ||
-                                    transferConnectionsMap.get(counterparty).amount < amount) {
+                                if (!known || known.amount < amount) {
                                     transferConnectionsMap.set(counterparty, {
                                         address: counterparty,
                                         amount,
                                         timestamp,
                                         label,
+                                        sentByDev,
                                         date: new Date(timestamp * 1000).toISOString()
                                     });
+                                } else {
+                                    known.sentByDev = sentByDev;
                                 }
                             }
                         }
@@ -512,6 +790,7 @@ class DevAnalyzer {
         if (source === address || destination === address) {
             return {
                 counterparty: source === address ? destination : source,
+                direction: source === address ? 'out' : 'in',
                 amount: lamports / 1e9,
                 timestamp: tx.blockTime
             };
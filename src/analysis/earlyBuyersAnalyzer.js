@@ -5,11 +5,20 @@ const pumpfunApi = require('../integrations/pumpfunApi');
 const logger = require('../utils/logger');
 const PoolAndBotDetector  = require('../tools/poolAndBotDetector');
 const dexscreenerApi = require('../integrations/dexScreenerApi');
+const { getSolanaApi } = require('../integrations/solanaApi');
+const { buildBuyerExit } = require('../tools/earlyBuyerExits');
 
+const SOL_DECIMALS = 9;
+// Pages d'événements Defined lus par wallet pour la seconde passe (trades depuis l'entrée)
+const MAX_EXIT_EVENT_PAGES = 5;
+const EVENTS_PAGE_SIZE = 100;
+// Early buyers dont les trades depuis l'entrée sont lus en parallèle
+const EXIT_BATCH_SIZE = 10;
 
 class EarlyBuyersAnalyzer {
    constructor() {
        this.detector = new PoolAndBotDetector();
+       this.solanaApi = getSolanaApi();
    }
 
    processPumpfunTransactions(transactions, walletsData) {
@@ -19,7 +28,7 @@ class EarlyBuyersAnalyzer {
            const wallet = tx.user;
            const tokenAmount = tx.token_amount;
            const solAmount = tx.sol_amount;
-           this.updateWalletData(walletsData, wallet, tokenAmount, solAmount, tx.is_buy, 'pumpfun', tx.signature, tx.timestamp);
+           this.updateWalletData(walletsData, wallet, tokenAmount, solAmount, tx.is_buy, 'pumpfun', tx.signature, tx.timestamp, tx.slot);
        }
        logger.debug(`Finished processing Pumpfun transactions, total wallets tracked: ${walletsData.size}`);
    }
@@ -53,13 +62,13 @@ class EarlyBuyersAnalyzer {
                solAmount = Math.abs(parseFloat(data.amount0));
            }
    
-           this.updateWalletData(walletsData, wallet, tokenAmount, solAmount, isBuy, null, event.transactionHash, event.timestamp);
+           this.updateWalletData(walletsData, wallet, tokenAmount, solAmount, isBuy, null, event.transactionHash, event.timestamp, event.blockNumber);
        }
        logger.debug(`Finished processing batch of Defined events, current wallet count: ${walletsData.size}`);
        return true;
    }
 
-   updateWalletData(walletsData, wallet, tokenAmount, solAmount, isBuy, dex, signature, timestamp) {
+   updateWalletData(walletsData, wallet, tokenAmount, solAmount, isBuy, dex, signature, timestamp, slot = null) {
 
        const currentData = walletsData.get(wallet) || {
            wallet,
@@ -86,12 +95,120 @@ class EarlyBuyersAnalyzer {
            solAmount,
            timestamp: new Date(timestamp * 1000).toISOString(),
            is_buy: isBuy,
+           slot: Number.isInteger(slot) ? slot : null,
            dex
        });
    
        walletsData.set(wallet, currentData);
    }
 
+   // Trades d'un wallet sur le token depuis son entrée, agrégés comme ceux de la fenêtre d'analyse
+   async fetchTradesSinceEntry(wallet, coinAddress, entryTimestamp, nowTimestamp, mainContext) {
+       const walletsData = new Map();
+       let cursor = null;
+
+       try {
+           for (let page = 0; page < MAX_EXIT_EVENT_PAGES; page++) {
+               const eventsResponse = await definedApi.getTokenEvents(
+                   coinAddress,
+                   entryTimestamp,
+                   nowTimestamp,
+                   cursor,
+                   EVENTS_PAGE_SIZE,
+                   mainContext,
+                   'getWalletTokenEvents',
+                   { maker: wallet }
+               );
+
+               const events = eventsResponse.data.getTokenEvents;
+               if (!events || !events.items || events.items.length === 0) break;
+
+               this.processDefinedEvents(events, walletsData, nowTimestamp);
+               cursor = events.cursor;
+               if (!cursor || events.items.length < EVENTS_PAGE_SIZE) break;
+           }
+       } catch (error) {
+           logger.warn(`Could not fetch trades of ${wallet} since entry: ${error.message}`);
+           return null;
+       }
+
+       return walletsData.get(wallet) || null;
+   }
+
+   // Trades PumpFun d'un wallet depuis son entrée, tirés des trades de la première passe (sans appel supplémentaire)
+   getPumpfunTradesSinceEntry(wallet, pumpfunTrades, entryTimestamp) {
+       const walletsData = new Map();
+       this.processPumpfunTransactions(
+           pumpfunTrades.filter(tx => tx.user === wallet && tx.timestamp >= entryTimestamp),
+           walletsData
+       );
+       return walletsData.get(wallet) || null;
+   }
+
+   // Seconde passe : solde actuel et PnL réalisé de chaque early buyer depuis son entrée
+   // pumpfunTrades : trades de la bonding curve lus par la première passe (tokens PumpFun)
+   async analyzeExits(earlyBuyers, coinAddress, walletsData, tokenDecimals, solPrice, mainContext, pumpfunTrades = null) {
+       if (earlyBuyers.length === 0) return;
+
+       let balances;
+       try {
+           balances = await this.solanaApi.getTokenBalancesByOwners(
+               earlyBuyers.map(buyer => buyer.wallet),
+               coinAddress,
+               mainContext,
+               'earlyBuyersBalances'
+           );
+       } catch (error) {
+           logger.error('Could not fetch early buyers balances:', error);
+           return;
+       }
+
+       const nowTimestamp = Math.floor(Date.now() / 1000);
+       const tokenFactor = Math.pow(10, -tokenDecimals);
+       const solFactor = Math.pow(10, -SOL_DECIMALS);
+
+       const analyzeExit = async buyer => {
+           const timeFrameData = walletsData.get(buyer.wallet);
+           const buyTimestamps = timeFrameData.transactions
+               .filter(tx => tx.is_buy)
+               .map(tx => Math.floor(Date.parse(tx.timestamp) / 1000));
+           const entryTimestamp = Math.min(...buyTimestamps);
+
+           // Les trades de la fenêtre sont inclus dans ceux depuis l'entrée, sauf si Defined
+           // n'indexe pas tous les trades de la bonding curve : on prend alors ceux de PumpFun,
+           // sinon achats et ventes viennent tous deux de la fenêtre (windowOnly), pour ne pas
+           // mélanger deux agrégats dans le PnL
+           const sinceEntry = await this.fetchTradesSinceEntry(buyer.wallet, coinAddress, entryTimestamp, nowTimestamp, mainContext);
+           const pumpfunSinceEntry = pumpfunTrades
+               ? this.getPumpfunTradesSinceEntry(buyer.wallet, pumpfunTrades, entryTimestamp)
+               : null;
+           const covering = [sinceEntry, pumpfunSinceEntry].find(candidate => this.coversTimeFrame(candidate, timeFrameData));
+           const trades = covering || timeFrameData;
+
+           const rawBalance = balances.get(buyer.wallet);
+           const exit = buildBuyerExit({
+               boughtTokens: trades.bought_amount_token * tokenFactor,
+               boughtSol: trades.bought_amount_sol * solFactor,
+               soldTokens: trades.sold_amount_token * tokenFactor,
+               soldSol: trades.sold_amount_sol * solFactor
+           }, rawBalance ? rawBalance.times(tokenFactor).toNumber() : 0);
+
+           buyer.exit = exit ? { ...exit, realizedPnlUsd: exit.realizedPnlSol * solPrice, windowOnly: !covering } : null;
+           logger.debug(`Exit of ${buyer.wallet}: ${exit ? exit.status : 'unknown'}`);
+       };
+
+       for (let i = 0; i < earlyBuyers.length; i += EXIT_BATCH_SIZE) {
+           await Promise.all(earlyBuyers.slice(i, i + EXIT_BATCH_SIZE).map(analyzeExit));
+       }
+   }
+
+   // Agrégat depuis l'entrée utilisable : il contient au moins les achats et les ventes de la fenêtre
+   coversTimeFrame(sinceEntry, timeFrameData) {
+       return Boolean(sinceEntry)
+           && sinceEntry.bought_amount_token >= timeFrameData.bought_amount_token
+           && sinceEntry.sold_amount_token >= timeFrameData.sold_amount_token;
+   }
+
    async analyzeEarlyBuyers(coinAddress, minPercentage, timeFrameHours, tokenInfo, mainContext = 'default', pumpFlag = '') {
        try {
            logger.debug(`Starting analysis for ${coinAddress} - minPercentage: ${minPercentage}, timeFrameHours: ${timeFrameHours}`);
@@ -101,7 +218,7 @@ class EarlyBuyersAnalyzer {
            const isPumpfunToken = coinAddress.endsWith('pump');
    
            const tokenDecimals = tokenInfo.decimals || 6;
-           const solDecimals = 9;
+           const solDecimals = SOL_DECIMALS;
            const totalSupply = parseFloat(tokenInfo.supply.total);
            const solPrice = await dexscreenerApi.getSolPrice();
    
@@ -109,6 +226,7 @@ class EarlyBuyersAnalyzer {
            logger.debug(`Calculated threshold amount: ${thresholdAmount}`);
    
            let creationTimestamp, endTimestamp;
+           let pumpfunTrades = null;
    
            if (pumpFlag === 'pump' && !isPumpfunToken) {
                throw new Error("This token is not a pumpfun token. If you want to use the 'pump' flag please use a pumpfun token.");
@@ -148,6 +266,7 @@ class EarlyBuyersAnalyzer {
                    }
                } else {
                    this.processPumpfunTransactions(allTransactions, walletsData);
+                   pumpfunTrades = allTransactions;
                    creationTimestamp = allTransactions[allTransactions.length - 1].timestamp;
                    logger.debug(`Pumpfun analysis complete - Creation timestamp: ${creationTimestamp}`);
                }
@@ -238,6 +357,13 @@ class EarlyBuyersAnalyzer {
    
            logger.debug(`Qualified wallets: ${qualifiedWallets.size} / ${walletsData.size}`);
 
+           // Slot de création / d'ouverture du pool : premier trade connu du token
+           const knownSlots = Array.from(walletsData.values())
+               .flatMap(data => data.transactions.map(tx => tx.slot))
+               .filter(Number.isInteger);
+           const launchSlot = knownSlots.length > 0 ? Math.min(...knownSlots) : null;
+           logger.debug(`Launch slot: ${launchSlot}`);
+
            const qualifiedWalletsArray = Array.from(qualifiedWallets.entries());
            const batchSize = 10;
            const filteredEarlyBuyers = [];
@@ -252,9 +378,11 @@ class EarlyBuyersAnalyzer {
                    const walletAnalysisBatch = await fetchMultipleWallets(walletAddresses, 5, mainContext, 'fetchEarlyBuyers');
                    const analysisTasks = walletAnalysisBatch.map(async walletData => {
                        if (walletData?.data) {
+                           const [, tradeData] = batch.find(([wallet]) => wallet === walletData.wallet) || [];
                            return this.detector.analyzeWallet({
                                wallet: walletData.wallet,
-                               data: walletData.data
+                               data: walletData.data,
+                               activity: { launchSlot, trades: tradeData ? tradeData.transactions : [] }
                            }, mainContext);
                        }
                        return null;
@@ -264,8 +392,9 @@ class EarlyBuyersAnalyzer {
    
                    analysisResults.forEach((analysis, index) => {
                        if (analysis && analysis.type === 'normal') {
-                           const [wallet, data] = batch[index];
                            const walletData = walletAnalysisBatch[index];
+                           // fetchMultipleWallets drops failed wallets : retrouver l'entrée par adresse
+                           const [wallet, data] = batch.find(([address]) => address === walletData.wallet);
    
                            const adjustedBoughtToken = data.bought_amount_token * Math.pow(10, -tokenDecimals);
                            const adjustedSoldToken = data.sold_amount_token * Math.pow(10, -tokenDecimals);
@@ -288,10 +417,12 @@ class EarlyBuyersAnalyzer {
                                bought_amount_usd: buyAmountUsd,
                                sold_amount_usd: sellAmountUsd,
                                dex: data.dex || null,
+                               classification: analysis.classification || null,
+                               signals: analysis.signals || null,
                                walletInfo: walletData.data.data
                            });
                        } else if (analysis) {
-                           logger.debug(`Excluded wallet ${batch[index][0]} - Type: ${analysis.type}`);
+                           logger.debug(`Excluded wallet ${analysis.wallet} - Type: ${analysis.type}`);
                        }
                    });
                } catch (error) {
@@ -299,6 +430,8 @@ class EarlyBuyersAnalyzer {
                }
            }
        
+           await this.analyzeExits(filteredEarlyBuyers, coinAddress, walletsData, tokenDecimals, solPrice, mainContext, pumpfunTrades);
+
            logger.debug(`Analysis complete - Found ${filteredEarlyBuyers.length} early buyers`);
        
            const result = {
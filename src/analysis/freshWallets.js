@@ -1,7 +1,8 @@
 // src/analysis/freshWallets.js
 const { getSolanaApi } = require('../integrations/solanaApi');
 const { getHolders } = require('../tools/getHolders');
-const { analyzeFunding } = require('../tools/fundingAnalyzer'); // Import funding analyzer
+const { analyzeFunding, DEFAULT_MAX_HOPS } = require('../tools/fundingAnalyzer'); // Import funding analyzer
+const { getTokenCreationTime, getWalletFreshness } = require('../tools/walletAge');
 const BigNumber = require('bignumber.js');
 const logger = require('../utils/logger');
 
@@ -19,12 +20,23 @@ const KNOWN_LP_POOLS = new Set([
     "GpMZbSM2GgvTKHJirzeGfMFoaZ8UR2X7F4v8vHTvxFbL",
 ]);
 
-// Constants
+// Constants (defaults, overridable per invocation)
 const FRESH_WALLET_THRESHOLD = 100;
-const SUPPLY_THRESHOLD = new BigNumber('0.0005'); // 0.1%
-
-async function analyzeFreshWallets(tokenAddress, mainContext = 'default') {
-    logger.debug(`Starting fresh wallets analysis for ${tokenAddress}`, { mainContext });
+const SUPPLY_THRESHOLD = new BigNumber('0.0005'); // 0.05%
+
+/**
+ * @param {string} tokenAddress
+ * @param {string} mainContext
+ * @param {Object} [params] - { minSupplyPercent?, freshTxThreshold? } chosen by the user
+ */
+async function analyzeFreshWallets(tokenAddress, mainContext = 'default', params = {}) {
+    logger.debug(`Starting fresh wallets analysis for ${tokenAddress}`, { mainContext, params });
+
+    const analysisParams = {
+        minSupplyPercent: params.minSupplyPercent ?? SUPPLY_THRESHOLD.multipliedBy(100).toNumber(),
+        freshTxThreshold: params.freshTxThreshold ?? FRESH_WALLET_THRESHOLD
+    };
+    const supplyThreshold = new BigNumber(analysisParams.minSupplyPercent).dividedBy(100);
 
     try {
         // Fetch token info from Helius
@@ -45,6 +57,9 @@ async function analyzeFreshWallets(tokenAddress, mainContext = 'default') {
 
         logger.debug('Token info received:', tokenInfo);
 
+        // Wallet ages are measured at the token creation
+        const tokenCreatedAt = await getTokenCreationTime(tokenAddress, mainContext, 'tokenCreationTime');
+
         const totalSupply = new BigNumber(tokenInfo.total_supply);
         const allHolders = await getHolders(tokenAddress, mainContext, 'getHolders');
         
@@ -56,16 +71,16 @@ async function analyzeFreshWallets(tokenAddress, mainContext = 'default') {
 
             const rawBalance = new BigNumber(holder.balance);
             const percentage = rawBalance.dividedBy(totalSupply);
-            return percentage.isGreaterThanOrEqualTo(SUPPLY_THRESHOLD);
+            return percentage.isGreaterThanOrEqualTo(supplyThreshold);
         });
 
         logger.debug('Significant holders found:', {
             count: significantHolders.length,
-            threshold: SUPPLY_THRESHOLD.multipliedBy(100).toString() + '%'
+            threshold: analysisParams.minSupplyPercent + '%'
         });
 
         // Analyze wallets to find fresh ones
-        const analyzedWallets = await analyzeWallets(significantHolders, tokenAddress, mainContext);
+        const analyzedWallets = await analyzeWallets(significantHolders, tokenAddress, mainContext, analysisParams.freshTxThreshold, tokenCreatedAt);
         logger.debug('Analyzed wallets results:', {
             total: analyzedWallets.length,
             freshWallets: analyzedWallets.filter(w => w.category === 'Fresh').length
@@ -82,7 +97,8 @@ async function analyzeFreshWallets(tokenAddress, mainContext = 'default') {
                     .multipliedBy(100)
                     .toNumber(),
                 funderAddress: w.funderAddress || null,
-                fundingDetails: w.fundingDetails || null
+                fundingDetails: w.fundingDetails || null,
+                freshness: w.freshness || null
             }));
         
         // Calculate total supply held by fresh wallets
@@ -109,6 +125,7 @@ async function analyzeFreshWallets(tokenAddress, mainContext = 'default') {
                 analyzedWallets,
                 freshWallets,
                 totalSupplyControlled,
+                analysisParams,
                 tokenAddress
             },
             trackingInfo: {
@@ -128,23 +145,25 @@ async function analyzeFreshWallets(tokenAddress, mainContext = 'default') {
     }
 }
 
-async function analyzeWallets(wallets, tokenAddress, mainContext) {
+async function analyzeWallets(wallets, tokenAddress, mainContext, freshTxThreshold = FRESH_WALLET_THRESHOLD, tokenCreatedAt = null) {
     const analyzeWallet = async (wallet) => {
         try {
             let category = 'Unknown';
 
-            if (await isFreshWallet(wallet.address, mainContext, 'isFreshWallet')) {
+            const freshness = await checkFreshness(wallet.address, tokenCreatedAt, freshTxThreshold, mainContext, 'walletFreshness');
+            if (freshness?.isFresh) {
                 category = 'Fresh';
                 
                 // For fresh wallets, analyze funding source
                 try {
                     // Get funding information using fundingAnalyzer
-                    const fundingResult = await analyzeFunding([{address: wallet.address}], mainContext, 'analyzeFunding');
+                    const fundingResult = await analyzeFunding([{address: wallet.address}], mainContext, 'analyzeFunding', { maxHops: DEFAULT_MAX_HOPS });
                     const fundingInfo = fundingResult[0];
                     
                     return {
                         ...wallet,
                         category,
+                        freshness,
                         funderAddress: fundingInfo?.funderAddress || null,
                         fundingDetails: fundingInfo?.fundingDetails || null
                     };
@@ -153,6 +172,7 @@ async function analyzeWallets(wallets, tokenAddress, mainContext) {
                     return {
                         ...wallet,
                         category,
+                        freshness,
                         funderAddress: null,
                         fundingDetails: null
                     };
@@ -161,7 +181,8 @@ async function analyzeWallets(wallets, tokenAddress, mainContext) {
 
             return {
                 ...wallet,
-                category
+                category,
+                freshness
             };
         } catch (error) {
             logger.error(`Error analyzing wallet ${wallet.address}:`, error);
@@ -189,37 +210,28 @@ async function analyzeWallets(wallets, tokenAddress, mainContext) {
     return analyzedWallets;
 }
 
-async function isFreshWallet(address, mainContext, subContext) {
+async function checkFreshness(address, tokenCreatedAt, threshold, mainContext, subContext) {
     try {
-        const solanaApi = getSolanaApi();
-        
-        // Get transactions and check if count is below threshold
-        const initialSignatures = await solanaApi.getSignaturesForAddress(
-            address, 
-            { limit: FRESH_WALLET_THRESHOLD + 1 }, // +1 to check if we exceed the threshold
-            mainContext,
-            subContext
-        );
-        
-        const transactionCount = initialSignatures.length;
-        const isFresh = transactionCount < FRESH_WALLET_THRESHOLD;
+        // Score combining the wallet age at token creation and its transaction count
+        const freshness = await getWalletFreshness(address, tokenCreatedAt, { txThreshold: threshold }, mainContext, subContext);
         
-        logger.debug(`Fresh wallet check for ${address}: found ${transactionCount} transactions, isFresh: ${isFresh}`, {
+        logger.debug(`Fresh wallet check for ${address}: score ${freshness.score}, isFresh: ${freshness.isFresh}`, {
             mainContext,
             subContext,
             address,
-            transactionCount,
-            threshold: FRESH_WALLET_THRESHOLD
+            transactionCount: freshness.txCount,
+            ageDays: freshness.ageDays,
+            threshold
         });
         
-        return isFresh;
+        return freshness;
     } catch (error) {
         logger.error(`Error checking if ${address} is a fresh wallet:`, error, {
             mainContext,
             subContext,
             address
         });
-        return false;
+        return null;
     }
 }
 
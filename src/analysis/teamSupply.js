@@ -4,8 +4,11 @@
 const { getSolanaApi } = require('../integrations/solanaApi');
 const { checkInactivityPeriod } = require('../tools/inactivityPeriod');
 const { getHolders } = require('../tools/getHolders');
-const { analyzeFunding } = require('../tools/fundingAnalyzer'); 
+const { analyzeFunding, DEFAULT_MAX_HOPS } = require('../tools/fundingAnalyzer'); 
+const { findWalletClusters } = require('../tools/walletClusters');
+const { getTokenCreationTime, getWalletFreshness } = require('../tools/walletAge');
 const BigNumber = require('bignumber.js');
+const config = require('../utils/config');
 const logger = require('../utils/logger');
 
 // Configuration
@@ -23,8 +26,11 @@ const KNOWN_LP_POOLS = new Set([
     "GpMZbSM2GgvTKHJirzeGfMFoaZ8UR2X7F4v8vHTvxFbL",
 ]);
 
+// Defaults, overridable per invocation (see resolveAnalysisParams)
 const FRESH_WALLET_THRESHOLD = 100;
 const SUPPLY_THRESHOLD = new BigNumber('0.001'); // 0.1%
+// Wallets with more transactions skip the detailed analysis (their history is not walked further)
+const EXCESSIVE_TRANSACTIONS = 1000;
 const WALLET_ANALYSIS_TIMEOUT = 30000; // Increased to 30 seconds per wallet
 const BATCH_SIZE = 5; 
 const BATCH_DELAY = 200; 
@@ -34,7 +40,8 @@ const TEAM_WALLET_CATEGORIES = new Set([
     'Fresh', 
     'Inactive', 
     'No Token', 
-    'No ATA Transaction'
+    'No ATA Transaction',
+    'Linked' // Connected to other holders (wallet cluster) without another category
 ]);
 
 /**
@@ -46,10 +53,26 @@ function isTeamWalletCategory(category) {
     return TEAM_WALLET_CATEGORIES.has(category);
 }
 
+/**
+ * Fills the analysis parameters the user did not set with the defaults
+ * @param {Object} params - { minSupplyPercent?, freshTxThreshold?, inactivityDays? }
+ * @returns {{minSupplyPercent: number, freshTxThreshold: number, inactivityDays: number}}
+ */
+function resolveAnalysisParams(params = {}) {
+    return {
+        minSupplyPercent: params.minSupplyPercent ?? SUPPLY_THRESHOLD.multipliedBy(100).toNumber(),
+        freshTxThreshold: params.freshTxThreshold ?? FRESH_WALLET_THRESHOLD,
+        inactivityDays: params.inactivityDays ?? config.INACTIVITY_THRESHOLD_DAYS
+    };
+}
+
 /**
  * Analyzes the team supply for a given token
+ * @param {Object} [params] - Per-invocation thresholds (see resolveAnalysisParams)
  */
-async function analyzeTeamSupply(tokenAddress, mainContext = 'default', cancellationToken = null) {
+async function analyzeTeamSupply(tokenAddress, mainContext = 'default', cancellationToken = null, params = {}) {
+    const analysisParams = resolveAnalysisParams(params);
+    const supplyThreshold = new BigNumber(analysisParams.minSupplyPercent).dividedBy(100);
     const operationId = Math.random().toString(36).substring(2, 8);
     logger.info(`Starting team supply analysis for ${tokenAddress} (ID: ${operationId})`);
 
@@ -93,10 +116,11 @@ async function analyzeTeamSupply(tokenAddress, mainContext = 'default', cancella
             symbol: assetInfo.symbol,
             name: assetInfo.name,
             decimals: assetInfo.decimals,
-            address: tokenAddress
+            address: tokenAddress,
+            created_at: await getTokenCreationTime(tokenAddress, mainContext, 'tokenCreationTime')
         };
 
-        logStep(`Token info received: ${tokenInfo.symbol}`);
+        logStep(`Token info received: ${tokenInfo.symbol} (created ${tokenInfo.created_at ? new Date(tokenInfo.created_at * 1000).toISOString() : 'at an unknown time'})`);
 
         // 2. Get holders
         checkCancellation();
@@ -115,10 +139,10 @@ async function analyzeTeamSupply(tokenAddress, mainContext = 'default', cancella
             // Only include holders with significant balances
             const rawBalance = new BigNumber(holder.balance);
             const percentage = rawBalance.dividedBy(new BigNumber(tokenInfo.total_supply));
-            return percentage.isGreaterThanOrEqualTo(SUPPLY_THRESHOLD);
+            return percentage.isGreaterThanOrEqualTo(supplyThreshold);
         });
     
-        logStep(`Filtered ${significantHolders.length} significant holders (threshold: ${SUPPLY_THRESHOLD.multipliedBy(100).toString()}%)`);
+        logStep(`Filtered ${significantHolders.length} significant holders (threshold: ${analysisParams.minSupplyPercent}%)`);
     
         // 4. Analyze wallets
         checkCancellation();
@@ -129,11 +153,18 @@ async function analyzeTeamSupply(tokenAddress, mainContext = 'default', cancella
             mainContext, 
             tokenInfo, 
             operationId, 
-            cancellationToken
+            cancellationToken,
+            analysisParams
         );
         logStep(`Analyzed ${analyzedWallets.length} wallets`);
+
+        // 5. Build the relationship graph between holders
+        checkCancellation();
+        logStep('Building wallet clusters');
+        const clusters = await buildTeamClusters(analyzedWallets, tokenInfo, mainContext, operationId);
+        logStep(`Found ${clusters.length} wallet clusters`);
         
-        // 5. Filter team wallets - FIXED: Only include wallets with team categories
+        // 6. Filter team wallets - FIXED: Only include wallets with team categories
         checkCancellation();
         const teamWallets = analyzedWallets
             .filter(w => isTeamWalletCategory(w.category))
@@ -145,13 +176,15 @@ async function analyzeTeamSupply(tokenAddress, mainContext = 'default', cancella
                     .multipliedBy(100)
                     .toNumber(),
                 category: w.category,
+                clusterId: w.clusterId || null,
                 funderAddress: w.funderAddress || null,
-                fundingDetails: w.fundingDetails || null
+                fundingDetails: w.fundingDetails || null,
+                freshness: w.freshness || null
             }));
 
         logStep(`Filtered ${teamWallets.length} team wallets`);
         
-        // 6. Calculate supply - FIXED: Only count wallets with team categories
+        // 7. Calculate supply - FIXED: Only count wallets with team categories
         checkCancellation();
         const teamSupplyHeld = analyzedWallets
             .filter(w => isTeamWalletCategory(w.category))
@@ -178,7 +211,9 @@ async function analyzeTeamSupply(tokenAddress, mainContext = 'default', cancella
                 },
                 analyzedWallets: analyzedWallets,  // Include all analyzed wallets
                 teamWallets,
+                clusters,
                 totalSupplyControlled,
+                analysisParams,
                 tokenAddress
             },
             trackingInfo: {
@@ -188,6 +223,7 @@ async function analyzeTeamSupply(tokenAddress, mainContext = 'default', cancella
                 decimals: tokenInfo.decimals,
                 totalSupplyControlled,
                 teamWallets,
+                clusters,
                 allWalletsDetails: analyzedWallets  // Include all analyzed wallets
             }
         };
@@ -203,10 +239,54 @@ async function analyzeTeamSupply(tokenAddress, mainContext = 'default', cancella
     }
 }
 
+/**
+ * Groups the analyzed holders into clusters (shared funders, transfers, identical fundings)
+ * and flags clustered wallets without a team category as 'Linked', so their supply counts as team supply.
+ * @returns {Promise<Array<{id: number, wallets: string[], reasons: string[], linkCount: number, balance: string, percentage: number}>>}
+ */
+async function buildTeamClusters(analyzedWallets, tokenInfo, mainContext, operationId) {
+    let clusters;
+    try {
+        clusters = await findWalletClusters(
+            analyzedWallets.filter(w => w.category !== 'Error'),
+            mainContext,
+            'walletClusters'
+        );
+    } catch (error) {
+        logger.warn(`[${operationId}] Wallet clustering failed: ${error.message}`);
+        return [];
+    }
+
+    const walletsByAddress = new Map(analyzedWallets.map(w => [w.address, w]));
+
+    return clusters.map(cluster => {
+        const balance = cluster.wallets.reduce((total, address) => {
+            const wallet = walletsByAddress.get(address);
+            wallet.clusterId = cluster.id;
+            if (!isTeamWalletCategory(wallet.category)) {
+                wallet.category = 'Linked';
+            }
+            return total.plus(new BigNumber(wallet.balance));
+        }, new BigNumber(0));
+
+        return {
+            id: cluster.id,
+            wallets: cluster.wallets,
+            reasons: cluster.reasons,
+            linkCount: cluster.links.length,
+            balance: balance.toString(),
+            percentage: balance
+                .dividedBy(new BigNumber(tokenInfo.total_supply))
+                .multipliedBy(100)
+                .toNumber()
+        };
+    });
+}
+
 /**
  * Analyze wallets with timeout and cancellation support
  */
-async function analyzeWalletsWithTimeout(wallets, tokenAddress, mainContext, tokenInfo, operationId, cancellationToken) {
+async function analyzeWalletsWithTimeout(wallets, tokenAddress, mainContext, tokenInfo, operationId, cancellationToken, analysisParams) {
     // Log progress every 10% of wallets
     const progressStep = Math.max(1, Math.ceil(wallets.length / 10));
     let lastProgressLog = 0;
@@ -227,7 +307,7 @@ async function analyzeWalletsWithTimeout(wallets, tokenAddress, mainContext, tok
         try {
             // Use Promise.race with a timeout
             return await Promise.race([
-                analyzeWallet(wallet, tokenAddress, mainContext, tokenInfo, operationId, cancellationToken),
+                analyzeWallet(wallet, tokenAddress, mainContext, tokenInfo, operationId, cancellationToken, analysisParams),
                 new Promise((_, reject) => 
                     setTimeout(() => reject(new Error(`Wallet analysis timeout for ${wallet.address.slice(0, 8)}...`)), 
                     WALLET_ANALYSIS_TIMEOUT)
@@ -277,7 +357,7 @@ async function analyzeWalletsWithTimeout(wallets, tokenAddress, mainContext, tok
 /**
  * Analyze a single wallet
  */
-async function analyzeWallet(wallet, tokenAddress, mainContext, tokenInfo, operationId, cancellationToken) {
+async function analyzeWallet(wallet, tokenAddress, mainContext, tokenInfo, operationId, cancellationToken, analysisParams) {
     // Check for cancellation
     if (cancellationToken && cancellationToken.isCancelled()) {
         throw new Error('Analysis cancelled by user');
@@ -288,20 +368,23 @@ async function analyzeWallet(wallet, tokenAddress, mainContext, tokenInfo, opera
         let category = "Normal";  
         let daysSinceLastActivity = null;
 
-        // Fast track for optimization: if a wallet has over 1000 transactions, skip detailed analysis
-        if (await hasExcessiveTransactions(wallet.address, mainContext)) {
+        // First score the wallet freshness (age at token creation + transaction count),
+        // the signature walk stops past EXCESSIVE_TRANSACTIONS
+        const freshness = await checkFreshness(wallet.address, tokenInfo.created_at, analysisParams, mainContext);
+
+        // Fast track for optimization: busy wallets skip detailed analysis
+        if (freshness?.txCount > EXCESSIVE_TRANSACTIONS) {
             return {
                 ...wallet,
                 category,
+                freshness,
                 daysSinceLastActivity: null,
                 funderAddress: null,
                 fundingDetails: null
             };
         }
 
-        // First try to identify if it's a fresh wallet (this is faster)
-        const isFresh = await isFreshWallet(wallet.address, mainContext, 'isFreshWallet');
-        if (isFresh) {
+        if (freshness?.isFresh) {
             category = 'Fresh';
         } else {
             try {
@@ -311,7 +394,7 @@ async function analyzeWallet(wallet, tokenAddress, mainContext, tokenInfo, opera
                 }
                 
                 // Only run inactivity period check if the wallet isn't fresh
-                const inactivityCheck = await checkInactivityPeriod(wallet.address, tokenAddress, mainContext, 'checkInactivity');
+                const inactivityCheck = await checkInactivityPeriod(wallet.address, tokenAddress, mainContext, 'checkInactivity', analysisParams.inactivityDays);
                 
                 // Handle the different inactivity check results
                 if (inactivityCheck) {
@@ -342,10 +425,13 @@ async function analyzeWallet(wallet, tokenAddress, mainContext, tokenInfo, opera
         
         // Analyze funding source - this helps identify team wallets
         try {
+            // Each hop costs RPC calls: only flagged wallets get their chain traced to the origin,
+            // the others keep their direct funder for clustering
             const fundingResult = await analyzeFunding(
                 [{address: wallet.address}], 
                 mainContext, 
-                'analyzeFunding'
+                'analyzeFunding',
+                { maxHops: isTeamWalletCategory(category) ? DEFAULT_MAX_HOPS : 1 }
             );
             
             // Only update if funding analysis returned results
@@ -355,6 +441,7 @@ async function analyzeWallet(wallet, tokenAddress, mainContext, tokenInfo, opera
                 return {
                     ...wallet,
                     category,
+                    freshness,
                     daysSinceLastActivity,
                     funderAddress: fundingInfo?.funderAddress || null,
                     fundingDetails: fundingInfo?.fundingDetails || null
@@ -369,6 +456,7 @@ async function analyzeWallet(wallet, tokenAddress, mainContext, tokenInfo, opera
         return {
             ...wallet,
             category,
+            freshness,
             daysSinceLastActivity,
             funderAddress: null,
             fundingDetails: null
@@ -391,48 +479,27 @@ async function analyzeWallet(wallet, tokenAddress, mainContext, tokenInfo, opera
 }
 
 /**
- * Check if a wallet has excessive transactions (optimization)
+ * Score the freshness of a wallet (see tools/walletAge)
+ * @returns {Promise<Object|null>} Freshness, or null if it could not be determined
  */
-async function hasExcessiveTransactions(address, mainContext) {
+async function checkFreshness(address, tokenCreatedAt, analysisParams, mainContext) {
     try {
-        const solanaApi = getSolanaApi();
-        const signatures = await solanaApi.getSignaturesForAddress(
-            address, 
-            { limit: 1001 }, // Just over 1000 to check if we hit the threshold
+        return await getWalletFreshness(
+            address,
+            tokenCreatedAt,
+            { txThreshold: analysisParams.freshTxThreshold, maxTransactions: EXCESSIVE_TRANSACTIONS },
             mainContext,
-            'checkTransactionCount'
+            'walletFreshness'
         );
-        
-        return signatures.length >= 1000;
     } catch (error) {
         // Don't log every error here
-        return false; // Default to false if we can't determine
-    }
-}
-
-/**
- * Check if a wallet is a fresh wallet
- */
-async function isFreshWallet(address, mainContext, subContext) {
-    try {
-        const solanaApi = getSolanaApi();
-        
-        // Get transactions and check if count is below threshold
-        const initialSignatures = await solanaApi.getSignaturesForAddress(
-            address, 
-            { limit: FRESH_WALLET_THRESHOLD + 1 }, // +1 to check if exceeding threshold
-            mainContext,
-            subContext
-        );
-        
-        // Check if the number of transactions is below threshold
-        return initialSignatures.length < FRESH_WALLET_THRESHOLD;
-    } catch (error) {
-        return false;
+        return null;
     }
 }
 
 module.exports = {
     analyzeTeamSupply,
-    isTeamWalletCategory // Exported for testing
+    resolveAnalysisParams,
+    isTeamWalletCategory, // Exported for testing
+    analyzeWallet // Exported for testing
 };
\ No newline at end of file
@@ -177,6 +177,33 @@ async hasGroupTokenVerification(groupId) {
     }
 }
     
+   /**
+    * Resolve the access tier used for supply tracker limits (see TRACKER_LIMITS in subscriptionConfig)
+    * Groups without group access fall back to the tier of the user who started the tracker.
+    * @param {string} chatId - Chat ID (negative for groups)
+    * @param {string} userId - User ID from Telegram (optional)
+    * @returns {Promise<string>} 'group' | 'paid' | 'tokenVerified' | 'free'
+    */
+   async getTrackerTier(chatId, userId = null) {
+       try {
+           const isGroup = Number(chatId) < 0;
+           if (isGroup) {
+               if (await this.hasActiveGroupSubscription(chatId.toString())) return 'group';
+               if (await this.hasGroupTokenVerification(chatId.toString())) return 'group';
+           }
+
+           const userKey = userId || (isGroup ? null : chatId);
+           if (!userKey) return 'free';
+
+           if (await this.hasActiveSubscription(userKey.toString())) return 'paid';
+           if (await this.hasTokenVerification(userKey.toString())) return 'tokenVerified';
+           return 'free';
+       } catch (error) {
+           logger.error(`Error resolving tracker tier for chat "${chatId}":`, error);
+           return 'free';
+       }
+   }
+
    /**
     * Check if a user has access via any method (subscription, token verification, or admin)
     * @param {string} identifier - User ID or chat ID
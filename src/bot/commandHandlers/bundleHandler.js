@@ -1,9 +1,13 @@
 const bundleAnalyzer = require('../../analysis/bundle'); // Changed from UnifiedBundleAnalyzer
-const { formatMainMessage, formatNonPumpfunBundleResponse } = require('../formatters/bundleFormatter');
+const { formatMainMessage, formatNonPumpfunBundleResponse, formatBundleDetection, formatBundleFunding, formatSellTimelineSummary, formatSellTimelineDetails } = require('../formatters/bundleFormatter');
 const logger = require('../../utils/logger');
 const { validateSolanaAddress } = require('./helpers');
 const stateManager = require('../../utils/stateManager');
 
+// Options accepted after the contract address
+const BUNDLE_OPTIONS = ['jito', 'funding', 'transfers'];
+const BUNDLE_USAGE = '/bundle [contract_address] [jito]* [funding]* [transfers]*';
+
 class BundleHandler {
     constructor(accessControl = null) {
         this.bundleAnalyzer = bundleAnalyzer; // Use the exported instance directly
@@ -40,7 +44,11 @@ class BundleHandler {
     
         try {
             const address = args[0];
-            const isTeamAnalysis = args.length > 1 && args[1].toLowerCase() === 'team';
+            const options = args.slice(1).map(arg => arg.toLowerCase());
+            const unknownOption = options.find(option => !BUNDLE_OPTIONS.includes(option));
+            const jitoMode = options.includes('jito');
+            const fundingMode = options.includes('funding');
+            const transfersMode = options.includes('transfers');
     
             if (!validateSolanaAddress(address)) {
                 await bot.sendLongMessage(
@@ -50,10 +58,19 @@ class BundleHandler {
                 );
                 return;
             }
+
+            if (unknownOption) {
+                await bot.sendLongMessage(
+                    msg.chat.id,
+                    `Unknown option "${unknownOption}".\n\nUsage: ${BUNDLE_USAGE}`,
+                    { message_thread_id: messageThreadId }
+                );
+                return;
+            }
     
-            logger.info(`Processing bundle analysis for address ${address}${isTeamAnalysis ? ' (team analysis)' : ''}`);
+            logger.info(`Processing bundle analysis for address ${address}${jitoMode ? ' (jito mode)' : ''}${fundingMode ? ' (funding)' : ''}${transfersMode ? ' (transfers)' : ''}`);
             
-            const results = await this.bundleAnalyzer.analyzeBundle(address, 50000, isTeamAnalysis);
+            const results = await this.bundleAnalyzer.analyzeBundle(address, 50000, { jito: jitoMode, funding: fundingMode, transfers: transfersMode });
             
             let formattedMessage;
             
@@ -240,9 +257,21 @@ class BundleHandler {
             }).join(', ');
             
             message += `<b>Bundle ${index + 1} (Slot ${bundle.slot}):</b>\n`;
+            if (bundle.detection) {
+                message += `├ 🏷 ${formatBundleDetection(bundle)}\n`;
+            }
             message += `├ 💼 Wallets (${bundle.uniqueWalletsCount || bundle.uniqueWallets?.size || 0}): ${walletLinks}\n`;
             message += `├ 🪙 Tokens: ${this.formatNumber(bundle.tokensBought)} ${tokenInfo.symbol}\n`;
             message += `├ 💰 SOL Spent: ${this.formatNumber(bundle.solSpent)} SOL\n`;
+            formatBundleFunding(bundle).forEach(line => {
+                message += `├ 🔗 ${line}\n`;
+            });
+            formatSellTimelineSummary(bundle.sellTimeline, tokenInfo.symbol).forEach((line, lineIndex) => {
+                message += lineIndex === 0 ? `├ 📉 ${line}\n` : `├ ${line}\n`;
+            });
+            formatSellTimelineDetails(bundle.sellTimeline, tokenInfo.symbol).slice(0, 8).forEach(line => {
+                message += `│  ${line}\n`;
+            });
             if (bundle.holdingAmount !== undefined) {
                 message += `└ 🔒 Current Holdings: ${this.formatNumber(bundle.holdingAmount)} ${tokenInfo.symbol}\n`;
             }
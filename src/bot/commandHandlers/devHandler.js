@@ -2,6 +2,7 @@ const { formatDevAnalysis } = require('../formatters/devFormatter');
 const devAnalyzer = require('../../analysis/devAnalyzer');
 const { validateSolanaAddress } = require('./helpers');
 const logger = require('../../utils/logger');
+const stateManager = require('../../utils/stateManager');
 
 class DevCommandHandler {
     constructor(userManager, accessControl) {
@@ -10,6 +11,30 @@ class DevCommandHandler {
         this.COMMAND_NAME = 'dev';
     }
 
+    createTrackButton(tokenAddress) {
+        return {
+            text: "Track Dev Wallet",
+            callback_data: `track:dev:${tokenAddress}`
+        };
+    }
+
+    prepareTrackingData(analysis, chatId) {
+        const holdingPercentage = parseFloat(analysis.ownerTokenStats.holdingPercentage) || 0;
+        return {
+            tokenAddress: analysis.tokenAddress,
+            trackType: 'dev',
+            tokenInfo: {
+                symbol: analysis.tokenSymbol,
+                totalSupply: analysis.ownerTokenStats.totalSupply,
+                decimals: analysis.tokenDecimals
+            },
+            totalSupplyControlled: holdingPercentage,
+            initialSupplyPercentage: holdingPercentage,
+            wallets: [analysis.devAddress],
+            chatId
+        };
+    }
+
     async handleCommand(bot, msg, args) {
         const userId = msg.from.id;
         logger.info(`Starting Dev command for user ${msg.from.username}`);
@@ -48,10 +73,20 @@ class DevCommandHandler {
             const formattedMessages = formatDevAnalysis(analysis);
             await bot.deleteMessage(msg.chat.id, loadingMsg.message_id);
 
-            for (const message of formattedMessages) {
+            // The dev wallet can only be tracked once its address and the token supply are known
+            const canTrack = analysis.devAddress && analysis.ownerTokenStats?.totalSupply > 0;
+            if (canTrack) {
+                stateManager.setTrackingInfo(msg.chat.id, address, this.prepareTrackingData(analysis, msg.chat.id));
+            }
+
+            for (const [index, message] of formattedMessages.entries()) {
+                const isLast = index === formattedMessages.length - 1;
                 await bot.sendMessage(msg.chat.id, message, {
                     parse_mode: 'HTML',
-                    disable_web_page_preview: true
+                    disable_web_page_preview: true,
+                    ...(isLast && canTrack && {
+                        reply_markup: { inline_keyboard: [[this.createTrackButton(address)]] }
+                    })
                 });
             }
         } catch (error) {
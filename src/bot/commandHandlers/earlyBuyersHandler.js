@@ -1,9 +1,11 @@
 const logger = require('../../utils/logger');
 const { getSolanaApi } = require('../../integrations/solanaApi');
 const { recognizeArgType, validateAndParseTimeFrame, validateAndParseMinAmountOrPercentage } = require('./helpers.js');
-const { formatEarlyBuyersMessage, formatEarlyBuyersMessagePaginated, getPortValue } = require('../formatters/earlyBuyersFormatter');
+const { formatEarlyBuyersMessage, formatEarlyBuyersMessagePaginated, countEarlyBuyerLabels, getPortValue } = require('../formatters/earlyBuyersFormatter');
 const EarlyBuyersAnalyzer = require('../../analysis/earlyBuyersAnalyzer');
+const { summarizeEarlyBuyerExits } = require('../../tools/earlyBuyerExits');
 const PaginationUtils = require('../../utils/paginationUtils');
+const stateManager = require('../../utils/stateManager');
 
 class EarlyBuyersHandler {
     constructor() {
@@ -13,6 +15,40 @@ class EarlyBuyersHandler {
         this.MAX_BUYERS_PER_PAGE = 5; // Set how many buyers to show per page
     }
 
+    createTrackButton(tokenAddress) {
+        return {
+            text: "Track Early Buyers",
+            callback_data: `track:earlybuyers:${tokenAddress}`
+        };
+    }
+
+    /**
+     * Pagination keyboard with the track button below it
+     */
+    createKeyboard(page, totalPages, tokenAddress) {
+        return [
+            ...PaginationUtils.createPaginationKeyboard(this.COMMAND_NAME, page, totalPages),
+            [this.createTrackButton(tokenAddress)]
+        ];
+    }
+
+    prepareTrackingData(buyers, tokenInfo, tokenAddress, chatId) {
+        return {
+            tokenAddress,
+            trackType: 'earlyBuyers',
+            tokenInfo: {
+                symbol: tokenInfo.symbol,
+                totalSupply: tokenInfo.supply.total,
+                decimals: tokenInfo.decimals
+            },
+            // Current balances are not part of the analysis: measured when tracking starts
+            totalSupplyControlled: null,
+            initialSupplyPercentage: null,
+            wallets: buyers.map(buyer => buyer.wallet),
+            chatId
+        };
+    }
+
     async handleCommand(bot, msg, args, messageThreadId) {
         const userId = msg.from.id;
         const chatId = msg.chat.id;
@@ -118,7 +154,9 @@ class EarlyBuyersHandler {
                 minPercentage,
                 pumpFlag,
                 tokenInfo,
-                analysisType
+                analysisType,
+                labelCounts: countEarlyBuyerLabels(sortedBuyers),
+                exitSummary: summarizeEarlyBuyerExits(sortedBuyers)
             };
 
             // For group chats, use chatId as the state ID, otherwise use userId
@@ -150,15 +188,16 @@ class EarlyBuyersHandler {
                 0, // current page
                 paginationState.totalPages,
                 sortedBuyers.length,
-                this.MAX_BUYERS_PER_PAGE
+                this.MAX_BUYERS_PER_PAGE,
+                metadata.labelCounts,
+                metadata.exitSummary
             );
 
+            // Keep the displayed cohort available for the track button
+            stateManager.setTrackingInfo(chatId, coinAddress, this.prepareTrackingData(sortedBuyers, tokenInfo, coinAddress, chatId));
+
             // Create pagination keyboard
-            const keyboard = PaginationUtils.createPaginationKeyboard(
-                this.COMMAND_NAME,
-                0,
-                paginationState.totalPages
-            );
+            const keyboard = this.createKeyboard(0, paginationState.totalPages, coinAddress);
 
             // Send paginated message
             await bot.sendMessage(chatId, 
@@ -227,17 +266,15 @@ class EarlyBuyersHandler {
                             page,
                             totalPages,
                             totalResults,
-                            itemsPerPage
+                            itemsPerPage,
+                            metadata.labelCounts,
+                            metadata.exitSummary
                         );
                     },
                     
                     // Provide keyboard creation function
-                    createKeyboardFunction: (command, page, totalPages) => {
-                        return PaginationUtils.createPaginationKeyboard(
-                            command,
-                            page,
-                            totalPages
-                        );
+                    createKeyboardFunction: (command, page, totalPages, metadata) => {
+                        return this.createKeyboard(page, totalPages, metadata.coinAddress);
                     }
                 });
             }
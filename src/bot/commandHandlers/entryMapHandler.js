@@ -1,13 +1,55 @@
 const { validateSolanaAddress, recognizeArgType } = require('./helpers.js');
 const EntryPriceAnalyzer = require('../../analysis/entryPriceAnalyzer');
-const { formatEntryMapResponse } = require('../formatters/entryMapFormatter');
+const { formatEntryMapResponse, formatEntryHistogramCaption } = require('../formatters/entryMapFormatter');
+const { DEFAULT_BUCKET_SIZE_USD, parseBucketSize, buildEntryHistogram } = require('../../tools/entryHistogram');
+const { renderBarChart, COLORS } = require('../../utils/pngChart');
 const logger = require('../../utils/logger');
 const { tokenGatedCommand } = require('../../utils/tokenGateMiddleware');
+const stateManager = require('../../utils/stateManager');
 
 class EntryMapHandler {
     constructor() {
         this.analyzer = new EntryPriceAnalyzer();
         this.COMMAND_NAME = 'entrymap';
+        this.CHART_FLAG = 'chart';
+    }
+
+    renderHistogramChart(histogram) {
+        const bars = histogram.buckets.map(bucket => ({
+            value: bucket.tokens,
+            color: bucket.profitTokens >= bucket.underwaterTokens ? COLORS.profit : COLORS.loss
+        }));
+        // Position of the current market cap in bars, beyond the last one for open-ended buckets
+        const marker = Math.min(histogram.currentMarketCapUsd / histogram.bucketSize, bars.length);
+        return renderBarChart(bars, { marker });
+    }
+
+    createTrackButton(tokenAddress) {
+        return {
+            text: "Track Entry Map Holders",
+            callback_data: `track:entrymap:${tokenAddress}`
+        };
+    }
+
+    prepareTrackingData(entryMap, tokenAddress, chatId) {
+        const holders = Object.entries(entryMap.holders || {});
+        const heldAmount = holders.reduce((total, [, data]) => total + (data.currentBalance || 0), 0);
+        const totalSupply = Number(entryMap.tokenInfo.totalSupply) || 0;
+        const supplyControlled = totalSupply > 0 ? (heldAmount / totalSupply) * 100 : 0;
+
+        return {
+            tokenAddress,
+            trackType: 'entryMap',
+            tokenInfo: {
+                symbol: entryMap.tokenInfo.symbol,
+                totalSupply: entryMap.tokenInfo.totalSupply,
+                decimals: entryMap.tokenInfo.decimals
+            },
+            totalSupplyControlled: supplyControlled,
+            initialSupplyPercentage: supplyControlled,
+            wallets: holders.map(([address]) => address),
+            chatId
+        };
     }
 
     async handleCommand(bot, msg, args, messageThreadId) {
@@ -24,6 +66,8 @@ class EntryMapHandler {
             }
 
             let tokenAddress, numHolders = 20;
+            let bucketSize = DEFAULT_BUCKET_SIZE_USD;
+            let withChart = false;
 
             args.forEach(arg => {
                 const { type, value } = recognizeArgType(arg);
@@ -31,6 +75,10 @@ class EntryMapHandler {
                     tokenAddress = value;
                 } else if (type === 'number') {
                     numHolders = parseInt(value);
+                } else if (value.toLowerCase() === this.CHART_FLAG) {
+                    withChart = true;
+                } else if (parseBucketSize(value)) {
+                    bucketSize = parseBucketSize(value);
                 }
             });
 
@@ -54,14 +102,36 @@ class EntryMapHandler {
                 msg.from.username
             );
 
-            const formattedResponse = formatEntryMapResponse(entryMap);
+            const histogram = buildEntryHistogram(entryMap, bucketSize);
+            const formattedResponse = formatEntryMapResponse(entryMap, histogram);
+
+            const trackingData = this.prepareTrackingData(entryMap, tokenAddress, msg.chat.id);
+            const canTrack = trackingData.wallets.length > 0 && Number(entryMap.tokenInfo.totalSupply) > 0;
+            if (canTrack) {
+                stateManager.setTrackingInfo(msg.chat.id, tokenAddress, trackingData);
+            }
 
             await bot.editMessageText(formattedResponse, {
                 chat_id: msg.chat.id,
                 message_id: statusMsg.message_id,
                 parse_mode: 'HTML',
-                disable_web_page_preview: true
+                disable_web_page_preview: true,
+                ...(canTrack && {
+                    reply_markup: { inline_keyboard: [[this.createTrackButton(tokenAddress)]] }
+                })
             });
+
+            if (withChart && histogram) {
+                await bot.sendPhoto(
+                    msg.chat.id,
+                    this.renderHistogramChart(histogram),
+                    {
+                        caption: formatEntryHistogramCaption(entryMap.tokenInfo, histogram),
+                        message_thread_id: messageThreadId
+                    },
+                    { filename: `${entryMap.tokenInfo.symbol}_entry_histogram.png`, contentType: 'image/png' }
+                );
+            }
         } catch (error) {
             logger.error('Error in Entry map command:', error);
             throw error;
@@ -1,6 +1,7 @@
 const { analyzeFreshWallets } = require('../../analysis/freshWallets');
 const { formatFreshWalletsResult, formatWalletDetails } = require('../formatters/freshWalletFormatter');
 const { RequestCache, cachedCommand } = require('../../utils/requestCache');
+const CommandParser = require('../commandsManager/commandParser');
 const logger = require('../../utils/logger');
 const stateManager = require('../../utils/stateManager');
 
@@ -41,16 +42,22 @@ class FreshHandler {
       const chatId = msg.chat.id;
 
       try {
-          const [tokenAddress] = args;
+          const [tokenAddress, ...paramArgs] = args;
           if (!tokenAddress) {
               await bot.sendMessage(chatId, "Please provide a token address.");
               return;
           }
 
+          const { params, errors } = CommandParser.parseAnalysisParams(this.COMMAND_NAME, paramArgs);
+          if (errors.length > 0) {
+              await bot.sendMessage(chatId, `${errors.join('\n')}\n\nUsage: /fresh [contract_address] [min_supply_%] [fresh_tx_threshold]`);
+              return;
+          }
+
           const statusMessage = await bot.sendMessage(chatId, "🔍 Fresh wallets analysis in progress... Please wait, this may take a few minutes.");
 
-          const cacheParams = { tokenAddress };
-          const fetchFunction = async () => analyzeFreshWallets(tokenAddress, 'freshWallets');
+          const cacheParams = { tokenAddress, ...params };
+          const fetchFunction = async () => analyzeFreshWallets(tokenAddress, 'freshWallets', params);
 
           const { scanData, trackingInfo } = await cachedCommand(
               this.cache,
@@ -63,7 +70,8 @@ class FreshHandler {
               scanData.analyzedWallets,
               scanData.tokenInfo,
               scanData.freshWallets,
-              scanData.totalSupplyControlled
+              scanData.totalSupplyControlled,
+              scanData.analysisParams
           );
 
           const trackingData = this.prepareTrackingData(scanData, tokenAddress, chatId);
@@ -43,19 +43,19 @@ The /bundle command now supports bonk.fun!
 <b>👁️ Advanced commands:</b>
 /fresh (/f) - Analyze fresh wallets holding a token and detect common funding sources (Supply tracking: enabled).
 /team (/t) - Analyze team supply with an homemade algorithm (Supply tracking: enabled).
-/entrymap (/em) - Show the entryMap for the top holders of a token.
+/entrymap (/em) - Show the entryMap for the top holders of a token, with a histogram of their entry market caps.
 /earlybuyers (/eb) - Analyze early buyers on a given timeframe
 /besttraders (/bt) - Analyze the 100 best traders
 /cross (/c) - Find common holders between multiple tokens
 /crossbt (/cbt) - Find common holders between the top traders of multiple tokens (realized and unrealized PnL)
-/dev - Analyze the dev wallet of a pumpfun token
+/dev - Analyze the dev wallet of a pumpfun or bonk.fun token
 /search (/sh) - Search for specific wallets with only a part of their address
 /tracker - Show tracked supplies
 
 <b>📊 Tracking Feature:</b>
 Several commands (/scan, /team, /fresh, /bundle) include a tracking feature that lets you monitor wallet movements in real-time. 
 After running these commands, click the "Track" button to receive notifications when wallets buy or sell. 
-Use /tracker to manage your active tracking sessions.
+Use /tracker to manage your active tracking sessions. Tracking is free, subscribers and groups can run more trackers for longer (see /help tracker).
 
 For more information on how to use each command and how they work, please consult our <a href="https://smp-team.gitbook.io/noesis-bot">documentation</a>.
 
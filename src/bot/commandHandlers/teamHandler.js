@@ -1,6 +1,7 @@
 const { analyzeTeamSupply } = require('../../analysis/teamSupply');
 const { formatTeamSupplyResult, formatWalletDetails } = require('../formatters/teamSupplyFormatter');
 const { RequestCache, cachedCommand } = require('../../utils/requestCache');
+const CommandParser = require('../commandsManager/commandParser');
 const logger = require('../../utils/logger');
 const stateManager = require('../../utils/stateManager');
 
@@ -71,12 +72,18 @@ class TeamHandler {
       const chatId = msg.chat.id;
 
       try {
-          const [tokenAddress] = args;
+          const [tokenAddress, ...paramArgs] = args;
           if (!tokenAddress) {
               await bot.sendMessage(chatId, "Please provide a token address.");
               return;
           }
 
+          const { params, errors } = CommandParser.parseAnalysisParams(this.COMMAND_NAME, paramArgs);
+          if (errors.length > 0) {
+              await bot.sendMessage(chatId, `${errors.join('\n')}\n\nUsage: /team [contract_address] [min_supply_%] [fresh_tx_threshold] [inactivity_days]`);
+              return;
+          }
+
           // Create a unique operation ID and cancellation token
           const operationId = Math.random().toString(36).substring(2, 8);
           const cancellationToken = new CancellationToken();
@@ -120,7 +127,7 @@ class TeamHandler {
 
           try {
               // Pass the cancellation token to the analysis function
-              const result = await this.performAnalysis(tokenAddress, cancellationToken, operationId);
+              const result = await this.performAnalysis(tokenAddress, cancellationToken, operationId, params);
               
               // Clean up the operation
               this.cleanupOperation(operationId);
@@ -133,7 +140,9 @@ class TeamHandler {
                   scanData.analyzedWallets,
                   scanData.tokenInfo,
                   scanData.teamWallets,
-                  scanData.totalSupplyControlled
+                  scanData.totalSupplyControlled,
+                  scanData.clusters,
+                  scanData.analysisParams
               );
 
               const trackingData = this.prepareTrackingData(scanData, tokenAddress, chatId);
@@ -234,13 +243,13 @@ class TeamHandler {
       this.activeOperations.delete(operationId);
   }
 
-  async performAnalysis(tokenAddress, cancellationToken, operationId) {
+  async performAnalysis(tokenAddress, cancellationToken, operationId, params = {}) {
       // Check if we're cancelled before starting
       if (cancellationToken.isCancelled()) {
           throw new Error('Analysis cancelled');
       }
       
-      const cacheParams = { tokenAddress };
+      const cacheParams = { tokenAddress, ...params };
       const fetchFunction = async () => {
           logger.debug(`Performing team analysis for ${tokenAddress} (ID: ${operationId})`);
           
@@ -270,7 +279,7 @@ class TeamHandler {
               logStep('Starting analyzeTeamSupply');
               
               // Pass the cancellation token to the analysis function
-              const result = await analyzeTeamSupply(tokenAddress, 'teamSupply', cancellationToken);
+              const result = await analyzeTeamSupply(tokenAddress, 'teamSupply', cancellationToken, params);
               
               // Check again if we've been cancelled
               if (cancellationToken.isCancelled()) {
@@ -368,6 +377,7 @@ class TeamHandler {
       initialSupplyPercentage: scanData.totalSupplyControlled,
       topHoldersWallets: [],
       teamWallets: scanData.teamWallets,
+      clusters: scanData.clusters || [],
       allWalletsDetails: scanData.analyzedWallets,
       chatId
     };
@@ -1,6 +1,7 @@
 // bot/commandHandlers/trackerHandler.js
 
 const logger = require('../../utils/logger');
+const { getTrackerCallbackData } = require('../../tools/trackerCallbacks');
 
 class TrackerHandler {
 
@@ -10,9 +11,9 @@ class TrackerHandler {
     this.supplyTracker = supplyTracker;
 }
 
-generateCallbackData(action, params = {}) {
+generateCallbackData(action, supply) {
 
-  const callbackData = `track:${action}:${params.tokenAddress}`;
+  const callbackData = getTrackerCallbackData(action, supply);
   logger.debug(`Generated callback data: ${callbackData}`);
   return callbackData;
 }
@@ -20,9 +21,10 @@ generateCallbackData(action, params = {}) {
 buildTrackerKeyboard(trackedSupplies) {
   return trackedSupplies.map((supply) => [{
       text: `Stop tracking ${supply.ticker}`,
-      callback_data: this.generateCallbackData('stop', {
-          tokenAddress: supply.tokenAddress
-      })
+      callback_data: this.generateCallbackData('stop', supply)
+  }, {
+      text: `📜 History`,
+      callback_data: this.generateCallbackData('history', supply)
   }]);
 }
 
@@ -92,7 +94,8 @@ buildTrackerKeyboard(trackedSupplies) {
       tokenAddress,
       trackType,
       currentSupplyPercentage,
-      significantChangeThreshold
+      significantChangeThreshold,
+      expiresAt
     } = supply;
 
     // Convertit en float s'il existe
@@ -117,7 +120,14 @@ buildTrackerKeyboard(trackedSupplies) {
     let entry = `${index}. <b>${ticker}</b> <a href="https://dexscreener.com/solana/${tokenAddress}">📈</a>\n`;
     entry += `   Tracking type: ${trackType} ${typeEmoji}\n`;
     entry += `   Supply: ${formattedSupply}% ${supplyEmoji}\n`;
-    entry += `   Threshold: ${significantChangeThreshold}%\n\n`;
+    entry += `   Threshold: ${significantChangeThreshold}%\n`;
+
+    // Temps restant avant expiration (prolongeable depuis l'avertissement d'expiration)
+    if (expiresAt) {
+      const hoursLeft = Math.max(0, (expiresAt - Date.now()) / (60 * 60 * 1000));
+      entry += `   Expires in: ${hoursLeft >= 48 ? `${Math.round(hoursLeft / 24)}d` : `${Math.round(hoursLeft)}h`}\n`;
+    }
+    entry += '\n';
 
     return entry;
   }
@@ -4,6 +4,12 @@ const stateManager = require('../../utils/stateManager');
 // Import formatters for different track types
 const { formatWalletDetails: formatTeamWalletDetails } = require('../formatters/teamSupplyFormatter');
 const { formatWalletDetails: formatFreshWalletDetails } = require('../formatters/freshWalletFormatter');
+const { formatTrackerHistory, formatTrackerChartCaption } = require('../formatters/trackerHistoryFormatter');
+const { renderLineChart } = require('../../utils/pngChart');
+const { parseAlertRulesInput, describeAlertRules } = require('../../tools/alertRules');
+const { getTrackerCallbackData, getTrackerIdFromCallback } = require('../../tools/trackerCallbacks');
+const { TrackerSettingsService } = require('../../database');
+const { getTrackerLimits } = require('../../database/config/subscriptionConfig');
 
 const ACTIONS = {
  TRACK: 'track',
@@ -11,9 +17,34 @@ const ACTIONS = {
  SET_DEFAULT: 'sd',
  SET_CUSTOM: 'sc',
  START: 'st',
- STOP: 'stop'
+ STOP: 'stop',
+ HISTORY: 'history',
+ CHART: 'chart',
+ EXTEND: 'extend'
 };
 
+// Initial "Track" actions coming from analysis commands, mapped to their tracker type
+const TRACK_TYPES_BY_ACTION = {
+ supply: 'topHolders',
+ team: 'team',
+ fresh: 'fresh',
+ bundle: 'bundle',
+ dev: 'dev',
+ earlybuyers: 'earlyBuyers',
+ entrymap: 'entryMap'
+};
+
+const SUPPLY_TYPE_LABELS = {
+ team: 'team supply',
+ fresh: 'fresh wallet supply',
+ bundle: 'bundle wallet supply',
+ dev: 'dev wallet supply',
+ earlyBuyers: 'early buyers supply',
+ entryMap: 'entry map holders supply'
+};
+
+const formatExpiryDate = (timestamp) => new Date(timestamp).toUTCString().replace(/:\d{2} GMT$/, ' UTC');
+
 class TrackingActionHandler {
   constructor(supplyTracker, accessControl) {
     if (!supplyTracker) throw new Error('SupplyTracker is required');
@@ -43,7 +74,7 @@ class TrackingActionHandler {
 
   async handleCallback(bot, query) {
     try {
-        const [category, action, tokenAddress, threshold] = query.data.split(':');
+        const [category, action, tokenAddress, extraParam] = query.data.split(':');
         const chatId = query.message.chat.id.toString();
         const userId = query.from.id.toString();
         const isGroup = query.message.chat.type === 'group' || query.message.chat.type === 'supergroup';
@@ -56,96 +87,67 @@ class TrackingActionHandler {
             tokenAddress
         });
 
-        // Check subscription before any tracking action
-        let hasSubscription;
-        if (isGroup) {
-            const groupSub = await this.accessControl.subscriptionService.getGroupSubscription(chatId);
-            hasSubscription = groupSub?.active === true && groupSub.expiresAt > new Date();
-        } else {
-            const userSub = await this.accessControl.subscriptionService.getUserSubscription(userId);
-            hasSubscription = userSub?.active === true && userSub.expiresAt > new Date();
+        // Actions on an active tracker (from /tracker or the expiry warning): the last part
+        // of the callback is the tracker type, the tracker is resolved by its exact ID
+        const trackerId = getTrackerIdFromCallback(tokenAddress, extraParam);
+        if (trackerId && [ACTIONS.STOP, ACTIONS.HISTORY, ACTIONS.CHART, ACTIONS.EXTEND].includes(action)) {
+          await this.executeAction(action, bot, query, { tokenAddress, trackerId, queryFromId: userId });
+          return;
         }
 
-        logger.debug('Subscription check result:', {
-            hasSubscription,
-            isGroup,
+        if (action === ACTIONS.STOP) {
+          // Cancel button of a tracking setup (no active tracker involved)
+          logger.debug('Canceling tracking setup process', {
             chatId,
-            userId
-        });
+            tokenAddress
+          });
+
+          // Clean up any potential custom threshold states
+          const groupKey = `grp_${chatId}`;
+          stateManager.deleteUserState(groupKey);
+
+          // If enhanced stateManager is available, do a comprehensive cleanup
+          // Here we want to preserve tracking info since we're just canceling the setup
+          if (typeof stateManager.cleanAllChatStates === 'function') {
+            stateManager.cleanAllChatStates(chatId, { preserveTrackingInfo: true });
+          } else {
+            this.cleanupAllInputStates?.(chatId);
+          }
 
-        if (!hasSubscription) {
-            await bot.answerCallbackQuery(query.id);
-            await bot.sendMessage(chatId,
-                "🔒 This command requires an active subscription\n\n" +
-                "• Use /subscribe to view our subscription plans\n" +
-                "• Try /preview to test our features before subscribing\n\n" +
-                "Need help? Contact @Rengon0x for support"
+          // Update the message to show cancellation
+          try {
+            await bot.editMessageText(
+              "Tracking setup canceled.", 
+              {
+                chat_id: chatId,
+                message_id: query.message.message_id
+              }
             );
-            return;
+          } catch (error) {
+            logger.error('Error updating message for cancellation:', error);
+            // Try to send a new message if editing fails
+            await bot.sendMessage(chatId, "Tracking setup canceled.");
+          }
+
+          await bot.answerCallbackQuery(query.id, { 
+            text: "Tracking setup canceled." 
+          });
+          return;
         }
 
-        if (action === 'stop') {
-          // First check if this is a tracking setup cancellation (no active tracker)
-          const activeTrackers = this.supplyTracker.getTrackedSuppliesByUser(chatId);
-          const hasActiveTracker = activeTrackers.some(t => t.tokenAddress === tokenAddress);
-          
-          if (!hasActiveTracker) {
-            logger.debug('Canceling tracking setup process (no active tracker)', {
-              chatId,
-              tokenAddress
-            });
-            
-            // Clean up any potential custom threshold states
-            const groupKey = `grp_${chatId}`;
-            stateManager.deleteUserState(groupKey);
-            
-            // If enhanced stateManager is available, do a comprehensive cleanup
-            // Here we want to preserve tracking info since we're just canceling the setup
-            if (typeof stateManager.cleanAllChatStates === 'function') {
-              stateManager.cleanAllChatStates(chatId, { preserveTrackingInfo: true });
-            } else {
-              this.cleanupAllInputStates?.(chatId);
-            }
-            
-            // Update the message to show cancellation
-            try {
-              await bot.editMessageText(
-                "Tracking setup canceled.", 
-                {
-                  chat_id: chatId,
-                  message_id: query.message.message_id
-                }
-              );
-            } catch (error) {
-              logger.error('Error updating message for cancellation:', error);
-              // Try to send a new message if editing fails
-              await bot.sendMessage(chatId, "Tracking setup canceled.");
-            }
-            
-            await bot.answerCallbackQuery(query.id, { 
-              text: "Tracking setup canceled." 
-            });
-            return;
-          }
-          
-          // Otherwise, this is a normal tracking stop action
-          await this.executeAction(action, bot, query, { tokenAddress });
+        // Buttons sent before the tracker type was part of the callback
+        if ([ACTIONS.HISTORY, ACTIONS.CHART, ACTIONS.EXTEND].includes(action)) {
+          await bot.answerCallbackQuery(query.id, {
+            text: "This button is outdated. Use /tracker to see current trackers.",
+            show_alert: true
+          });
           return;
         }
 
-        // Initial tracking from scan, team, fresh, or bundle
-        if (action === 'supply' || action === 'team' || action === 'fresh' || action === 'bundle') {
+        // Initial tracking from scan, team, fresh, bundle, dev, earlybuyers or entrymap
+        if (TRACK_TYPES_BY_ACTION[action]) {
             // Determine track type based on action
-            let trackType;
-            if (action === 'team') {
-                trackType = 'team';
-            } else if (action === 'fresh') {
-                trackType = 'fresh';
-            } else if (action === 'bundle') {
-                trackType = 'bundle';
-            } else {
-                trackType = 'topHolders';
-            }
+            const trackType = TRACK_TYPES_BY_ACTION[action];
             
             let trackingInfo = stateManager.getTrackingInfo(chatId, tokenAddress);
             
@@ -208,7 +210,6 @@ class TrackingActionHandler {
   const chatId = query.message.chat.id;
   const tokenAddress = trackingInfo.tokenAddress || query.data.split(':')[2];
   const threshold = query.data.split(':')[3];
-  const trackType = trackingInfo.trackType || 'topHolders';
 
   const actions = {
     [ACTIONS.TRACK]: () => this.handleTrackAction(bot, chatId, tokenAddress, trackingInfo),
@@ -216,7 +217,10 @@ class TrackingActionHandler {
     [ACTIONS.SET_DEFAULT]: () => this.handleSetDefaultThreshold(bot, chatId, trackingInfo),
     [ACTIONS.SET_CUSTOM]: () => this.handleSetCustomThreshold(bot, chatId, trackingInfo), 
     [ACTIONS.START]: () => this.handleStartTracking(bot, chatId, trackingInfo, threshold),
-    [ACTIONS.STOP]: () => this.handleStopTracking(bot, query, tokenAddress, trackType)
+    [ACTIONS.STOP]: () => this.handleStopTracking(bot, query, trackingInfo.trackerId),
+    [ACTIONS.HISTORY]: () => this.handleHistory(bot, query, trackingInfo.trackerId),
+    [ACTIONS.CHART]: () => this.handleHistory(bot, query, trackingInfo.trackerId, true),
+    [ACTIONS.EXTEND]: () => this.handleExtendTracking(bot, query, trackingInfo.trackerId, trackingInfo.queryFromId)
   };
 
   if (!actions[actionType]) {
@@ -238,20 +242,7 @@ class TrackingActionHandler {
  }
 
  async handleTrackAction(bot, chatId, tokenAddress, trackingInfo) {
-   let supplyType;
-   switch (trackingInfo.trackType) {
-     case 'team':
-       supplyType = 'team supply';
-       break;
-     case 'fresh':
-       supplyType = 'fresh wallet supply';
-       break;
-     case 'bundle':
-       supplyType = 'bundle wallet supply';
-       break;
-     default:
-       supplyType = 'total supply';
-   }
+   const supplyType = SUPPLY_TYPE_LABELS[trackingInfo.trackType] || 'total supply';
    
    const message = this.createTrackingMessage(trackingInfo, supplyType);
    const keyboard = this.createTrackingKeyboard(tokenAddress);
@@ -322,7 +313,16 @@ class TrackingActionHandler {
     // Cette fonction est appelée par le callback button
     const isGroup = String(chatId).startsWith('-');
     
-    await bot.sendMessage(chatId, "Enter new supply change percentage (e.g., 2.5):");
+    await bot.sendMessage(chatId,
+      "Enter the alert rules for this tracker:\n\n" +
+      "• <code>2.5</code> — alert on a 2.5% change (re-baselined after each alert)\n" +
+      "• <code>floor 5</code> / <code>ceiling 40</code> — alert when supply crosses 5% / 40%\n" +
+      "• <code>rate 2/10</code> — alert on a 2% move within 10 minutes\n" +
+      "• <code>cooldown 15</code> — at most one alert every 15 minutes\n" +
+      "• <code>quiet 22-7</code> — no alerts in this chat from 22:00 to 07:00 UTC (<code>quiet off</code> to disable)\n\n" +
+      "Combine them in one message, e.g. <code>2 floor 5 cooldown 15</code>",
+      { parse_mode: 'HTML' }
+    );
     
     // Add debug logging
     logger.debug('In handleSetCustomThreshold:', {
@@ -409,13 +409,15 @@ class TrackingActionHandler {
         return;
     }
 
-    // Parse and validate the threshold input
-    const thresholdInput = msg.text.replace('%', '').trim();
-    const threshold = parseFloat(thresholdInput);
+    // Parse and validate the rules input (a plain number is still the change threshold)
+    const { threshold, rules, quietHours, errors } = parseAlertRulesInput(msg.text);
+    const isEmpty = threshold === null && Object.keys(rules).length === 0 && quietHours === undefined;
 
-    if (isNaN(threshold) || threshold < 0.1 || threshold > 100) {
-        logger.debug('Invalid threshold value:', thresholdInput);
-        await bot.sendMessage(chatId, "Invalid input. Please enter a number between 0.1 and 100.");
+    if (errors.length > 0 || isEmpty) {
+        logger.debug('Invalid alert rules input:', { text: msg.text, errors });
+        await bot.sendMessage(chatId,
+          `Invalid input${errors.length > 0 ? `:\n• ${errors.join('\n• ')}` : '.'}\n\nPlease use the Custom rules button again.`
+        );
         
         // Important: Clean up all states even for invalid input to stop listening
         this.cleanupAllInputStates(chatId, userId);
@@ -438,11 +440,25 @@ class TrackingActionHandler {
       tokenAddress: trackingInfo.tokenAddress,
       currentThreshold: trackingInfo.threshold,
       messageId: trackingInfo.messageId,
-      newThreshold: threshold
+      newThreshold: threshold,
+      rules,
+      quietHours
     });
 
-    // Update tracking info with new threshold
-    trackingInfo.threshold = threshold;
+    // Quiet hours apply to every tracker of the chat
+    if (quietHours !== undefined) {
+      try {
+        await TrackerSettingsService.setQuietHours(chatId, quietHours);
+      } catch (error) {
+        logger.error('Error saving quiet hours:', error);
+        await bot.sendMessage(chatId, "Could not save quiet hours, please try again later.");
+      }
+    }
+
+    // Update tracking info with new threshold and rules
+    trackingInfo.threshold = threshold !== null ? threshold : (trackingInfo.threshold || 1);
+    trackingInfo.alertRules = { ...trackingInfo.alertRules, ...rules };
+    trackingInfo.quietHours = quietHours !== undefined ? quietHours : trackingInfo.quietHours;
     stateManager.setTrackingInfo(chatId, userState.tokenAddress, trackingInfo);
 
     // Update the tracking message with new threshold
@@ -451,8 +467,9 @@ class TrackingActionHandler {
     // Clean up all states thoroughly to stop listening for further input
     this.cleanupAllInputStates(chatId, userId);
     
-    logger.debug('Threshold updated successfully:', {
-      newThreshold: threshold,
+    logger.debug('Alert rules updated successfully:', {
+      threshold: trackingInfo.threshold,
+      alertRules: trackingInfo.alertRules,
       tokenAddress: trackingInfo.tokenAddress
     });
   }
@@ -549,7 +566,7 @@ class TrackingActionHandler {
      }
      
      // Start tracking
-     this.supplyTracker.startTracking(
+     const { expiresAt } = await this.supplyTracker.startTracking(
        tokenAddress,
        chatId, 
        wallets,
@@ -559,6 +576,8 @@ class TrackingActionHandler {
        tokenInfo.symbol,
        tokenInfo.decimals,
        trackType,
+       trackingInfo.alertRules || null,
+       trackingInfo.queryFromId || null,
      );
 
      // Force reset of user states
@@ -580,7 +599,8 @@ class TrackingActionHandler {
      }
 
      await bot.sendMessage(chatId,
-       `Tracking started for ${tokenInfo.symbol} with ${threshold}% threshold. Use /tracker to manage active trackings.`
+       `Tracking started for ${tokenInfo.symbol} with ${threshold}% threshold until ${formatExpiryDate(expiresAt)}. ` +
+       `Use /tracker to manage active trackings.`
      );
    } catch (error) {
      logger.error("Error starting tracking:", error);
@@ -588,25 +608,78 @@ class TrackingActionHandler {
    }
  }
 
-  // Modification de handleStopTracking pour inclure le chatId
-  async handleStopTracking(bot, query, tokenAddress) {
-    const chatId = query.message.chat.id; 
-    const trackedSupplies = this.supplyTracker.getTrackedSuppliesByUser(chatId);
-    logger.debug('Available trackers:', JSON.stringify(trackedSupplies));
+  /**
+   * Shows the supply history of an active tracker: sparkline and stats,
+   * or a PNG chart when `asChart` is set.
+   */
+  async handleHistory(bot, query, trackerId, asChart = false) {
+    const chatId = query.message.chat.id;
+    const tracker = this.supplyTracker.getTrackedSuppliesByUser(chatId)
+      .find(t => t.trackerId === trackerId);
+
+    if (!tracker) {
+      await bot.answerCallbackQuery(query.id, {
+        text: "No matching tracker found.",
+        show_alert: true
+      });
+      return;
+    }
+
+    const points = await this.supplyTracker.getTrackerHistory(chatId, tracker.trackerId) || [];
+    await bot.answerCallbackQuery(query.id);
+
+    if (asChart) {
+      const image = renderLineChart(points.map(p => ({ x: p.timestamp, y: p.supplyPercentage })));
+      await bot.sendPhoto(
+        chatId,
+        image,
+        { caption: formatTrackerChartCaption(tracker, points) },
+        { filename: `${tracker.ticker}_history.png`, contentType: 'image/png' }
+      );
+      return;
+    }
+
+    const keyboard = points.length > 1
+      ? { inline_keyboard: [[{ text: "📊 Chart", callback_data: getTrackerCallbackData(ACTIONS.CHART, tracker) }]] }
+      : undefined;
+
+    await bot.sendMessage(chatId, formatTrackerHistory(tracker, points), {
+      parse_mode: 'HTML',
+      reply_markup: keyboard,
+      disable_web_page_preview: true
+    });
+  }
 
-    // Récupérer le tracker qui contient déjà le trackType
+  /**
+   * Pushes back the expiry of an active tracker, using the current access tier.
+   */
+  async handleExtendTracking(bot, query, trackerId, userId) {
+    const chatId = query.message.chat.id;
     const tracker = this.supplyTracker.getTrackedSuppliesByUser(chatId)
-    .find(t => t.tokenAddress === tokenAddress);
-    
+      .find(t => t.trackerId === trackerId);
+
     if (!tracker) {
-        await bot.answerCallbackQuery(query.id, { 
-            text: "No matching tracker found.", 
-            show_alert: true 
-        });
-        return;
+      await bot.answerCallbackQuery(query.id, {
+        text: "This tracking has already expired. Please start a new tracking session.",
+        show_alert: true
+      });
+      return;
     }
 
-    const trackerId = `${tokenAddress}_${tracker.trackType}`;
+    const { tier, expiresAt } = await this.supplyTracker.extendTracking(chatId, tracker.trackerId, userId);
+    await bot.answerCallbackQuery(query.id, { text: "Tracking extended." });
+    await bot.editMessageText(
+      `🔄 Tracking of ${tracker.ticker} extended until ${formatExpiryDate(expiresAt)} (${getTrackerLimits(tier).label} access).`,
+      {
+        chat_id: chatId,
+        message_id: query.message.message_id
+      }
+    );
+  }
+
+  // Modification de handleStopTracking pour inclure le chatId
+  async handleStopTracking(bot, query, trackerId) {
+    const chatId = query.message.chat.id; 
     
     try {
       const success = this.supplyTracker.stopTracking(chatId, trackerId);
@@ -638,20 +711,7 @@ class TrackingActionHandler {
   }
 
  async updateTrackingMessage(bot, chatId, trackingInfo) {
-   let supplyType;
-   switch (trackingInfo.trackType) {
-     case 'team':
-       supplyType = 'team supply';
-       break;
-     case 'fresh':
-       supplyType = 'fresh wallet supply';
-       break;
-     case 'bundle':
-       supplyType = 'bundle wallet supply';
-       break;
-     default:
-       supplyType = 'total supply';
-   }
+   const supplyType = SUPPLY_TYPE_LABELS[trackingInfo.trackType] || 'total supply';
    
    const message = this.createTrackingMessage(trackingInfo, supplyType, trackingInfo.threshold);
    const keyboard = this.createThresholdKeyboard(
@@ -672,10 +732,18 @@ class TrackingActionHandler {
  }
 
  createTrackingMessage(trackingInfo, supplyType, threshold = 1) {
-   const baseMessage = `🔁 Ready to track ${trackingInfo.tokenInfo.symbol} ${supplyType} ` +
-                      `(${trackingInfo.totalSupplyControlled.toFixed(2)}%)\n\n`;
-                      
-   return baseMessage + `You will receive a notification when ${supplyType} changes by more than ${threshold}%`;
+   // Unknown until tracking starts when the analysis has no current balances (early buyers)
+   const currentShare = trackingInfo.totalSupplyControlled != null
+     ? ` (${Number(trackingInfo.totalSupplyControlled).toFixed(2)}%)`
+     : '';
+   const baseMessage = `🔁 Ready to track ${trackingInfo.tokenInfo.symbol} ${supplyType}${currentShare}\n\n`;
+   let message = baseMessage + `You will receive a notification when ${supplyType} changes by more than ${threshold}%`;
+
+   const ruleLines = describeAlertRules(trackingInfo.alertRules, trackingInfo.quietHours);
+   if (ruleLines.length > 0) {
+     message += `\n\n<b>Alert rules:</b>\n${ruleLines.map(line => `• ${line}`).join('\n')}`;
+   }
+   return message;
  }
 
   createTrackingKeyboard(tokenAddress) {
@@ -687,7 +755,7 @@ class TrackingActionHandler {
                     callback_data: `track:${ACTIONS.SET_DEFAULT}:${tokenAddress}:1` 
                 },
                 { 
-                    text: "Custom %", 
+                    text: "⚙️ Custom rules", 
                     callback_data: `track:${ACTIONS.SET_CUSTOM}:${tokenAddress}` 
                 }
             ],
@@ -715,7 +783,7 @@ createThresholdKeyboard(tokenAddress, threshold) {
                   callback_data: `track:${ACTIONS.SET_DEFAULT}:${tokenAddress}:1`
               },
               { 
-                  text: isCustomThreshold ? `✅${threshold}%` : "Custom %",
+                  text: isCustomThreshold ? `✅${threshold}% ⚙️` : "⚙️ Custom rules",
                   callback_data: `track:${ACTIONS.SET_CUSTOM}:${tokenAddress}`
               }
           ],
@@ -80,26 +80,29 @@ const commandConfigs = {
   'entrymap': {
     aliases: ['em'],
     minArgs: 1,
-    maxArgs: 2,
+    maxArgs: 4,
     requiresAuth: true,
     requiresToken: false, // This command requires token verification
     description: 'Analyze entry prices of top holders',
-    usage: '/entrymap [contract_address] [number_of_holders](20)*',
+    usage: '/entrymap [contract_address] [number_of_holders](20)* [bucket_size](50k)* [chart]*',
     helpMessage: 'Analyzes the entry prices of top holders for a given token.\n\n' +
                 'Shows:\n' +
                 '• Average entry prices and PnLs\n' +
                 '• Current PnL/ average entry for each holder\n' +
-                'Example:\n/entrymap tokenAddress'
+                '• Histogram of entry market caps weighted by tokens still held, in profit or underwater\n\n' +
+                'The bucket size sets the histogram step in market cap (e.g. 25k, 100k, 1m).\n' +
+                'Add "chart" to also receive the histogram as an image.\n\n' +
+                'Example:\n/entrymap tokenAddress 100k chart'
   },
   'bundle': { 
     aliases: ['bd'], 
     minArgs: 1, 
-    maxArgs: 1, 
+    maxArgs: 4, 
     requiresAuth: false, 
     description: 'Analyze bundled trades', 
-    usage: '/bundle [contract_address]',
+    usage: '/bundle [contract_address] [jito]* [funding]* [transfers]*',
     helpMessage: `
-    <b>✅ Supports PumpFun and Bonk.fun tokens!</b>
+    <b>✅ Supports PumpFun, Bonk.fun, Raydium, Meteora, Moonshot and PumpSwap tokens!</b>
     
     Analyze bundled trades where 3+ wallets buy in the same block. The "total holding amount" shows if bundlers still hold their tokens - if close to 0%, they've likely sold (or transfered) everything.
     
@@ -108,7 +111,16 @@ const commandConfigs = {
     - Bundles don't have to be first block and can occur at any time
     - Bundles are sorted by current holding amount (highest first)
     - Multi-wallet tools may also appear as bundles
-    - Works with both PumpFun and Bonk.fun tokens`
+    - Works with PumpFun and Bonk.fun tokens, and with any token trading on a Raydium, Meteora, Moonshot or PumpSwap pool (graduated PumpFun tokens include their PumpSwap trades)
+
+    <b>Jito mode:</b> <code>/bundle [contract_address] jito</code>
+    Inspects the transactions of slots with 2+ buyers and looks for Jito tips. Buys sharing a tip payer or landing back to back next to a tip transaction (their own or a separate one) are labeled "Jito bundle", the others "same-slot coincidence".
+
+    <b>Funding clusters:</b> <code>/bundle [contract_address] funding</code>
+    Looks up who funded the bundle wallets (largest bundles first) and groups them by shared funder, to tell one entity splitting buys across slots apart from organic snipers. Exchanges and bridges fund unrelated users and do not form clusters. Slower than the default analysis, can be combined with <code>jito</code>.
+
+    <b>Transfers:</b> <code>/bundle [contract_address] transfers</code>
+    Traces the tokens bundle wallets sent to other wallets instead of selling, and shows them in each bundle's exit. Slower than the default analysis, can be combined with the other options.`
     },
   'walletchecker': { 
     aliases: ['wc'],
@@ -132,22 +144,22 @@ const commandConfigs = {
   'team': { 
     aliases: ['t'], 
     minArgs: 1, 
-    maxArgs: 1, 
+    maxArgs: 4, 
     requiresAuth: true, 
     requiresToken: false,
     description: 'Analyze team supply', 
-    usage: '/team [contract_address]',
-    helpMessage: 'Analyze team and insider supply for a token using a custom algorithm.\n\nThis command helps identify wallets likely associated with the project team or insiders and estimates the total supply they control.'
+    usage: '/team [contract_address] [min_supply_%](0.1)* [fresh_tx_threshold](100)* [inactivity_days](5)*',
+    helpMessage: 'Analyze team and insider supply for a token using a custom algorithm.\n\nThis command helps identify wallets likely associated with the project team or insiders and estimates the total supply they control.\n\nOptional parameters:\n- min_supply_%: only analyze holders with at least this % of supply (0.001-10)\n- fresh_tx_threshold: wallets with more transactions are only fresh when created less than 2 days before the token (5-999)\n- inactivity_days: wallets idle for longer before buying are inactive (1-365)\n\nUse - to keep a default, e.g. /team [contract_address] - 50'
   },
   'fresh': { 
     aliases: ['f'], 
     minArgs: 1, 
-    maxArgs: 1, 
+    maxArgs: 3, 
     requiresAuth: true, 
     requiresToken: false,
     description: 'Analyze fresh wallets', 
-    usage: '/fresh [contract_address]',
-    helpMessage: 'Analyze fresh wallets holding a token with significant amounts (>0.05% of supply).\n\nThis command identifies wallets with low transaction counts that hold meaningful amounts of a token.'
+    usage: '/fresh [contract_address] [min_supply_%](0.05)* [fresh_tx_threshold](100)*',
+    helpMessage: 'Analyze fresh wallets holding a token with significant amounts (>0.05% of supply by default).\n\nThis command identifies recently created wallets (age when the token launched, combined with their transaction count) that hold meaningful amounts of a token.\n\nOptional parameters:\n- min_supply_%: only analyze holders with at least this % of supply (0.001-10)\n- fresh_tx_threshold: wallets with more transactions are only fresh when created less than 2 days before the token (5-999)'
   },
   'besttraders': { 
     aliases: ['bt'], 
@@ -167,7 +179,7 @@ const commandConfigs = {
     requiresToken: false,
     description: 'Analyze early buyers', 
     usage: '/eb [coin_address] [time_frame](1h)* [min buy amount](1%)* [pump or nopump]*',
-    helpMessage: 'Analyze early buyers of a specific coin within a given time frame and minimum buy amount threshold.\nTime frame is in hours or minutes (e.g., 2h or 30m).\n Percentage is the minimum percentage of total supply bought in one or multiple transactions over the timeframe.\nIf you only want to analyse pumpfun transactions, use the flag "pump" at the end of your command and if you only want to analyse raydium transactions use "nopump"'
+    helpMessage: 'Analyze early buyers of a specific coin within a given time frame and minimum buy amount threshold.\nTime frame is in hours or minutes (e.g., 2h or 30m).\n Percentage is the minimum percentage of total supply bought in one or multiple transactions over the timeframe.\nIf you only want to analyse pumpfun transactions, use the flag "pump" at the end of your command and if you only want to analyse raydium transactions use "nopump".\nEach buyer is labeled Sniper (bought in the first slots after launch), MEV bot (buy and sell in the same or next slot) or Organic.\nThe current balance and realized PnL since entry show which early buyers are still holding, partially exited or fully exited.'
   },
   'cross': { 
     aliases: ['c'], 
@@ -205,9 +217,9 @@ const commandConfigs = {
     maxArgs: 1,
     requiresAuth: true,
     requiresToken: false,
-    description: 'Analyze pumpfun developer profile and previous coins',
+    description: 'Analyze pumpfun or bonk.fun developer profile and previous coins',
     usage: '/dev [contract_address]',
-    helpMessage: 'Analyze a developer wallet to check their history of creating coins, including success rate, bonding rate, funding methods and connections to other successful projects.'
+    helpMessage: 'Analyze a developer wallet to check their history of creating coins, including success rate, bonding rate, funding methods and connections to other successful projects.\n\nThe dev exit profile shows how the dev sold their previous coins (up to the 10 most recent): time held, share of the allocation sold, sell market cap versus ATH and sells into the bonding curve.\n\nThe linked dev network lists other deployer wallets sharing the funder of the dev, funding the dev or receiving SOL from the dev, with the combined launch history of the network.\n\nRecurring snipers are wallets that bought several of the previous launches of the dev in their first slots, with their average realized profit and whether they hold the current token.\n\nWorks with PumpFun and Bonk.fun tokens: for Bonk.fun, the dev is the creator of the LaunchLab pool and bonded coins are the launches that migrated to Raydium.'
   },
   'walletsearch': {
     aliases: ['ws'],
@@ -233,7 +245,13 @@ const commandConfigs = {
     requiresToken: false,
     description: 'Show tracked supplies', 
     usage: '/tracker',
-    helpMessage: 'Display a list of all your currently tracked supplies.\n\nUse this command to view and manage your active supply tracking sessions.'
+    helpMessage: 'Display a list of all your currently tracked supplies.\n\nUse this command to view and manage your active supply tracking sessions.\n\n' +
+                'Supply tracking is available to everyone. Simultaneous trackers and tracking duration depend on your access:\n' +
+                '• Free: 1 tracker for 1 day\n' +
+                '• Token verified: 3 trackers for 3 days\n' +
+                '• Subscriber: 5 trackers for 7 days\n' +
+                '• Group: 10 trackers for 7 days\n\n' +
+                'Before a tracker expires you get a button to extend it.'
   },
   'verifygroup': {
     aliases: ['vg', 'groupverify'],
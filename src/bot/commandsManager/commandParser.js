@@ -4,6 +4,18 @@ const validateSolanaAddress = (address) => {
     return /^[1-9A-HJ-NP-Za-km-z]{32,44}$/.test(address);
 };
 
+// Paramètres optionnels des analyses de holders, dans l'ordre des arguments après l'adresse
+const ANALYSIS_PARAMS = {
+    minSupplyPercent: { label: 'minimum supply %', min: 0.001, max: 10, integer: false },
+    freshTxThreshold: { label: 'fresh transaction threshold', min: 5, max: 999, integer: true },
+    inactivityDays: { label: 'inactivity window (days)', min: 1, max: 365, integer: true }
+};
+
+const ANALYSIS_PARAMS_BY_COMMAND = {
+    team: ['minSupplyPercent', 'freshTxThreshold', 'inactivityDays'],
+    fresh: ['minSupplyPercent', 'freshTxThreshold']
+};
+
 class CommandParser {
     constructor(botUsername) {
         this.botUsername = botUsername?.toLowerCase();
@@ -107,15 +119,54 @@ class CommandParser {
             }
         }
         // Validations pour les commandes standards
-        else if (['scan', 'bundle', 'bt', 'th', 'team', 'search', 'eb'].includes(command)) {
+        else if (['scan', 'bundle', 'bt', 'th', 'team', 'fresh', 'search', 'eb'].includes(command)) {
             if (args.length > 0 && !validateSolanaAddress(args[0])) {
                 errors.push(`Invalid contract address format. Please provide a valid Solana address.\n\n${this.getCommandHelp(command)}`);
             }
+            if (ANALYSIS_PARAMS_BY_COMMAND[command]) {
+                errors.push(...CommandParser.parseAnalysisParams(command, args.slice(1)).errors);
+            }
         }
 
         return errors;
     }
 
+    /**
+     * Lit les paramètres optionnels de /team et /fresh (arguments après l'adresse du token).
+     * Un pourcentage accepte le suffixe "%"; "-" garde la valeur par défaut d'un paramètre.
+     * @param {string} command - 'team' ou 'fresh'
+     * @param {string[]} args - Arguments qui suivent l'adresse du token
+     * @returns {{params: Object, errors: string[]}} Seuls les paramètres fournis sont présents dans params
+     */
+    static parseAnalysisParams(command, args = []) {
+        const names = ANALYSIS_PARAMS_BY_COMMAND[command] || [];
+        const params = {};
+        const errors = [];
+
+        if (args.length > names.length) {
+            errors.push(`Too many parameters: /${command} accepts ${names.map(name => ANALYSIS_PARAMS[name].label).join(', ')}.`);
+            return { params, errors };
+        }
+
+        args.forEach((arg, index) => {
+            if (arg === '-') return;
+
+            const name = names[index];
+            const rule = ANALYSIS_PARAMS[name];
+            const value = Number(arg.replace(/%$/, ''));
+
+            if (!Number.isFinite(value) || (rule.integer && !Number.isInteger(value))) {
+                errors.push(`Invalid ${rule.label}: "${arg}" is not ${rule.integer ? 'a whole number' : 'a number'}.`);
+            } else if (value < rule.min || value > rule.max) {
+                errors.push(`Invalid ${rule.label}: must be between ${rule.min} and ${rule.max}.`);
+            } else {
+                params[name] = value;
+            }
+        });
+
+        return { params, errors };
+    }
+
     isAdminCommand(command) {
         return !!adminCommandConfigs[command];
     }
@@ -1,6 +1,144 @@
 const { formatNumber, truncateAddress } = require('./generalFormatters');
 const logger = require('../../utils/logger');
 
+/**
+ * Label of a bundle found in Jito mode (tip payer shown for Jito bundles).
+ */
+function formatBundleDetection(bundle) {
+    if (bundle.detection === 'jito') {
+        const payers = (bundle.tipPayers || []).map(payer => `<a href="https://solscan.io/account/${payer}">${truncateAddress(payer)}</a>`).join(', ');
+        return `⚡ Jito bundle${payers ? ` (tip ${formatNumber(bundle.tipSol, 4)} SOL by ${payers})` : ''}`;
+    }
+    return '🎲 Same-slot coincidence';
+}
+
+const EXIT_PATTERNS = {
+    dump: '🚨 coordinated dump',
+    bleed: '🩸 slow bleed',
+    partial: '↘️ partial exit'
+};
+
+function formatElapsed(seconds) {
+    const minutes = Math.max(0, seconds) / 60;
+    if (minutes < 60) return `${Math.round(minutes)}m`;
+    if (minutes < 1440) return `${Math.round(minutes / 60)}h`;
+    return `${Math.round(minutes / 1440)}d`;
+}
+
+function formatMarketCap(marketCap) {
+    if (!marketCap) return 'N/A';
+    return marketCap.usd !== undefined
+        ? `$${formatNumber(marketCap.usd, 1, false, false)} MC`
+        : `${formatNumber(marketCap.sol, 1, false, false)} SOL MC`;
+}
+
+function formatSellPoint(sell, buyTime) {
+    const elapsed = buyTime !== null ? `+${formatElapsed(sell.timestamp - buyTime)} ` : '';
+    return `${elapsed}at ${formatMarketCap(sell.marketCap)}`;
+}
+
+/**
+ * Exit of a bundle in 1-2 lines: sells (chunks, waves, market caps) and transfers before selling.
+ */
+function formatSellTimelineSummary(timeline, symbol) {
+    if (!timeline) return [];
+
+    const lines = [];
+    if (timeline.sellCount === 0) {
+        lines.push('no sells yet');
+    } else {
+        const waves = timeline.waves.length;
+        let line = `sold ${formatNumber(timeline.soldShare * 100, 1, true, false)} in ${timeline.sellCount} sell${timeline.sellCount > 1 ? 's' : ''}` +
+                   ` over ${waves} wave${waves > 1 ? 's' : ''} (first ${formatSellPoint(timeline.firstSell, timeline.buyTime)}`;
+        if (timeline.sellCount > 1) {
+            line += `, last ${formatSellPoint(timeline.lastSell, timeline.buyTime)}`;
+        }
+        lines.push(`${line}) — ${EXIT_PATTERNS[timeline.pattern]}`);
+    }
+
+    if (timeline.transfers.length > 0) {
+        const senders = new Set(timeline.transfers.map(transfer => transfer.from)).size;
+        const beforeSelling = timeline.transfersBeforeSelling.length === timeline.transfers.length ? ' before selling' : '';
+        let line = `🔀 ${senders} wallet${senders > 1 ? 's' : ''} sent ${formatNumber(timeline.transferredTokens, 1, false, false)} ${symbol} to other wallets${beforeSelling}`;
+        if (timeline.soldByReceivers > 0) {
+            line += `, ${formatNumber(timeline.soldByReceivers, 1, false, false)} sold from there`;
+        }
+        lines.push(line);
+    }
+
+    return lines;
+}
+
+/**
+ * Full timeline for the details view: one line per sell wave and per transfer.
+ */
+function formatSellTimelineDetails(timeline, symbol) {
+    if (!timeline) return [];
+
+    const events = [
+        ...timeline.waves.map(wave => ({
+            timestamp: wave.start,
+            text: `${wave.wallets.size} wallet${wave.wallets.size > 1 ? 's' : ''} sold ${formatNumber(wave.tokens, 1, false, false)} ${symbol} ` +
+                  `in ${wave.sells.length} sell${wave.sells.length > 1 ? 's' : ''} at ${formatMarketCap(wave.sells[0].marketCap)}`
+        })),
+        ...timeline.transfers.map(transfer => ({
+            timestamp: transfer.timestamp,
+            text: `${truncateAddress(transfer.from)} sent ${formatNumber(transfer.amount, 1, false, false)} ${symbol} to ` +
+                  `<a href="https://solscan.io/account/${transfer.to}">${transfer.toName || truncateAddress(transfer.to)}</a>`
+        }))
+    ].sort((a, b) => (a.timestamp || 0) - (b.timestamp || 0));
+
+    return events.map(event => {
+        const elapsed = timeline.buyTime !== null && event.timestamp ? `+${formatElapsed(event.timestamp - timeline.buyTime)}` : '?';
+        return `${elapsed}: ${event.text}`;
+    });
+}
+
+function formatFunderLink(group) {
+    const link = `<a href="https://solscan.io/account/${group.funderAddress}">${truncateAddress(group.funderAddress)}</a>`;
+    return group.sourceName ? `${link} (${group.sourceName})` : link;
+}
+
+/**
+ * "N wallets funded by X (label)" for each funding cluster present in a bundle.
+ */
+function formatBundleFunding(bundle) {
+    return (bundle.fundingGroups || []).slice(0, 3).map(group => {
+        const otherBundles = group.clusterBundleCount - 1;
+        const spread = otherBundles > 0 ? ` · cluster in ${otherBundles} other bundle${otherBundles > 1 ? 's' : ''}` : '';
+        return `${group.walletCount} wallet${group.walletCount > 1 ? 's' : ''} funded by ${formatFunderLink(group)}${spread}`;
+    });
+}
+
+/**
+ * Supply held per funding cluster, largest first.
+ */
+function formatFundingClusters(results, maxClusters = 5) {
+    const { fundingClusters, fundingWalletsChecked, fundingWalletsTotal, tokenInfo } = results;
+    if (!fundingClusters) {
+        return results.totalBundles > 0
+            ? `<i>Add <code>funding</code> to the command to group bundle wallets by funder</i>\n\n`
+            : '';
+    }
+
+    let output = `<b>🕸 Funding Clusters:</b> `;
+    if (fundingClusters.length === 0) {
+        output += `none (no shared funder among bundle wallets)\n`;
+    } else {
+        output += `${fundingClusters.length}\n`;
+        fundingClusters.slice(0, maxClusters).forEach((cluster, index, shown) => {
+            const prefix = index === shown.length - 1 ? '└' : '├';
+            output += `${prefix} ${formatFunderLink(cluster)}: ${cluster.wallets.length} wallets in ${cluster.bundleCount} bundle${cluster.bundleCount > 1 ? 's' : ''}, ` +
+                      `holding ${formatNumber(cluster.holdingAmount)} ${tokenInfo.symbol} (${formatNumber(cluster.holdingPercentage, 2, true)})\n`;
+        });
+    }
+    if (fundingWalletsChecked < fundingWalletsTotal) {
+        output += `<i>Funding checked for ${fundingWalletsChecked}/${fundingWalletsTotal} wallets (largest bundles first)</i>\n`;
+    }
+
+    return output + `\n`;
+}
+
 function formatMainMessage(results) {
     const {
         totalBundles,
@@ -14,7 +152,10 @@ function formatMainMessage(results) {
         tokenInfo,
         isTeamAnalysis,
         totalTeamWallets,
-        platform
+        platform,
+        detectionMode,
+        jitoBundles,
+        coincidenceBundles
     } = results;
 
     logger.debug(`\n=== FORMATTER DEBUG ===`);
@@ -54,6 +195,14 @@ function formatMainMessage(results) {
     } else if (platform === 'Bonk.fun') {
         platformEmoji = '🐶';
         platformName = 'Bonk.fun';
+    } else if (platform === 'PumpSwap') {
+        platformEmoji = '🔁';
+    } else if (platform === 'Raydium') {
+        platformEmoji = '🟣';
+    } else if (platform === 'Meteora') {
+        platformEmoji = '☄️';
+    } else if (platform === 'Moonshot') {
+        platformEmoji = '🌙';
     }
 
     let output = `<b>${platformEmoji} ${platformName} Bundle Analysis</b>\n`;
@@ -66,10 +215,18 @@ function formatMainMessage(results) {
     } else {
         output += `<b>📦 Total Bundles:</b> ${totalBundles}\n`;
     }
+    if (detectionMode === 'jito') {
+        output += `<b>⚡ Jito Bundles:</b> ${jitoBundles} | <b>🎲 Same-slot Coincidences:</b> ${coincidenceBundles}\n`;
+    }
     
     output += `<b>🪙 ${analysisType} Tokens Bundled:</b> ${formatNumber(totalTokensBundled)} ${tokenInfo.symbol} (${formatNumber(percentageBundled, 2, true)})\n`;
     output += `<b>💰 Total SOL Spent:</b> ${formatNumber(totalSolSpent)} SOL\n`;
     output += `<b>🔒 ${analysisType} Holding Amount:</b> ${formatNumber(totalHoldingAmount)} ${tokenInfo.symbol} (${formatNumber(totalHoldingAmountPercentage, 2, true)})\n\n`;
+    output += formatFundingClusters(results);
+    if (results.untracedTransferWallets > 0) {
+        const count = results.untracedTransferWallets;
+        output += `<i>${count} bundle wallet${count > 1 ? 's' : ''} lost tokens without selling. Add <code>transfers</code> to the command to trace where they went</i>\n\n`;
+    }
 
     output += `<b>Top 5 ${isTeamAnalysis ? 'team bundles' : 'bundles'}:</b>\n\n`;
 
@@ -87,6 +244,9 @@ function formatMainMessage(results) {
             const moreWallets = bundle.uniqueWallets.size > 5 ? ` (+${bundle.uniqueWallets.size - 5} more)` : '';
 
             output += `<b>Bundle ${index + 1} (Slot ${bundle.slot}):</b>\n`;
+            if (bundle.detection) {
+                output += `  ${formatBundleDetection(bundle)}\n`;
+            }
             output += `  <b>💼 Wallets:</b> ${walletLinks}${moreWallets}\n`;
             output += `  <b>🪙 Tokens Bought:</b> <code>${formatNumber(bundle.tokensBought)}</code> ${tokenInfo.symbol} (<code>${formatNumber((bundle.tokensBought / tokenInfo.total_supply) * 100, 2, true)}</code>)\n`;
             output += `  <b>💰 SOL Spent:</b> <code>${formatNumber(bundle.solSpent)}</code> SOL\n`;
@@ -95,6 +255,13 @@ function formatMainMessage(results) {
                 const holdingPercentage = bundle.holdingPercentage || ((bundle.holdingAmount / tokenInfo.total_supply) * 100);
                 output += `  <b>🔒 Holding Amount:</b> <code>${formatNumber(bundle.holdingAmount)}</code> ${tokenInfo.symbol} (<code>${formatNumber(holdingPercentage, 2, true)}</code>)\n`;
             }
+
+            formatBundleFunding(bundle).forEach(line => {
+                output += `  <b>🔗 Funding:</b> ${line}\n`;
+            });
+            formatSellTimelineSummary(bundle.sellTimeline, tokenInfo.symbol).forEach((line, lineIndex) => {
+                output += lineIndex === 0 ? `  <b>📉 Exit:</b> ${line}\n` : `  ${line}\n`;
+            });
             
             output += `\n`;
         });
@@ -106,5 +273,9 @@ function formatMainMessage(results) {
 }
 
 module.exports = {
-    formatMainMessage
+    formatMainMessage,
+    formatBundleDetection,
+    formatBundleFunding,
+    formatSellTimelineSummary,
+    formatSellTimelineDetails
 };
\ No newline at end of file
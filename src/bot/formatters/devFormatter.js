@@ -1,8 +1,13 @@
 // formatters/devFormatter.js
 
-const { formatNumber, truncateAddress } = require('./generalFormatters');
+const { formatNumber, truncateAddress, formatFundingOrigin } = require('./generalFormatters');
 const logger = require('../../utils/logger');
 
+const PLATFORM_LABELS = {
+    'PumpFun': '💊 PumpFun',
+    'Bonk.fun': '🐶 Bonk.fun'
+};
+
 function formatDevAnalysis(analysis) {
     try {
         if (!analysis.success) {
@@ -11,6 +16,9 @@ function formatDevAnalysis(analysis) {
 
         const ticker = analysis.tokenSymbol || 'Unknown';
         let message = `👨‍💻 <b>Developer Analysis for <a href="https://solscan.io/token/${analysis.tokenAddress}">${ticker}</a></b>\n`;
+        if (analysis.platform) {
+            message += `<i>${PLATFORM_LABELS[analysis.platform] || analysis.platform}</i>\n`;
+        }
 
         // Affichage des infos du dev
         const devShort = analysis.devAddress ? truncateAddress(analysis.devAddress) : 'Unknown';
@@ -72,6 +80,10 @@ function formatDevAnalysis(analysis) {
             message += '\n';
         }
 
+        message += formatExitProfile(analysis.exitProfile);
+        message += formatRecurringSnipers(analysis.recurringSnipers);
+        message += formatLinkedDevs(analysis.linkedDevs);
+
         // Funding Info
         message += `💰 <b>Funding Info</b>\n`;
         if (analysis.fundingInfo && analysis.fundingInfo.funderAddress) {
@@ -87,9 +99,16 @@ function formatDevAnalysis(analysis) {
             const funderAddressShort = truncateAddress(analysis.fundingInfo.funderAddress);
             const funderLink = `https://solscan.io/account/${analysis.fundingInfo.funderAddress}`;
 
-            message += `└ Funded by: <a href="${funderLink}">${funderAddressShort}</a>${funderLabel}`;
+            // Origine de la chaîne de financement (multi-hop)
+            const fundingOrigin = formatFundingOrigin({
+                hops: analysis.fundingInfo.fundingPath?.length,
+                origin: analysis.fundingInfo.origin
+            });
+
+            message += `${fundingOrigin ? '├' : '└'} Funded by: <a href="${funderLink}">${funderAddressShort}</a>${funderLabel}`;
             if (fundingAmount) message += ` - ${fundingAmount}`;
             if (fundingDate) message += ` (${fundingDate})`;
+            if (fundingOrigin) message += `\n└ Funded ${fundingOrigin}`;
             message += '\n\n';
         } else {
             message += `└ Couldn't find funding info\n\n`;
@@ -161,6 +180,127 @@ function formatDevAnalysis(analysis) {
     }
 }
 
+function formatHoldTime(seconds) {
+    if (seconds < 60) return `${Math.round(seconds)}s`;
+    if (seconds < 3600) return `${Math.round(seconds / 60)}m`;
+    if (seconds < 86400) return `${Math.round(seconds / 3600)}h`;
+    return `${Math.round(seconds / 86400)}d`;
+}
+
+const EXIT_WINDOW_LABELS = {
+    60: '1 minute',
+    300: '5 minutes',
+    3600: '1 hour',
+    86400: '1 day'
+};
+
+/**
+ * Section "Dev Exit Profile" : comportement de vente du dev sur ses coins précédents.
+ */
+function formatExitProfile(profile) {
+    if (!profile) return '';
+
+    const total = profile.coinsAnalyzed;
+    const lines = [];
+
+    if (profile.headline) {
+        const window = EXIT_WINDOW_LABELS[profile.headline.windowSeconds];
+        lines.push(window
+            ? `Sold 100% within ${window} on ${profile.headline.count}/${total} coins`
+            : `Sold 100% after more than a day on ${profile.headline.count}/${total} coins`);
+    } else {
+        lines.push(`Never fully exited (${total} coins)`);
+    }
+
+    const holdParts = [];
+    if (profile.medianFirstSellSeconds !== null) holdParts.push(`first sell after ${formatHoldTime(profile.medianFirstSellSeconds)}`);
+    if (profile.medianHoldSeconds !== null) holdParts.push(`full exit after ${formatHoldTime(profile.medianHoldSeconds)}`);
+    if (holdParts.length > 0) lines.push(`Median ${holdParts.join(', ')}`);
+
+    let soldLine = `Avg sold: ${formatNumber(profile.avgSoldShare * 100, 1, true, false)} of allocation`;
+    if (profile.avgSellMarketCapVsAth !== null) {
+        soldLine += ` at ${formatNumber(profile.avgSellMarketCapVsAth * 100, 1, true, false)} of ATH MC`;
+    }
+    lines.push(soldLine);
+
+    let curveLine = `Sold into bonding curve on ${profile.soldIntoCurveCount}/${total} coins`;
+    if (profile.heldThroughBondingCount > 0) curveLine += `, held through bonding on ${profile.heldThroughBondingCount}`;
+    lines.push(curveLine);
+
+    let section = `🚪 <b>Dev Exit Profile</b>\n`;
+    lines.forEach((line, index) => {
+        section += `${index === lines.length - 1 ? '└' : '├'} ${line}\n`;
+    });
+    if (profile.partialHistoryCount > 0) {
+        section += `<i>${profile.partialHistoryCount} coin${profile.partialHistoryCount > 1 ? 's' : ''} read from the launch window only</i>\n`;
+    }
+    if (profile.skippedCoins > 0) {
+        section += `<i>${profile.skippedCoins} coin${profile.skippedCoins > 1 ? 's' : ''} skipped (trades unavailable)</i>\n`;
+    }
+    return `${section}\n`;
+}
+
+const MAX_SNIPERS_DISPLAYED = 8;
+
+/**
+ * Section "Recurring Snipers" : wallets ayant acheté plusieurs lancements du dev dans les premiers slots.
+ */
+function formatRecurringSnipers(recurringSnipers) {
+    if (!recurringSnipers || !Array.isArray(recurringSnipers.snipers) || recurringSnipers.snipers.length === 0) return '';
+
+    const { snipers, launchesAnalyzed, holdingCount } = recurringSnipers;
+    let section = `🎯 <b>Recurring Snipers</b> (last ${launchesAnalyzed} launches)\n`;
+
+    const displayed = snipers.slice(0, MAX_SNIPERS_DISPLAYED);
+    displayed.forEach((sniper, index) => {
+        const prefix = index === displayed.length - 1 ? '└' : '├';
+        const profit = `${sniper.avgProfitSol >= 0 ? '+' : ''}${sniper.avgProfitSol.toFixed(2)} SOL`;
+        const holding = sniper.holdsCurrentToken
+            ? `🟢 holds ${formatNumber(sniper.currentSupplyPercentage, 2, true, false)}`
+            : '⚪️ not holding';
+        section += `${prefix} <a href="https://solscan.io/account/${sniper.address}">${truncateAddress(sniper.address)}</a> - ${sniper.launchesSniped}/${launchesAnalyzed} launches · avg ${profit} · ${holding}\n`;
+    });
+
+    if (snipers.length > MAX_SNIPERS_DISPLAYED) {
+        section += `<i>... and ${snipers.length - MAX_SNIPERS_DISPLAYED} more</i>\n`;
+    }
+    if (holdingCount > 0) {
+        section += `⚠️ ${holdingCount} recurring sniper${holdingCount > 1 ? 's' : ''} hold${holdingCount > 1 ? '' : 's'} this token\n`;
+    }
+    return `${section}\n`;
+}
+
+const LINK_LABELS = {
+    funder: 'funded the dev',
+    shared_funder: 'same funder',
+    dev_transfer: 'received SOL from dev'
+};
+const MAX_LINKED_DEVS_DISPLAYED = 5;
+
+/**
+ * Section "Linked Dev Network" : autres deployers liés au dev et historique de lancement combiné.
+ */
+function formatLinkedDevs(linkedDevsInfo) {
+    if (!linkedDevsInfo || !Array.isArray(linkedDevsInfo.linkedDevs) || linkedDevsInfo.linkedDevs.length === 0) return '';
+
+    const { linkedDevs, network } = linkedDevsInfo;
+    const others = linkedDevs.length;
+    let section = `🕸 <b>Linked Dev Network</b>\n`;
+    section += `This dev is linked to ${others} other deployer${others > 1 ? 's' : ''} with ${network.linkedLaunches} launch${network.linkedLaunches !== 1 ? 'es' : ''}, ${network.linkedBonded} bonded\n`;
+
+    linkedDevs.slice(0, MAX_LINKED_DEVS_DISPLAYED).forEach(dev => {
+        const links = dev.links.map(link => LINK_LABELS[link] || link).join(', ');
+        section += `├ <a href="https://solscan.io/account/${dev.address}">${truncateAddress(dev.address)}</a> (${links}) - ${dev.coinsStats.totalCoins} coins, ${dev.coinsStats.bondedCount} bonded\n`;
+    });
+    if (others > MAX_LINKED_DEVS_DISPLAYED) {
+        section += `├ ... and ${others - MAX_LINKED_DEVS_DISPLAYED} more\n`;
+    }
+
+    const bondRate = network.totalLaunches > 0 ? (network.bondedCount / network.totalLaunches) * 100 : 0;
+    section += `└ Network: ${network.deployers} deployers · ${network.totalLaunches} launches · ${network.bondedCount} bonded (${bondRate.toFixed(2)}%)\n\n`;
+    return section;
+}
+
 function calculateTimeAgo(timestamp) {
     const now = Date.now();
     const timeDifference = now - timestamp * 1000; 
@@ -1,9 +1,117 @@
 const logger = require('../../utils/logger');
 const { formatNumber } = require('./topHoldersFormatter');
 const { getEmojiForPnl, truncateAddress } = require('./generalFormatters');
+const { summarizeEarlyBuyerExits } = require('../../tools/earlyBuyerExits');
 
 const MINIMUM_PORT_SIZE = 1000;
 
+const EARLY_BUYER_LABELS = {
+  sniper: '🎯 Sniper',
+  mev: '🥪 MEV bot',
+  organic: '🌱 Organic'
+};
+
+/**
+ * Label line of an early buyer (see PoolAndBotDetector.classifyEarlyBuyer) with the signals behind it
+ * @param {Object} buyer - Buyer data with classification and signals
+ * @returns {string} Label line, empty when the buyer was not classified
+ */
+const formatBuyerLabel = (buyer) => {
+  if (!buyer.classification) return '';
+
+  const signals = buyer.signals || {};
+  const parts = [EARLY_BUYER_LABELS[buyer.classification] || buyer.classification];
+  if (Number.isInteger(signals.buySlotDistance)) {
+    parts.push(`bought at launch slot +${signals.buySlotDistance}`);
+  }
+  if (signals.roundTrips > 0) {
+    parts.push(`${signals.roundTrips} buy/sell round trip${signals.roundTrips > 1 ? 's' : ''} in 1 slot`);
+  }
+  if (signals.isFrequentSniper) {
+    parts.push(`snipes often (${(signals.fastTxRatio * 100).toFixed(0)}% fast trades)`);
+  }
+  return `├ 🏷 ${parts.join(' · ')}\n`;
+};
+
+/**
+ * Number of early buyers per label
+ * @param {Array} buyers - Early buyers
+ * @returns {Object} label -> count
+ */
+const countEarlyBuyerLabels = (buyers) => {
+  const counts = {};
+  buyers.forEach(buyer => {
+    if (buyer.classification) counts[buyer.classification] = (counts[buyer.classification] || 0) + 1;
+  });
+  return counts;
+};
+
+/**
+ * Summary line of the label counts, e.g. "🎯 3 Sniper · 🌱 10 Organic"
+ * @param {Object} labelCounts - Result of countEarlyBuyerLabels
+ * @returns {string} Summary line, empty when no buyer was classified
+ */
+const formatClassificationSummary = (labelCounts) => {
+  const parts = Object.keys(EARLY_BUYER_LABELS)
+    .filter(label => labelCounts && labelCounts[label] > 0)
+    .map(label => {
+      const [emoji, ...name] = EARLY_BUYER_LABELS[label].split(' ');
+      return `${emoji} ${labelCounts[label]} ${name.join(' ')}`;
+    });
+  return parts.length > 0 ? `${parts.join(' · ')}\n\n` : '';
+};
+
+const EXIT_STATUS_LABELS = {
+  holding: '💎 Holding',
+  partial: '📉 Partial exit',
+  exited: '🚪 Exited'
+};
+
+const formatSol = (value) => `${value >= 0 ? '+' : ''}${value.toFixed(2)} SOL`;
+
+/**
+ * Status line of an early buyer after the time frame (see earlyBuyerExits.buildBuyerExit)
+ * @param {Object} buyer - Buyer data with exit
+ * @returns {string} Status line, empty when the exit is unknown
+ */
+const formatBuyerExit = (buyer) => {
+  const exit = buyer.exit;
+  if (!exit) return '';
+
+  const parts = [EXIT_STATUS_LABELS[exit.status]];
+  if (exit.status !== 'exited') {
+    parts.push(`${(exit.heldShare * 100).toFixed(0)}% of the bag held`);
+  }
+  if (exit.windowOnly) {
+    // Trades after the time frame unknown: sells and PnL would only cover the window
+    parts.push('trades after the time frame unavailable');
+  } else if (exit.soldTokens > 0) {
+    parts.push(`realized PnL ${formatSol(exit.realizedPnlSol)} ($${formatNumber(exit.realizedPnlUsd, 0)})`);
+  }
+  return `├ ${parts.join(' · ')}\n`;
+};
+
+/**
+ * Summary of what the early buyers did after the time frame
+ * @param {Object} exitSummary - Result of summarizeEarlyBuyerExits
+ * @returns {string} Summary lines, empty without exit data
+ */
+const formatExitSummary = (exitSummary) => {
+  if (!exitSummary) return '';
+
+  const { counts } = exitSummary;
+  let summary = `📤 ${(exitSummary.soldShare * 100).toFixed(0)}% of early-buyer supply already sold, `;
+  summary += `${(exitSummary.heldShare * 100).toFixed(0)}% still held by ${exitSummary.holdersCount} wallet${exitSummary.holdersCount === 1 ? '' : 's'}\n`;
+  summary += Object.keys(EXIT_STATUS_LABELS)
+    .map(status => `${EXIT_STATUS_LABELS[status].split(' ')[0]} ${counts[status]} ${status}`)
+    .join(' · ');
+  summary += ` · realized PnL ${formatSol(exitSummary.realizedPnlSol)}\n`;
+  if (exitSummary.windowOnlyCount > 0) {
+    summary += `<i>${exitSummary.windowOnlyCount} wallet${exitSummary.windowOnlyCount === 1 ? '' : 's'} read from the time frame only (later trades unavailable)</i>\n`;
+  }
+  return `${summary}\n`;
+};
+
 /**
  * Format early buyers message without pagination
  * @param {Array} earlyBuyers - List of early buyers
@@ -44,6 +152,8 @@ const formatEarlyBuyersMessage = async (earlyBuyers, tokenInfo, hours, coinAddre
 
     logger.debug(`Found ${filteredBuyers.length} filtered early buyers`);
     message += `${filteredBuyers.length} early buyers found\n\n`;
+    message += formatClassificationSummary(countEarlyBuyerLabels(filteredBuyers));
+    message += formatExitSummary(summarizeEarlyBuyerExits(filteredBuyers));
 
     for (const [index, buyer] of filteredBuyers.entries()) {
       message += formatSingleWallet(buyer, index, tokenInfo, coinAddress);
@@ -80,6 +190,8 @@ const formatSingleWallet = (buyer, index, tokenInfo, coinAddress) => {
     let result = `${rank}. ${dexEmoji} <a href="https://solscan.io/account/${buyer.wallet}">${truncatedWallet}</a> ${pnlEmoji} `;
     result += `<a href="https://gmgn.ai/sol/address/${buyer.wallet}">gmgn</a>/`;
     result += `<a href="https://app.cielo.finance/profile/${buyer.wallet}/pnl/tokens">cielo</a>\n`;
+    result += formatBuyerLabel(buyer);
+    result += formatBuyerExit(buyer);
 
     // Display total amounts bought and sold in tokens and USD
     const totalBoughtAmount = formatNumber(buyer.bought_amount_token, 2);
@@ -144,9 +256,11 @@ const getPortValue = (buyer) => {
  * @param {number} totalPages - Total number of pages
  * @param {number} totalResults - Total number of results
  * @param {number} itemsPerPage - Number of items per page
+ * @param {Object} [labelCounts] - Label counts over all pages (see countEarlyBuyerLabels)
+ * @param {Object} [exitSummary] - Exits over all pages (see earlyBuyerExits.summarizeEarlyBuyerExits)
  * @returns {string} Formatted message with pagination
  */
-const formatEarlyBuyersMessagePaginated = (earlyBuyers, tokenInfo, hours, coinAddress, pumpFlag, currentPage, totalPages, totalResults, itemsPerPage) => {
+const formatEarlyBuyersMessagePaginated = (earlyBuyers, tokenInfo, hours, coinAddress, pumpFlag, currentPage, totalPages, totalResults, itemsPerPage, labelCounts = null, exitSummary = null) => {
     try {
         if (!Array.isArray(earlyBuyers) || earlyBuyers.length === 0) {
             return "No early buyers found in the specified time frame.";
@@ -162,6 +276,8 @@ const formatEarlyBuyersMessagePaginated = (earlyBuyers, tokenInfo, hours, coinAd
         
         // Add pagination info
         message += `<b>Found ${totalResults} early buyers</b> (showing ${currentPage * itemsPerPage + 1}-${Math.min((currentPage + 1) * itemsPerPage, totalResults)})\n\n`;
+        message += formatClassificationSummary(labelCounts);
+        message += formatExitSummary(exitSummary);
 
         // Format each buyer
         earlyBuyers.forEach((buyer, index) => {
@@ -208,6 +324,8 @@ const formatSingleBuyer = (buyer, index, tokenInfo, coinAddress) => {
         let result = `${index}. ${dexEmoji} <a href="https://solscan.io/account/${buyer.wallet}">${truncatedWallet}</a> ${pnlEmoji} `;
         result += `<a href="https://gmgn.ai/sol/address/${buyer.wallet}">gmgn</a>/`;
         result += `<a href="https://app.cielo.finance/profile/${buyer.wallet}/pnl/tokens">cielo</a>\n`;
+        result += formatBuyerLabel(buyer);
+        result += formatBuyerExit(buyer);
 
         // Show amounts bought and sold
         const totalBoughtAmount = formatNumber(buyer.bought_amount_token, 2);
@@ -253,5 +371,6 @@ module.exports = {
     formatEarlyBuyersMessagePaginated,
     formatSingleWallet,
     formatSingleBuyer,
+    countEarlyBuyerLabels,
     getPortValue
 };
\ No newline at end of file
@@ -2,7 +2,77 @@
 
 const { formatNumber, formatAge } = require('./generalFormatters');
 
-const formatEntryMapResponse = (entryMap) => {
+const HISTOGRAM_BAR_WIDTH = 12;
+
+// Market cap compact : 50000 -> "50k", 1250000 -> "1.25M"
+const formatMarketCap = (value) => {
+    if (value >= 1e6) return `${+(value / 1e6).toFixed(2)}M`;
+    if (value >= 1e3) return `${+(value / 1e3).toFixed(1)}k`;
+    return `${Math.round(value)}`;
+};
+
+const getBucketLabel = (bucket) => {
+    if (bucket.end === null) return `>${formatMarketCap(bucket.start)}`;
+    if (bucket.start === 0) return `<${formatMarketCap(bucket.end)}`;
+    return `${formatMarketCap(bucket.start)}-${formatMarketCap(bucket.end)}`;
+};
+
+const getBucketEmoji = (bucket) => {
+    if (bucket.tokens === 0) return '';
+    if (bucket.underwaterTokens === 0) return '🟢';
+    if (bucket.profitTokens === 0) return '🔴';
+    return '🟡';
+};
+
+const isCurrentBucket = (bucket, marketCap) =>
+    marketCap >= bucket.start && (bucket.end === null || marketCap < bucket.end);
+
+/**
+ * Histogramme texte des MCAP d'entrée, pondéré par les tokens encore détenus
+ * @param {Object} histogram - Résultat de entryHistogram.buildEntryHistogram
+ * @returns {string} Section HTML, vide sans histogramme
+ */
+const formatEntryHistogram = (histogram) => {
+    if (!histogram) return '';
+
+    const maxTokens = Math.max(...histogram.buckets.map(bucket => bucket.tokens));
+    const labels = histogram.buckets.map(getBucketLabel);
+    const labelWidth = Math.max(...labels.map(label => label.length));
+
+    const rows = histogram.buckets.map((bucket, index) => {
+        const filled = maxTokens > 0 ? Math.round((bucket.tokens / maxTokens) * HISTOGRAM_BAR_WIDTH) : 0;
+        const bar = '█'.repeat(filled) + ' '.repeat(HISTOGRAM_BAR_WIDTH - filled);
+        const share = `${(bucket.heldShare * 100).toFixed(1)}%`.padStart(6);
+        const current = isCurrentBucket(bucket, histogram.currentMarketCapUsd) ? '◀ now' : '';
+        // Labels "<50k" / ">1M" échappés pour le parse_mode HTML
+        const label = labels[index].padStart(labelWidth).replace('<', '&lt;').replace('>', '&gt;');
+        return [`${label} ${bar}${share}`, getBucketEmoji(bucket), current].filter(Boolean).join(' ');
+    });
+
+    return [
+        `\n<b>Entry MCAP histogram:</b> $${formatMarketCap(histogram.bucketSize)} buckets, weighted by tokens held`,
+        `<pre>${rows.join('\n')}</pre>`,
+        `🟢 ${(histogram.profitShare * 100).toFixed(0)}% of held supply in profit | ` +
+        `🔴 ${(histogram.underwaterShare * 100).toFixed(0)}% underwater | ` +
+        `Current MCAP: $${formatMarketCap(histogram.currentMarketCapUsd)}`
+    ].join('\n');
+};
+
+/**
+ * Légende du graphique PNG de l'histogramme (le graphique ne porte aucun texte)
+ */
+const formatEntryHistogramCaption = (tokenInfo, histogram) => {
+    const first = histogram.buckets[0];
+    const last = histogram.buckets[histogram.buckets.length - 1];
+    return `${tokenInfo.symbol} entry MCAP histogram ($${formatMarketCap(histogram.bucketSize)} buckets, ` +
+        `${getBucketLabel(first)} to ${getBucketLabel(last)})\n` +
+        `Bars: tokens still held by ${histogram.holdersCount} holders, green in profit, red underwater, ` +
+        `yellow line: current MCAP $${formatMarketCap(histogram.currentMarketCapUsd)}\n` +
+        `${(histogram.profitShare * 100).toFixed(0)}% of held supply in profit, ` +
+        `${(histogram.underwaterShare * 100).toFixed(0)}% underwater`;
+};
+
+const formatEntryMapResponse = (entryMap, histogram = null) => {
     const { tokenInfo, summary, priceRanges, holders } = entryMap;
     const sections = [];
 
@@ -56,6 +126,11 @@ const formatEntryMapResponse = (entryMap) => {
         `Avg PnL: ${formatNumber(avgPnl, 2, true)}%`
     );
 
+    const histogramSection = formatEntryHistogram(histogram);
+    if (histogramSection) {
+        sections.push(histogramSection);
+    }
+
     // Liste des holders filtrés
     sections.push('\n<b>Top Holders:</b>');
     Object.entries(filteredHolders).forEach(([address, data]) => {
@@ -173,5 +248,7 @@ const getEmojiForPnl = (pnl) => {
 };
 
 module.exports = {
-    formatEntryMapResponse
+    formatEntryMapResponse,
+    formatEntryHistogram,
+    formatEntryHistogramCaption
 };
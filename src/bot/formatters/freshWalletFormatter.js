@@ -12,7 +12,7 @@ const getEmoji = (percentage) => {
     return '☠️';
 };
 
-const formatFreshWalletsResult = (analyzedWallets, tokenInfo, freshWallets, totalSupplyControlled) => {
+const formatFreshWalletsResult = (analyzedWallets, tokenInfo, freshWallets, totalSupplyControlled, analysisParams = null) => {
     try {
         return unifiedFormatter.formatWalletAnalysis(
             analyzedWallets, 
@@ -26,7 +26,8 @@ const formatFreshWalletsResult = (analyzedWallets, tokenInfo, freshWallets, tota
                 walletType: 'fresh',
                 categoryFilter: 'Fresh',
                 displayCategory: false,
-                maxWallets: 10
+                maxWallets: 10,
+                analysisParams
             }
         );
     } catch (error) {
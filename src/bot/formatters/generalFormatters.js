@@ -55,6 +55,30 @@ function truncateAddress(address, start = 5, end = 4) {
     return `${address.slice(0, start)}...${address.slice(-end)}`;
 }
 
+/**
+ * Describes where a multi-hop funding trace ended (see fundingAnalyzer.traceFundingPath).
+ * @param {Object} fundingDetails - Funding details with hops and origin.
+ * @returns {string} e.g. "via 3 hops from Binance", or '' for a direct funding.
+ */
+function formatFundingOrigin(fundingDetails) {
+  const { hops, origin } = fundingDetails || {};
+  if (!origin?.address || !(hops > 1)) return '';
+
+  const originLabel = origin.name || truncateAddress(origin.address);
+  return `via ${hops} hops from <a href="https://solscan.io/account/${origin.address}">${originLabel}</a>`;
+}
+
+/**
+ * Escapes text inserted in an HTML (parse_mode: 'HTML') Telegram message,
+ * e.g. a token ticker or a wallet name chosen by someone else.
+ */
+function escapeHtml(text) {
+  return String(text ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;');
+}
+
 function getEmojiForPnl(totalValue) {
   if (totalValue > 100000) return '🐳';
   if (totalValue > 50000) return '🦈';
@@ -87,4 +111,4 @@ const summarizeHolders = (categorizedWallets, tokenInfo) => {
   return summary;
 };
   
-  module.exports = { formatNumber, formatAge, truncateAddress, getEmojiForPnl, summarizeHolders};
\ No newline at end of file
+  module.exports = { formatNumber, formatAge, truncateAddress, formatFundingOrigin, escapeHtml, getEmojiForPnl, summarizeHolders};
\ No newline at end of file
@@ -1,5 +1,5 @@
 // formatters/teamSupplyFormatter.js
-const { formatNumber } = require('./generalFormatters');
+const { formatNumber, truncateAddress } = require('./generalFormatters');
 const BigNumber = require('bignumber.js');
 const logger = require('../../utils/logger');
 const unifiedFormatter = require('./unifiedFormatter');
@@ -12,7 +12,45 @@ const getEmoji = (percentage) => {
     return '☠️';
 };
 
-const formatTeamSupplyResult = (analyzedWallets, tokenInfo, teamWallets, totalSupplyControlled) => {
+// Libellés des liens entre wallets (voir tools/walletClusters)
+const CLUSTER_LINK_LABELS = {
+    shared_funder: 'same funder',
+    holder_funded: 'funded by a holder',
+    same_amount: 'same funding amount',
+    same_time: 'funded at the same time',
+    sol_transfer: 'SOL transfers',
+    token_transfer: 'token transfers'
+};
+
+const MAX_CLUSTERS_DISPLAYED = 5;
+const MAX_CLUSTER_WALLETS_DISPLAYED = 4;
+
+const formatClusters = (clusters) => {
+    if (!clusters || clusters.length === 0) return '';
+
+    let message = `\n<b>🕸 Wallet Clusters (${clusters.length}):</b>\n`;
+
+    clusters.slice(0, MAX_CLUSTERS_DISPLAYED).forEach(cluster => {
+        const reasons = cluster.reasons.map(reason => CLUSTER_LINK_LABELS[reason] || reason).join(', ');
+        message += `${getEmoji(cluster.percentage)} #${cluster.id}: ${cluster.wallets.length} wallets holding ${formatNumber(cluster.percentage, 2, true)} · ${reasons}\n`;
+
+        const wallets = cluster.wallets
+            .slice(0, MAX_CLUSTER_WALLETS_DISPLAYED)
+            .map(address => `<a href="https://solscan.io/account/${address}">${truncateAddress(address)}</a>`);
+        if (cluster.wallets.length > MAX_CLUSTER_WALLETS_DISPLAYED) {
+            wallets.push(`+${cluster.wallets.length - MAX_CLUSTER_WALLETS_DISPLAYED}`);
+        }
+        message += `   └ ${wallets.join(', ')}\n`;
+    });
+
+    if (clusters.length > MAX_CLUSTERS_DISPLAYED) {
+        message += `<i>+${clusters.length - MAX_CLUSTERS_DISPLAYED} more clusters</i>\n`;
+    }
+
+    return message;
+};
+
+const formatTeamSupplyResult = (analyzedWallets, tokenInfo, teamWallets, totalSupplyControlled, clusters = [], analysisParams = null) => {
     try {
         // Pour déboguer ce qui est passé à cette fonction
         logger.debug('Team formatter received:', {
@@ -39,8 +77,8 @@ const formatTeamSupplyResult = (analyzedWallets, tokenInfo, teamWallets, totalSu
             category: wallet.category || 'Team'
         }));
 
-        // Utiliser le formateur unifié
-        return unifiedFormatter.formatWalletAnalysis(
+        // Utiliser le formateur unifié, puis ajouter les clusters de wallets
+        const message = unifiedFormatter.formatWalletAnalysis(
             fixedWallets, 
             tokenInfo,
             teamWallets,
@@ -51,9 +89,11 @@ const formatTeamSupplyResult = (analyzedWallets, tokenInfo, teamWallets, totalSu
                 warningEmoji: '⚠️',
                 walletType: 'team',
                 displayCategory: true,
-                maxWallets: 10
+                maxWallets: 10,
+                analysisParams
             }
         );
+        return message + formatClusters(clusters);
     } catch (error) {
         logger.error('Error in formatTeamSupplyResult:', error);
         return 'Error formatting team wallet details.';
@@ -84,5 +124,6 @@ function formatWalletDetails(analyzedWallets, tokenInfo) {
 
 module.exports = {
     formatTeamSupplyResult,
+    formatClusters,
     formatWalletDetails
 };
\ No newline at end of file
@@ -0,0 +1,110 @@
+// formatters/trackerHistoryFormatter.js
+const { formatNumber, formatAge, escapeHtml } = require('./generalFormatters');
+
+const SPARK_CHARS = ['▁', '▂', '▃', '▄', '▅', '▆', '▇', '█'];
+const SPARKLINE_WIDTH = 24;
+
+/**
+ * Réduit la série à `width` valeurs (dernière valeur de chaque tranche de temps)
+ * puis la dessine avec les caractères ▁..█.
+ */
+const buildSparkline = (points, width = SPARKLINE_WIDTH) => {
+    if (!points || points.length === 0) return '';
+
+    let values = points.map(p => p.supplyPercentage);
+    if (points.length > width) {
+        const start = points[0].timestamp;
+        const span = points[points.length - 1].timestamp - start || 1;
+        const buckets = new Array(width).fill(null);
+        points.forEach(p => {
+            const index = Math.min(width - 1, Math.floor(((p.timestamp - start) / span) * width));
+            buckets[index] = p.supplyPercentage;
+        });
+        // Une tranche sans relevé reprend la valeur précédente
+        values = [];
+        buckets.forEach(value => values.push(value ?? values[values.length - 1] ?? points[0].supplyPercentage));
+    }
+
+    const min = Math.min(...values);
+    const max = Math.max(...values);
+    return values
+        .map(value => {
+            if (max === min) return SPARK_CHARS[3];
+            return SPARK_CHARS[Math.round(((value - min) / (max - min)) * (SPARK_CHARS.length - 1))];
+        })
+        .join('');
+};
+
+/**
+ * Statistiques de la série : extrêmes, variation totale et dernier changement de valeur.
+ */
+const computeHistoryStats = (points) => {
+    if (!points || points.length === 0) return null;
+
+    let min = points[0];
+    let max = points[0];
+    points.forEach(p => {
+        if (p.supplyPercentage < min.supplyPercentage) min = p;
+        if (p.supplyPercentage > max.supplyPercentage) max = p;
+    });
+
+    const first = points[0];
+    const last = points[points.length - 1];
+
+    let lastChange = null;
+    for (let i = points.length - 1; i > 0; i--) {
+        if (points[i].supplyPercentage !== points[i - 1].supplyPercentage) {
+            lastChange = {
+                timestamp: points[i].timestamp,
+                delta: points[i].supplyPercentage - points[i - 1].supplyPercentage
+            };
+            break;
+        }
+    }
+
+    return { min, max, first, last, totalChange: last.supplyPercentage - first.supplyPercentage, lastChange };
+};
+
+const formatDelta = (delta) => `${delta >= 0 ? '+' : ''}${delta.toFixed(2)}%`;
+
+const formatTrackerHistory = (tracker, points) => {
+    let message = `<b>${escapeHtml(tracker.ticker)}</b> <a href="https://dexscreener.com/solana/${tracker.tokenAddress}">📈</a>\n`;
+    message += `📜 <b>${tracker.trackType} supply history</b>\n\n`;
+
+    const stats = computeHistoryStats(points);
+    if (!stats) {
+        return message + 'No checks recorded yet for this tracker.';
+    }
+
+    message += `<code>${buildSparkline(points)}</code>\n`;
+    message += `${formatAge(stats.first.timestamp)} ago → now (${points.length} checks)\n\n`;
+
+    message += `├ Start: ${formatNumber(stats.first.supplyPercentage, 2, true)}\n`;
+    message += `├ Current: ${formatNumber(stats.last.supplyPercentage, 2, true)} (${formatDelta(stats.totalChange)})\n`;
+    message += `├ Min: ${formatNumber(stats.min.supplyPercentage, 2, true)} (${formatAge(stats.min.timestamp)} ago)\n`;
+    message += `├ Max: ${formatNumber(stats.max.supplyPercentage, 2, true)} (${formatAge(stats.max.timestamp)} ago)\n`;
+    message += stats.lastChange
+        ? `└ Last change: ${formatDelta(stats.lastChange.delta)} ${formatAge(stats.lastChange.timestamp)} ago\n`
+        : `└ Last change: none since tracking started\n`;
+
+    return message;
+};
+
+/**
+ * Légende de l'image PNG (les graphiques ne contiennent pas de texte).
+ */
+const formatTrackerChartCaption = (tracker, points) => {
+    const stats = computeHistoryStats(points);
+    if (!stats) return `${tracker.ticker} ${tracker.trackType} supply`;
+
+    return `${tracker.ticker} ${tracker.trackType} supply — ` +
+           `min ${stats.min.supplyPercentage.toFixed(2)}%, max ${stats.max.supplyPercentage.toFixed(2)}%, ` +
+           `now ${stats.last.supplyPercentage.toFixed(2)}% (${formatDelta(stats.totalChange)} since start)`;
+};
+
+module.exports = {
+    buildSparkline,
+    computeHistoryStats,
+    formatTrackerHistory,
+    formatTrackerChartCaption
+};
@@ -1,4 +1,4 @@
-const { formatNumber, truncateAddress, getEmojiForPnl } = require('./generalFormatters');
+const { formatNumber, truncateAddress, formatFundingOrigin, getEmojiForPnl } = require('./generalFormatters');
 const logger = require('../../utils/logger');
 const BigNumber = require('bignumber.js');
 
@@ -511,12 +511,16 @@ formatFundingInfo(funderAddress, fundingDetails) {
     `<a href="https://solscan.io/tx/${txSignature}">funded</a>` : 
     'funded';
   
+  // Origin of a multi-hop funding trace, if any
+  const origin = formatFundingOrigin(fundingDetails);
+  const originSuffix = origin ? ` · ${origin}` : '';
+  
   // Format funding info in a clean way with clickable links
   if (fundingAmount && sourceName) {
     // Make the source name clickable
-    return ` | ${txLink} ${fundingAmount} from <a href="https://solscan.io/account/${funderAddress}">${sourceName}</a> ${timeAgo}`;
+    return ` | ${txLink} ${fundingAmount} from <a href="https://solscan.io/account/${funderAddress}">${sourceName}</a> ${timeAgo}${originSuffix}`;
   } else if (fundingAmount) {
-    return ` | ${txLink} ${fundingAmount} from <a href="https://solscan.io/account/${funderAddress}">${truncateAddress(funderAddress)}</a> ${timeAgo}`;
+    return ` | ${txLink} ${fundingAmount} from <a href="https://solscan.io/account/${funderAddress}">${truncateAddress(funderAddress)}</a> ${timeAgo}${originSuffix}`;
   }
   
   return '';
@@ -623,6 +627,73 @@ formatFundingGroupsSummary(fundingGroups, walletType = 'wallet', minWalletThresh
   return summary;
 }
 
+/**
+ * Format the age of a fresh wallet when the token was created (see tools/walletAge)
+ * @param {Object|null} freshness - { score, ageDays, txCount }
+ * @returns {string} - e.g. " | 🌱 3d old, 12 txs", empty without a known age
+ */
+formatFreshness(freshness) {
+  if (!freshness || freshness.ageDays == null) return '';
+
+  const age = freshness.ageDays < 1
+    ? `${Math.round(freshness.ageDays * 24)}h`
+    : `${Math.round(freshness.ageDays)}d`;
+  return ` | 🌱 ${age} old, ${freshness.txCount} txs`;
+}
+
+/**
+ * Format the thresholds an analysis ran with (see commandParser.parseAnalysisParams)
+ * @param {Object|null} params - { minSupplyPercent, freshTxThreshold, inactivityDays? }
+ * @returns {string} - Formatted parameters line, empty without parameters
+ */
+formatAnalysisParams(params) {
+  if (!params) return '';
+
+  const parts = [];
+  if (params.minSupplyPercent != null) parts.push(`holders ≥ ${params.minSupplyPercent}%`);
+  if (params.freshTxThreshold != null) parts.push(`fresh tx threshold ${params.freshTxThreshold}`);
+  if (params.inactivityDays != null) parts.push(`inactive &gt; ${params.inactivityDays}d`);
+
+  return parts.length > 0 ? `\n⚙️ <i>Params: ${parts.join(' · ')}</i>` : '';
+}
+
+/**
+ * Format the private wallets that several wallets trace back to through multi-hop funding.
+ * Exchange and bridge origins are left out: they fund unrelated users.
+ * @param {Array} wallets - Wallets enhanced with percentageOfSupply
+ * @param {string} walletType - Type of wallets (team, fresh, etc.)
+ * @returns {string} - Formatted summary section
+ */
+formatCommonOrigins(wallets, walletType = 'wallet') {
+  const origins = new Map();
+
+  wallets.forEach(wallet => {
+    const { origin, hops } = wallet.fundingDetails || {};
+    if (!origin?.address || origin.category || !(hops > 1)) return;
+
+    if (!origins.has(origin.address)) {
+      origins.set(origin.address, { address: origin.address, wallets: 0, totalSupplyPercentage: 0, maxHops: 0 });
+    }
+    const group = origins.get(origin.address);
+    group.wallets += 1;
+    group.totalSupplyPercentage += parseFloat(wallet.percentageOfSupply) || 0;
+    group.maxHops = Math.max(group.maxHops, hops);
+  });
+
+  const commonOrigins = [...origins.values()].filter(group => group.wallets > 1);
+  if (commonOrigins.length === 0) {
+    return '';
+  }
+
+  let summary = '\n\n<b>🧬 Common Origin Wallets:</b>\n';
+  commonOrigins.forEach(group => {
+    summary += `• ${group.wallets} ${walletType} wallets trace back to <a href="https://solscan.io/account/${group.address}">${truncateAddress(group.address)}</a> ` +
+              `(up to ${group.maxHops} hops, ${formatNumber(group.totalSupplyPercentage, 2)}% of supply)\n`;
+  });
+
+  return summary;
+}
+
 /**
  * Enhance wallets with supply percentage information
  * @param {Array} wallets - Array of wallet objects
@@ -784,13 +855,15 @@ formatWalletAnalysis(analyzedWallets, tokenInfo, wallets, totalSupplyControlled,
       categoryFilter = null,
       displayCategory = false,
       maxWallets = 10,
-      minFundingGroupSize = 3
+      minFundingGroupSize = 3,
+      analysisParams = null
     } = options;
     
     // Start with the basic header
     let message = `<b>${title} for <a href="https://dexscreener.com/solana/${tokenInfo.address}">${tokenInfo.symbol}</a></b>\n\n`;
     message += `${emoji} Supply Controlled by ${walletType}s: ${formatNumber(totalSupplyControlled, 2, true)} ${this.getFreshWalletEmoji(totalSupplyControlled)}\n`;
     message += `${warningEmoji} Wallets flagged as ${walletType}s: ${wallets.length}`;
+    message += this.formatAnalysisParams(analysisParams);
     
     // Add percentage of supply to each wallet for easier processing
     const enhancedWallets = this.enhanceWalletsWithPercentage(
@@ -811,6 +884,8 @@ formatWalletAnalysis(analyzedWallets, tokenInfo, wallets, totalSupplyControlled,
       message += fundingSummary;
     }
     
+    message += this.formatCommonOrigins(enhancedWallets, walletType);
+    
     // Add the top wallets section
     message += `\n\n<b>Top ${walletType} wallets:</b>\n`;
     
@@ -821,7 +896,7 @@ formatWalletAnalysis(analyzedWallets, tokenInfo, wallets, totalSupplyControlled,
       walletsToShow = enhancedWallets.filter(w => w.category === categoryFilter);
     } else {
       // For team wallets, we want to filter out Normal, Unknown and Error wallets
-      const teamCategories = new Set(['Fresh', 'Inactive', 'No Token', 'No ATA Transaction']);
+      const teamCategories = new Set(['Fresh', 'Inactive', 'No Token', 'No ATA Transaction', 'Linked']);
       walletsToShow = walletType === 'team' ? 
         enhancedWallets.filter(w => teamCategories.has(w.category)) : 
         enhancedWallets;
@@ -843,6 +918,11 @@ formatWalletAnalysis(analyzedWallets, tokenInfo, wallets, totalSupplyControlled,
         walletLine += ` - ${wallet.category}`;
       }
       
+      // Add wallet age for fresh wallets
+      if (wallet.category === 'Fresh') {
+        walletLine += this.formatFreshness(wallet.freshness);
+      }
+      
       // Add funding info if available
       walletLine += this.formatFundingInfo(wallet.funderAddress, wallet.fundingDetails);
       
@@ -879,7 +959,7 @@ formatWalletDetails(analyzedWallets, tokenInfo, options = {}) {
       filteredWallets = analyzedWallets.filter(wallet => wallet.category === categoryFilter);
     } else if (walletType === 'team') {
       // For team wallets, only include wallets with team categories
-      const teamCategories = new Set(['Fresh', 'Inactive', 'No Token', 'No ATA Transaction']);
+      const teamCategories = new Set(['Fresh', 'Inactive', 'No Token', 'No ATA Transaction', 'Linked']);
       filteredWallets = analyzedWallets.filter(wallet => teamCategories.has(wallet.category));
     } else {
       // Default filtering (exclude Unknown category)
@@ -901,6 +981,8 @@ formatWalletDetails(analyzedWallets, tokenInfo, options = {}) {
       message += fundingSummary;
     }
     
+    message += this.formatCommonOrigins(enhancedWallets, walletType);
+    
     message += '\n';
 
     enhancedWallets
@@ -19,6 +19,26 @@ const SUBSCRIPTION_TYPES = {
     }
 };
 
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+
+// Limites des supply trackers selon le niveau d'accès du chat.
+// maxTrackers: trackers simultanés (0 = tracking indisponible)
+// duration: durée de vie d'un tracker, renouvelable avec le bouton "Extend"
+const TRACKER_LIMITS = {
+    free: { maxTrackers: 1, duration: 1 * DAY, label: 'Free' },
+    tokenVerified: { maxTrackers: 3, duration: 3 * DAY, label: 'Token verified' },
+    paid: { maxTrackers: 5, duration: 7 * DAY, label: 'Subscriber' },
+    group: { maxTrackers: 10, duration: 7 * DAY, label: 'Group' }
+};
+
+// Délai avant expiration à partir duquel on propose de prolonger le tracker
+const TRACKER_EXPIRY_WARNING = 12 * HOUR;
+
+function getTrackerLimits(tier) {
+    return TRACKER_LIMITS[tier] || TRACKER_LIMITS.free;
+}
+
 // Schéma de base commun pour les paiements
 const commonPaymentFields = {
     paymentId: Joi.string().required(),
@@ -89,6 +109,9 @@ function validateSubscription(subscription, type) {
 
 module.exports = {
     SUBSCRIPTION_TYPES,
+    TRACKER_LIMITS,
+    TRACKER_EXPIRY_WARNING,
+    getTrackerLimits,
     validateSubscription,
     schemas: {
         user: {
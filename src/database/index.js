@@ -5,6 +5,10 @@ const SubscriptionService = require('./services/subscriptionService');
 const PaymentService = require('./services/paymentService');
 const TokenVerificationService = require('./services/tokenVerificationService');
 const CommandUsageService = require('./services/commandUsageService');
+const TrackerService = require('./services/trackerService');
+const TrackerHistoryService = require('./services/trackerHistoryService');
+const TrackerSettingsService = require('./services/trackerSettingsService');
+const BonkfunPoolService = require('./services/bonkfunPoolService');
 const SubscriptionConfig = require('./config/subscriptionConfig');
 const VerifiedUser = require('./models/verified_user');
 const VerifiedGroup = require('./models/verified_group');
@@ -38,6 +42,10 @@ module.exports = {
     SubscriptionConfig, 
     TokenVerificationService,
     CommandUsageService,
+    TrackerService,
+    TrackerHistoryService,
+    TrackerSettingsService,
+    BonkfunPoolService,
     VerifiedUser,
     VerifiedGroup
 };
\ No newline at end of file
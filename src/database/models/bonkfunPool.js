@@ -0,0 +1,25 @@
+const Joi = require('joi');
+
+// Registre des pools Bonk.fun : mint -> pool LaunchLab (bonding curve) -> pool Raydium après migration
+const bonkfunPoolSchema = Joi.object({
+    mint: Joi.string().required(),
+    launchpadPoolId: Joi.string().allow(null).default(null),
+    migratedPoolId: Joi.string().allow(null).default(null),
+    migratedPoolType: Joi.string().valid('cpmm', 'amm').allow(null).default(null),
+    // Créateur lu dans l'état du pool LaunchLab
+    creator: Joi.string().allow(null).default(null),
+    // 'pda' : dérivé du programme LaunchLab et vérifié on-chain, 'raydium_api' : trouvé via l'API Raydium
+    source: Joi.string().valid('pda', 'raydium_api').required(),
+    createdAt: Joi.date().default(() => new Date()),
+    lastUpdated: Joi.date().default(() => new Date())
+});
+
+function validateBonkfunPool(pool) {
+    return bonkfunPoolSchema.validate(pool, {
+        abortEarly: false,
+        stripUnknown: true,
+        convert: true
+    });
+}
+
+module.exports = { validateBonkfunPool };
@@ -0,0 +1,61 @@
+const Joi = require('joi');
+
+// Les BigNumber sont stockés sous forme de chaînes pour ne perdre aucune précision
+const bigNumberString = Joi.string().pattern(/^-?\d+(\.\d+)?(e[+-]?\d+)?$/i);
+
+const trackerSchema = Joi.object({
+    chatId: Joi.string().required(),
+    trackerId: Joi.string().required(),
+    tokenAddress: Joi.string().required(),
+    ticker: Joi.string().allow('').default(''),
+    decimals: Joi.number().integer().min(0).required(),
+    trackType: Joi.string().required(),
+    wallets: Joi.array().items(
+        Joi.alternatives().try(Joi.string(), Joi.object().unknown(true))
+    ).default([]),
+    initialSupplyPercentage: bigNumberString.required(),
+    currentSupplyPercentage: bigNumberString.required(),
+    totalSupply: bigNumberString.required(),
+    significantChangeThreshold: bigNumberString.required(),
+    startTimestamp: Joi.number().required(),
+    // Expiration selon le niveau d'accès (voir TRACKER_LIMITS), repoussée par "Extend"
+    expiresAt: Joi.number().required(),
+    tier: Joi.string().valid('free', 'tokenVerified', 'paid', 'group').default('free'),
+    // Utilisateur qui a lancé le tracker, pour recalculer son niveau à la prolongation
+    userId: Joi.string().allow(null).default(null),
+    expiryWarnedAt: Joi.number().allow(null).default(null),
+    lastCheckedAt: Joi.number().allow(null).default(null),
+    nextCheckAt: Joi.number().required(),
+    lastNotifiedAt: Joi.number().allow(null).default(null),
+    lastNotifiedPercentage: bigNumberString.allow(null).default(null),
+    // Soldes par wallet au moment de la baseline, pour le détail des notifications
+    baselineBalances: Joi.object().pattern(Joi.string(), bigNumberString).allow(null).default(null),
+    // Règles d'alerte en plus du seuil de variation (voir tools/alertRules.js)
+    alertRules: Joi.object({
+        floor: Joi.number().min(0).max(100).allow(null).default(null),
+        ceiling: Joi.number().min(0).max(100).allow(null).default(null),
+        rateOfChange: Joi.object({
+            percent: Joi.number().positive().required(),
+            minutes: Joi.number().integer().min(1).required()
+        }).allow(null).default(null),
+        cooldownMinutes: Joi.number().min(0).default(0)
+    }).default(),
+    // Position hors plancher/plafond déjà notifiée ('below' | 'above')
+    levelState: Joi.string().valid('below', 'above').allow(null).default(null),
+    // Valeurs récentes pour la règle de vitesse de variation
+    recentPoints: Joi.array().items(Joi.object({
+        timestamp: Joi.number().required(),
+        supplyPercentage: Joi.number().required()
+    })).default([]),
+    lastUpdated: Joi.date().default(() => new Date())
+});
+
+function validateTracker(tracker) {
+    return trackerSchema.validate(tracker, {
+        abortEarly: false,
+        stripUnknown: true,
+        convert: true
+    });
+}
+
+module.exports = { validateTracker };
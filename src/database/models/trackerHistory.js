@@ -0,0 +1,20 @@
+const Joi = require('joi');
+
+// Un point par vérification : pourcentage de supply contrôlé à cet instant
+const trackerHistorySchema = Joi.object({
+    chatId: Joi.string().required(),
+    trackerId: Joi.string().required(),
+    timestamp: Joi.number().required(),
+    supplyPercentage: Joi.number().required(),
+    createdAt: Joi.date().default(() => new Date())
+});
+
+function validateTrackerHistoryPoint(point) {
+    return trackerHistorySchema.validate(point, {
+        abortEarly: false,
+        stripUnknown: true,
+        convert: true
+    });
+}
+
+module.exports = { validateTrackerHistoryPoint };
@@ -0,0 +1,22 @@
+const Joi = require('joi');
+
+// Réglages des trackers communs à tout un chat
+const trackerSettingsSchema = Joi.object({
+    chatId: Joi.string().required(),
+    // Heures UTC pendant lesquelles aucune alerte n'est envoyée (fin exclue, peut passer minuit)
+    quietHours: Joi.object({
+        startHour: Joi.number().integer().min(0).max(23).required(),
+        endHour: Joi.number().integer().min(0).max(23).required()
+    }).allow(null).default(null),
+    lastUpdated: Joi.date().default(() => new Date())
+});
+
+function validateTrackerSettings(settings) {
+    return trackerSettingsSchema.validate(settings, {
+        abortEarly: false,
+        stripUnknown: true,
+        convert: true
+    });
+}
+
+module.exports = { validateTrackerSettings };
@@ -0,0 +1,54 @@
+const { getDatabase } = require('../config/connection');
+const { validateBonkfunPool } = require('../models/bonkfunPool');
+const logger = require('../../utils/logger');
+
+const COLLECTION_NAME = 'bonkfun_pools';
+
+class BonkfunPoolService {
+    static async getCollection() {
+        const db = await getDatabase();
+        return db.collection(COLLECTION_NAME);
+    }
+
+    /**
+     * @param {string} mint - Token mint address
+     * @returns {Promise<Object|null>} Registry entry or null if the mint is unknown
+     */
+    static async getPool(mint) {
+        try {
+            const collection = await this.getCollection();
+            return await collection.findOne({ mint });
+        } catch (error) {
+            logger.error(`Error fetching bonk.fun pool for ${mint}:`, error);
+            return null;
+        }
+    }
+
+    /**
+     * Saves or completes the registry entry of a mint. Null fields never overwrite known pools.
+     * @param {Object} pool - { mint, launchpadPoolId?, migratedPoolId?, migratedPoolType?, creator?, source }
+     */
+    static async savePool(pool) {
+        const { error, value } = validateBonkfunPool(pool);
+        if (error) {
+            throw new Error(`Invalid bonk.fun pool: ${error.details.map(d => d.message).join(', ')}`);
+        }
+
+        const { mint, createdAt, source, ...fields } = value;
+        const knownFields = Object.fromEntries(Object.entries(fields).filter(([_, fieldValue]) => fieldValue !== null));
+
+        const collection = await this.getCollection();
+        const result = await collection.findOneAndUpdate(
+            { mint },
+            {
+                $set: knownFields,
+                $setOnInsert: { createdAt, source }
+            },
+            { upsert: true, returnDocument: 'after' }
+        );
+        logger.debug(`Bonk.fun pool registry updated for ${mint}`, knownFields);
+        return result?.value || result;
+    }
+}
+
+module.exports = BonkfunPoolService;
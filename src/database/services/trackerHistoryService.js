@@ -0,0 +1,56 @@
+const { getDatabase } = require('../config/connection');
+const { validateTrackerHistoryPoint } = require('../models/trackerHistory');
+const logger = require('../../utils/logger');
+
+const COLLECTION_NAME = 'tracker_history';
+
+class TrackerHistoryService {
+    static async getCollection() {
+        const db = await getDatabase();
+        return db.collection(COLLECTION_NAME);
+    }
+
+    /**
+     * Record the supply percentage measured by a tracker check
+     * @param {string} chatId
+     * @param {string} trackerId
+     * @param {number} supplyPercentage
+     * @param {number} timestamp - Check time in ms
+     */
+    static async addPoint(chatId, trackerId, supplyPercentage, timestamp = Date.now()) {
+        const { error, value } = validateTrackerHistoryPoint({ chatId, trackerId, supplyPercentage, timestamp });
+        if (error) {
+            logger.warn(`Skipping invalid history point for tracker ${trackerId}: ${error.details[0].message}`);
+            return;
+        }
+
+        try {
+            const collection = await this.getCollection();
+            await collection.insertOne(value);
+        } catch (error) {
+            logger.error(`Error saving history point for tracker ${trackerId}:`, error);
+        }
+    }
+
+    /**
+     * @returns {Promise<Array<{timestamp: number, supplyPercentage: number}>>} Points in chronological order
+     */
+    static async getHistory(chatId, trackerId) {
+        const collection = await this.getCollection();
+        return collection
+            .find({ chatId, trackerId }, { projection: { _id: 0, timestamp: 1, supplyPercentage: 1 } })
+            .sort({ timestamp: 1 })
+            .toArray();
+    }
+
+    static async deleteHistory(chatId, trackerId) {
+        try {
+            const collection = await this.getCollection();
+            await collection.deleteMany({ chatId, trackerId });
+        } catch (error) {
+            logger.error(`Error deleting history of tracker ${trackerId}:`, error);
+        }
+    }
+}
+
+module.exports = TrackerHistoryService;
@@ -0,0 +1,159 @@
+const { getDatabase } = require('../config/connection');
+const { validateTracker } = require('../models/tracker');
+const logger = require('../../utils/logger');
+
+const COLLECTION_NAME = 'trackers';
+
+class TrackerService {
+    static async getCollection() {
+        const db = await getDatabase();
+        return db.collection(COLLECTION_NAME);
+    }
+
+    /**
+     * Create or replace a tracker document
+     * @param {Object} tracker - Serialized tracker (BigNumbers as strings)
+     * @returns {Promise<Object>} Validated tracker as stored
+     */
+    static async saveTracker(tracker) {
+        const { error, value } = validateTracker(tracker);
+        if (error) {
+            throw new Error(`Invalid tracker data: ${error.details.map(d => d.message).join(', ')}`);
+        }
+
+        const collection = await this.getCollection();
+        await collection.updateOne(
+            { chatId: value.chatId, trackerId: value.trackerId },
+            {
+                $set: value,
+                $setOnInsert: { createdAt: new Date(), leaseOwner: null, leaseExpiresAt: null }
+            },
+            { upsert: true }
+        );
+
+        logger.debug(`Tracker ${value.trackerId} saved for chat ${value.chatId}`);
+        return value;
+    }
+
+    /**
+     * Insert a tracker only if it doesn't exist yet (used for the legacy file import)
+     * @returns {Promise<boolean>} Whether the tracker was inserted
+     */
+    static async insertTrackerIfMissing(tracker) {
+        const { error, value } = validateTracker(tracker);
+        if (error) {
+            logger.warn(`Skipping invalid tracker ${tracker.trackerId}: ${error.details[0].message}`);
+            return false;
+        }
+
+        const collection = await this.getCollection();
+        const result = await collection.updateOne(
+            { chatId: value.chatId, trackerId: value.trackerId },
+            { $setOnInsert: { ...value, createdAt: new Date(), leaseOwner: null, leaseExpiresAt: null } },
+            { upsert: true }
+        );
+        return result.upsertedCount === 1;
+    }
+
+    /**
+     * Update the runtime state of a tracker (percentages, schedule, notifications)
+     * @param {string} chatId
+     * @param {string} trackerId
+     * @param {Object} state - Fields to set
+     */
+    static async updateTrackerState(chatId, trackerId, state) {
+        try {
+            const collection = await this.getCollection();
+            await collection.updateOne(
+                { chatId, trackerId },
+                { $set: { ...state, lastUpdated: new Date() } }
+            );
+        } catch (error) {
+            logger.error(`Error updating tracker ${trackerId} for chat ${chatId}:`, error);
+        }
+    }
+
+    /**
+     * Flag a tracker as warned about its upcoming expiry
+     * Only one process succeeds for a given expiry date, so the warning is sent once.
+     * @returns {Promise<boolean>} Whether the caller should send the warning
+     */
+    static async markExpiryWarned(chatId, trackerId) {
+        try {
+            const collection = await this.getCollection();
+            const result = await collection.updateOne(
+                { chatId, trackerId, expiryWarnedAt: null },
+                { $set: { expiryWarnedAt: Date.now(), lastUpdated: new Date() } }
+            );
+            return result.modifiedCount === 1;
+        } catch (error) {
+            logger.error(`Error flagging expiry warning for tracker ${trackerId}:`, error);
+            return false;
+        }
+    }
+
+    /**
+     * @returns {Promise<boolean>} Whether a document was actually removed
+     */
+    static async deleteTracker(chatId, trackerId) {
+        const collection = await this.getCollection();
+        const result = await collection.deleteOne({ chatId, trackerId });
+        return result.deletedCount === 1;
+    }
+
+    static async getAllTrackers() {
+        const collection = await this.getCollection();
+        return collection.find().toArray();
+    }
+
+    static async getTrackersByChat(chatId) {
+        const collection = await this.getCollection();
+        return collection.find({ chatId }).toArray();
+    }
+
+    /**
+     * Take or renew the polling lease of a tracker.
+     * The lease is granted if it is free, expired, or already held by this owner.
+     * @param {string} chatId
+     * @param {string} trackerId
+     * @param {string} owner - Identifier of the calling process
+     * @param {number} ttlMs - Lease duration
+     * @returns {Promise<boolean>} Whether the caller now holds the lease
+     */
+    static async acquireLease(chatId, trackerId, owner, ttlMs) {
+        try {
+            const collection = await this.getCollection();
+            const now = new Date();
+            const result = await collection.updateOne(
+                {
+                    chatId,
+                    trackerId,
+                    $or: [
+                        { leaseOwner: owner },
+                        { leaseOwner: null },
+                        { leaseExpiresAt: { $lte: now } }
+                    ]
+                },
+                { $set: { leaseOwner: owner, leaseExpiresAt: new Date(now.getTime() + ttlMs) } }
+            );
+            return result.matchedCount === 1;
+        } catch (error) {
+            logger.error(`Error acquiring lease on tracker ${trackerId}:`, error);
+            return false;
+        }
+    }
+
+    static async releaseLease(chatId, trackerId, owner) {
+        try {
+            const collection = await this.getCollection();
+            await collection.updateOne(
+                { chatId, trackerId, leaseOwner: owner },
+                { $set: { leaseOwner: null, leaseExpiresAt: null } }
+            );
+        } catch (error) {
+            logger.error(`Error releasing lease on tracker ${trackerId}:`, error);
+        }
+    }
+}
+
+module.exports = TrackerService;
@@ -0,0 +1,49 @@
+const { getDatabase } = require('../config/connection');
+const { validateTrackerSettings } = require('../models/trackerSettings');
+const logger = require('../../utils/logger');
+
+const COLLECTION_NAME = 'tracker_settings';
+
+class TrackerSettingsService {
+    static async getCollection() {
+        const db = await getDatabase();
+        return db.collection(COLLECTION_NAME);
+    }
+
+    /**
+     * @param {string} chatId
+     * @returns {Promise<{startHour: number, endHour: number}|null>}
+     */
+    static async getQuietHours(chatId) {
+        try {
+            const collection = await this.getCollection();
+            const settings = await collection.findOne({ chatId: chatId.toString() });
+            return settings?.quietHours || null;
+        } catch (error) {
+            logger.error(`Error fetching tracker settings for chat ${chatId}:`, error);
+            return null;
+        }
+    }
+
+    /**
+     * @param {string} chatId
+     * @param {{startHour: number, endHour: number}|null} quietHours - null disables quiet hours
+     */
+    static async setQuietHours(chatId, quietHours) {
+        const { error, value } = validateTrackerSettings({ chatId: chatId.toString(), quietHours });
+        if (error) {
+            throw new Error(`Invalid tracker settings: ${error.details.map(d => d.message).join(', ')}`);
+        }
+
+        const collection = await this.getCollection();
+        await collection.updateOne(
+            { chatId: value.chatId },
+            { $set: value },
+            { upsert: true }
+        );
+        logger.debug(`Quiet hours updated for chat ${value.chatId}`, { quietHours: value.quietHours });
+        return value;
+    }
+}
+
+module.exports = TrackerSettingsService;
@@ -121,6 +121,36 @@ async function updateIndexes(db) {
                     { key: { lastUsed: -1 }, options: {} },
                     { key: { 'dailyStats.date': 1 }, options: {} }
                 ]
+            },
+            trackers: {
+                collection: db.collection("trackers"),
+                indexes: [
+                    { key: { chatId: 1, trackerId: 1 }, options: { unique: true } },
+                    { key: { tokenAddress: 1 }, options: {} },
+                    { key: { leaseExpiresAt: 1 }, options: {} }
+                ]
+            },
+            tracker_history: {
+                collection: db.collection("tracker_history"),
+                indexes: [
+                    { key: { chatId: 1, trackerId: 1, timestamp: 1 }, options: {} },
+                    // Filet de sécurité pour l'historique des trackers supprimés sans nettoyage
+                    { key: { createdAt: 1 }, options: { expireAfterSeconds: 30 * 24 * 60 * 60 } }
+                ]
+            },
+            tracker_settings: {
+                collection: db.collection("tracker_settings"),
+                indexes: [
+                    { key: { chatId: 1 }, options: { unique: true } }
+                ]
+            },
+            bonkfun_pools: {
+                collection: db.collection("bonkfun_pools"),
+                indexes: [
+                    { key: { mint: 1 }, options: { unique: true } },
+                    { key: { launchpadPoolId: 1 }, options: {} },
+                    { key: { migratedPoolId: 1 }, options: {} }
+                ]
             }
         };
 
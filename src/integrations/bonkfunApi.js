@@ -1,17 +1,12 @@
 const logger = require('../utils/logger');
 const { PublicKey } = require('@solana/web3.js');
+const { resolveBonkfunPools } = require('../tools/bonkfunPoolRegistry');
 
 class BonkFunApi {
     constructor() {
         // Bonk.fun uses Raydium Launchpad Authority
         this.BONKFUN_AUTHORITY = new PublicKey('WLHv2UAZm6z4KyaaELi5pjdbJh6RESMva1Rnn8pJVVh');
         this.RAYDIUM_API_BASE = 'https://launch-history-v1.raydium.io';
-        
-        // Raydium program addresses
-        this.RAYDIUM_AMM_PROGRAM = new PublicKey('675kPX9MHTjS2zt1qfr1NYHuzeLXfQM9H24wFSUt1Mp8');
-        this.RAYDIUM_CONFIG = new PublicKey('E64NGkDLLCdQ2yFNPcavaKptrEgmiQaNykUuLC1Qgwyp');
-        this.SOL_MINT = new PublicKey('So11111111111111111111111111111111111111112');
-        this.WSOL_MINT = new PublicKey('So11111111111111111111111111111111111111112');
     }
 
     async isBonkfunToken(tokenMint) {
@@ -34,38 +29,13 @@ class BonkFunApi {
         }
     }
 
+    // Pools come from the bonk.fun pool registry (LaunchLab PDA, then migrated Raydium pool)
     async derivePoolId(tokenMint) {
         try {
-            // Method 1: Try with getPdaPoolId (if you have raydium SDK)
-            try {
-                const { getPdaPoolId } = require('@raydium-io/raydium-sdk');
-                const { publicKey: poolId } = await getPdaPoolId(
-                    this.RAYDIUM_AMM_PROGRAM,
-                    this.RAYDIUM_CONFIG,
-                    tokenMint,
-                    this.SOL_MINT
-                );
-                return poolId.toBase58();
-            } catch (sdkError) {
-                logger.debug('Raydium SDK not available, using manual derivation');
-            }
-
-            // Method 2: Manual PDA derivation
-            const seeds = [
-                Buffer.from('pool'),
-                this.RAYDIUM_AMM_PROGRAM.toBuffer(),
-                tokenMint.toBuffer(),
-                this.SOL_MINT.toBuffer()
-            ];
-            
-            const [poolId] = await PublicKey.findProgramAddress(
-                seeds,
-                this.RAYDIUM_AMM_PROGRAM
-            );
-            
-            return poolId.toBase58();
+            const pools = await resolveBonkfunPools(tokenMint.toString(), 'bonkfun', 'derivePoolId');
+            return pools?.launchpadPoolId || pools?.migratedPoolId || null;
         } catch (error) {
-            logger.error('Error deriving pool ID:', error);
+            logger.error('Error resolving pool ID:', error);
             return null;
         }
     }
@@ -36,6 +36,14 @@ class DexScreenerApi {
         }
     }
 
+    // Every pair of the token, most liquid first (pairAddress, dexId, baseToken, quoteToken, pairCreatedAt...)
+    async getTokenPairs(tokenAddress, mainContext = 'default', subContext = null) {
+        ApiCallCounter.incrementCall('DexScreener', 'getTokenPairs', mainContext, subContext);
+
+        const response = await this.fetchDexScreenerData(`tokens/${tokenAddress}`);
+        return response.data?.pairs || [];
+    }
+
     async getSolPrice(mainContext = 'default', subContext = null) {
         ApiCallCounter.incrementCall('DexScreener', 'getSolPrice', mainContext, subContext);
     
@@ -140,6 +148,7 @@ class DexScreenerApi {
                 liquidityUsd: parseFloat(pair.liquidity.usd),
                 fdv: parseFloat(pair.fdv),
                 dexId: pair.dexId,
+                pairAddress: pair.pairAddress,
                 pairCreatedAt: pair.pairCreatedAt,
                 priceChange: pair.priceChange,
                 txns: pair.txns,
@@ -312,6 +312,15 @@ class PumpFunApi {
         return this.fetchData(url, 'getCreatedCoins', mainContext, subContext);
     }
 
+    async getCoinInfo(mint, mainContext = 'default', subContext = null) {
+        if (!mint) {
+            throw new Error("Mint is required");
+        }
+
+        const url = `${this.baseUrl}/coins/${mint}`;
+        return this.fetchData(url, 'getCoinInfo', mainContext, subContext);
+    }
+
     async getAllTrades(address, limit = 200, offset = 0, minimumSize = 0, mainContext = 'default', subContext = null) {
         if (!address) {
             throw new Error("Address is required");
@@ -5,6 +5,19 @@ const ApiCallCounter = require('../utils/ApiCallCounter');
 const BigNumber = require('bignumber.js');
 const logger = require('../utils/logger');
 
+const TOKEN_PROGRAM_ID = 'TokenkegQfeZyiNwAJbNbGKPFXCWuBvf9Ss623VQ5DA';
+const ASSOCIATED_TOKEN_PROGRAM_ID = 'ATokenGPvbdGVxr1b2hvZbsiqW5xWH25efTNsLJA8knL';
+
+// getMultipleAccounts accepts at most 100 accounts per request
+const MAX_ACCOUNTS_PER_REQUEST = 100;
+const MAX_SIGNATURES_PER_STATUS_REQUEST = 256;
+const MAX_CACHED_TOKEN_ACCOUNTS = 20000;
+
+// Shared by every SolanaApi instance: a mint's token program and its associated
+// token accounts never change, so they are only looked up / derived once.
+const mintTokenProgramCache = new Map();
+const associatedTokenAccountCache = new Map();
+
 class SolanaApi {
   constructor() {
     if (!config.HELIUS_RPC_URL) {
@@ -431,7 +444,8 @@ async getTokenAccountsByOwner(walletAddress, tokenAddress, mainContext = 'defaul
               return await makeRequest({
                   limit: maxLimit,
                   ...options.commitment && { commitment: options.commitment },
-                  ...options.until && { until: options.until }
+                  ...options.until && { until: options.until },
+                  ...options.before && { before: options.before }
               });
           }
 
@@ -485,6 +499,30 @@ async getTokenAccountsByOwner(walletAddress, tokenAddress, mainContext = 'defaul
   }
   
   
+  /**
+   * Signatures of a block, in execution order (no transaction details).
+   * @returns {Promise<string[]|null>} null when the slot was skipped or is not available
+   */
+  async getBlockSignatures(slot, mainContext = 'default', subContext = null) {
+    const result = await this.callHelius(
+      'getBlock',
+      [slot, { transactionDetails: 'signatures', rewards: false, maxSupportedTransactionVersion: 0 }],
+      'rpc',
+      mainContext,
+      subContext
+    );
+    return Array.isArray(result?.signatures) ? result.signatures : null;
+  }
+
+  /**
+   * Accounts owned by a program, narrowed by the given filters (dataSize, memcmp).
+   * @returns {Promise<Array<{pubkey: string, account: Object}>>}
+   */
+  async getProgramAccounts(programId, config = { encoding: 'base64' }, mainContext = 'default', subContext = null) {
+    const result = await this.callHelius('getProgramAccounts', [programId, config], 'rpc', mainContext, subContext);
+    return Array.isArray(result) ? result : [];
+  }
+
   async getBalance(address, mainContext = 'default', subContext = null) {
     const result = await this.callHelius('getBalance', [address], 'rpc', mainContext, subContext);
     if (result === null || result.value === undefined) {
@@ -529,6 +567,118 @@ async getTokenAccountsByOwner(walletAddress, tokenAddress, mainContext = 'defaul
     return result;
   }
 
+  /**
+   * Derives the associated token account of `owner` for `mint`. No RPC call involved.
+   */
+  getAssociatedTokenAddress(owner, mint, tokenProgramId = TOKEN_PROGRAM_ID) {
+    const tokenProgram = new PublicKey(tokenProgramId);
+    const [address] = PublicKey.findProgramAddressSync(
+      [new PublicKey(owner).toBuffer(), tokenProgram.toBuffer(), new PublicKey(mint).toBuffer()],
+      new PublicKey(ASSOCIATED_TOKEN_PROGRAM_ID)
+    );
+    return address.toBase58();
+  }
+
+  /**
+   * Derives the associated token account of every owner for `mint`.
+   * The mint's token program is fetched once per process, derivations are cached.
+   * @returns {Promise<Map<string, string>>} owner -> token account (invalid owners are skipped)
+   */
+  async getAssociatedTokenAddresses(owners, mint, mainContext = 'default', subContext = null) {
+    let tokenProgram = mintTokenProgramCache.get(mint);
+    if (!tokenProgram) {
+      const accountInfo = await this.getAccountInfo(mint, { encoding: 'jsonParsed' }, mainContext, subContext);
+      tokenProgram = accountInfo?.value?.owner || TOKEN_PROGRAM_ID;
+      // Only cache a real answer, a failed lookup falls back to SPL Token for this call only
+      if (accountInfo?.value?.owner) mintTokenProgramCache.set(mint, tokenProgram);
+    }
+
+    const tokenAccounts = new Map();
+    for (const owner of owners) {
+      const cacheKey = `${owner}:${mint}`;
+      let tokenAccount = associatedTokenAccountCache.get(cacheKey);
+      if (!tokenAccount) {
+        try {
+          tokenAccount = this.getAssociatedTokenAddress(owner, mint, tokenProgram);
+        } catch (error) {
+          logger.warn(`Cannot derive token account for invalid owner ${owner}`);
+          continue;
+        }
+        if (associatedTokenAccountCache.size >= MAX_CACHED_TOKEN_ACCOUNTS) {
+          associatedTokenAccountCache.delete(associatedTokenAccountCache.keys().next().value);
+        }
+        associatedTokenAccountCache.set(cacheKey, tokenAccount);
+      }
+      tokenAccounts.set(owner, tokenAccount);
+    }
+    return tokenAccounts;
+  }
+
+  /**
+   * Fetches accounts in chunks of 100 with getMultipleAccounts.
+   * Throws if a chunk fails, so callers never mistake a failed read for empty accounts.
+   * @returns {Promise<Array<Object|null>>} Accounts in the order of `addresses` (null = account does not exist)
+   */
+  async getMultipleAccounts(addresses, config = { encoding: 'jsonParsed', commitment: 'confirmed' }, mainContext = 'default', subContext = null) {
+    const accounts = [];
+    for (let i = 0; i < addresses.length; i += MAX_ACCOUNTS_PER_REQUEST) {
+      const chunk = addresses.slice(i, i + MAX_ACCOUNTS_PER_REQUEST);
+      const result = await this.callHelius('getMultipleAccounts', [chunk, config], 'rpc', mainContext, subContext);
+      if (!result || !Array.isArray(result.value) || result.value.length !== chunk.length) {
+        throw new Error(`getMultipleAccounts failed for ${chunk.length} accounts`);
+      }
+      accounts.push(...result.value);
+    }
+    return accounts;
+  }
+
+  /**
+   * Statuses of many signatures (slot, confirmation, error), 256 per request.
+   * Old signatures need searchTransactionHistory, which is the default here.
+   * @returns {Promise<Array<Object|null>>} one status per signature, null when unknown
+   */
+  async getSignatureStatuses(signatures, mainContext = 'default', subContext = null) {
+    const statuses = [];
+    for (let i = 0; i < signatures.length; i += MAX_SIGNATURES_PER_STATUS_REQUEST) {
+      const chunk = signatures.slice(i, i + MAX_SIGNATURES_PER_STATUS_REQUEST);
+      const result = await this.callHelius(
+        'getSignatureStatuses',
+        [chunk, { searchTransactionHistory: true }],
+        'rpc',
+        mainContext,
+        subContext
+      );
+      if (!result || !Array.isArray(result.value) || result.value.length !== chunk.length) {
+        throw new Error(`getSignatureStatuses failed for ${chunk.length} signatures`);
+      }
+      statuses.push(...result.value);
+    }
+    return statuses;
+  }
+
+  /**
+   * Reads the balance of `mint` for many owners at once: associated token accounts are
+   * derived locally then fetched with getMultipleAccounts (1 request per 100 owners
+   * instead of one getTokenAccountsByOwner per owner).
+   * Only the associated token account is read: tokens an owner keeps in another token
+   * account are not counted. Such accounts are rare for the wallets we follow, and looking
+   * them up would cost one getTokenAccountsByOwner per owner without an associated account,
+   * which is every owner that sold out and closed it.
+   * @returns {Promise<Map<string, BigNumber>>} owner -> raw amount (0 when the account does not exist)
+   */
+  async getTokenBalancesByOwners(owners, mint, mainContext = 'default', subContext = null) {
+    const tokenAccounts = await this.getAssociatedTokenAddresses(owners, mint, mainContext, subContext);
+    const entries = Array.from(tokenAccounts.entries());
+    const accounts = await this.getMultipleAccounts(entries.map(([, tokenAccount]) => tokenAccount), undefined, mainContext, subContext);
+
+    const balances = new Map();
+    entries.forEach(([owner], index) => {
+      const amount = accounts[index]?.data?.parsed?.info?.tokenAmount?.amount || '0';
+      balances.set(owner, new BigNumber(amount));
+    });
+    return balances;
+  }
+
   async getAccountInfo(address, config = { encoding: 'jsonParsed' }, mainContext = 'default', subContext = null) {
     const response = await this.callHelius('getAccountInfo', [address, config], 'rpc', mainContext, subContext);
     if (!response || response.value === undefined) {
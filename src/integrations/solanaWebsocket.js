@@ -0,0 +1,225 @@
+const WebSocket = require('ws');
+const EventEmitter = require('events');
+const logger = require('../utils/logger');
+
+const INITIAL_RECONNECT_DELAY = 1000;
+const MAX_RECONNECT_DELAY = 30000;
+const PING_INTERVAL = 30000;
+const REQUEST_TIMEOUT = 10000;
+
+const UNSUBSCRIBE_METHODS = {
+  accountSubscribe: 'accountUnsubscribe',
+  logsSubscribe: 'logsUnsubscribe'
+};
+
+/**
+ * Minimal Solana JSON-RPC websocket client (accountSubscribe / logsSubscribe).
+ *
+ * Subscriptions do not survive a disconnection: the client emits `disconnected`,
+ * reconnects with exponential backoff and emits `connected` again. Callers are
+ * expected to resubscribe (and resync their state) once connected.
+ *
+ * Events: `connected`, `disconnected`, `error`.
+ */
+class SolanaWebsocketClient extends EventEmitter {
+  /**
+   * @param {string} url - Websocket RPC endpoint (wss://...)
+   * @param {Object} options
+   * @param {boolean} options.autoReconnect - Reconnect after an unexpected close (default true)
+   * @param {number} options.requestTimeout - Timeout for subscribe/unsubscribe requests in ms
+   */
+  constructor(url, options = {}) {
+    super();
+    if (!url) throw new Error('Websocket URL is required');
+
+    this.url = url;
+    this.autoReconnect = options.autoReconnect !== false;
+    this.requestTimeout = options.requestTimeout || REQUEST_TIMEOUT;
+
+    this.ws = null;
+    this.nextRequestId = 1;
+    this.pendingRequests = new Map();   // requestId -> { resolve, reject, timer }
+    this.subscriptions = new Map();     // serverSubscriptionId -> { method, callback }
+    this.reconnectDelay = INITIAL_RECONNECT_DELAY;
+    this.reconnectTimer = null;
+    this.pingTimer = null;
+    this.closedByUser = false;
+  }
+
+  isConnected() {
+    return !!this.ws && this.ws.readyState === WebSocket.OPEN;
+  }
+
+  /**
+   * Opens the socket. Resolves once connected.
+   */
+  connect() {
+    this.closedByUser = false;
+    if (this.isConnected()) return Promise.resolve();
+
+    return new Promise((resolve, reject) => {
+      const ws = new WebSocket(this.url);
+      this.ws = ws;
+
+      ws.once('open', () => {
+        this.reconnectDelay = INITIAL_RECONNECT_DELAY;
+        this.startPing();
+        logger.info('Solana websocket connected');
+        this.emit('connected');
+        resolve();
+      });
+
+      ws.on('message', data => this.handleMessage(data));
+
+      ws.on('error', error => {
+        logger.error('Solana websocket error:', error.message);
+        if (this.listenerCount('error') > 0) this.emit('error', error);
+        if (ws.readyState !== WebSocket.OPEN) reject(error);
+      });
+
+      ws.on('close', () => this.handleClose(ws));
+    });
+  }
+
+  /**
+   * @param {string} address - Account to watch
+   * @param {Function} callback - Called with the notification value ({ lamports, data, ... })
+   * @param {Object} config - accountSubscribe config
+   * @returns {Promise<number>} Subscription id
+   */
+  accountSubscribe(address, callback, config = { encoding: 'jsonParsed', commitment: 'confirmed' }) {
+    return this.subscribe('accountSubscribe', [address, config], callback);
+  }
+
+  /**
+   * @param {string} address - Address that must be mentioned by the transaction
+   * @param {Function} callback - Called with the notification value ({ signature, err, logs })
+   * @returns {Promise<number>} Subscription id
+   */
+  logsSubscribe(address, callback, commitment = 'confirmed') {
+    return this.subscribe('logsSubscribe', [{ mentions: [address] }, { commitment }], callback);
+  }
+
+  async subscribe(method, params, callback) {
+    const subscriptionId = await this.request(method, params);
+    this.subscriptions.set(subscriptionId, { method, callback });
+    return subscriptionId;
+  }
+
+  async unsubscribe(subscriptionId) {
+    const subscription = this.subscriptions.get(subscriptionId);
+    if (!subscription) return false;
+
+    this.subscriptions.delete(subscriptionId);
+    if (!this.isConnected()) return true;
+
+    try {
+      await this.request(UNSUBSCRIBE_METHODS[subscription.method], [subscriptionId]);
+    } catch (error) {
+      logger.warn(`Failed to unsubscribe ${subscriptionId}: ${error.message}`);
+    }
+    return true;
+  }
+
+  /**
+   * Closes the socket for good (no reconnection).
+   */
+  close() {
+    this.closedByUser = true;
+    clearTimeout(this.reconnectTimer);
+    if (this.ws) this.ws.close();
+  }
+
+  request(method, params) {
+    if (!this.isConnected()) {
+      return Promise.reject(new Error('Solana websocket is not connected'));
+    }
+
+    const id = this.nextRequestId++;
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        this.pendingRequests.delete(id);
+        reject(new Error(`${method} timed out`));
+      }, this.requestTimeout);
+
+      this.pendingRequests.set(id, { resolve, reject, timer });
+      this.ws.send(JSON.stringify({ jsonrpc: '2.0', id, method, params }));
+    });
+  }
+
+  handleMessage(data) {
+    let message;
+    try {
+      message = JSON.parse(data.toString());
+    } catch (error) {
+      logger.warn('Invalid message received on Solana websocket');
+      return;
+    }
+
+    // Response to one of our requests
+    if (message.id !== undefined && this.pendingRequests.has(message.id)) {
+      const { resolve, reject, timer } = this.pendingRequests.get(message.id);
+      clearTimeout(timer);
+      this.pendingRequests.delete(message.id);
+      if (message.error) {
+        reject(new Error(message.error.message || 'RPC error'));
+      } else {
+        resolve(message.result);
+      }
+      return;
+    }
+
+    // Subscription notification
+    if (message.method && message.params) {
+      const subscription = this.subscriptions.get(message.params.subscription);
+      if (!subscription) return;
+      try {
+        subscription.callback(message.params.result?.value, message.params.result?.context);
+      } catch (error) {
+        logger.error(`Error in ${message.method} handler:`, error);
+      }
+    }
+  }
+
+  handleClose(ws) {
+    if (ws !== this.ws) return;
+
+    clearInterval(this.pingTimer);
+    for (const { reject, timer } of this.pendingRequests.values()) {
+      clearTimeout(timer);
+      reject(new Error('Solana websocket closed'));
+    }
+    this.pendingRequests.clear();
+    this.subscriptions.clear();
+    this.ws = null;
+
+    logger.warn('Solana websocket disconnected');
+    this.emit('disconnected');
+
+    if (this.autoReconnect && !this.closedByUser) {
+      this.scheduleReconnect();
+    }
+  }
+
+  scheduleReconnect() {
+    clearTimeout(this.reconnectTimer);
+    const delay = this.reconnectDelay;
+    this.reconnectDelay = Math.min(this.reconnectDelay * 2, MAX_RECONNECT_DELAY);
+
+    logger.debug(`Reconnecting Solana websocket in ${delay}ms`);
+    this.reconnectTimer = setTimeout(() => {
+      this.connect().catch(() => {
+        // The close handler schedules the next attempt
+      });
+    }, delay);
+  }
+
+  startPing() {
+    clearInterval(this.pingTimer);
+    this.pingTimer = setInterval(() => {
+      if (this.isConnected()) this.ws.ping();
+    }, PING_INTERVAL);
+  }
+}
+
+module.exports = SolanaWebsocketClient;
@@ -0,0 +1,104 @@
+const BigNumber = require('bignumber.js');
+const {
+  parseAlertRulesInput,
+  isInQuietHours,
+  isInCooldown,
+  recordRecentPoint,
+  evaluateAlertRules
+} = require('../../tools/alertRules');
+
+const createTracker = (overrides = {}) => ({
+  initialSupplyPercentage: new BigNumber(10),
+  significantChangeThreshold: new BigNumber(2),
+  alertRules: {},
+  levelState: null,
+  recentPoints: [],
+  lastNotifiedAt: null,
+  ...overrides
+});
+
+describe('alertRules', () => {
+  describe('parseAlertRulesInput', () => {
+    it('should keep accepting a plain threshold', () => {
+      expect(parseAlertRulesInput('2.5%')).toMatchObject({ threshold: 2.5, rules: {}, errors: [] });
+    });
+
+    it('should parse combined rules', () => {
+      const result = parseAlertRulesInput('1 floor 5 ceiling 40 rate 2/10 cooldown 1h quiet 22-7');
+
+      expect(result.errors).toEqual([]);
+      expect(result.threshold).toBe(1);
+      expect(result.rules).toEqual({
+        floor: 5,
+        ceiling: 40,
+        rateOfChange: { percent: 2, minutes: 10 },
+        cooldownMinutes: 60
+      });
+      expect(result.quietHours).toEqual({ startHour: 22, endHour: 7 });
+    });
+
+    it('should report invalid rules', () => {
+      const result = parseAlertRulesInput('floor 50 ceiling 10 rate 2 banana');
+
+      expect(result.errors).toHaveLength(3);
+    });
+
+    it('should disable quiet hours with "quiet off"', () => {
+      expect(parseAlertRulesInput('quiet off').quietHours).toBeNull();
+    });
+  });
+
+  describe('evaluateAlertRules', () => {
+    it('should alert on the change threshold against the baseline', () => {
+      const { alerts } = evaluateAlertRules(createTracker(), new BigNumber(7.5));
+
+      expect(alerts.map(alert => alert.type)).toEqual(['threshold']);
+    });
+
+    it('should alert once when crossing the floor', () => {
+      const tracker = createTracker({ alertRules: { floor: 9 } });
+
+      const first = evaluateAlertRules(tracker, new BigNumber(8.5));
+      expect(first.alerts.map(alert => alert.type)).toEqual(['floor']);
+      expect(first.levelState).toBe('below');
+
+      tracker.levelState = first.levelState;
+      expect(evaluateAlertRules(tracker, new BigNumber(8.4)).alerts).toEqual([]);
+    });
+
+    it('should alert on a fast move within the rate window', () => {
+      const now = Date.now();
+      const tracker = createTracker({
+        significantChangeThreshold: new BigNumber(50),
+        alertRules: { rateOfChange: { percent: 2, minutes: 10 } }
+      });
+
+      recordRecentPoint(tracker, 10, now - 20 * 60 * 1000);
+      recordRecentPoint(tracker, 10, now - 5 * 60 * 1000);
+      recordRecentPoint(tracker, 12.5, now);
+
+      // The point older than the window is dropped
+      expect(tracker.recentPoints).toHaveLength(2);
+      expect(evaluateAlertRules(tracker, new BigNumber(12.5)).alerts.map(alert => alert.type)).toEqual(['rate']);
+    });
+  });
+
+  describe('notification windows', () => {
+    it('should detect quiet hours spanning midnight', () => {
+      const quietHours = { startHour: 22, endHour: 7 };
+
+      expect(isInQuietHours(quietHours, Date.UTC(2024, 0, 1, 23))).toBe(true);
+      expect(isInQuietHours(quietHours, Date.UTC(2024, 0, 1, 6))).toBe(true);
+      expect(isInQuietHours(quietHours, Date.UTC(2024, 0, 1, 12))).toBe(false);
+      expect(isInQuietHours(null, Date.UTC(2024, 0, 1, 23))).toBe(false);
+    });
+
+    it('should hold alerts during the cooldown', () => {
+      const now = Date.now();
+      const tracker = createTracker({ alertRules: { cooldownMinutes: 15 }, lastNotifiedAt: now - 5 * 60 * 1000 });
+
+      expect(isInCooldown(tracker, now)).toBe(true);
+      expect(isInCooldown(tracker, now + 11 * 60 * 1000)).toBe(false);
+    });
+  });
+});
@@ -0,0 +1,153 @@
+const mockBonkfunPoolService = { getPool: jest.fn(), savePool: jest.fn() };
+jest.mock('../../database', () => ({ BonkfunPoolService: mockBonkfunPoolService }));
+const mockGetAccountInfo = jest.fn();
+const mockGetProgramAccounts = jest.fn();
+jest.mock('../../integrations/solanaApi', () => ({
+  getSolanaApi: () => ({ getAccountInfo: mockGetAccountInfo, getProgramAccounts: mockGetProgramAccounts })
+}));
+
+const { Keypair, PublicKey } = require('@solana/web3.js');
+const { LAUNCHLAB_PROGRAM, deriveLaunchpadPoolId, decodeLaunchpadPoolCreator, findCreatorPools, resolveBonkfunPools } = require('../../tools/bonkfunPoolRegistry');
+
+const raydiumResponse = pools => ({ ok: true, json: async () => ({ success: true, data: { data: pools } }) });
+
+// LaunchLab pool state with its status at offset 17, its base mint at offset 205 and its creator at offset 333
+const poolState = (mint, creator, status = 0) => {
+  const data = Buffer.alloc(429);
+  data[17] = status;
+  new PublicKey(mint).toBuffer().copy(data, 205);
+  new PublicKey(creator).toBuffer().copy(data, 333);
+  return data;
+};
+const poolAccount = data => ({ value: { owner: LAUNCHLAB_PROGRAM.toBase58(), data: [data.toString('base64'), 'base64'] } });
+
+describe('resolveBonkfunPools', () => {
+  const mint = Keypair.generate().publicKey.toBase58();
+  const launchpadPoolId = deriveLaunchpadPoolId(mint);
+  const creator = Keypair.generate().publicKey.toBase58();
+
+  beforeEach(() => {
+    mockBonkfunPoolService.getPool.mockReset().mockResolvedValue(null);
+    mockBonkfunPoolService.savePool.mockReset().mockResolvedValue();
+    mockGetAccountInfo.mockReset().mockResolvedValue(poolAccount(poolState(mint, creator)));
+    global.fetch = jest.fn().mockResolvedValue(raydiumResponse([]));
+  });
+
+  afterEach(() => {
+    delete global.fetch;
+  });
+
+  test('a registry entry with its migrated pool needs no lookup', async () => {
+    mockBonkfunPoolService.getPool.mockResolvedValue({ mint, launchpadPoolId, migratedPoolId: 'cpmmPool', migratedPoolType: 'cpmm', creator });
+
+    const pools = await resolveBonkfunPools(mint);
+
+    expect(pools).toEqual({ mint, launchpadPoolId, migratedPoolId: 'cpmmPool', migratedPoolType: 'cpmm', creator });
+    expect(mockGetAccountInfo).not.toHaveBeenCalled();
+    expect(global.fetch).not.toHaveBeenCalled();
+    expect(mockBonkfunPoolService.savePool).not.toHaveBeenCalled();
+  });
+
+  test('an unknown mint is checked on-chain once and saved with its creator and migrated pool', async () => {
+    global.fetch.mockResolvedValueOnce(raydiumResponse([{ id: 'cpmmPool' }]));
+
+    const pools = await resolveBonkfunPools(mint);
+
+    expect(mockGetAccountInfo).toHaveBeenCalledWith(launchpadPoolId, { encoding: 'base64' }, 'default', 'bonkfunPools');
+    expect(pools).toEqual({ mint, launchpadPoolId, migratedPoolId: 'cpmmPool', migratedPoolType: 'cpmm', creator });
+    expect(mockBonkfunPoolService.savePool).toHaveBeenCalledWith(
+      { mint, launchpadPoolId, migratedPoolId: null, migratedPoolType: null, creator, source: 'pda' }
+    );
+    expect(mockBonkfunPoolService.savePool).toHaveBeenCalledWith(
+      { mint, migratedPoolId: 'cpmmPool', migratedPoolType: 'cpmm', source: 'raydium_api' }
+    );
+  });
+
+  test('the AMM pool is looked up when there is no CPMM pool', async () => {
+    global.fetch
+      .mockResolvedValueOnce(raydiumResponse([]))
+      .mockResolvedValueOnce(raydiumResponse([{ id: 'ammPool' }]));
+
+    const pools = await resolveBonkfunPools(mint);
+
+    expect(pools).toMatchObject({ migratedPoolId: 'ammPool', migratedPoolType: 'amm' });
+  });
+
+  test('a cached launchpad pool keeps looking for its migration without saving a miss', async () => {
+    mockBonkfunPoolService.getPool.mockResolvedValue({ mint, launchpadPoolId, migratedPoolId: null, creator });
+
+    const pools = await resolveBonkfunPools(mint);
+
+    expect(pools).toEqual({ mint, launchpadPoolId, migratedPoolId: null, migratedPoolType: null, creator });
+    expect(mockGetAccountInfo).not.toHaveBeenCalled();
+    expect(global.fetch).toHaveBeenCalledTimes(2);
+    expect(mockBonkfunPoolService.savePool).not.toHaveBeenCalled();
+  });
+
+  test('a cached entry without creator reads it from the pool state once', async () => {
+    mockBonkfunPoolService.getPool.mockResolvedValue({ mint, launchpadPoolId, migratedPoolId: 'cpmmPool', migratedPoolType: 'cpmm' });
+
+    const pools = await resolveBonkfunPools(mint);
+
+    expect(pools.creator).toBe(creator);
+    expect(mockBonkfunPoolService.savePool).toHaveBeenCalledWith({ mint, creator, source: 'pda' });
+  });
+
+  test('the creator is only read from a pool state of the expected mint', () => {
+    const otherMint = Keypair.generate().publicKey.toBase58();
+
+    expect(decodeLaunchpadPoolCreator(poolState(mint, creator), mint)).toBe(creator);
+    expect(decodeLaunchpadPoolCreator(poolState(otherMint, creator), mint)).toBeNull();
+    expect(decodeLaunchpadPoolCreator(Buffer.alloc(100), mint)).toBeNull();
+  });
+
+  test('a mint without a LaunchLab pool is not a bonk.fun token', async () => {
+    mockGetAccountInfo.mockResolvedValue({ value: { owner: '11111111111111111111111111111111' } });
+
+    await expect(resolveBonkfunPools(mint)).resolves.toBeNull();
+    await expect(resolveBonkfunPools('not-a-mint')).resolves.toBeNull();
+    expect(mockBonkfunPoolService.savePool).not.toHaveBeenCalled();
+  });
+
+  test('a failed registry write does not fail the lookup', async () => {
+    mockBonkfunPoolService.savePool.mockRejectedValue(new Error('db down'));
+
+    await expect(resolveBonkfunPools(mint)).resolves.toMatchObject({ launchpadPoolId });
+  });
+});
+
+describe('findCreatorPools', () => {
+  const creator = Keypair.generate().publicKey.toBase58();
+  const mint = Keypair.generate().publicKey.toBase58();
+  const bondedMint = Keypair.generate().publicKey.toBase58();
+  const programAccount = (pubkey, data) => ({ pubkey, account: { owner: LAUNCHLAB_PROGRAM.toBase58(), data: [data.toString('base64'), 'base64'] } });
+
+  beforeEach(() => {
+    mockBonkfunPoolService.savePool.mockReset().mockResolvedValue();
+    mockGetProgramAccounts.mockReset();
+  });
+
+  test('lists every SOL pool of a creator from one query on the creator field', async () => {
+    mockGetProgramAccounts.mockResolvedValue([
+      programAccount(deriveLaunchpadPoolId(mint), poolState(mint, creator)),
+      programAccount(deriveLaunchpadPoolId(bondedMint), poolState(bondedMint, creator, 2)),
+      // Pool quoted in another token: its address is not the SOL pool of the mint
+      programAccount(Keypair.generate().publicKey.toBase58(), poolState(Keypair.generate().publicKey.toBase58(), creator))
+    ]);
+
+    const pools = await findCreatorPools(creator, 'test', 'test');
+
+    expect(mockGetProgramAccounts).toHaveBeenCalledTimes(1);
+    expect(mockGetProgramAccounts.mock.calls[0][1].filters).toEqual([
+      { dataSize: 429 },
+      { memcmp: { offset: 333, bytes: creator } }
+    ]);
+    expect(pools).toEqual([
+      { mint, launchpadPoolId: deriveLaunchpadPoolId(mint), bondingComplete: false },
+      { mint: bondedMint, launchpadPoolId: deriveLaunchpadPoolId(bondedMint), bondingComplete: true }
+    ]);
+    expect(mockBonkfunPoolService.savePool).toHaveBeenCalledWith(
+      { mint, launchpadPoolId: deriveLaunchpadPoolId(mint), creator, source: 'pda' }
+    );
+  });
+});
@@ -0,0 +1,134 @@
+const mockGetSignaturesForAddress = jest.fn();
+const mockGetTransaction = jest.fn();
+jest.mock('../../integrations/solanaApi', () => ({
+  getSolanaApi: () => ({ getSignaturesForAddress: mockGetSignaturesForAddress, getTransaction: mockGetTransaction })
+}));
+const mockGetTokenEvents = jest.fn();
+jest.mock('../../integrations/definedApi', () => ({ getTokenEvents: mockGetTokenEvents }));
+
+const mockGetTokenPairs = jest.fn();
+jest.mock('../../integrations/dexScreenerApi', () => ({ getTokenPairs: (...args) => mockGetTokenPairs(...args) }));
+
+const bundleAnalyzer = require('../../analysis/bundle');
+
+const MINT = 'Mint111111111111111111111111111111111111111';
+const POOL = 'Pool111111111111111111111111111111111111111';
+const PAIR = { pairAddress: POOL, pairCreatedAt: 1700000000000 };
+const WSOL = 'So11111111111111111111111111111111111111112';
+const USDC = 'EPjFWdd5AufqSSqeM2qN1xzybapC8G4wEGGkZwyTDt1v';
+
+const dexPair = (pairAddress, dexId, quote, pairCreatedAt) => ({
+  pairAddress, dexId, pairCreatedAt, baseToken: { address: MINT }, quoteToken: { address: quote }
+});
+
+const signaturePage = (from, size) => Array.from({ length: size }, (_, index) => ({ signature: `sig${from - index}`, err: null }));
+
+// Fee payer buying 1000 tokens for 0.5 SOL (+ 5000 lamports of network fee)
+const buyTransaction = (buyer, slot) => ({
+  slot,
+  blockTime: 1700000000,
+  transaction: { message: { accountKeys: [{ pubkey: buyer }] } },
+  meta: {
+    err: null,
+    fee: 5000,
+    preBalances: [2e9],
+    postBalances: [2e9 - 5e8 - 5000],
+    preTokenBalances: [],
+    postTokenBalances: [{ mint: MINT, owner: buyer, uiTokenAmount: { uiAmountString: '1000' } }]
+  }
+});
+
+describe('PumpfunBundleAnalyzer DEX trades', () => {
+  beforeEach(() => {
+    mockGetSignaturesForAddress.mockReset();
+    mockGetTransaction.mockReset();
+    mockGetTokenEvents.mockReset();
+  });
+
+  test('maps a Defined swap event to the PumpFun trade shape', () => {
+    const trade = bundleAnalyzer.mapDefinedEvent({
+      eventDisplayType: 'Buy',
+      maker: 'Buyer',
+      blockNumber: 250,
+      transactionHash: 'sig',
+      transactionIndex: 3,
+      timestamp: 1700000000,
+      data: { __typename: 'SwapEventData', amountNonLiquidityToken: '-1000', priceBaseTokenTotal: '0.5' }
+    });
+
+    expect(trade).toEqual({
+      is_buy: true,
+      user: 'Buyer',
+      slot: 250,
+      signature: 'sig',
+      tx_index: 3,
+      token_amount: 1000 * bundleAnalyzer.TOKEN_FACTOR,
+      sol_amount: 0.5 * bundleAnalyzer.SOL_FACTOR,
+      timestamp: 1700000000
+    });
+  });
+
+  test('falls back to the raw pair amounts and flags sells', () => {
+    const trade = bundleAnalyzer.mapDefinedEvent({ eventDisplayType: 'Sell', maker: 'Seller', data: { amount0: '2', amount1: '-10' } });
+
+    expect(trade.is_buy).toBe(false);
+    expect(trade.token_amount).toBe(10 * bundleAnalyzer.TOKEN_FACTOR);
+    expect(trade.sol_amount).toBe(2 * bundleAnalyzer.SOL_FACTOR);
+  });
+
+  test('parses the pool transactions when Defined has no events for the pool', async () => {
+    mockGetTokenEvents.mockResolvedValue({ data: { getTokenEvents: { items: [] } } });
+    mockGetSignaturesForAddress.mockResolvedValue(signaturePage(2, 2));
+    mockGetTransaction.mockImplementation(signature => Promise.resolve(buyTransaction(`Buyer-${signature}`, 100)));
+
+    const trades = await bundleAnalyzer.getDexTrades(MINT, PAIR, 100);
+
+    expect(trades.map(trade => trade.user)).toEqual(['Buyer-sig1', 'Buyer-sig2']);
+    expect(trades[0]).toMatchObject({ is_buy: true, slot: 100, token_amount: 1000 * bundleAnalyzer.TOKEN_FACTOR, sol_amount: 5e8 });
+  });
+
+  test('parses the pool transactions when Defined fails', async () => {
+    mockGetTokenEvents.mockRejectedValue(new Error('Defined down'));
+    mockGetSignaturesForAddress.mockResolvedValue([]);
+
+    await expect(bundleAnalyzer.getDexTrades(MINT, PAIR, 100)).resolves.toEqual([]);
+    expect(mockGetSignaturesForAddress).toHaveBeenCalled();
+  });
+
+  test('walks the pool signatures back to the first one and keeps the oldest', async () => {
+    mockGetSignaturesForAddress
+      .mockResolvedValueOnce(signaturePage(2300, 1000))
+      .mockResolvedValueOnce(signaturePage(1300, 1000))
+      .mockResolvedValueOnce(signaturePage(300, 300));
+
+    const oldest = await bundleAnalyzer.getOldestPoolSignatures(POOL, 3);
+
+    expect(oldest.map(({ signature }) => signature)).toEqual(['sig1', 'sig2', 'sig3']);
+    expect(mockGetSignaturesForAddress.mock.calls.map(([, options]) => options.before)).toEqual([undefined, 'sig1301', 'sig301']);
+  });
+
+  test('aborts when the start of the pool history cannot be reached', async () => {
+    mockGetSignaturesForAddress.mockImplementation((address, { before }) =>
+      Promise.resolve(signaturePage(before ? parseInt(before.slice(3)) - 1 : 1e6, 1000)));
+
+    await expect(bundleAnalyzer.getOldestPoolSignatures(POOL, 300)).rejects.toThrow('its launch trades cannot be reached');
+    expect(mockGetSignaturesForAddress).toHaveBeenCalledTimes(bundleAnalyzer.MAX_POOL_SIGNATURE_PAGES);
+  });
+
+  test('the launch pool is the oldest SOL pair, not the most liquid one', async () => {
+    mockGetTokenPairs.mockResolvedValue([
+      dexPair('usdcPool', 'raydium', USDC, 1600000000000),
+      dexPair('cpmmPool', 'raydium', WSOL, 1700000500000),
+      dexPair('launchPool', 'meteora', WSOL, 1700000000000)
+    ]);
+
+    await expect(bundleAnalyzer.getDexPair(MINT)).resolves.toMatchObject({ pairAddress: 'launchPool' });
+    expect((await bundleAnalyzer.getDexPairs(MINT)).map(pair => pair.pairAddress)).toEqual(['launchPool', 'cpmmPool']);
+  });
+
+  test('a token without SOL pair has no DEX pool to analyze', async () => {
+    mockGetTokenPairs.mockResolvedValue([dexPair('usdcPool', 'raydium', USDC, 1600000000000)]);
+
+    await expect(bundleAnalyzer.getDexPair(MINT)).resolves.toBeNull();
+  });
+});
@@ -0,0 +1,90 @@
+const mockAnalyzeFunding = jest.fn();
+jest.mock('../../tools/fundingAnalyzer', () => ({
+  ...jest.requireActual('../../tools/fundingAnalyzer'),
+  analyzeFunding: mockAnalyzeFunding
+}));
+const mockTraceBundleTransfers = jest.fn();
+jest.mock('../../tools/bundleTimeline', () => ({
+  ...jest.requireActual('../../tools/bundleTimeline'),
+  traceBundleTransfers: mockTraceBundleTransfers
+}));
+
+const bundleAnalyzer = require('../../analysis/bundle');
+
+const BINANCE = '5tzFkiKscXHK5ZXCGbXZxdw7gTjjD1mBwuoFbhUvuAi9';
+
+const bundle = (slot, wallets) => ({ slot, uniqueWallets: new Set(wallets), tokensBought: 0, solSpent: 0, transactions: [] });
+
+describe('PumpfunBundleAnalyzer funding clusters', () => {
+  const bundles = [bundle(1, ['a', 'b', 'x']), bundle(2, ['c', 'y', 'z'])];
+  const holdings = new Map([['a', 100], ['b', 50], ['c', 250], ['x', 10], ['y', 10]]);
+
+  beforeEach(() => {
+    mockAnalyzeFunding.mockReset().mockResolvedValue([
+      { address: 'a', funderAddress: 'operator', fundingDetails: { sourceName: null } },
+      { address: 'b', funderAddress: 'operator' },
+      { address: 'c', funderAddress: 'operator' },
+      { address: 'x', funderAddress: BINANCE },
+      { address: 'y', funderAddress: BINANCE },
+      { address: 'z', funderAddress: 'loneFunder' }
+    ]);
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  test('one funder across bundles forms a cluster with the supply it holds, exchanges do not', async () => {
+    const funding = await bundleAnalyzer.analyzeFundingClusters(bundles, holdings, 1000);
+
+    expect(funding.clusters).toHaveLength(1);
+    expect(funding.clusters[0]).toMatchObject({
+      funderAddress: 'operator',
+      wallets: ['a', 'b', 'c'],
+      bundleCount: 2,
+      holdingAmount: 400,
+      holdingPercentage: 40
+    });
+    expect(funding).toMatchObject({ walletsChecked: 6, walletsTotal: 6 });
+  });
+
+  test('each bundle lists the clusters of its wallets', async () => {
+    const funding = await bundleAnalyzer.analyzeFundingClusters(bundles, holdings, 1000);
+
+    expect(bundleAnalyzer.getBundleFundingGroups(['c', 'y', 'z'], funding)).toEqual([
+      expect.objectContaining({ funderAddress: 'operator', walletCount: 1, clusterWalletCount: 3, clusterBundleCount: 2 })
+    ]);
+  });
+
+  test('funding is only analyzed on request', async () => {
+    jest.spyOn(bundleAnalyzer, 'buildSellTimelines').mockResolvedValue({ timelines: [], untracedWallets: 0 });
+    const tokenInfo = { address: 'mint', symbol: 'TKN', decimals: 6 };
+
+    const withoutFunding = await bundleAnalyzer.performBundleAnalysis([], tokenInfo, 1000, []);
+    expect(mockAnalyzeFunding).not.toHaveBeenCalled();
+    expect(withoutFunding.fundingClusters).toBeNull();
+
+    const withFunding = await bundleAnalyzer.performBundleAnalysis([], tokenInfo, 1000, [], { funding: true });
+    expect(mockAnalyzeFunding).toHaveBeenCalled();
+    expect(withFunding.fundingClusters).toHaveLength(1);
+  });
+
+  test('transfers out of bundle wallets are only traced on request', async () => {
+    mockTraceBundleTransfers.mockReset().mockResolvedValue(new Map());
+    const soldOut = { ...bundle(1, ['a', 'b']), transactions: [{ timestamp: 100 }] };
+    // 'a' bought 100 tokens, sold none and holds none; 'b' sold everything it bought
+    const trades = [
+      { user: 'a', is_buy: true, token_amount: 100 * bundleAnalyzer.TOKEN_FACTOR, sol_amount: 0, timestamp: 100 },
+      { user: 'b', is_buy: true, token_amount: 100 * bundleAnalyzer.TOKEN_FACTOR, sol_amount: 0, timestamp: 100 },
+      { user: 'b', is_buy: false, token_amount: 100 * bundleAnalyzer.TOKEN_FACTOR, sol_amount: 0, timestamp: 200 }
+    ];
+    const tokenInfo = { address: 'mint', symbol: 'TKN' };
+
+    const plain = await bundleAnalyzer.buildSellTimelines([soldOut], trades, new Map(), tokenInfo, 1000);
+    expect(mockTraceBundleTransfers).not.toHaveBeenCalled();
+    expect(plain.untracedWallets).toBe(1);
+    expect(plain.timelines).toHaveLength(1);
+
+    const traced = await bundleAnalyzer.buildSellTimelines([soldOut], trades, new Map(), tokenInfo, 1000, { traceTransfers: true });
+    expect(mockTraceBundleTransfers).toHaveBeenCalledWith(['a'], 'mint', 100000, 'bundle', 'bundleTransfers');
+    expect(traced.untracedWallets).toBe(0);
+  });
+});
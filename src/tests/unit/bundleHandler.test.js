@@ -0,0 +1,46 @@
+const mockAnalyzeBundle = jest.fn();
+jest.mock('../../analysis/bundle', () => ({ analyzeBundle: mockAnalyzeBundle }));
+jest.mock('../../bot/formatters/bundleFormatter', () => ({ formatMainMessage: () => 'report' }));
+
+const BundleHandler = require('../../bot/commandHandlers/bundleHandler');
+
+const MINT = 'So11111111111111111111111111111111111111112';
+
+describe('BundleHandler options', () => {
+  let bot;
+  let handler;
+  const msg = { from: { username: 'user' }, chat: { id: 42 } };
+
+  beforeEach(() => {
+    bot = { sendLongMessage: jest.fn().mockResolvedValue({}), sendMessage: jest.fn().mockResolvedValue({}) };
+    mockAnalyzeBundle.mockReset().mockResolvedValue({ platform: 'PumpFun', allBundles: [] });
+    handler = new BundleHandler();
+  });
+
+  test('rejects an unknown option with the usage', async () => {
+    await handler.handleCommand(bot, msg, [MINT, 'jitto'], null);
+
+    expect(mockAnalyzeBundle).not.toHaveBeenCalled();
+    expect(bot.sendLongMessage).toHaveBeenCalledWith(42, expect.stringContaining('Unknown option "jitto"'), expect.anything());
+    expect(bot.sendLongMessage.mock.calls[0][1]).toContain('Usage: /bundle [contract_address] [jito]* [funding]* [transfers]*');
+  });
+
+  test('the jito option turns the Jito detection on, case-insensitively', async () => {
+    await handler.handleCommand(bot, msg, [MINT, 'JITO'], null);
+
+    expect(mockAnalyzeBundle).toHaveBeenCalledWith(MINT, 50000, { jito: true, funding: false, transfers: false });
+    expect(bot.sendMessage).toHaveBeenCalledWith(42, 'report', expect.anything());
+  });
+
+  test('the funding option can be combined with jito', async () => {
+    await handler.handleCommand(bot, msg, [MINT, 'funding', 'jito'], null);
+
+    expect(mockAnalyzeBundle).toHaveBeenCalledWith(MINT, 50000, { jito: true, funding: true, transfers: false });
+  });
+
+  test('transfers are only traced with the transfers option', async () => {
+    await handler.handleCommand(bot, msg, [MINT, 'transfers'], null);
+
+    expect(mockAnalyzeBundle).toHaveBeenCalledWith(MINT, 50000, { jito: false, funding: false, transfers: true });
+  });
+});
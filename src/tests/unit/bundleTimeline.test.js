@@ -0,0 +1,57 @@
+jest.mock('../../tools/tokenFlowAnalyzer', () => ({ traceRecentOutflows: jest.fn() }));
+
+const { buildSellTimeline, findUnexplainedOutflows } = require('../../tools/bundleTimeline');
+
+const createBundle = (wallets, tokensBought = 300) => ({
+  uniqueWallets: new Set(wallets),
+  tokensBought,
+  transactions: wallets.map(user => ({ user, timestamp: 1000 }))
+});
+
+const sell = (user, tokens, timestamp, sol = 1) => ({ user, isBuy: false, tokens, sol, timestamp });
+const buy = (user, tokens, timestamp = 1000) => ({ user, isBuy: true, tokens, sol: 1, timestamp });
+
+describe('bundleTimeline', () => {
+  const context = { totalSupply: 1000, solPriceUsd: 0 };
+
+  test('a bundle without sells is still holding', () => {
+    const timeline = buildSellTimeline(createBundle(['a', 'b']), [buy('a', 100)], context);
+    expect(timeline.sellCount).toBe(0);
+    expect(timeline.pattern).toBe('holding');
+  });
+
+  test('sells from several wallets within a minute are a coordinated dump', () => {
+    const trades = [sell('a', 100, 2000), sell('b', 100, 2030), sell('c', 100, 2050)];
+    const timeline = buildSellTimeline(createBundle(['a', 'b', 'c']), trades, context);
+
+    expect(timeline.waves).toHaveLength(1);
+    expect(timeline.pattern).toBe('dump');
+    expect(timeline.soldShare).toBe(1);
+    expect(timeline.firstSell.marketCap).toEqual({ sol: 10 });
+  });
+
+  test('small sells spread over time are a slow bleed', () => {
+    const trades = [sell('a', 50, 2000), sell('b', 50, 5000), sell('a', 50, 9000), sell('c', 50, 20000)];
+    const timeline = buildSellTimeline(createBundle(['a', 'b', 'c']), trades, context);
+
+    expect(timeline.waves).toHaveLength(4);
+    expect(timeline.pattern).toBe('bleed');
+  });
+
+  test('reports transfers made before the first sell and what receivers sold', () => {
+    const transfersByWallet = new Map([['a', [{ to: 'z', amount: 80, timestamp: 1500 }]]]);
+    const trades = [sell('b', 20, 3000), sell('z', 80, 1600)];
+    const timeline = buildSellTimeline(createBundle(['a', 'b']), trades, { ...context, transfersByWallet });
+
+    expect(timeline.transfersBeforeSelling).toHaveLength(1);
+    expect(timeline.transferredTokens).toBe(80);
+    expect(timeline.soldByReceivers).toBe(80);
+  });
+
+  test('flags wallets whose tokens left without a sell', () => {
+    const trades = [buy('a', 100), buy('b', 100), sell('b', 100, 2000)];
+    const holdings = new Map([['a', 10], ['b', 0]]);
+
+    expect(findUnexplainedOutflows(['a', 'b'], trades, holdings)).toEqual(['a']);
+  });
+});
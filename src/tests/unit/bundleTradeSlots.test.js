@@ -0,0 +1,63 @@
+const mockGetSignatureStatuses = jest.fn();
+jest.mock('../../integrations/solanaApi', () => ({
+  getSolanaApi: () => ({ getSignatureStatuses: mockGetSignatureStatuses })
+}));
+
+const bundleAnalyzer = require('../../analysis/bundle');
+
+const buy = (user, signature, blockTime, slot = null) => ({
+  is_buy: true,
+  user,
+  signature,
+  block_time: blockTime,
+  slot,
+  token_amount: 1000 * bundleAnalyzer.TOKEN_FACTOR,
+  sol_amount: 0.1 * bundleAnalyzer.SOL_FACTOR
+});
+
+describe('PumpfunBundleAnalyzer bonk.fun trade slots', () => {
+  beforeEach(() => {
+    mockGetSignatureStatuses.mockReset();
+  });
+
+  test('resolves each signature once and only for trades without slot', async () => {
+    const trades = [buy('a', 'sig1', 100), buy('a', 'sig1', 100), buy('b', 'sig2', 100), buy('c', 'sig3', 100, 42)];
+    mockGetSignatureStatuses.mockResolvedValue([{ slot: 500 }, null]);
+
+    await bundleAnalyzer.resolveTradeSlots(trades);
+
+    expect(mockGetSignatureStatuses).toHaveBeenCalledWith(['sig1', 'sig2'], 'bundle', 'resolveTradeSlots');
+    expect(trades.map(trade => trade.slot)).toEqual([500, 500, null, 42]);
+  });
+
+  test('leaves the slots unknown when the statuses cannot be fetched', async () => {
+    const trades = [buy('a', 'sig1', 100)];
+    mockGetSignatureStatuses.mockRejectedValue(new Error('getSignatureStatuses failed for 1 signatures'));
+
+    await expect(bundleAnalyzer.resolveTradeSlots(trades)).resolves.toBeUndefined();
+    expect(trades[0].slot).toBeNull();
+  });
+
+  test('groups the buys of a second by their resolved slot', async () => {
+    const trades = [
+      // Same second, same slot: a bundle
+      buy('a', 'sig1', 100), buy('b', 'sig2', 100), buy('c', 'sig3', 100),
+      // Same second, split over two slots: no slot reaches 3 buyers
+      buy('d', 'sig4', 200), buy('e', 'sig5', 200), buy('f', 'sig6', 200),
+      // Not enough buyers in the second: never resolved
+      buy('g', 'sig7', 300)
+    ];
+    const slots = { sig1: 10, sig2: 10, sig3: 10, sig4: 20, sig5: 20, sig6: 21 };
+    mockGetSignatureStatuses.mockImplementation(async signatures => signatures.map(signature => ({ slot: slots[signature] })));
+    jest.spyOn(bundleAnalyzer, 'getBonkfunAllTrades').mockResolvedValue(trades);
+    jest.spyOn(bundleAnalyzer, 'getTokenMetadata').mockResolvedValue({ total_supply: '1000000000' });
+    const performBundleAnalysis = jest.spyOn(bundleAnalyzer, 'performBundleAnalysis').mockResolvedValue({});
+
+    await bundleAnalyzer.analyzeBonkfunBundle('mint', 1000);
+
+    expect(mockGetSignatureStatuses.mock.calls[0][0]).not.toContain('sig7');
+    const [filteredBundles] = performBundleAnalysis.mock.calls[0];
+    expect(filteredBundles).toHaveLength(1);
+    expect(filteredBundles[0]).toMatchObject({ slot: 10, uniqueWalletsCount: 3 });
+  });
+});
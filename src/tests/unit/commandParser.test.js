@@ -0,0 +1,30 @@
+const CommandParser = require('../../bot/commandsManager/commandParser');
+
+describe('CommandParser.parseAnalysisParams', () => {
+  test('reads the optional /team parameters in order, "-" keeping the default', () => {
+    expect(CommandParser.parseAnalysisParams('team', ['0.5%', '-', '10'])).toEqual({
+      params: { minSupplyPercent: 0.5, inactivityDays: 10 },
+      errors: []
+    });
+  });
+
+  test('rejects values that are not numbers or out of range', () => {
+    const { params, errors } = CommandParser.parseAnalysisParams('team', ['abc', '3.5', '1000']);
+
+    expect(params).toEqual({});
+    expect(errors).toHaveLength(3);
+  });
+
+  test('/fresh has no inactivity window', () => {
+    const { errors } = CommandParser.parseAnalysisParams('fresh', ['0.2', '50', '5']);
+    expect(errors[0]).toMatch(/Too many parameters/);
+  });
+
+  test('validateArgs reports invalid /fresh parameters', () => {
+    const parser = new CommandParser('bot');
+    const { command, args } = parser.parseCommand('/f 7GCihgDB8fe6KNjn2MYtkzZcRjQy3t9GHdC8uHYmW2hr 0.2 many');
+
+    expect(command).toBe('fresh');
+    expect(parser.validateArgs(command, args)).toHaveLength(1);
+  });
+});
@@ -0,0 +1,74 @@
+const { normalizeTrades, analyzeCoinExit, buildDevExitProfile } = require('../../tools/devExitProfile');
+
+const LAUNCH = 1700000000;
+
+// Raw PumpFun trade: tokens and SOL in UI units
+const trade = (user, isBuy, tokens, sol, offset) => ({
+  user,
+  is_buy: isBuy,
+  token_amount: tokens * 1e6,
+  sol_amount: sol * 1e9,
+  timestamp: LAUNCH + offset
+});
+
+const coin = (mint, complete = false) => ({ mint, symbol: mint.toUpperCase(), complete, created_timestamp: LAUNCH * 1000 });
+
+describe('devExitProfile', () => {
+  test('measures hold time, sold share and sell market cap against ATH', () => {
+    const trades = normalizeTrades([
+      trade('dev', true, 1e8, 1, 0),
+      trade('buyer', true, 1e8, 4, 30),
+      trade('dev', false, 5e7, 1, 60),
+      trade('dev', false, 5e7, 1, 240)
+    ]);
+
+    const exit = analyzeCoinExit('dev', coin('a'), trades);
+
+    expect(exit.soldShare).toBe(1);
+    expect(exit.firstSellAfter).toBe(60);
+    expect(exit.holdSeconds).toBe(240);
+    expect(exit.athMarketCap).toBe(40);
+    expect(exit.sellMarketCapVsAth).toBe(0.5);
+    expect(exit.soldIntoCurve).toBe(true);
+  });
+
+  test('a dev still holding has no hold time and coins without a dev buy are ignored', () => {
+    const trades = normalizeTrades([trade('dev', true, 1e8, 1, 0), trade('dev', false, 2e7, 1, 10)]);
+
+    expect(analyzeCoinExit('dev', coin('a'), trades).holdSeconds).toBeNull();
+    expect(analyzeCoinExit('other', coin('a'), trades)).toBeNull();
+  });
+
+  test('headline uses the shortest window covering most full exits', () => {
+    const exits = [60, 120, 200, 5000].map(holdSeconds => ({
+      holdSeconds, firstSellAfter: holdSeconds, soldShare: 1, sellMarketCapVsAth: 0.5, soldIntoCurve: true, complete: false
+    }));
+    exits.push({ holdSeconds: null, firstSellAfter: null, soldShare: 0, sellMarketCapVsAth: null, soldIntoCurve: false, complete: true });
+
+    const profile = buildDevExitProfile(exits, 1);
+
+    expect(profile.headline).toEqual({ windowSeconds: 300, count: 3 });
+    expect(profile.coinsAnalyzed).toBe(5);
+    expect(profile.medianHoldSeconds).toBe(160);
+    expect(profile.heldThroughBondingCount).toBe(1);
+    expect(profile.skippedCoins).toBe(1);
+  });
+
+  test('a bonded coin read from its launch window only is not counted as held through bonding', () => {
+    const trades = normalizeTrades([trade('dev', true, 1e8, 1, 0), trade('buyer', true, 1e8, 2, 10)]);
+    const exits = [
+      analyzeCoinExit('dev', coin('a', true), trades),
+      analyzeCoinExit('dev', coin('b', true), trades, { partialHistory: true })
+    ];
+
+    const profile = buildDevExitProfile(exits);
+
+    expect(exits[1].partialHistory).toBe(true);
+    expect(profile.heldThroughBondingCount).toBe(1);
+    expect(profile.partialHistoryCount).toBe(1);
+  });
+
+  test('no profile without analyzable coins', () => {
+    expect(buildDevExitProfile([null])).toBeNull();
+  });
+});
@@ -0,0 +1,66 @@
+const mockGetAllTrades = jest.fn();
+jest.mock('../../integrations/pumpfunApi', () => ({ getAllTrades: (...args) => mockGetAllTrades(...args) }));
+jest.mock('../../integrations/gmgnApi', () => ({}));
+jest.mock('../../tools/walletValueCalculator', () => ({ getAssetsForMultipleWallets: jest.fn() }));
+jest.mock('../../database', () => ({ BonkfunPoolService: {} }));
+
+const bundleAnalyzer = require('../../analysis/bundle');
+const devAnalyzer = require('../../analysis/devAnalyzer');
+
+// PumpFun trades of a coin, newest first like the API
+const pumpfunHistory = count => {
+  const trades = Array.from({ length: count }, (_, index) => ({ signature: `sig${count - 1 - index}` }));
+  mockGetAllTrades.mockImplementation(async (mint, limit, offset) => trades.slice(offset, offset + limit));
+  return trades;
+};
+
+describe('DevAnalyzer launch window of previous coins', () => {
+  beforeEach(() => mockGetAllTrades.mockReset());
+
+  test('a short PumpFun history is read entirely after a single probe', async () => {
+    pumpfunHistory(450);
+
+    const launchTrades = await devAnalyzer.getPumpfunLaunchTrades('mint');
+
+    expect(launchTrades.trades).toHaveLength(450);
+    expect(launchTrades.partialHistory).toBe(false);
+    expect(mockGetAllTrades.mock.calls.filter(call => call[1] === 1)).toHaveLength(1);
+  });
+
+  test('a long PumpFun history is read from its oldest trades', async () => {
+    pumpfunHistory(7300);
+
+    const launchTrades = await devAnalyzer.getPumpfunLaunchTrades('mint');
+    const signatures = launchTrades.trades.map(trade => trade.signature);
+
+    expect(signatures).toContain('sig0');
+    expect(signatures).not.toContain('sig7299');
+    expect(launchTrades.trades.length).toBeGreaterThan(1800);
+    expect(launchTrades.trades.length).toBeLessThanOrEqual(2000);
+    expect(launchTrades.partialHistory).toBe(true);
+  });
+
+  test('previous coins with an unreachable history are skipped, the analyzed token is left out', async () => {
+    const coins = [{ mint: 'analyzed' }, { mint: 'old', created_timestamp: 1 }];
+    jest.spyOn(devAnalyzer, 'getPumpfunLaunchTrades')
+      .mockImplementation(async mint => (mint === 'old' ? null : { trades: [], partialHistory: false }));
+
+    const previous = await devAnalyzer.getPreviousCoinTrades('analyzed', coins, 'PumpFun');
+
+    expect(previous).toEqual({ coinTrades: [], skippedCoins: 1 });
+    expect(devAnalyzer.getPumpfunLaunchTrades).toHaveBeenCalledTimes(1);
+    devAnalyzer.getPumpfunLaunchTrades.mockRestore();
+  });
+
+  test('a LaunchLab pool without Defined events is read from its oldest transactions', async () => {
+    jest.spyOn(bundleAnalyzer, 'getDefinedPoolTrades').mockResolvedValue([]);
+    jest.spyOn(bundleAnalyzer, 'getOldestPoolSignatures').mockResolvedValue([{ signature: 'init' }]);
+    jest.spyOn(bundleAnalyzer, 'parsePoolTransactions').mockResolvedValue([{ signature: 'init' }]);
+
+    const launchTrades = await devAnalyzer.getBonkfunLaunchTrades({ mint: 'mint', launchpadPoolId: 'pool' });
+
+    expect(launchTrades).toEqual({ trades: [{ signature: 'init' }], partialHistory: false });
+    expect(bundleAnalyzer.getOldestPoolSignatures).toHaveBeenCalledWith('pool', bundleAnalyzer.MAX_POOL_TRANSACTIONS);
+    jest.restoreAllMocks();
+  });
+});
@@ -0,0 +1,57 @@
+const { getExitStatus, computeRealizedPnl, buildBuyerExit, summarizeEarlyBuyerExits } = require('../../tools/earlyBuyerExits');
+
+describe('earlyBuyerExits', () => {
+  test('status comes from the share of the bag still held', () => {
+    expect(getExitStatus(1)).toBe('holding');
+    expect(getExitStatus(0.9)).toBe('holding');
+    expect(getExitStatus(0.4)).toBe('partial');
+    expect(getExitStatus(0.005)).toBe('exited');
+    expect(getExitStatus(0)).toBe('exited');
+  });
+
+  test('realized PnL uses the average cost of the tokens sold', () => {
+    expect(computeRealizedPnl({ boughtTokens: 1000, boughtSol: 2, soldTokens: 500, soldSol: 3 })).toBeCloseTo(2);
+    // Tokens received by transfer have no cost: only the 1000 bought are counted
+    expect(computeRealizedPnl({ boughtTokens: 1000, boughtSol: 2, soldTokens: 2000, soldSol: 8 })).toBeCloseTo(2);
+    expect(computeRealizedPnl({ boughtTokens: 1000, boughtSol: 2, soldTokens: 0, soldSol: 0 })).toBe(0);
+  });
+
+  test('buyer exit compares the current balance to the tokens bought', () => {
+    const exit = buildBuyerExit({ boughtTokens: 1000, boughtSol: 1, soldTokens: 600, soldSol: 1.2 }, 400);
+
+    expect(exit).toMatchObject({ status: 'partial', heldShare: 0.4, soldShare: 0.6 });
+    expect(exit.realizedPnlSol).toBeCloseTo(0.6);
+    expect(buildBuyerExit({ boughtTokens: 0, boughtSol: 0, soldTokens: 0, soldSol: 0 }, 10)).toBeNull();
+  });
+
+  test('summary gives the sold and held shares of the early-buyer supply', () => {
+    const buyers = [
+      { exit: buildBuyerExit({ boughtTokens: 1000, boughtSol: 1, soldTokens: 1000, soldSol: 2 }, 0) },
+      { exit: buildBuyerExit({ boughtTokens: 2000, boughtSol: 2, soldTokens: 0, soldSol: 0 }, 2000) },
+      // Transferred half of its bag out without selling
+      { exit: buildBuyerExit({ boughtTokens: 1000, boughtSol: 1, soldTokens: 0, soldSol: 0 }, 500) },
+      { exit: null }
+    ];
+
+    const summary = summarizeEarlyBuyerExits(buyers);
+
+    expect(summary).toMatchObject({
+      walletsAnalyzed: 3,
+      supply: 4000,
+      soldShare: 0.25,
+      heldShare: 0.625,
+      holdersCount: 2,
+      counts: { holding: 1, partial: 1, exited: 1 }
+    });
+    expect(summary.realizedPnlSol).toBeCloseTo(1);
+    expect(summarizeEarlyBuyerExits([{ exit: null }])).toBeNull();
+  });
+
+  test('summary counts the exits read from the analysis window only', () => {
+    const exit = buildBuyerExit({ boughtTokens: 1000, boughtSol: 1, soldTokens: 0, soldSol: 0 }, 0);
+
+    const summary = summarizeEarlyBuyerExits([{ exit: { ...exit, windowOnly: true } }, { exit }]);
+
+    expect(summary.windowOnlyCount).toBe(1);
+  });
+});
@@ -0,0 +1,89 @@
+jest.mock('../../integrations/definedApi', () => ({ getTokenEvents: jest.fn() }));
+const mockGetTokenBalancesByOwners = jest.fn();
+jest.mock('../../integrations/solanaApi', () => ({
+  getSolanaApi: () => ({ getTokenBalancesByOwners: mockGetTokenBalancesByOwners })
+}));
+jest.mock('../../tools/walletChecker', () => ({ fetchMultipleWallets: jest.fn() }));
+jest.mock('../../integrations/pumpfunApi', () => ({}));
+
+const BigNumber = require('bignumber.js');
+const EarlyBuyersAnalyzer = require('../../analysis/earlyBuyersAnalyzer');
+
+const ENTRY = 1700000000;
+
+// Aggregated trades of a wallet with raw amounts (6 decimals token, SOL in lamports)
+const walletData = (wallet, bought, boughtSol, sold, soldSol) => ({
+  wallet,
+  bought_amount_token: bought * 1e6,
+  bought_amount_sol: boughtSol * 1e9,
+  sold_amount_token: sold * 1e6,
+  sold_amount_sol: soldSol * 1e9,
+  transactions: [{ is_buy: true, timestamp: new Date(ENTRY * 1000).toISOString() }]
+});
+
+describe('EarlyBuyersAnalyzer exits', () => {
+  const analyzer = new EarlyBuyersAnalyzer();
+
+  beforeEach(() => {
+    mockGetTokenBalancesByOwners.mockReset().mockImplementation(async wallets =>
+      new Map(wallets.map(wallet => [wallet, new BigNumber(0)])));
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  test('buys and sells come from the same aggregate', async () => {
+    const walletsData = new Map([['buyer', walletData('buyer', 100, 1, 0, 0)]]);
+    // Since entry: more sells than in the window, but fewer buys (curve trades not indexed)
+    jest.spyOn(analyzer, 'fetchTradesSinceEntry').mockResolvedValue(walletData('buyer', 40, 0.5, 100, 3));
+    const buyers = [{ wallet: 'buyer' }];
+
+    await analyzer.analyzeExits(buyers, 'mint', walletsData, 6, 100, 'test');
+
+    expect(buyers[0].exit).toMatchObject({ boughtTokens: 100, soldTokens: 0, realizedPnlSol: 0, windowOnly: true });
+  });
+
+  test('PumpFun tokens take the trades since entry from the PumpFun trades of the first pass', async () => {
+    const pumpfunTrades = [
+      { user: 'buyer', is_buy: true, token_amount: 100e6, sol_amount: 1e9, timestamp: ENTRY, signature: 'buy' },
+      { user: 'other', is_buy: true, token_amount: 50e6, sol_amount: 1e9, timestamp: ENTRY + 10, signature: 'other' },
+      { user: 'buyer', is_buy: false, token_amount: 100e6, sol_amount: 3e9, timestamp: ENTRY + 7200, signature: 'sell' }
+    ];
+    const walletsData = new Map([['buyer', walletData('buyer', 100, 1, 0, 0)]]);
+    // Defined does not index the bonding curve trades
+    jest.spyOn(analyzer, 'fetchTradesSinceEntry').mockResolvedValue(null);
+    const buyers = [{ wallet: 'buyer' }];
+
+    await analyzer.analyzeExits(buyers, 'mintpump', walletsData, 6, 100, 'test', pumpfunTrades);
+
+    expect(buyers[0].exit).toMatchObject({ status: 'exited', soldTokens: 100, realizedPnlSol: 2, windowOnly: false });
+  });
+
+  test('the trades since entry are used when they include the window', async () => {
+    const walletsData = new Map([['buyer', walletData('buyer', 100, 1, 0, 0)]]);
+    jest.spyOn(analyzer, 'fetchTradesSinceEntry').mockResolvedValue(walletData('buyer', 100, 1, 100, 3));
+    const buyers = [{ wallet: 'buyer' }];
+
+    await analyzer.analyzeExits(buyers, 'mint', walletsData, 6, 100, 'test');
+
+    expect(buyers[0].exit).toMatchObject({ status: 'exited', soldTokens: 100, realizedPnlSol: 2, realizedPnlUsd: 200 });
+  });
+
+  test('trades since entry are fetched in parallel batches', async () => {
+    const wallets = Array.from({ length: 12 }, (_, index) => `buyer${index}`);
+    const walletsData = new Map(wallets.map(wallet => [wallet, walletData(wallet, 100, 1, 0, 0)]));
+    let running = 0;
+    let maxRunning = 0;
+    jest.spyOn(analyzer, 'fetchTradesSinceEntry').mockImplementation(async () => {
+      running++;
+      maxRunning = Math.max(maxRunning, running);
+      await new Promise(resolve => setImmediate(resolve));
+      running--;
+      return null;
+    });
+
+    await analyzer.analyzeExits(wallets.map(wallet => ({ wallet })), 'mint', walletsData, 6, 100, 'test');
+
+    expect(maxRunning).toBe(10);
+    expect(analyzer.fetchTradesSinceEntry).toHaveBeenCalledTimes(12);
+  });
+});
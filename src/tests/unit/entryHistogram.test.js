@@ -0,0 +1,64 @@
+const { parseBucketSize, buildEntryHistogram } = require('../../tools/entryHistogram');
+const { renderBarChart } = require('../../utils/pngChart');
+
+// 1B supply and SOL at $100: an average price of 1e-6 SOL is a $100k market cap
+const tokenInfo = { totalSupply: 1000000000, decimals: 6, solPriceUsd: 100, currentPriceInSol: 0.8e-6 };
+const holder = (marketCapUsd, tokensHeld) => ({
+  averagePrice: marketCapUsd / 1e11,
+  currentBalance: tokensHeld * 1e6,
+  status: { type: 'buy' }
+});
+
+describe('entryHistogram', () => {
+  test('parses bucket sizes with a unit', () => {
+    expect(parseBucketSize('50k')).toBe(50000);
+    expect(parseBucketSize('$1.5M')).toBe(1500000);
+    expect(parseBucketSize('50')).toBeNull();
+    expect(parseBucketSize('0.5k')).toBeNull();
+    expect(parseBucketSize('chart')).toBeNull();
+  });
+
+  test('buckets entries weighted by tokens held, in profit below the current market cap', () => {
+    const histogram = buildEntryHistogram({
+      tokenInfo,
+      holders: {
+        early: holder(20000, 3000),
+        mid: holder(70000, 1000),
+        late: holder(160000, 4000),
+        sold: holder(30000, 0),
+        transfer: { currentBalance: 5e9, status: { type: 'no_activity' } }
+      }
+    }, 50000);
+
+    expect(histogram.currentMarketCapUsd).toBeCloseTo(80000);
+    expect(histogram.holdersCount).toBe(3);
+    expect(histogram.buckets.map(bucket => [bucket.start, bucket.end, bucket.tokens])).toEqual([
+      [0, 50000, 3000],
+      [50000, 100000, 1000],
+      [100000, 150000, 0],
+      [150000, 200000, 4000]
+    ]);
+    expect(histogram.buckets[3].underwaterTokens).toBe(4000);
+    expect(histogram.profitShare).toBeCloseTo(0.5);
+    expect(histogram.underwaterShare).toBeCloseTo(0.5);
+    expect(histogram.buckets[0].heldShare).toBeCloseTo(0.375);
+  });
+
+  test('groups entries above the last bucket in an open-ended one', () => {
+    const histogram = buildEntryHistogram({ tokenInfo, holders: { whale: holder(5000000, 10) } }, 1000);
+
+    const last = histogram.buckets[histogram.buckets.length - 1];
+    expect(histogram.buckets).toHaveLength(12);
+    expect(last).toMatchObject({ start: 11000, end: null, tokens: 10 });
+  });
+
+  test('no histogram without entries', () => {
+    expect(buildEntryHistogram({ tokenInfo, holders: {} })).toBeNull();
+  });
+
+  test('renders the bar chart as a PNG', () => {
+    const image = renderBarChart([{ value: 3 }, { value: 0 }, { value: 1 }], { width: 100, height: 50, marker: 1.5 });
+
+    expect(image.slice(1, 4).toString('ascii')).toBe('PNG');
+  });
+});
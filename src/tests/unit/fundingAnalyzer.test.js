@@ -0,0 +1,107 @@
+const mockFunders = {
+  wallet: 'hop1',
+  hop1: 'hop2',
+  hop2: '5tzFkiKscXHK5ZXCGbXZxdw7gTjjD1mBwuoFbhUvuAi9',
+  loopA: 'loopB',
+  loopB: 'loopA'
+};
+
+// Outgoing fundings of a deployer funder: signature -> transfer
+const mockFundings = {
+  'out-1': { source: 'deployerFunder', destination: 'devA', lamports: 1e9 },
+  'out-2': { source: 'deployerFunder', destination: 'devB', lamports: 5e8 },
+  'out-3': { source: 'devA', destination: 'deployerFunder', lamports: 1e9 },
+  'out-4': { source: 'deployerFunder', destination: 'devA', lamports: 3e9 }
+};
+
+const mockTransferTx = info => ({
+  transaction: { message: { accountKeys: [], instructions: [{ program: 'system', parsed: { type: 'transfer', info } }] } }
+});
+
+jest.mock('../../integrations/solanaApi', () => ({
+  getSolanaApi: () => ({
+    getSignaturesForAddress: jest.fn(async address => {
+      if (address === 'deployerFunder') {
+        return Object.keys(mockFundings).map((signature, index) => ({ signature, blockTime: 1700000100 - index }));
+      }
+      return mockFunders[address] ? [{ signature: `sig-${address}`, blockTime: 1700000000 }] : [];
+    }),
+    getTransaction: jest.fn(async signature => {
+      if (mockFundings[signature]) return mockTransferTx(mockFundings[signature]);
+      const recipient = signature.replace('sig-', '');
+      return mockTransferTx({ source: mockFunders[recipient], destination: recipient, lamports: 2e9 });
+    })
+  })
+}));
+
+const { traceFundingPath, findFundedWallets } = require('../../tools/fundingAnalyzer');
+
+const BINANCE = mockFunders.hop2;
+
+describe('traceFundingPath', () => {
+  test('follows the funding chain up to a known exchange', async () => {
+    const trace = await traceFundingPath('wallet', 'test', 'test', { maxHops: 5 });
+
+    expect(trace.path.map(step => step.funderAddress)).toEqual(['hop1', 'hop2', BINANCE]);
+    expect(trace.path[0].fundingDetails.amount).toBe(2);
+    expect(trace.origin).toEqual({ address: BINANCE, name: 'Binance', category: 'Exchange' });
+    expect(trace.endReason).toBe('exchange');
+  });
+
+  test('stops after maxHops', async () => {
+    const trace = await traceFundingPath('wallet', 'test', 'test', { maxHops: 2 });
+
+    expect(trace.path).toHaveLength(2);
+    expect(trace.origin.address).toBe('hop2');
+    expect(trace.endReason).toBe('max_hops');
+  });
+
+  test('stops on a funding loop', async () => {
+    const trace = await traceFundingPath('loopA', 'test', 'test', { maxHops: 5 });
+
+    expect(trace.path).toHaveLength(2);
+    expect(trace.endReason).toBe('loop');
+  });
+
+  test('reports wallets without a funder', async () => {
+    const trace = await traceFundingPath('orphan', 'test', 'test');
+
+    expect(trace.path).toEqual([]);
+    expect(trace.origin).toBeNull();
+    expect(trace.endReason).toBe('no_funder');
+  });
+});
+
+describe('findFundedWallets', () => {
+  test('lists each wallet a funder sent SOL to, most recent funding first', async () => {
+    const funded = await findFundedWallets('deployerFunder', 'test', 'test');
+
+    expect(funded).toEqual([
+      { address: 'devA', amount: 1, timestamp: 1700000100, signature: 'out-1' },
+      { address: 'devB', amount: 0.5, timestamp: 1700000099, signature: 'out-2' }
+    ]);
+  });
+});
+
+describe('groupWalletsByFunder', () => {
+  const { groupWalletsByFunder, isPublicFunder } = require('../../tools/fundingAnalyzer');
+
+  test('exchanges and bridges are public funders, from the funding category or the known addresses', () => {
+    expect(isPublicFunder(BINANCE)).toBe(true);
+    expect(isPublicFunder('unknownFunder', 'Bridge')).toBe(true);
+    expect(isPublicFunder('privateFunder')).toBe(false);
+  });
+
+  test('groups wallets by private funder and leaves exchange fundings out', () => {
+    const groups = groupWalletsByFunder([
+      { address: 'a', funderAddress: 'privateFunder', fundingDetails: { sourceName: null } },
+      { address: 'b', funderAddress: 'privateFunder' },
+      { address: 'c', funderAddress: BINANCE },
+      { address: 'd', funderAddress: 'relay', fundingDetails: { sourceCategory: 'Exchange' } },
+      { address: 'e' }
+    ]);
+
+    expect([...groups.keys()]).toEqual(['privateFunder']);
+    expect(groups.get('privateFunder').wallets).toEqual(['a', 'b']);
+  });
+});
@@ -0,0 +1,134 @@
+const mockGetTransaction = jest.fn();
+const mockGetBlockSignatures = jest.fn();
+jest.mock('../../integrations/solanaApi', () => ({
+  getSolanaApi: () => ({ getTransaction: mockGetTransaction, getBlockSignatures: mockGetBlockSignatures })
+}));
+
+const { getJitoTips, groupSlotBuys, detectSlotBundles } = require('../../tools/jitoBundleDetector');
+
+const TIP_ACCOUNT = '96gYZGLnJYVFmbjzopPSU6QiEV5fGqZNyN9nmNhvrZU5';
+
+const createTransaction = (signer, tipPayer = null) => ({
+  transaction: {
+    message: {
+      accountKeys: [{ pubkey: signer, signer: true }],
+      instructions: tipPayer
+        ? [{ program: 'system', parsed: { type: 'transfer', info: { source: tipPayer, destination: TIP_ACCOUNT, lamports: 100000 } } }]
+        : []
+    }
+  },
+  meta: { innerInstructions: [] }
+});
+
+const createBuy = (user, signature, txIndex) => ({ user, signature, tx_index: txIndex });
+// PumpFun trades carry no position in the block
+const createPumpfunBuy = (user, signature) => ({ user, signature, is_buy: true, token_amount: 1e12, sol_amount: 1e9 });
+
+describe('jitoBundleDetector', () => {
+  test('getJitoTips only keeps transfers to tip accounts', () => {
+    const tx = createTransaction('walletA', 'walletA');
+    tx.transaction.message.instructions.push({
+      program: 'system',
+      parsed: { type: 'transfer', info: { source: 'walletA', destination: 'someoneElse', lamports: 5 } }
+    });
+
+    expect(getJitoTips(tx)).toEqual([{ payer: 'walletA', tipAccount: TIP_ACCOUNT, lamports: 100000 }]);
+  });
+
+  test('groups buys whose tip was paid by a signer of another buy', () => {
+    const buys = [createBuy('walletA', 'sigA'), createBuy('walletB', 'sigB')];
+    const transactions = new Map([
+      ['sigA', createTransaction('walletA')],
+      ['sigB', createTransaction('walletB', 'walletA')]
+    ]);
+
+    const groups = groupSlotBuys(buys, transactions);
+    expect(groups).toHaveLength(1);
+    expect(groups[0].detection).toBe('jito');
+    expect(groups[0].tipPayers).toEqual(['walletA']);
+  });
+
+  test('groups contiguous buys next to a tipping transaction', () => {
+    const buys = [createBuy('walletA', 'sigA', 10), createBuy('walletB', 'sigB', 11), createBuy('walletC', 'sigC', 40)];
+    const transactions = new Map([
+      ['sigA', createTransaction('walletA')],
+      ['sigB', createTransaction('walletB', 'walletB')],
+      ['sigC', createTransaction('walletC')]
+    ]);
+
+    const groups = groupSlotBuys(buys, transactions);
+    expect(groups).toHaveLength(1);
+    expect(groups[0].buys.map(buy => buy.user)).toEqual(['walletA', 'walletB']);
+  });
+
+  test('labels untipped same-slot buys from 3+ wallets as a coincidence', () => {
+    const buys = [createBuy('walletA', 'sigA'), createBuy('walletB', 'sigB'), createBuy('walletC', 'sigC')];
+    const transactions = new Map(buys.map(buy => [buy.signature, createTransaction(buy.user)]));
+
+    const groups = groupSlotBuys(buys, transactions);
+    expect(groups).toHaveLength(1);
+    expect(groups[0].detection).toBe('coincidence');
+  });
+
+  test('ignores two untipped buyers in the same slot', () => {
+    const buys = [createBuy('walletA', 'sigA'), createBuy('walletB', 'sigB')];
+    const transactions = new Map(buys.map(buy => [buy.signature, createTransaction(buy.user)]));
+
+    expect(groupSlotBuys(buys, transactions)).toEqual([]);
+  });
+
+  test('links PumpFun buys landing next to a separate tip transaction', () => {
+    const buys = [createPumpfunBuy('walletA', 'sigA'), createPumpfunBuy('walletB', 'sigB'), createPumpfunBuy('walletC', 'sigC')];
+    const transactions = new Map([
+      ...buys.map(buy => [buy.signature, createTransaction(buy.user)]),
+      ['tip', createTransaction('tipper', 'tipper')]
+    ]);
+    const positions = new Map([['sigA', 20], ['sigB', 21], ['sigC', 40], ['tip', 22]]);
+
+    const groups = groupSlotBuys(buys, transactions, { positions, neighbours: ['tip'] });
+    expect(groups).toHaveLength(1);
+    expect(groups[0]).toMatchObject({ detection: 'jito', tipPayers: ['tipper'], tipLamports: 100000 });
+    expect(groups[0].buys.map(buy => buy.user)).toEqual(['walletA', 'walletB']);
+  });
+
+  describe('detectSlotBundles', () => {
+    const transactions = {
+      sigA: createTransaction('walletA'),
+      sigB: createTransaction('walletB'),
+      tip: createTransaction('tipper', 'tipper'),
+      other: createTransaction('someone')
+    };
+
+    beforeEach(() => {
+      mockGetTransaction.mockReset().mockImplementation(async signature => transactions[signature] || null);
+      mockGetBlockSignatures.mockReset();
+    });
+
+    test('reads the block order and the transactions around the buys', async () => {
+      const block = Array.from({ length: 30 }, (_, index) => `filler${index}`);
+      block[10] = 'sigA';
+      block[11] = 'sigB';
+      block[12] = 'tip';
+      block[25] = 'other';
+      mockGetBlockSignatures.mockResolvedValue(block);
+
+      const groups = await detectSlotBundles(1234, [createPumpfunBuy('walletA', 'sigA'), createPumpfunBuy('walletB', 'sigB')], 'test', 'test');
+
+      expect(mockGetBlockSignatures).toHaveBeenCalledWith(1234, 'test', 'test');
+      const fetched = mockGetTransaction.mock.calls.map(call => call[0]);
+      expect(fetched).toEqual(expect.arrayContaining(['sigA', 'sigB', 'tip', 'filler6', 'filler15']));
+      expect(fetched).not.toContain('other');
+      expect(groups).toHaveLength(1);
+      expect(groups[0].detection).toBe('jito');
+    });
+
+    test('only inspects the buys when the block is unavailable', async () => {
+      mockGetBlockSignatures.mockRejectedValue(new Error('slot skipped'));
+
+      const groups = await detectSlotBundles(1234, [createPumpfunBuy('walletA', 'sigA'), createPumpfunBuy('walletB', 'sigB')], 'test', 'test');
+
+      expect(mockGetTransaction.mock.calls.map(call => call[0])).toEqual(['sigA', 'sigB']);
+      expect(groups).toEqual([]);
+    });
+  });
+});
@@ -0,0 +1,49 @@
+const mockPools = {};
+const mockCreatorPools = jest.fn();
+jest.mock('../../tools/bonkfunPoolRegistry', () => ({
+  resolveBonkfunPools: jest.fn(async mint => mockPools[mint] || null),
+  findCreatorPools: (...args) => mockCreatorPools(...args)
+}));
+
+const { Keypair } = require('@solana/web3.js');
+const { findLaunchLabCreator, getLaunchLabLaunches } = require('../../tools/launchlabCreator');
+
+const newAddress = () => Keypair.generate().publicKey.toBase58();
+
+describe('launchlabCreator', () => {
+  const creator = newAddress();
+  const mint = newAddress();
+  const otherMint = newAddress();
+
+  beforeEach(() => {
+    mockCreatorPools.mockReset();
+  });
+
+  test('reads the creator from the pool state', async () => {
+    mockPools[mint] = { mint, launchpadPoolId: 'pool', migratedPoolId: null, creator };
+
+    await expect(findLaunchLabCreator(mint, 'test', 'test')).resolves.toEqual({ creator, poolId: 'pool' });
+  });
+
+  test('a LaunchLab token with an unreadable pool state has no creator', async () => {
+    mockPools[mint] = { mint, launchpadPoolId: 'pool', migratedPoolId: null, creator: null };
+
+    await expect(findLaunchLabCreator(mint, 'test', 'test')).resolves.toEqual({ creator: null, poolId: 'pool' });
+    await expect(findLaunchLabCreator(newAddress(), 'test', 'test')).resolves.toBeNull();
+  });
+
+  test('lists the pools of a creator as created coins', async () => {
+    mockCreatorPools.mockResolvedValue([
+      { mint: otherMint, launchpadPoolId: 'bondedPool', bondingComplete: true },
+      { mint, launchpadPoolId: 'fundingPool', bondingComplete: false }
+    ]);
+
+    const coins = await getLaunchLabLaunches(creator, 'test', 'test');
+
+    expect(mockCreatorPools).toHaveBeenCalledWith(creator, 'test', 'test');
+    expect(coins).toEqual([
+      { mint: otherMint, complete: true, created_timestamp: null, launchpadPoolId: 'bondedPool' },
+      { mint, complete: false, created_timestamp: null, launchpadPoolId: 'fundingPool' }
+    ]);
+  });
+});
@@ -0,0 +1,66 @@
+const mockGetAccountInfo = jest.fn();
+jest.mock('../../integrations/solanaApi', () => ({
+  getSolanaApi: () => ({ getAccountInfo: mockGetAccountInfo })
+}));
+
+const PoolAndBotDetector = require('../../tools/poolAndBotDetector');
+
+const LAUNCH_SLOT = 1000;
+const trade = (slot, isBuy) => ({ slot, is_buy: isBuy });
+
+describe('PoolAndBotDetector early buyer classification', () => {
+  const detector = new PoolAndBotDetector();
+
+  beforeEach(() => mockGetAccountInfo.mockReset().mockResolvedValue({ value: { owner: 'wallet-owner' } }));
+
+  test('trade signals give the first buy distance and the round trips', () => {
+    const signals = detector.getTradeSignals({
+      launchSlot: LAUNCH_SLOT,
+      trades: [trade(1003, true), trade(1004, false), trade(1001, true), trade(1050, false)]
+    });
+
+    expect(signals).toEqual({ buySlotDistance: 1, roundTrips: 1 });
+  });
+
+  test('trades without slot give no distance', () => {
+    expect(detector.getTradeSignals({ launchSlot: null, trades: [trade(null, true)] }))
+      .toEqual({ buySlotDistance: null, roundTrips: 0 });
+  });
+
+  test('sniping history comes from the fast trades ratio and the sniper tag', () => {
+    expect(detector.getSnipingHistory({ risk: { fast_tx_ratio: '0.5' } }).isFrequentSniper).toBe(true);
+    expect(detector.getSnipingHistory({ tags: ['sniper'] }).isFrequentSniper).toBe(true);
+    expect(detector.getSnipingHistory({ risk: { fast_tx_ratio: 0.1 }, tags: [] }).isFrequentSniper).toBe(false);
+    expect(detector.getSnipingHistory(null)).toEqual({ fastTxRatio: 0, taggedSniper: false, isFrequentSniper: false });
+  });
+
+  test('round trips are MEV, first slots are snipes, frequent snipers get a wider window', () => {
+    const casual = { isFrequentSniper: false };
+    const frequent = { isFrequentSniper: true };
+
+    expect(detector.classifyEarlyBuyer({ buySlotDistance: 0, roundTrips: 1 }, casual)).toBe('mev');
+    expect(detector.classifyEarlyBuyer({ buySlotDistance: 2, roundTrips: 0 }, casual)).toBe('sniper');
+    expect(detector.classifyEarlyBuyer({ buySlotDistance: 6, roundTrips: 0 }, casual)).toBe('organic');
+    expect(detector.classifyEarlyBuyer({ buySlotDistance: 6, roundTrips: 0 }, frequent)).toBe('sniper');
+    expect(detector.classifyEarlyBuyer({ buySlotDistance: null, roundTrips: 0 }, frequent)).toBe('organic');
+  });
+
+  test('analyzeWallet labels the wallet when its activity is given', async () => {
+    const result = await detector.analyzeWallet({
+      wallet: 'buyer',
+      data: { data: { buy: 10, sell: 5, tags: ['sniper'] } },
+      activity: { launchSlot: LAUNCH_SLOT, trades: [trade(1005, true)] }
+    });
+
+    expect(result.type).toBe('normal');
+    expect(result.classification).toBe('sniper');
+    expect(result.signals).toMatchObject({ buySlotDistance: 5, roundTrips: 0, taggedSniper: true });
+  });
+
+  test('analyzeWallet does not label without activity', async () => {
+    const result = await detector.analyzeWallet({ wallet: 'buyer', data: { data: { buy: 10, sell: 5 } } });
+
+    expect(result.type).toBe('normal');
+    expect(result.classification).toBeUndefined();
+  });
+});
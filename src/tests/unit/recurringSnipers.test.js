@@ -0,0 +1,45 @@
+const { findEarlyBuyers, findRecurringSnipers } = require('../../tools/recurringSnipers');
+
+// Normalized trade (see devExitProfile.normalizeTrades)
+const trade = (user, isBuy, sol, slot, timestamp = 1700000000 + slot) => ({ user, isBuy, tokens: 1000, sol, slot, timestamp });
+
+describe('recurringSnipers', () => {
+  test('early buyers are the buys of the first slots, dev excluded', () => {
+    const trades = [
+      trade('dev', true, 1, 100),
+      trade('sniper', true, 1, 101),
+      trade('late', true, 1, 103),
+      trade('seller', false, 1, 101)
+    ];
+
+    expect([...findEarlyBuyers(trades, 'dev')]).toEqual(['sniper']);
+  });
+
+  test('falls back to the first seconds when trades have no slot', () => {
+    const trades = [
+      trade('dev', true, 1, null, 1000),
+      trade('fast', true, 1, null, 1002),
+      trade('slow', true, 1, null, 1010)
+    ];
+
+    expect([...findEarlyBuyers(trades, 'dev')]).toEqual(['fast']);
+  });
+
+  test('ranks wallets sniping several launches by count then average profit', () => {
+    const launch = (mint, buyers) => ({
+      coin: { mint },
+      trades: [trade('dev', true, 1, 10), ...buyers]
+    });
+
+    const snipers = findRecurringSnipers([
+      launch('a', [trade('x', true, 1, 10), trade('y', true, 1, 11), trade('x', false, 3, 50)]),
+      launch('b', [trade('x', true, 1, 10), trade('y', true, 2, 10), trade('y', false, 1, 40)]),
+      launch('c', [trade('x', true, 1, 11), trade('z', true, 1, 10)])
+    ], 'dev');
+
+    expect(snipers.map(sniper => [sniper.address, sniper.launchesSniped])).toEqual([['x', 3], ['y', 2]]);
+    expect(snipers[0].avgProfitSol).toBeCloseTo(0);
+    expect(snipers[1].mints).toEqual(['a', 'b']);
+    expect(snipers[1].totalProfitSol).toBe(-2);
+  });
+});
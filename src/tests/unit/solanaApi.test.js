@@ -0,0 +1,118 @@
+jest.mock('../../utils/rateLimiters/heliusRateLimiter', () => ({ rateLimitedAxios: jest.fn() }));
+
+const { Keypair, PublicKey } = require('@solana/web3.js');
+const { getSolanaApi } = require('../../integrations/solanaApi');
+
+const TOKEN_PROGRAM_ID = 'TokenkegQfeZyiNwAJbNbGKPFXCWuBvf9Ss623VQ5DA';
+const TOKEN_2022_PROGRAM_ID = 'TokenzQdBNbLqP5VEhdkAS6EPFLC1PHnBqCXEpPxuEb';
+
+const newAddress = () => Keypair.generate().publicKey.toBase58();
+const tokenAccount = amount => ({ data: { parsed: { info: { tokenAmount: { amount } } } } });
+
+describe('SolanaApi associated token accounts', () => {
+  let solanaApi;
+
+  beforeEach(() => {
+    solanaApi = getSolanaApi();
+    solanaApi.callHelius = jest.fn();
+  });
+
+  test('derives an off-curve address that depends on the token program', () => {
+    const owner = newAddress();
+    const mint = newAddress();
+
+    const splAccount = solanaApi.getAssociatedTokenAddress(owner, mint);
+    const token2022Account = solanaApi.getAssociatedTokenAddress(owner, mint, TOKEN_2022_PROGRAM_ID);
+
+    expect(PublicKey.isOnCurve(new PublicKey(splAccount).toBytes())).toBe(false);
+    expect(solanaApi.getAssociatedTokenAddress(owner, mint, TOKEN_PROGRAM_ID)).toBe(splAccount);
+    expect(token2022Account).not.toBe(splAccount);
+  });
+
+  test('looks up the token program of a mint once and skips invalid owners', async () => {
+    const mint = newAddress();
+    const owner = newAddress();
+    solanaApi.callHelius.mockResolvedValue({ value: { owner: TOKEN_2022_PROGRAM_ID } });
+
+    const first = await solanaApi.getAssociatedTokenAddresses([owner, 'not-an-address'], mint);
+    const second = await solanaApi.getAssociatedTokenAddresses([owner], mint);
+
+    expect(solanaApi.callHelius).toHaveBeenCalledTimes(1);
+    expect(solanaApi.callHelius.mock.calls[0][0]).toBe('getAccountInfo');
+    expect(Array.from(first.keys())).toEqual([owner]);
+    expect(first.get(owner)).toBe(solanaApi.getAssociatedTokenAddress(owner, mint, TOKEN_2022_PROGRAM_ID));
+    expect(second.get(owner)).toBe(first.get(owner));
+  });
+
+  test('does not cache a failed token program lookup', async () => {
+    const mint = newAddress();
+    solanaApi.callHelius.mockResolvedValue(null);
+
+    await solanaApi.getAssociatedTokenAddresses([newAddress()], mint);
+    await solanaApi.getAssociatedTokenAddresses([newAddress()], mint);
+
+    expect(solanaApi.callHelius).toHaveBeenCalledTimes(2);
+  });
+});
+
+describe('SolanaApi.getTokenBalancesByOwners', () => {
+  let solanaApi;
+
+  beforeEach(() => {
+    solanaApi = getSolanaApi();
+    solanaApi.callHelius = jest.fn((method, [accounts]) => {
+      if (method === 'getAccountInfo') return Promise.resolve({ value: { owner: TOKEN_PROGRAM_ID } });
+      // Every other token account is closed
+      return Promise.resolve({ value: accounts.map((_, index) => (index % 2 === 0 ? tokenAccount('5') : null)) });
+    });
+  });
+
+  test('reads the balances 100 accounts at a time, closed accounts count as zero', async () => {
+    const owners = Array.from({ length: 250 }, newAddress);
+
+    const balances = await solanaApi.getTokenBalancesByOwners(owners, newAddress());
+
+    const chunkSizes = solanaApi.callHelius.mock.calls
+      .filter(([method]) => method === 'getMultipleAccounts')
+      .map(([, [accounts]]) => accounts.length);
+    expect(chunkSizes).toEqual([100, 100, 50]);
+    expect(balances.size).toBe(250);
+    expect(balances.get(owners[0]).toString()).toBe('5');
+    expect(balances.get(owners[1]).toString()).toBe('0');
+  });
+
+  test('throws when a chunk comes back incomplete instead of reporting zero balances', async () => {
+    solanaApi.callHelius.mockImplementation(method => Promise.resolve(
+      method === 'getAccountInfo' ? { value: { owner: TOKEN_PROGRAM_ID } } : { value: [] }
+    ));
+
+    await expect(solanaApi.getTokenBalancesByOwners([newAddress()], newAddress()))
+      .rejects.toThrow('getMultipleAccounts failed for 1 accounts');
+  });
+});
+
+describe('SolanaApi.getSignatureStatuses', () => {
+  let solanaApi;
+
+  beforeEach(() => {
+    solanaApi = getSolanaApi();
+    solanaApi.callHelius = jest.fn(async (method, [signatures]) => ({ value: signatures.map(signature => ({ signature, slot: 1 })) }));
+  });
+
+  test('asks for 256 signatures at a time and keeps their order', async () => {
+    const signatures = Array.from({ length: 300 }, (_, index) => `sig${index}`);
+
+    const statuses = await solanaApi.getSignatureStatuses(signatures);
+
+    expect(solanaApi.callHelius.mock.calls.map(([, [chunk]]) => chunk.length)).toEqual([256, 44]);
+    expect(solanaApi.callHelius.mock.calls[0][1][1]).toEqual({ searchTransactionHistory: true });
+    expect(statuses.map(status => status.signature)).toEqual(signatures);
+  });
+
+  test('throws when a chunk does not return one status per signature', async () => {
+    solanaApi.callHelius.mockResolvedValueOnce({ value: [{ slot: 1 }] });
+
+    await expect(solanaApi.getSignatureStatuses(['sig1', 'sig2']))
+      .rejects.toThrow('getSignatureStatuses failed for 2 signatures');
+  });
+});
@@ -0,0 +1,104 @@
+const { WebSocketServer } = require('ws');
+const SolanaWebsocketClient = require('../../integrations/solanaWebsocket');
+
+jest.mock('../../utils/logger', () => ({
+  info: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn(),
+  warn: jest.fn()
+}));
+
+// Local stand-in for the RPC websocket: answers subscribe requests and lets the test push notifications
+function startStandIn() {
+  const server = new WebSocketServer({ port: 0 });
+  const sockets = [];
+  const requests = [];
+  let nextSubscriptionId = 100;
+
+  server.on('connection', socket => {
+    sockets.push(socket);
+    socket.on('message', data => {
+      const request = JSON.parse(data.toString());
+      requests.push(request);
+      const result = request.method.endsWith('Unsubscribe') ? true : nextSubscriptionId++;
+      socket.send(JSON.stringify({ jsonrpc: '2.0', id: request.id, result }));
+    });
+  });
+
+  return new Promise(resolve => server.on('listening', () => resolve({
+    server,
+    sockets,
+    requests,
+    url: `ws://127.0.0.1:${server.address().port}`,
+    notify(method, subscription, value) {
+      sockets[sockets.length - 1].send(JSON.stringify({
+        jsonrpc: '2.0',
+        method,
+        params: { subscription, result: { context: { slot: 1 }, value } }
+      }));
+    }
+  })));
+}
+
+const waitFor = (emitter, event) => new Promise(resolve => emitter.once(event, resolve));
+
+describe('SolanaWebsocketClient', () => {
+  let standIn;
+  let client;
+
+  beforeEach(async () => {
+    standIn = await startStandIn();
+    client = new SolanaWebsocketClient(standIn.url, { requestTimeout: 1000 });
+    await client.connect();
+  });
+
+  afterEach(async () => {
+    client.close();
+    await new Promise(resolve => standIn.server.close(resolve));
+  });
+
+  it('should subscribe to an account and deliver its notifications', async () => {
+    const callback = jest.fn();
+    const subscriptionId = await client.accountSubscribe('TokenAccount111', callback);
+
+    expect(subscriptionId).toBe(100);
+    expect(standIn.requests[0]).toMatchObject({
+      method: 'accountSubscribe',
+      params: ['TokenAccount111', { encoding: 'jsonParsed', commitment: 'confirmed' }]
+    });
+
+    const received = new Promise(resolve => callback.mockImplementation(resolve));
+    standIn.notify('accountNotification', subscriptionId, { lamports: 1 });
+    await received;
+
+    expect(callback).toHaveBeenCalledWith({ lamports: 1 }, { slot: 1 });
+  });
+
+  it('should stop delivering notifications after unsubscribe', async () => {
+    const callback = jest.fn();
+    const subscriptionId = await client.logsSubscribe('Wallet111', callback);
+
+    await expect(client.unsubscribe(subscriptionId)).resolves.toBe(true);
+    expect(standIn.requests[1]).toMatchObject({ method: 'logsUnsubscribe', params: [subscriptionId] });
+
+    // A later subscription's response proves the ignored notification was processed
+    standIn.notify('logsNotification', subscriptionId, { signature: 'sig' });
+    await client.accountSubscribe('Other111', jest.fn());
+    expect(callback).not.toHaveBeenCalled();
+  });
+
+  it('should emit disconnected and reconnect when the socket drops', async () => {
+    await client.accountSubscribe('TokenAccount111', jest.fn());
+
+    const disconnected = waitFor(client, 'disconnected');
+    const reconnected = waitFor(client, 'connected');
+    standIn.sockets[0].terminate();
+
+    await disconnected;
+    expect(client.isConnected()).toBe(false);
+    expect(client.subscriptions.size).toBe(0);
+
+    await reconnected;
+    expect(client.isConnected()).toBe(true);
+  });
+});
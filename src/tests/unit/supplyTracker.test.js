@@ -0,0 +1,177 @@
+const mockTrackerService = {
+  acquireLease: jest.fn(),
+  releaseLease: jest.fn(),
+  getAllTrackers: jest.fn().mockResolvedValue([])
+};
+jest.mock('../../database', () => ({
+  TrackerService: mockTrackerService,
+  TrackerHistoryService: {},
+  TrackerSettingsService: {}
+}));
+const mockSolanaApi = { getAssociatedTokenAddresses: jest.fn() };
+jest.mock('../../integrations/solanaApi', () => ({ getSolanaApi: () => mockSolanaApi }));
+jest.mock('../../analysis/topHoldersScanner', () => ({ scanToken: jest.fn() }));
+
+const { WebSocketServer } = require('ws');
+const { SupplyTracker } = require('../../tools/SupplyTracker');
+const SolanaWebsocketClient = require('../../integrations/solanaWebsocket');
+
+const CHAT_ID = '42';
+const TRACKER_ID = 'mint_team';
+const MINUTE = 60 * 1000;
+
+describe('SupplyTracker leases', () => {
+  let supplyTracker;
+  let tracker;
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+    jest.clearAllMocks();
+    supplyTracker = new SupplyTracker({ sendMessage: jest.fn() }, {});
+    tracker = { chatId: CHAT_ID, trackerId: TRACKER_ID, expiresAt: Date.now() + 60 * MINUTE, nextCheckAt: Date.now(), timeoutId: null };
+    supplyTracker.userTrackers.set(CHAT_ID, new Map([[TRACKER_ID, tracker]]));
+    jest.spyOn(supplyTracker, 'checkSupply').mockResolvedValue();
+    jest.spyOn(supplyTracker, 'subscribeTracker').mockResolvedValue(false);
+    jest.spyOn(supplyTracker, 'unsubscribeTracker').mockResolvedValue();
+  });
+
+  afterEach(() => {
+    clearInterval(supplyTracker.syncInterval);
+    clearInterval(supplyTracker.cleanupInterval);
+    clearTimeout(tracker.timeoutId);
+    jest.useRealTimers();
+  });
+
+  test('checks the tracker when the lease is granted and schedules the next check', async () => {
+    mockTrackerService.acquireLease.mockResolvedValue(true);
+
+    await supplyTracker.runScheduledCheck(CHAT_ID, TRACKER_ID);
+
+    expect(mockTrackerService.acquireLease).toHaveBeenCalledWith(CHAT_ID, TRACKER_ID, supplyTracker.instanceId, 2 * MINUTE);
+    expect(supplyTracker.checkSupply).toHaveBeenCalledWith(CHAT_ID, TRACKER_ID);
+    expect(tracker.nextCheckAt).toBe(Date.now() + MINUTE);
+    expect(tracker.timeoutId).not.toBeNull();
+  });
+
+  test('skips the check and drops real-time subscriptions when another process holds the lease', async () => {
+    mockTrackerService.acquireLease.mockResolvedValue(false);
+
+    await supplyTracker.runScheduledCheck(CHAT_ID, TRACKER_ID);
+
+    expect(supplyTracker.checkSupply).not.toHaveBeenCalled();
+    expect(supplyTracker.unsubscribeTracker).toHaveBeenCalledWith(tracker);
+    expect(tracker.timeoutId).not.toBeNull();
+  });
+
+  test('does not take the lease of an expired tracker', async () => {
+    tracker.expiresAt = Date.now() - 1;
+
+    await supplyTracker.runScheduledCheck(CHAT_ID, TRACKER_ID);
+
+    expect(mockTrackerService.acquireLease).not.toHaveBeenCalled();
+    expect(supplyTracker.checkSupply).not.toHaveBeenCalled();
+  });
+
+  test('does not reschedule a tracker stopped during its check', async () => {
+    mockTrackerService.acquireLease.mockResolvedValue(true);
+    supplyTracker.checkSupply.mockImplementation(async () => {
+      supplyTracker.userTrackers.get(CHAT_ID).delete(TRACKER_ID);
+    });
+
+    await supplyTracker.runScheduledCheck(CHAT_ID, TRACKER_ID);
+
+    expect(tracker.timeoutId).toBeNull();
+  });
+});
+
+describe('SupplyTracker tracker limits', () => {
+  test('refuses a tracker above the limit of the access tier', async () => {
+    const supplyTracker = new SupplyTracker({ sendMessage: jest.fn() }, { getTrackerTier: jest.fn().mockResolvedValue('free') });
+    clearInterval(supplyTracker.syncInterval);
+    clearInterval(supplyTracker.cleanupInterval);
+    supplyTracker.userTrackers.set(CHAT_ID, new Map([[TRACKER_ID, {}]]));
+
+    await expect(supplyTracker.startTracking('mint2', CHAT_ID, [], 5, 1e9, 1, 'TKN', 6, 'team', null, '7'))
+      .rejects.toThrow('maximum number of simultaneous trackings (1 for Free access)');
+    expect(supplyTracker.accessControl.getTrackerTier).toHaveBeenCalledWith(CHAT_ID, '7');
+  });
+});
+
+describe('SupplyTracker notifications', () => {
+  const BigNumber = require('bignumber.js');
+
+  test('escapes the ticker and wallet names in the HTML alert', async () => {
+    const bot = { sendMessage: jest.fn().mockResolvedValue({}) };
+    const supplyTracker = new SupplyTracker(bot, {});
+    clearInterval(supplyTracker.syncInterval);
+    clearInterval(supplyTracker.cleanupInterval);
+
+    const tracker = { chatId: CHAT_ID, tokenAddress: 'mint', ticker: '<B&B>', trackType: 'team', initialSupplyPercentage: new BigNumber(10) };
+    const walletChange = {
+      address: 'Seller1111111111111111111111111111111111111',
+      delta: new BigNumber(-500),
+      supplyPercentage: new BigNumber(-0.05),
+      destination: { type: 'transfer', to: 'Receiver111111111111111111111111111111111111', toName: 'Desk <OTC>' }
+    };
+
+    await supplyTracker.notifyChange(tracker, new BigNumber(9.95), new BigNumber(-0.05), [walletChange]);
+
+    const [, message, options] = bot.sendMessage.mock.calls[0];
+    expect(options.parse_mode).toBe('HTML');
+    expect(message).toContain('supply for &lt;B&amp;B&gt;');
+    expect(message).toContain('-500 &lt;B&amp;B&gt; (-0.05%)');
+    expect(message).toContain('sent to Desk &lt;OTC&gt;');
+    expect(message).not.toMatch(/<B&B>|<OTC>/);
+  });
+});
+
+describe('SupplyTracker real-time subscriptions', () => {
+  let server;
+  let requests;
+  let client;
+  let supplyTracker;
+
+  beforeEach(async () => {
+    requests = [];
+    server = new WebSocketServer({ port: 0 });
+    server.on('connection', socket => socket.on('message', data => {
+      const request = JSON.parse(data.toString());
+      requests.push(request);
+      const subscribeCount = requests.filter(r => r.method === 'accountSubscribe').length;
+      // The third subscription fails
+      const response = request.method === 'accountSubscribe' && subscribeCount === 3
+        ? { error: { code: -32602, message: 'Invalid param' } }
+        : { result: request.method.endsWith('Unsubscribe') ? true : 100 + subscribeCount };
+      socket.send(JSON.stringify({ jsonrpc: '2.0', id: request.id, ...response }));
+    }));
+    await new Promise(resolve => server.on('listening', resolve));
+
+    client = new SolanaWebsocketClient(`ws://127.0.0.1:${server.address().port}`, { autoReconnect: false, requestTimeout: 1000 });
+    await client.connect();
+
+    supplyTracker = new SupplyTracker({ sendMessage: jest.fn() }, {});
+    clearInterval(supplyTracker.syncInterval);
+    clearInterval(supplyTracker.cleanupInterval);
+    supplyTracker.realtimeClient = client;
+  });
+
+  afterEach(async () => {
+    client.close();
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  test('releases the subscriptions already taken when a later one fails', async () => {
+    const wallets = ['WalletA', 'WalletB', 'WalletC'].map(address => ({ address }));
+    mockSolanaApi.getAssociatedTokenAddresses.mockResolvedValue(new Map(wallets.map(({ address }) => [address, `${address}Ata`])));
+    const tracker = { chatId: CHAT_ID, trackerId: TRACKER_ID, tokenAddress: 'mint', decimals: 6, wallets, realtime: null };
+    supplyTracker.userTrackers.set(CHAT_ID, new Map([[TRACKER_ID, tracker]]));
+
+    const subscribed = await supplyTracker.subscribeTracker(CHAT_ID, TRACKER_ID);
+
+    expect(subscribed).toBe(false);
+    expect(tracker.realtime).toBeNull();
+    expect(client.subscriptions.size).toBe(0);
+    const unsubscribed = requests.filter(r => r.method === 'accountUnsubscribe').map(r => r.params[0]);
+    expect(unsubscribed.sort()).toEqual([101, 102]);
+  });
+});
@@ -0,0 +1,66 @@
+const mockAnalyzeFunding = jest.fn();
+jest.mock('../../tools/fundingAnalyzer', () => ({
+  ...jest.requireActual('../../tools/fundingAnalyzer'),
+  analyzeFunding: (...args) => mockAnalyzeFunding(...args)
+}));
+
+const mockGetWalletFreshness = jest.fn();
+jest.mock('../../tools/walletAge', () => ({
+  getTokenCreationTime: jest.fn(),
+  getWalletFreshness: (...args) => mockGetWalletFreshness(...args)
+}));
+
+const mockCheckInactivityPeriod = jest.fn();
+jest.mock('../../tools/inactivityPeriod', () => ({
+  checkInactivityPeriod: (...args) => mockCheckInactivityPeriod(...args)
+}));
+
+const { DEFAULT_MAX_HOPS } = require('../../tools/fundingAnalyzer');
+const { analyzeWallet, resolveAnalysisParams } = require('../../analysis/teamSupply');
+
+const analyze = () => analyzeWallet(
+  { address: 'holder', balance: '1000' },
+  'mint',
+  'test',
+  { created_at: 1700000000 },
+  'op',
+  null,
+  resolveAnalysisParams({})
+);
+
+describe('teamSupply wallet analysis', () => {
+  beforeEach(() => {
+    mockAnalyzeFunding.mockReset().mockResolvedValue([{ funderAddress: 'funder', fundingDetails: { amount: 1 } }]);
+    mockGetWalletFreshness.mockReset();
+    mockCheckInactivityPeriod.mockReset().mockResolvedValue({ isInactive: false });
+  });
+
+  test('traces the funding chain of flagged wallets', async () => {
+    mockGetWalletFreshness.mockResolvedValue({ isFresh: true, txCount: 3 });
+
+    const result = await analyze();
+
+    expect(result.category).toBe('Fresh');
+    expect(result.funderAddress).toBe('funder');
+    expect(mockAnalyzeFunding.mock.calls[0][3]).toEqual({ maxHops: DEFAULT_MAX_HOPS });
+  });
+
+  test('only looks up the direct funder of the other holders', async () => {
+    mockGetWalletFreshness.mockResolvedValue({ isFresh: false, txCount: 300 });
+
+    const result = await analyze();
+
+    expect(result.category).toBe('Normal');
+    expect(result.funderAddress).toBe('funder');
+    expect(mockAnalyzeFunding.mock.calls[0][3]).toEqual({ maxHops: 1 });
+  });
+
+  test('busy wallets skip the funding analysis', async () => {
+    mockGetWalletFreshness.mockResolvedValue({ isFresh: false, txCount: 5000 });
+
+    const result = await analyze();
+
+    expect(result.category).toBe('Normal');
+    expect(mockAnalyzeFunding).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,124 @@
+const mockGetSignatures = jest.fn();
+const mockGetTransaction = jest.fn();
+jest.mock('../../integrations/solanaApi', () => ({
+  getSolanaApi: () => ({ getSignaturesForAddress: mockGetSignatures, getTransaction: mockGetTransaction })
+}));
+
+const {
+  getOwnerTokenDeltas,
+  getInvokedPrograms,
+  classifyTokenOutflow,
+  traceRecentOutflows
+} = require('../../tools/tokenFlowAnalyzer');
+
+const MINT = 'Mint111111111111111111111111111111111111111';
+const OTHER_MINT = 'Other11111111111111111111111111111111111111';
+const SELLER = 'Seller1111111111111111111111111111111111111';
+const RECEIVER = 'Receiver111111111111111111111111111111111111';
+const BINANCE = '5tzFkiKscXHK5ZXCGbXZxdw7gTjjD1mBwuoFbhUvuAi9';
+const RAYDIUM_AMM = '675kPX9MHTjS2zt1qfr1NYHuzeLXfQM9H24wFSUt1Mp8';
+const TOKEN_PROGRAM = 'TokenkegQfeZyiNwAJbNbGKPFXCWuBvf9Ss623VQ5DA';
+
+const balance = (owner, uiAmount, mint = MINT) => ({ owner, mint, uiTokenAmount: { uiAmountString: String(uiAmount) } });
+
+// Parsed transaction (jsonParsed encoding) moving tokens between owners
+const parsedTransaction = ({ pre, post, programs = [TOKEN_PROGRAM], innerPrograms = [], signature = 'sig1', blockTime = 1700000000 }) => ({
+  blockTime,
+  transaction: {
+    signatures: [signature],
+    message: { instructions: programs.map(programId => ({ programId })) }
+  },
+  meta: {
+    err: null,
+    preTokenBalances: pre,
+    postTokenBalances: post,
+    innerInstructions: [{ index: 0, instructions: innerPrograms.map(programId => ({ programId })) }]
+  }
+});
+
+describe('tokenFlowAnalyzer', () => {
+  beforeEach(() => {
+    mockGetSignatures.mockReset();
+    mockGetTransaction.mockReset();
+  });
+
+  test('computes the token delta of each owner for the mint only', () => {
+    const deltas = getOwnerTokenDeltas(parsedTransaction({
+      pre: [balance(SELLER, 1000), balance(RECEIVER, 0), balance(SELLER, 5, OTHER_MINT)],
+      post: [balance(SELLER, 400), balance(RECEIVER, 600), balance(SELLER, 0, OTHER_MINT)]
+    }), MINT);
+
+    expect(deltas.get(SELLER).toNumber()).toBe(-600);
+    expect(deltas.get(RECEIVER).toNumber()).toBe(600);
+    expect(deltas.size).toBe(2);
+  });
+
+  test('a token account created in the transaction counts from zero', () => {
+    const deltas = getOwnerTokenDeltas(parsedTransaction({ pre: [balance(SELLER, 10)], post: [balance(SELLER, 0), balance(RECEIVER, 10)] }), MINT);
+
+    expect(deltas.get(RECEIVER).toNumber()).toBe(10);
+  });
+
+  test('lists invoked programs including inner instructions', () => {
+    const programs = getInvokedPrograms(parsedTransaction({ pre: [], post: [], innerPrograms: [RAYDIUM_AMM] }));
+
+    expect([...programs]).toEqual([TOKEN_PROGRAM, RAYDIUM_AMM]);
+  });
+
+  test('a transaction through a known DEX is a sale', () => {
+    const outflow = classifyTokenOutflow(parsedTransaction({
+      pre: [balance(SELLER, 1000), balance('Pool1111111111111111111111111111111111111111', 50000)],
+      post: [balance(SELLER, 0), balance('Pool1111111111111111111111111111111111111111', 51000)],
+      innerPrograms: [RAYDIUM_AMM]
+    }), SELLER, MINT);
+
+    expect(outflow).toEqual({ type: 'sold', venue: 'Raydium 2', amount: 1000, signature: 'sig1', timestamp: 1700000000 });
+  });
+
+  test('tokens sent to another owner are a transfer to the largest receiver, named when known', () => {
+    const outflow = classifyTokenOutflow(parsedTransaction({
+      pre: [balance(SELLER, 1000)],
+      post: [balance(SELLER, 100), balance(RECEIVER, 200), balance(BINANCE, 700)]
+    }), SELLER, MINT);
+
+    expect(outflow).toMatchObject({ type: 'transfer', to: BINANCE, toName: 'Binance', amount: 900 });
+  });
+
+  test('tokens leaving without receiver are reported as sold without venue', () => {
+    const outflow = classifyTokenOutflow(parsedTransaction({ pre: [balance(SELLER, 1000)], post: [balance(SELLER, 0)] }), SELLER, MINT);
+
+    expect(outflow).toMatchObject({ type: 'sold', venue: null, amount: 1000 });
+  });
+
+  test('no outflow when the wallet balance did not decrease', () => {
+    const tx = parsedTransaction({ pre: [balance(SELLER, 10)], post: [balance(SELLER, 20)] });
+
+    expect(classifyTokenOutflow(tx, SELLER, MINT)).toBeNull();
+    expect(classifyTokenOutflow(tx, RECEIVER, MINT)).toBeNull();
+  });
+
+  test('traces the recent outflows since a date, skipping failed transactions', async () => {
+    mockGetSignatures.mockResolvedValue([
+      { signature: 'recent', blockTime: 1700000100, err: null },
+      { signature: 'failed', blockTime: 1700000050, err: { InstructionError: [] } },
+      { signature: 'old', blockTime: 1699990000, err: null }
+    ]);
+    mockGetTransaction.mockResolvedValue(parsedTransaction({
+      pre: [balance(SELLER, 1000)],
+      post: [balance(SELLER, 0), balance(RECEIVER, 1000)],
+      signature: 'recent'
+    }));
+
+    const outflows = await traceRecentOutflows(SELLER, MINT, 1700000000 * 1000, 'test', 'test');
+
+    expect(mockGetTransaction).toHaveBeenCalledTimes(1);
+    expect(mockGetTransaction.mock.calls[0][0]).toBe('recent');
+    expect(outflows).toEqual([expect.objectContaining({ type: 'transfer', to: RECEIVER, signature: 'recent' })]);
+  });
+
+  test('an RPC error yields no outflow', async () => {
+    mockGetSignatures.mockRejectedValue(new Error('rate limited'));
+
+    await expect(traceRecentOutflows(SELLER, MINT, null, 'test', 'test')).resolves.toEqual([]);
+  });
+});
@@ -0,0 +1,52 @@
+const {
+  buildSparkline,
+  computeHistoryStats,
+  formatTrackerHistory
+} = require('../../bot/formatters/trackerHistoryFormatter');
+
+const MINUTE = 60 * 1000;
+const point = (minute, supplyPercentage) => ({ timestamp: minute * MINUTE, supplyPercentage });
+
+describe('trackerHistoryFormatter', () => {
+  test('history stats give the extremes, the total change and the last change', () => {
+    const points = [point(0, 10), point(1, 12), point(2, 12), point(3, 7), point(4, 7)];
+
+    const stats = computeHistoryStats(points);
+
+    expect(stats.min).toEqual(point(3, 7));
+    expect(stats.max).toEqual(point(1, 12));
+    expect(stats.totalChange).toBe(-3);
+    expect(stats.lastChange).toEqual({ timestamp: 3 * MINUTE, delta: -5 });
+  });
+
+  test('a flat history has no last change', () => {
+    expect(computeHistoryStats([point(0, 5), point(1, 5)]).lastChange).toBeNull();
+    expect(computeHistoryStats([])).toBeNull();
+  });
+
+  test('sparkline maps the lowest value to the first block and the highest to the last', () => {
+    expect(buildSparkline([point(0, 0), point(1, 50), point(2, 100)])).toBe('▁▅█');
+    expect(buildSparkline([point(0, 5), point(1, 5)])).toBe('▄▄');
+    expect(buildSparkline([])).toBe('');
+  });
+
+  test('a long history is reduced to the sparkline width, empty slices repeat the previous value', () => {
+    const points = [point(0, 0), point(1, 0), point(2, 0), point(10, 100)];
+
+    const sparkline = buildSparkline(points, 3);
+
+    expect(sparkline).toBe('▁▁█');
+  });
+
+  test('a tracker without checks says so', () => {
+    const tracker = { ticker: 'TKN', tokenAddress: 'mint', trackType: 'team' };
+
+    expect(formatTrackerHistory(tracker, [])).toContain('No checks recorded yet');
+  });
+
+  test('the ticker is escaped in the HTML message', () => {
+    const tracker = { ticker: '<b>A&B', tokenAddress: 'mint', trackType: 'team' };
+
+    expect(formatTrackerHistory(tracker, [])).toContain('<b>&lt;b&gt;A&amp;B</b>');
+  });
+});
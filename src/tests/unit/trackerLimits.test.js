@@ -0,0 +1,80 @@
+jest.mock('../../database', () => ({
+  SubscriptionService: {},
+  PaymentService: {},
+  TokenVerificationService: {}
+}));
+
+const { TRACKER_LIMITS, getTrackerLimits } = require('../../database/config/subscriptionConfig');
+const AccessControlDB = require('../../bot/accessManager/accessControlDB');
+const { commandConfigs } = require('../../bot/commandsManager/commandConfigs');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+describe('Tracker limits', () => {
+  test('unknown tiers get the free limits', () => {
+    expect(getTrackerLimits('unknown')).toBe(TRACKER_LIMITS.free);
+    expect(getTrackerLimits('paid')).toBe(TRACKER_LIMITS.paid);
+  });
+
+  test('every tier, free included, can track', () => {
+    Object.values(TRACKER_LIMITS).forEach(limits => expect(limits.maxTrackers).toBeGreaterThan(0));
+  });
+
+  test('the /tracker help lists the limits of every tier', () => {
+    const { helpMessage } = commandConfigs.tracker;
+
+    Object.values(TRACKER_LIMITS).forEach(({ label, maxTrackers, duration }) => {
+      const days = duration / DAY;
+      expect(helpMessage).toContain(
+        `${label}: ${maxTrackers} tracker${maxTrackers > 1 ? 's' : ''} for ${days} day${days > 1 ? 's' : ''}`
+      );
+    });
+  });
+});
+
+describe('AccessControlDB.getTrackerTier', () => {
+  let accessControl;
+
+  beforeEach(() => {
+    accessControl = new AccessControlDB({ collection: () => ({}) }, {});
+    accessControl.hasActiveGroupSubscription = jest.fn().mockResolvedValue(false);
+    accessControl.hasGroupTokenVerification = jest.fn().mockResolvedValue(false);
+    accessControl.hasActiveSubscription = jest.fn().mockResolvedValue(false);
+    accessControl.hasTokenVerification = jest.fn().mockResolvedValue(false);
+  });
+
+  test('a subscription wins over a token verification', async () => {
+    accessControl.hasActiveSubscription.mockResolvedValue(true);
+    accessControl.hasTokenVerification.mockResolvedValue(true);
+
+    expect(await accessControl.getTrackerTier('123')).toBe('paid');
+    expect(accessControl.hasActiveSubscription).toHaveBeenCalledWith('123');
+  });
+
+  test('a token verified user gets the token verified tier', async () => {
+    accessControl.hasTokenVerification.mockResolvedValue(true);
+
+    expect(await accessControl.getTrackerTier('123')).toBe('tokenVerified');
+  });
+
+  test('a group uses its own access before the access of the user', async () => {
+    accessControl.hasGroupTokenVerification.mockResolvedValue(true);
+
+    expect(await accessControl.getTrackerTier('-100', '7')).toBe('group');
+    expect(accessControl.hasActiveSubscription).not.toHaveBeenCalled();
+  });
+
+  test('a group without access falls back to the user who clicked', async () => {
+    accessControl.hasActiveSubscription.mockResolvedValue(true);
+
+    expect(await accessControl.getTrackerTier('-100', '7')).toBe('paid');
+    expect(accessControl.hasActiveSubscription).toHaveBeenCalledWith('7');
+  });
+
+  test('errors resolve to the free tier', async () => {
+    accessControl.hasActiveSubscription.mockRejectedValue(new Error('db down'));
+
+    expect(await accessControl.getTrackerTier('123')).toBe('free');
+    expect(await accessControl.getTrackerTier('-100')).toBe('free');
+  });
+});
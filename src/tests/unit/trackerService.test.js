@@ -0,0 +1,52 @@
+const mockCollection = { updateOne: jest.fn() };
+jest.mock('../../database/config/connection', () => ({
+  getDatabase: async () => ({ collection: () => mockCollection })
+}));
+
+jest.mock('../../utils/logger', () => ({ debug: jest.fn(), error: jest.fn(), warn: jest.fn() }));
+
+const TrackerService = require('../../database/services/trackerService');
+
+describe('TrackerService leases', () => {
+  beforeEach(() => mockCollection.updateOne.mockReset());
+
+  test('takes a lease that is free, expired or already ours, for the given duration', async () => {
+    mockCollection.updateOne.mockResolvedValue({ matchedCount: 1 });
+    const before = Date.now();
+
+    await expect(TrackerService.acquireLease('42', 'mint_team', 'me', 120000)).resolves.toBe(true);
+
+    const [filter, update] = mockCollection.updateOne.mock.calls[0];
+    expect(filter).toMatchObject({ chatId: '42', trackerId: 'mint_team' });
+    expect(filter.$or).toEqual([
+      { leaseOwner: 'me' },
+      { leaseOwner: null },
+      { leaseExpiresAt: { $lte: expect.any(Date) } }
+    ]);
+    expect(update.$set.leaseOwner).toBe('me');
+    expect(update.$set.leaseExpiresAt.getTime()).toBeGreaterThanOrEqual(before + 120000);
+  });
+
+  test('is refused while another process holds a valid lease', async () => {
+    mockCollection.updateOne.mockResolvedValue({ matchedCount: 0 });
+
+    await expect(TrackerService.acquireLease('42', 'mint_team', 'me', 120000)).resolves.toBe(false);
+  });
+
+  test('a database error counts as no lease', async () => {
+    mockCollection.updateOne.mockRejectedValue(new Error('down'));
+
+    await expect(TrackerService.acquireLease('42', 'mint_team', 'me', 120000)).resolves.toBe(false);
+  });
+
+  test('only the owner releases its lease', async () => {
+    mockCollection.updateOne.mockResolvedValue({ matchedCount: 1 });
+
+    await TrackerService.releaseLease('42', 'mint_team', 'me');
+
+    expect(mockCollection.updateOne).toHaveBeenCalledWith(
+      { chatId: '42', trackerId: 'mint_team', leaseOwner: 'me' },
+      { $set: { leaseOwner: null, leaseExpiresAt: null } }
+    );
+  });
+});
@@ -0,0 +1,71 @@
+jest.mock('../../database', () => ({ TrackerSettingsService: {} }));
+
+const TrackingActionHandler = require('../../bot/commandHandlers/trackingActionHandler');
+const { getTrackerCallbackData } = require('../../tools/trackerCallbacks');
+
+const MINT = 'Mint1111111111111111111111111111111111111pump';
+const CHAT_ID = 42;
+
+const makeQuery = data => ({
+  id: 'query',
+  data,
+  from: { id: 7 },
+  message: { message_id: 3, chat: { id: CHAT_ID, type: 'private' } }
+});
+
+describe('TrackingActionHandler active tracker actions', () => {
+  let bot;
+  let supplyTracker;
+  let accessControl;
+  let handler;
+
+  beforeEach(() => {
+    bot = {
+      answerCallbackQuery: jest.fn().mockResolvedValue(true),
+      editMessageText: jest.fn().mockResolvedValue({}),
+      sendMessage: jest.fn().mockResolvedValue({ message_id: 4 })
+    };
+    // Two trackers on the same token
+    supplyTracker = {
+      getTrackedSuppliesByUser: jest.fn().mockReturnValue([
+        { trackerId: `${MINT}_team`, tokenAddress: MINT, ticker: 'TKN', trackType: 'team' },
+        { trackerId: `${MINT}_fresh`, tokenAddress: MINT, ticker: 'TKN', trackType: 'fresh' }
+      ]),
+      getTrackerHistory: jest.fn().mockResolvedValue([]),
+      stopTracking: jest.fn().mockReturnValue(true),
+      extendTracking: jest.fn().mockResolvedValue({ tier: 'paid', expiresAt: Date.now() })
+    };
+    accessControl = {
+      subscriptionService: { getUserSubscription: jest.fn(), getGroupSubscription: jest.fn() },
+      getTrackerTier: jest.fn().mockResolvedValue('paid')
+    };
+    handler = new TrackingActionHandler(supplyTracker, accessControl);
+  });
+
+  test('callback data fits the 64 bytes Telegram allows', () => {
+    const data = getTrackerCallbackData('history', { tokenAddress: MINT, trackType: 'earlyBuyers' });
+
+    expect(Buffer.byteLength(data)).toBeLessThanOrEqual(64);
+  });
+
+  test('history resolves the tracker of the callback type, not the first one of the token', async () => {
+    await handler.handleCallback(bot, makeQuery(getTrackerCallbackData('history', { tokenAddress: MINT, trackType: 'fresh' })));
+
+    expect(supplyTracker.getTrackerHistory).toHaveBeenCalledWith(CHAT_ID, `${MINT}_fresh`);
+  });
+
+  test('stop and extend act on the exact tracker', async () => {
+    await handler.handleCallback(bot, makeQuery(getTrackerCallbackData('stop', { tokenAddress: MINT, trackType: 'fresh' })));
+    await handler.handleCallback(bot, makeQuery(getTrackerCallbackData('extend', { tokenAddress: MINT, trackType: 'fresh' })));
+
+    expect(supplyTracker.stopTracking).toHaveBeenCalledWith(CHAT_ID, `${MINT}_fresh`);
+    expect(supplyTracker.extendTracking).toHaveBeenCalledWith(CHAT_ID, `${MINT}_fresh`, '7');
+  });
+
+  test('the cancel button of a tracking setup does not stop an active tracker of the token', async () => {
+    await handler.handleCallback(bot, makeQuery(`track:stop:${MINT}:1`));
+
+    expect(supplyTracker.stopTracking).not.toHaveBeenCalled();
+    expect(bot.editMessageText).toHaveBeenCalledWith('Tracking setup canceled.', expect.anything());
+  });
+});
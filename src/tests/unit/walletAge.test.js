@@ -0,0 +1,130 @@
+const mockGetTokenPairs = jest.fn();
+jest.mock('../../integrations/dexScreenerApi', () => ({ getTokenPairs: (...args) => mockGetTokenPairs(...args) }));
+const mockGetCoinInfo = jest.fn();
+jest.mock('../../integrations/pumpfunApi', () => ({ getCoinInfo: (...args) => mockGetCoinInfo(...args) }));
+
+const mockGetSignatures = jest.fn();
+jest.mock('../../integrations/solanaApi', () => ({
+  getSolanaApi: () => ({ getSignaturesForAddress: mockGetSignatures })
+}));
+
+const { findFirstTransaction, getTokenCreationTime, computeFreshnessScore, getWalletFreshness } = require('../../tools/walletAge');
+
+const DAY = 24 * 60 * 60;
+const TOKEN_CREATED_AT = 1700000000;
+
+const page = (count, oldestTime) => Array.from({ length: count }, (_, index) => ({
+  signature: `sig${oldestTime}-${index}`,
+  blockTime: oldestTime + (count - index)
+}));
+
+describe('walletAge', () => {
+  beforeEach(() => mockGetSignatures.mockReset());
+
+  test('walks signatures backwards to the first transaction', async () => {
+    mockGetSignatures
+      .mockResolvedValueOnce(page(1000, 2000))
+      .mockResolvedValueOnce(page(20, 1000));
+
+    const history = await findFirstTransaction('wallet', 'test', 'test');
+
+    expect(history).toEqual({ txCount: 1020, firstTxTime: 1001, complete: true });
+    expect(mockGetSignatures.mock.calls[1][1].before).toBe('sig2000-999');
+  });
+
+  test('stops after maxPages with an incomplete history', async () => {
+    mockGetSignatures.mockResolvedValue(page(1000, 5000));
+
+    const history = await findFirstTransaction('wallet', 'test', 'test', { maxPages: 2 });
+    expect(history.complete).toBe(false);
+    expect(history.txCount).toBe(2000);
+  });
+
+  test('a quiet wallet is scored from a single cheap request', async () => {
+    mockGetSignatures.mockResolvedValueOnce(page(40, TOKEN_CREATED_AT - DAY));
+
+    const freshness = await getWalletFreshness('wallet', TOKEN_CREATED_AT, { txThreshold: 100 }, 'test', 'test');
+
+    expect(freshness).toMatchObject({ isFresh: true, txCount: 40 });
+    expect(mockGetSignatures).toHaveBeenCalledTimes(1);
+    expect(mockGetSignatures.mock.calls[0][1].limit).toBe(101);
+  });
+
+  test('busy wallets are walked up to maxTransactions only', async () => {
+    mockGetSignatures
+      .mockResolvedValueOnce(page(101, 5000))
+      .mockResolvedValueOnce(page(900, 4000));
+
+    const freshness = await getWalletFreshness('wallet', TOKEN_CREATED_AT, { txThreshold: 100 }, 'test', 'test');
+
+    expect(freshness).toMatchObject({ isFresh: false, txCount: 1001, ageDays: null });
+    expect(mockGetSignatures).toHaveBeenCalledTimes(2);
+    expect(mockGetSignatures.mock.calls[1][1]).toEqual({ limit: 900, before: 'sig5000-100' });
+  });
+
+  test('wallets above the transaction threshold are only fresh when created just before the token', () => {
+    const history = { txCount: 150, firstTxTime: TOKEN_CREATED_AT - 10 * DAY, complete: true };
+    const freshness = computeFreshnessScore(history, TOKEN_CREATED_AT, 100);
+
+    expect(freshness.score).toBeGreaterThanOrEqual(0.5);
+    expect(freshness.isFresh).toBe(false);
+    expect(computeFreshnessScore({ ...history, txCount: 90 }, TOKEN_CREATED_AT, 100).isFresh).toBe(true);
+  });
+
+  test('a young wallet spamming transactions is still fresh', () => {
+    const history = { txCount: 800, firstTxTime: TOKEN_CREATED_AT - DAY, complete: true };
+    expect(computeFreshnessScore(history, TOKEN_CREATED_AT).isFresh).toBe(true);
+  });
+
+  test('an old dormant wallet with few transactions is not fresh', () => {
+    const history = { txCount: 15, firstTxTime: TOKEN_CREATED_AT - 400 * DAY, complete: true };
+    const freshness = computeFreshnessScore(history, TOKEN_CREATED_AT);
+
+    expect(freshness.isFresh).toBe(false);
+    expect(freshness.ageDays).toBe(400);
+  });
+
+  test('a wallet created after the token launched is 0 days old', () => {
+    const history = { txCount: 3, firstTxTime: TOKEN_CREATED_AT + DAY, complete: true };
+    const freshness = computeFreshnessScore(history, TOKEN_CREATED_AT);
+
+    expect(freshness.ageDays).toBe(0);
+    expect(freshness.score).toBeGreaterThan(0.9);
+  });
+
+  describe('getTokenCreationTime', () => {
+    const MIGRATED_AT = TOKEN_CREATED_AT + DAY;
+    // A bonded token: the migration pool is the most liquid pair, the bonding curve pair the oldest
+    const migratedPairs = [
+      { dexId: 'pumpswap', pairCreatedAt: MIGRATED_AT * 1000 },
+      { dexId: 'pumpfun', pairCreatedAt: TOKEN_CREATED_AT * 1000 }
+    ];
+
+    beforeEach(() => {
+      mockGetTokenPairs.mockReset().mockResolvedValue(migratedPairs);
+      mockGetCoinInfo.mockReset();
+    });
+
+    test('a migrated PumpFun token is dated by its PumpFun creation, not its migration pool', async () => {
+      mockGetCoinInfo.mockResolvedValue({ created_timestamp: TOKEN_CREATED_AT * 1000 + 500 });
+
+      await expect(getTokenCreationTime('Mint1pump', 'test', 'test')).resolves.toBe(TOKEN_CREATED_AT);
+      expect(mockGetTokenPairs).not.toHaveBeenCalled();
+    });
+
+    test('without the launchpad creation time, the earliest pair dates the token', async () => {
+      mockGetCoinInfo.mockRejectedValue(new Error('PumpFun unavailable'));
+
+      await expect(getTokenCreationTime('Mint1pump', 'test', 'test')).resolves.toBe(TOKEN_CREATED_AT);
+      await expect(getTokenCreationTime('Mint2bonk', 'test', 'test')).resolves.toBe(TOKEN_CREATED_AT);
+      expect(mockGetCoinInfo).toHaveBeenCalledTimes(1);
+    });
+
+    test('a token without pairs is dated by the first transaction of its mint', async () => {
+      mockGetTokenPairs.mockResolvedValue([]);
+      mockGetSignatures.mockResolvedValueOnce(page(20, TOKEN_CREATED_AT));
+
+      await expect(getTokenCreationTime('Mint2bonk', 'test', 'test')).resolves.toBe(TOKEN_CREATED_AT + 1);
+    });
+  });
+});
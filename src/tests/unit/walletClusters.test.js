@@ -0,0 +1,103 @@
+jest.mock('../../integrations/solanaApi', () => ({
+  getSolanaApi: () => ({ getSignaturesForAddress: jest.fn(), getTransaction: jest.fn() })
+}));
+
+const { findFundingLinks, getHolderTransfers, buildWalletClusters } = require('../../tools/walletClusters');
+
+const BINANCE = '5tzFkiKscXHK5ZXCGbXZxdw7gTjjD1mBwuoFbhUvuAi9';
+
+const funded = (address, funderAddress, amount, timestamp) => ({
+  address,
+  funderAddress,
+  fundingDetails: { amount, timestamp }
+});
+
+describe('walletClusters', () => {
+  test('links wallets sharing a private funder but not an exchange', () => {
+    const links = findFundingLinks([
+      funded('a', 'funder', 1.2, 1000),
+      funded('b', 'funder', 3.4, 500000),
+      funded('c', BINANCE, 2, 900000),
+      funded('d', BINANCE, 5, 2000000)
+    ]);
+
+    expect(links).toEqual([{ from: 'a', to: 'b', reason: 'shared_funder' }]);
+  });
+
+  test('links identical funding amounts and fundings in the same minute', () => {
+    const links = findFundingLinks([
+      funded('a', 'x', 0.4321, 1000),
+      funded('b', 'y', 0.4321, 5000),
+      funded('c', 'z', 7, 5030)
+    ]);
+
+    expect(links.map(link => link.reason)).toEqual(['same_amount', 'same_time']);
+  });
+
+  test('does not link identical exchange fundings', () => {
+    const links = findFundingLinks([
+      funded('a', BINANCE, 0.5, 1000),
+      funded('b', BINANCE, 0.5, 1010),
+      { address: 'c', funderAddress: 'relay', fundingDetails: { amount: 0.5, timestamp: 1020, sourceCategory: 'Exchange' } }
+    ]);
+
+    expect(links).toEqual([]);
+  });
+
+  test('links a holder funded by another holder', () => {
+    const links = findFundingLinks([funded('a', 'b', 1, 1000), { address: 'b' }]);
+    expect(links).toEqual([{ from: 'b', to: 'a', reason: 'holder_funded' }]);
+  });
+
+  test('reads SOL and token transfers between holders from a transaction', () => {
+    const txDetails = {
+      transaction: {
+        signatures: ['sig'],
+        message: {
+          accountKeys: [{ pubkey: 'a' }, { pubkey: 'ataA' }, { pubkey: 'ataB' }],
+          instructions: [
+            { program: 'system', parsed: { type: 'transfer', info: { source: 'a', destination: 'b', lamports: 1 } } },
+            { program: 'system', parsed: { type: 'transfer', info: { source: 'a', destination: 'outsider', lamports: 1 } } }
+          ]
+        }
+      },
+      meta: {
+        preTokenBalances: [{ accountIndex: 1, owner: 'a' }],
+        postTokenBalances: [{ accountIndex: 2, owner: 'b' }],
+        innerInstructions: [{
+          instructions: [{ program: 'spl-token', parsed: { type: 'transferChecked', info: { source: 'ataA', destination: 'ataB', authority: 'a' } } }]
+        }]
+      }
+    };
+
+    expect(getHolderTransfers(txDetails, new Set(['a', 'b']))).toEqual([
+      { from: 'a', to: 'b', reason: 'sol_transfer', signature: 'sig' },
+      { from: 'a', to: 'b', reason: 'token_transfer', signature: 'sig' }
+    ]);
+  });
+
+  test('weak links only join two wallets when both weak signals hold for the pair', () => {
+    const clusters = buildWalletClusters(['a', 'b', 'c', 'd'], [
+      { from: 'a', to: 'b', reason: 'same_amount' },
+      { from: 'b', to: 'c', reason: 'same_time' },
+      { from: 'c', to: 'd', reason: 'same_amount' },
+      { from: 'd', to: 'c', reason: 'same_time' }
+    ]);
+
+    expect(clusters).toHaveLength(1);
+    expect(clusters[0].wallets).toEqual(['c', 'd']);
+    expect(clusters[0].links).toHaveLength(2);
+  });
+
+  test('groups connected wallets into clusters of 2+ wallets', () => {
+    const clusters = buildWalletClusters(['a', 'b', 'c', 'd', 'e'], [
+      { from: 'a', to: 'b', reason: 'shared_funder' },
+      { from: 'b', to: 'c', reason: 'sol_transfer' },
+      { from: 'd', to: 'unknown', reason: 'sol_transfer' }
+    ]);
+
+    expect(clusters).toHaveLength(1);
+    expect(clusters[0].wallets).toEqual(['a', 'b', 'c']);
+    expect(clusters[0].reasons).toEqual(['shared_funder', 'sol_transfer']);
+  });
+});
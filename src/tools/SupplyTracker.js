@@ -1,19 +1,59 @@
 // tools/SupplyTracker.js
 const BigNumber = require('bignumber.js');
 const fs = require('fs').promises;
+const os = require('os');
 const path = require('path');
+const crypto = require('crypto');
 const logger = require('../utils/logger'); 
+const config = require('../utils/config');
+const ApiCallCounter = require('../utils/ApiCallCounter');
 const { getSolanaApi } = require('../integrations/solanaApi');
+const SolanaWebsocketClient = require('../integrations/solanaWebsocket');
 const { scanToken } = require('../analysis/topHoldersScanner');
+const { TrackerService, TrackerHistoryService, TrackerSettingsService } = require('../database');
+const { TRACKER_EXPIRY_WARNING, getTrackerLimits } = require('../database/config/subscriptionConfig');
+const { traceRecentOutflows } = require('./tokenFlowAnalyzer');
+const { getTrackerId, getTrackerCallbackData } = require('./trackerCallbacks');
+const {
+  normalizeAlertRules,
+  isInQuietHours,
+  isInCooldown,
+  recordRecentPoint,
+  evaluateAlertRules
+} = require('./alertRules');
+const { formatNumber, truncateAddress, escapeHtml } = require('../bot/formatters/generalFormatters');
 
 // Récupération de l'API Solana
 const solanaApi = getSolanaApi();
 
 // Configuration des intervalles et des expirations
 const CHECK_INTERVAL = 1 * 60 * 1000;       // 1 minute
-const SAVE_INTERVAL = 0.5 * 60 * 1000;      // 30 secondes
-const CLEANUP_INTERVAL = 1 * 60 * 60 * 1000; // 1 heure
-const EXPIRY_TIME = 2 * 24 * 60 * 60 * 1000;    // 2 days
+const SYNC_INTERVAL = 0.5 * 60 * 1000;      // 30 secondes
+const CLEANUP_INTERVAL = 10 * 60 * 1000;     // 10 minutes
+// Durée appliquée aux trackers créés avant les limites par niveau d'accès
+const LEGACY_EXPIRY_TIME = 2 * 24 * 60 * 60 * 1000;    // 2 days
+// Durée du bail d'un process sur un tracker : s'il n'est pas renouvelé
+// (process arrêté ou planté), un autre process peut reprendre le tracker.
+const LEASE_TTL = 2 * CHECK_INTERVAL;
+
+// Détail par wallet dans les notifications
+const MAX_LISTED_WALLET_CHANGES = 10;
+const MAX_TRACED_OUTFLOWS = 5;
+
+// Types de tracking qui suivent une liste fixe de wallets (topHolders refait un scan à chaque fois)
+const WALLET_TRACK_TYPES = ['team', 'fresh', 'bundle', 'dev', 'earlyBuyers', 'entryMap'];
+
+// Libellés affichés pour les types dont l'identifiant ne se lit pas tel quel
+const TRACK_TYPE_LABELS = {
+  earlyBuyers: 'early buyers',
+  entryMap: 'entry map holders'
+};
+
+// Mode temps réel : délai de regroupement des notifications d'un même tracker
+const REALTIME_DEBOUNCE = 2000;
+
+// Ancien fichier de sauvegarde, importé une seule fois dans MongoDB
+const LEGACY_SAVE_FILE = path.join(__dirname, '../data/trackers.json');
 
 /**
  * Petite fonction utilitaire pour attendre `ms` millisecondes.
@@ -22,6 +62,25 @@ function wait(ms) {
   return new Promise(resolve => setTimeout(resolve, ms));
 }
 
+/**
+ * Sous-contexte ApiCallCounter d'un tracker : la consommation de crédits est suivie par tracker.
+ */
+function getTrackerContext(chatId, trackerId) {
+  return `${chatId}:${trackerId}`;
+}
+
+/**
+ * Durée lisible pour les messages d'expiration ("2 days", "5 hours", "30 minutes").
+ */
+function formatDuration(ms) {
+  const minutes = Math.max(1, Math.round(ms / 60000));
+  if (minutes < 60) return `${minutes} minute${minutes > 1 ? 's' : ''}`;
+  const hours = Math.round(minutes / 60);
+  if (hours < 48) return `${hours} hour${hours > 1 ? 's' : ''}`;
+  const days = Math.round(hours / 24);
+  return `${days} days`;
+}
+
 /**
  * Effectue des tentatives de `operation` avec une stratégie d'exponentiel backoff.
  * @param {Function} operation - Fonction asynchrone à tenter.
@@ -48,6 +107,8 @@ async function retryWithBackoff(operation, maxRetries = 5, initialDelay = 1000)
 /**
  * @class SupplyTracker
  * @description Classe responsable de suivre la supply (top holders, team, fresh, ou bundle) d'un token.
+ * Les trackers sont persistés dans la collection `trackers` ; chaque process prend un bail
+ * sur un tracker avant de le vérifier, afin qu'un seul process interroge un tracker donné.
  */
 class SupplyTracker {
   /**
@@ -60,24 +121,31 @@ class SupplyTracker {
     this.bot = bot;
     this.accessControl = accessControl;
 
-    // Fichier où seront stockées les infos de tracking
-    this.saveFilePath = path.join(__dirname, '../data/trackers.json');
+    // Client websocket du mode temps réel (null = polling uniquement)
+    this.realtimeClient = null;
 
-    // Mise en place des intervalles pour sauvegarde + nettoyage
-    this.saveInterval = setInterval(() => this.saveTrackers(), SAVE_INTERVAL);
+    // Identifiant unique de ce process, utilisé pour les baux sur les trackers
+    this.instanceId = `${os.hostname()}:${process.pid}:${crypto.randomBytes(4).toString('hex')}`;
+
+    // Mise en place des intervalles pour synchronisation + nettoyage
+    this.syncInterval = setInterval(() => this.syncTrackers(), SYNC_INTERVAL);
     this.cleanupInterval = setInterval(() => this.cleanupExpiredTrackers(), CLEANUP_INTERVAL);
   }
 
   /**
-   * Initialise le SupplyTracker en chargeant les trackers depuis le fichier
+   * Initialise le SupplyTracker en chargeant les trackers depuis MongoDB
    * et en nettoyant immédiatement les trackers expirés.
    */
   async init() {
     try {
+      await this.importLegacyTrackers();
       await this.loadTrackers();
       // Nettoyage initial au démarrage
       await this.cleanupExpiredTrackers();
-      logger.info('SupplyTracker initialized successfully');
+      if (config.SUPPLY_TRACKER_REALTIME && config.HELIUS_WS_URL) {
+        await this.startRealtime(new SolanaWebsocketClient(config.HELIUS_WS_URL));
+      }
+      logger.info(`SupplyTracker initialized successfully (instance ${this.instanceId})`);
     } catch (error) {
       logger.error('Failed to initialize SupplyTracker:', error);
       throw new Error('SupplyTracker initialization failed');
@@ -85,7 +153,7 @@ class SupplyTracker {
   }
 
   /**
-   * Nettoie les trackers qui ont dépassé la durée d'expiration (31 jours).
+   * Nettoie les trackers expirés et prévient ceux qui arrivent bientôt à expiration.
    */
   async cleanupExpiredTrackers() {
     const now = Date.now();
@@ -95,15 +163,30 @@ class SupplyTracker {
 
     for (const [chatId, trackers] of this.userTrackers.entries()) {
       for (const [trackerId, tracker] of trackers.entries()) {
-        const age = now - tracker.startTimestamp;
         logger.debug(
-          `Checking tracker ${trackerId} - Age: ${age / 1000}s / ${EXPIRY_TIME / 1000}s`
+          `Checking tracker ${trackerId} - Expires in ${(tracker.expiresAt - now) / 1000}s`
         );
 
-        if (age > EXPIRY_TIME) {
+        if (now < tracker.expiresAt) {
+          if (!tracker.expiryWarnedAt && tracker.expiresAt - now <= TRACKER_EXPIRY_WARNING) {
+            // Un seul process envoie l'avertissement
+            tracker.expiryWarnedAt = now;
+            if (await TrackerService.markExpiryWarned(chatId, trackerId)) {
+              await this.notifyExpiryWarning(tracker);
+            }
+          }
+        } else {
           logger.debug(`Removing expired tracker ${trackerId} for chat ${chatId}`);
-          await this.notifyExpiry(tracker);
-          this.stopTracking(chatId, trackerId);
+          // Seul le process qui supprime effectivement le document prévient l'utilisateur
+          const removed = await TrackerService.deleteTracker(chatId, trackerId).catch(error => {
+            logger.error(`Error deleting expired tracker ${trackerId}:`, error);
+            return false;
+          });
+          if (removed) {
+            await this.notifyExpiry(tracker);
+            await TrackerHistoryService.deleteHistory(chatId, trackerId);
+          }
+          this.unscheduleTracker(chatId, trackerId);
           trackersRemoved++;
         }
       }
@@ -111,7 +194,24 @@ class SupplyTracker {
 
     if (trackersRemoved > 0) {
       logger.debug(`Cleaned up ${trackersRemoved} expired trackers`);
-      await this.saveTrackers();
+    }
+  }
+
+  /**
+   * Propose de prolonger un tracker avant son expiration.
+   */
+  async notifyExpiryWarning(tracker) {
+    const message = `⏳ Tracking of ${tracker.ticker} expires in ${formatDuration(tracker.expiresAt - Date.now())}\n\n` +
+                    `The ${TRACK_TYPE_LABELS[tracker.trackType] || tracker.trackType} supply tracking will stop automatically. ` +
+                    `Extend it to keep receiving alerts.`;
+    try {
+      await this.bot.sendMessage(tracker.chatId, message, {
+        reply_markup: {
+          inline_keyboard: [[{ text: '🔄 Extend tracking', callback_data: getTrackerCallbackData('extend', tracker) }]]
+        }
+      });
+    } catch (error) {
+      logger.error(`Failed to send expiry warning for ${tracker.ticker}:`, error);
     }
   }
 
@@ -120,7 +220,7 @@ class SupplyTracker {
    */
   async notifyExpiry(tracker) {
     const message = `⌛ Tracking expired for ${tracker.ticker}\n\n` +
-                    `The ${tracker.trackType} supply tracking has been automatically stopped after 31 days.\n` +
+                    `The ${TRACK_TYPE_LABELS[tracker.trackType] || tracker.trackType} supply tracking has been automatically stopped after ${formatDuration(tracker.expiresAt - tracker.startTimestamp)}.\n` +
                     `If you want to continue tracking, please start a new tracking session.`;
     try {
       await this.bot.sendMessage(tracker.chatId, message);
@@ -130,73 +230,403 @@ class SupplyTracker {
   }
 
   /**
-   * Sauvegarde tous les trackers dans le fichier JSON configuré.
+   * Convertit un tracker en mémoire vers le format stocké en base (BigNumber -> string).
    */
-  async saveTrackers() {
-    const trackersData = {};
-    for (const [chatId, trackers] of this.userTrackers.entries()) {
-      trackersData[chatId] = Array.from(trackers.entries()).map(([trackerId, tracker]) => ({
-        trackerId,
-        chatId: tracker.chatId,
-        wallets: tracker.wallets,
-        initialSupplyPercentage: tracker.initialSupplyPercentage.toString(),
-        currentSupplyPercentage: tracker.currentSupplyPercentage.toString(),
-        totalSupply: tracker.totalSupply.toString(),
-        significantChangeThreshold: tracker.significantChangeThreshold.toString(),
-        ticker: tracker.ticker,
-        decimals: tracker.decimals,
-        trackType: tracker.trackType,
-        tokenAddress: tracker.tokenAddress,
-        startTimestamp: tracker.startTimestamp
-      }));
-    }
+  serializeTracker(trackerId, tracker) {
+    return {
+      chatId: tracker.chatId,
+      trackerId,
+      tokenAddress: tracker.tokenAddress,
+      ticker: tracker.ticker,
+      decimals: tracker.decimals,
+      trackType: tracker.trackType,
+      wallets: tracker.wallets || [],
+      initialSupplyPercentage: tracker.initialSupplyPercentage.toString(),
+      currentSupplyPercentage: tracker.currentSupplyPercentage.toString(),
+      totalSupply: tracker.totalSupply.toString(),
+      significantChangeThreshold: tracker.significantChangeThreshold.toString(),
+      startTimestamp: tracker.startTimestamp,
+      expiresAt: tracker.expiresAt,
+      tier: tracker.tier,
+      userId: tracker.userId || null,
+      expiryWarnedAt: tracker.expiryWarnedAt || null,
+      lastCheckedAt: tracker.lastCheckedAt,
+      nextCheckAt: tracker.nextCheckAt,
+      lastNotifiedAt: tracker.lastNotifiedAt,
+      lastNotifiedPercentage: tracker.lastNotifiedPercentage ? tracker.lastNotifiedPercentage.toString() : null,
+      baselineBalances: tracker.baselineBalances || null,
+      alertRules: normalizeAlertRules(tracker.alertRules),
+      levelState: tracker.levelState || null,
+      recentPoints: tracker.recentPoints || []
+    };
+  }
+
+  /**
+   * Reconstruit un tracker en mémoire à partir d'un document stocké.
+   */
+  restoreTracker(doc) {
+    return {
+      chatId: doc.chatId,
+      tokenAddress: doc.tokenAddress,
+      ticker: doc.ticker,
+      decimals: doc.decimals,
+      trackType: doc.trackType,
+      wallets: doc.wallets || [],
+      initialSupplyPercentage: new BigNumber(doc.initialSupplyPercentage),
+      currentSupplyPercentage: new BigNumber(doc.currentSupplyPercentage),
+      totalSupply: new BigNumber(doc.totalSupply),
+      significantChangeThreshold: new BigNumber(doc.significantChangeThreshold),
+      startTimestamp: doc.startTimestamp,
+      expiresAt: doc.expiresAt || doc.startTimestamp + LEGACY_EXPIRY_TIME,
+      tier: doc.tier || 'free',
+      userId: doc.userId || null,
+      expiryWarnedAt: doc.expiryWarnedAt || null,
+      lastCheckedAt: doc.lastCheckedAt || null,
+      nextCheckAt: doc.nextCheckAt || Date.now(),
+      lastNotifiedAt: doc.lastNotifiedAt || null,
+      lastNotifiedPercentage: doc.lastNotifiedPercentage ? new BigNumber(doc.lastNotifiedPercentage) : null,
+      baselineBalances: doc.baselineBalances || null,
+      alertRules: normalizeAlertRules(doc.alertRules),
+      levelState: doc.levelState || null,
+      recentPoints: doc.recentPoints || [],
+      timeoutId: null
+    };
+  }
+
+  /**
+   * Persiste l'état courant d'un tracker (baseline, dernière valeur, planning, dernière notification).
+   */
+  async persistTrackerState(trackerId, tracker) {
+    const { chatId, ...state } = this.serializeTracker(trackerId, tracker);
+    await TrackerService.updateTrackerState(chatId, trackerId, {
+      initialSupplyPercentage: state.initialSupplyPercentage,
+      currentSupplyPercentage: state.currentSupplyPercentage,
+      lastCheckedAt: state.lastCheckedAt,
+      nextCheckAt: state.nextCheckAt,
+      lastNotifiedAt: state.lastNotifiedAt,
+      lastNotifiedPercentage: state.lastNotifiedPercentage,
+      baselineBalances: state.baselineBalances,
+      levelState: state.levelState,
+      recentPoints: state.recentPoints
+    });
+  }
+
+  /**
+   * Ajoute la valeur courante du tracker à son historique.
+   */
+  async recordHistoryPoint(trackerId, tracker) {
+    await TrackerHistoryService.addPoint(
+      tracker.chatId,
+      trackerId,
+      tracker.currentSupplyPercentage.toNumber(),
+      tracker.lastCheckedAt || Date.now()
+    );
+  }
+
+  /**
+   * Historique des pourcentages relevés par un tracker, du plus ancien au plus récent.
+   * @returns {Promise<Array<{timestamp: number, supplyPercentage: number}>|null>} null si le tracker n'existe pas
+   */
+  async getTrackerHistory(chatId, trackerId) {
+    const tracker = this.userTrackers.get(chatId.toString())?.get(trackerId);
+    if (!tracker) return null;
+    return TrackerHistoryService.getHistory(tracker.chatId, trackerId);
+  }
+
+  /**
+   * Importe une seule fois l'ancien fichier trackers.json dans MongoDB, puis le renomme.
+   */
+  async importLegacyTrackers() {
+    let trackersData;
     try {
-      await fs.writeFile(this.saveFilePath, JSON.stringify(trackersData, null, 2));
+      trackersData = JSON.parse(await fs.readFile(LEGACY_SAVE_FILE, 'utf8'));
     } catch (error) {
-      logger.error('Error saving trackers:', error);
+      if (error.code !== 'ENOENT') {
+        logger.error('Error reading legacy trackers file, skipping import:', error);
+      }
+      return;
     }
+
+    let imported = 0;
+    for (const [chatId, trackers] of Object.entries(trackersData)) {
+      for (const tracker of trackers) {
+        const inserted = await TrackerService.insertTrackerIfMissing({
+          ...tracker,
+          chatId: chatId.toString(),
+          expiresAt: tracker.startTimestamp + LEGACY_EXPIRY_TIME,
+          nextCheckAt: Date.now()
+        });
+        if (inserted) imported++;
+      }
+    }
+
+    await fs.rename(LEGACY_SAVE_FILE, `${LEGACY_SAVE_FILE}.migrated`);
+    logger.info(`Imported ${imported} legacy trackers into MongoDB`);
   }
 
   /**
-   * Charge les trackers depuis le fichier JSON et ignore ceux déjà expirés.
+   * Charge les trackers depuis MongoDB. Les trackers déjà expirés sont chargés aussi :
+   * ils ne sont plus vérifiés et le nettoyage les supprime en prévenant l'utilisateur.
    */
   async loadTrackers() {
+    const docs = await TrackerService.getAllTrackers();
+    let loaded = 0;
+
+    for (const doc of docs) {
+      this.addTracker(doc.trackerId, this.restoreTracker(doc));
+      loaded++;
+    }
+    logger.debug(`${loaded} trackers loaded successfully`);
+  }
+
+  /**
+   * Aligne la mémoire sur la base : ajoute les trackers créés par un autre process,
+   * retire ceux qui ont été stoppés ailleurs et rafraîchit l'état de ceux
+   * dont ce process n'a pas le bail.
+   */
+  async syncTrackers() {
+    let docs;
     try {
-      const data = await fs.readFile(this.saveFilePath, 'utf8');
-      const trackersData = JSON.parse(data);
-      const now = Date.now();
-
-      for (const [chatId, trackers] of Object.entries(trackersData)) {
-        const userTrackers = new Map();
-        for (const tracker of trackers) {
-          // Ignore les trackers déjà expirés
-          if (now - tracker.startTimestamp > EXPIRY_TIME) {
-            logger.debug(`Skipping expired tracker ${tracker.trackerId} during load`);
-            continue;
-          }
+      docs = await TrackerService.getAllTrackers();
+    } catch (error) {
+      logger.error('Error syncing trackers from database:', error);
+      return;
+    }
+
+    const storedKeys = new Set();
 
-          const restoredTracker = {
-            ...tracker,
-            initialSupplyPercentage: new BigNumber(tracker.initialSupplyPercentage),
-            currentSupplyPercentage: new BigNumber(tracker.currentSupplyPercentage),
-            totalSupply: new BigNumber(tracker.totalSupply),
-            significantChangeThreshold: new BigNumber(tracker.significantChangeThreshold),
-            // Recrée l'interval de check
-            intervalId: setInterval(() => this.checkSupply(chatId, tracker.trackerId), CHECK_INTERVAL)
-          };
-          userTrackers.set(tracker.trackerId, restoredTracker);
+    for (const doc of docs) {
+      const restored = this.restoreTracker(doc);
+      storedKeys.add(`${doc.chatId}:${doc.trackerId}`);
+
+      const existing = this.userTrackers.get(doc.chatId)?.get(doc.trackerId);
+      if (!existing) {
+        this.addTracker(doc.trackerId, restored);
+        continue;
+      }
+
+      // La prolongation a pu être faite depuis un autre process
+      existing.expiresAt = restored.expiresAt;
+      existing.tier = restored.tier;
+      existing.expiryWarnedAt = restored.expiryWarnedAt;
+
+      if (doc.leaseOwner !== this.instanceId) {
+        existing.initialSupplyPercentage = restored.initialSupplyPercentage;
+        existing.currentSupplyPercentage = restored.currentSupplyPercentage;
+        existing.lastCheckedAt = restored.lastCheckedAt;
+        existing.lastNotifiedAt = restored.lastNotifiedAt;
+        existing.lastNotifiedPercentage = restored.lastNotifiedPercentage;
+        existing.baselineBalances = restored.baselineBalances;
+        existing.levelState = restored.levelState;
+        existing.recentPoints = restored.recentPoints;
+      }
+    }
+
+    for (const [chatId, trackers] of this.userTrackers.entries()) {
+      for (const trackerId of trackers.keys()) {
+        if (!storedKeys.has(`${chatId}:${trackerId}`)) {
+          logger.debug(`Tracker ${trackerId} no longer stored, removing it from chat ${chatId}`);
+          this.unscheduleTracker(chatId, trackerId);
         }
-        if (userTrackers.size > 0) {
-          this.userTrackers.set(chatId, userTrackers);
+      }
+    }
+  }
+
+  /**
+   * Ajoute un tracker en mémoire et planifie sa prochaine vérification.
+   */
+  addTracker(trackerId, tracker) {
+    const chatKey = tracker.chatId.toString();
+    if (!this.userTrackers.has(chatKey)) {
+      this.userTrackers.set(chatKey, new Map());
+    }
+    this.userTrackers.get(chatKey).set(trackerId, tracker);
+    this.scheduleNextCheck(chatKey, trackerId);
+  }
+
+  /**
+   * Planifie la prochaine vérification à `nextCheckAt`, ce qui permet de reprendre
+   * exactement le rythme d'un tracker après un redémarrage.
+   */
+  scheduleNextCheck(chatId, trackerId) {
+    const tracker = this.userTrackers.get(chatId)?.get(trackerId);
+    if (!tracker) return;
+
+    clearTimeout(tracker.timeoutId);
+    const delay = Math.max(0, tracker.nextCheckAt - Date.now());
+    tracker.timeoutId = setTimeout(() => this.runScheduledCheck(chatId, trackerId), delay);
+  }
+
+  /**
+   * Prend le bail du tracker puis lance la vérification. Si un autre process
+   * détient le bail, on se contente de replanifier.
+   */
+  async runScheduledCheck(chatId, trackerId) {
+    const tracker = this.userTrackers.get(chatId)?.get(trackerId);
+    if (!tracker) return;
+
+    // L'échéance suivante est fixée avant la vérification pour être persistée avec son résultat
+    tracker.nextCheckAt = Date.now() + CHECK_INTERVAL;
+    // Un tracker expiré attend le nettoyage sans être vérifié
+    if (Date.now() >= tracker.expiresAt) {
+      this.scheduleNextCheck(chatId, trackerId);
+      return;
+    }
+    try {
+      const hasLease = await TrackerService.acquireLease(chatId, trackerId, this.instanceId, LEASE_TTL);
+      if (!hasLease) {
+        logger.debug(`Tracker ${trackerId} is leased by another process, skipping check`);
+        // Seul le détenteur du bail écoute les changements en temps réel
+        await this.unsubscribeTracker(tracker);
+      } else if (this.isRealtimeActive(tracker)) {
+        // Les changements arrivent par le websocket, le bail vient d'être renouvelé
+        logger.debug(`Tracker ${trackerId} is followed in real time, skipping poll`);
+      } else {
+        // Polling classique, qui sert aussi de repli quand le websocket est coupé
+        await this.checkSupply(chatId, trackerId);
+        await this.subscribeTracker(chatId, trackerId);
+      }
+    } finally {
+      // Le tracker a pu être stoppé pendant la vérification
+      if (this.userTrackers.get(chatId)?.get(trackerId) === tracker) {
+        this.scheduleNextCheck(chatId, trackerId);
+      }
+    }
+  }
+
+  /**
+   * Retire un tracker de la mémoire et annule sa vérification planifiée.
+   */
+  unscheduleTracker(chatId, trackerId) {
+    const chatKey = chatId.toString();
+    const userTrackers = this.userTrackers.get(chatKey);
+    const tracker = userTrackers?.get(trackerId);
+    if (!tracker) return false;
+
+    clearTimeout(tracker.timeoutId);
+    this.unsubscribeTracker(tracker);
+    ApiCallCounter.clearSubContext('Helius', 'supply', getTrackerContext(chatKey, trackerId));
+    userTrackers.delete(trackerId);
+    if (userTrackers.size === 0) {
+      this.userTrackers.delete(chatKey);
+    }
+    return true;
+  }
+
+  /**
+   * Active le mode temps réel : les soldes des wallets suivis sont poussés par
+   * accountSubscribe au lieu d'être interrogés chaque minute. Le polling reprend
+   * automatiquement tant que le websocket est coupé.
+   * @param {SolanaWebsocketClient} client
+   */
+  async startRealtime(client) {
+    this.realtimeClient = client;
+
+    // Les abonnements sont perdus à la déconnexion : on repasse en polling,
+    // et la prochaine vérification planifiée se réabonnera une fois reconnecté
+    client.on('disconnected', () => {
+      for (const trackers of this.userTrackers.values()) {
+        for (const tracker of trackers.values()) {
+          clearTimeout(tracker.realtime?.debounceId);
+          tracker.realtime = null;
         }
       }
-      logger.debug('Trackers loaded successfully');
+    });
+
+    try {
+      await client.connect();
+      logger.info('SupplyTracker real-time mode enabled');
     } catch (error) {
-      if (error.code === 'ENOENT') {
-        logger.debug('No saved trackers found. Starting with empty tracker list.');
-      } else {
-        logger.error('Error loading trackers:', error);
+      logger.error('Could not open Solana websocket, falling back to polling:', error.message);
+    }
+  }
+
+  isRealtimeActive(tracker) {
+    return !!(this.realtimeClient?.isConnected() && tracker.realtime);
+  }
+
+  /**
+   * Abonne les comptes de token des wallets d'un tracker. Les trackers top holders,
+   * dont la liste de wallets change à chaque scan, restent en polling.
+   * @returns {Promise<boolean>} Whether the tracker is now followed in real time
+   */
+  async subscribeTracker(chatId, trackerId) {
+    const tracker = this.userTrackers.get(chatId)?.get(trackerId);
+    if (!tracker || tracker.realtime || !this.realtimeClient?.isConnected()) return !!tracker?.realtime;
+    if (!Array.isArray(tracker.wallets) || tracker.wallets.length === 0) return false;
+
+    const realtime = { subscriptionIds: [], balances: new Map(), debounceId: null };
+    try {
+      const subContext = getTrackerContext(chatId, trackerId);
+      const tokenAccounts = await solanaApi.getAssociatedTokenAddresses(
+        this.getWalletAddresses(tracker.wallets),
+        tracker.tokenAddress,
+        'supply',
+        subContext
+      );
+      const divisor = new BigNumber(10).pow(tracker.decimals);
+
+      for (const [walletAddress, tokenAccount] of tokenAccounts.entries()) {
+        const subscriptionId = await this.realtimeClient.accountSubscribe(tokenAccount, value => {
+          // Compte fermé => solde nul
+          const amount = value?.data?.parsed?.info?.tokenAmount?.amount || '0';
+          this.handleRealtimeBalance(chatId, trackerId, walletAddress, new BigNumber(amount).dividedBy(divisor));
+        });
+        realtime.subscriptionIds.push(subscriptionId);
       }
+
+      // Soldes de départ : ceux de la dernière vérification
+      realtime.balances = await this.getWalletBalances(tracker.wallets, tracker.tokenAddress, tracker.decimals, 'supply', subContext);
+
+      tracker.realtime = realtime;
+      logger.debug(`Tracker ${trackerId} subscribed to ${realtime.subscriptionIds.length} token accounts`);
+      return true;
+    } catch (error) {
+      logger.error(`Could not subscribe tracker ${trackerId}, staying on polling:`, error.message);
+      // Les abonnements déjà pris seraient repris au prochain essai : on les libère
+      await Promise.all(realtime.subscriptionIds.map(id => this.realtimeClient.unsubscribe(id)));
+      return false;
+    }
+  }
+
+  async unsubscribeTracker(tracker) {
+    const realtime = tracker?.realtime;
+    if (!realtime) return;
+
+    tracker.realtime = null;
+    clearTimeout(realtime.debounceId);
+    if (!this.realtimeClient) return;
+    await Promise.all(realtime.subscriptionIds.map(id => this.realtimeClient.unsubscribe(id)));
+  }
+
+  /**
+   * Reçoit un nouveau solde poussé par le websocket. Les mises à jour rapprochées
+   * (plusieurs ventes dans le même slot) sont regroupées avant évaluation.
+   */
+  handleRealtimeBalance(chatId, trackerId, walletAddress, balance) {
+    const tracker = this.userTrackers.get(chatId)?.get(trackerId);
+    if (!tracker?.realtime) return;
+
+    tracker.realtime.balances.set(walletAddress, balance);
+    clearTimeout(tracker.realtime.debounceId);
+    tracker.realtime.debounceId = setTimeout(
+      () => this.evaluateRealtimeSupply(chatId, trackerId),
+      REALTIME_DEBOUNCE
+    );
+  }
+
+  async evaluateRealtimeSupply(chatId, trackerId) {
+    const tracker = this.userTrackers.get(chatId)?.get(trackerId);
+    if (!tracker?.realtime || Date.now() >= tracker.expiresAt) return;
+
+    try {
+      const balances = new Map(tracker.realtime.balances);
+      const { supplyPercentage } = this.computeSupplyPercentage(balances, tracker.totalSupply);
+      await this.applySupplyUpdate(tracker, supplyPercentage, balances);
+      await this.persistTrackerState(trackerId, tracker);
+      await this.recordHistoryPoint(trackerId, tracker);
+    } catch (error) {
+      logger.error(`Error evaluating real-time supply for ${tracker.tokenAddress}:`, error.message);
     }
   }
 
@@ -213,6 +643,8 @@ class SupplyTracker {
     ticker,
     decimals,
     trackType,
+    alertRules = null,
+    userId = null,
   ) {
     logger.debug(`Starting tracking for user ${chatId}`, {
       tokenAddress,
@@ -223,35 +655,52 @@ class SupplyTracker {
       significantChangeThreshold,
       ticker,
       decimals,
-      trackType
+      trackType,
+      alertRules,
+      userId
     });
 
-    if (!this.userTrackers.has(chatId)) {
-      this.userTrackers.set(chatId, new Map());
-    }
-    const userTrackers = this.userTrackers.get(chatId);
+    const chatKey = chatId.toString();
+    const userTrackers = this.userTrackers.get(chatKey) || new Map();
 
-    // Limite fixe de 5 trackers par utilisateur
-    const MAX_TRACKERS = 5;
+    // Nombre de trackers et durée selon le niveau d'accès du chat
+    const tier = await this.getTrackerTier(chatKey, userId);
+    const limits = getTrackerLimits(tier);
 
-    if (userTrackers.size >= MAX_TRACKERS) {
+    if (userTrackers.size >= limits.maxTrackers) {
       throw new Error(
-        `You've reached your maximum number of simultaneous trackings (${MAX_TRACKERS}). ` +
-        `Please stop an existing tracking with /tracker before starting a new one.`
+        `You've reached your maximum number of simultaneous trackings (${limits.maxTrackers} for ${limits.label} access). ` +
+        `Please stop an existing tracking with /tracker before starting a new one, or use /subscribe to raise your limit.`
       );
     }
 
-    const trackerId = `${tokenAddress}_${trackType}`;
+    const trackerId = getTrackerId(tokenAddress, trackType);
     if (userTrackers.has(trackerId)) {
       throw new Error(`Already tracking ${trackType} for ${tokenAddress}`);
     }
 
+    const trackedWallets = WALLET_TRACK_TYPES.includes(trackType) ? wallets : [];
+
+    // Certaines analyses (early buyers) ne connaissent pas les soldes actuels :
+    // la valeur de départ est alors mesurée on-chain
+    let initialBalances = null;
+    if (initialSupplyPercentage === null || initialSupplyPercentage === undefined) {
+      ({ supplyPercentage: initialSupplyPercentage, balances: initialBalances } = await this.getControlledSupply(
+        trackedWallets,
+        tokenAddress,
+        new BigNumber(totalSupply),
+        decimals,
+        'supply',
+        getTrackerContext(chatKey, trackerId)
+      ));
+    }
+
     const now = Date.now();
-    const expiryDate = new Date(now + EXPIRY_TIME);
-    logger.debug(`Creating new tracker with timestamp ${now} - Will expire at ${expiryDate.toLocaleString()} (in 31 days)`);
+    const expiresAt = now + limits.duration;
+    logger.debug(`Creating new ${tier} tracker with timestamp ${now} - Will expire at ${new Date(expiresAt).toLocaleString()}`);
 
     const tracker = {
-      chatId,
+      chatId: chatKey,
       initialSupplyPercentage: new BigNumber(initialSupplyPercentage),
       currentSupplyPercentage: new BigNumber(initialSupplyPercentage),
       totalSupply: new BigNumber(totalSupply),
@@ -261,46 +710,81 @@ class SupplyTracker {
       trackType,
       tokenAddress,
       startTimestamp: now,
-      // Store wallets for team, fresh, or bundle tracking
-      ...((trackType === 'team' || trackType === 'fresh' || trackType === 'bundle') && { wallets }),
-      intervalId: setInterval(() => this.checkSupply(chatId, trackerId), CHECK_INTERVAL)
+      expiresAt,
+      tier,
+      userId: userId ? userId.toString() : null,
+      expiryWarnedAt: null,
+      lastCheckedAt: null,
+      nextCheckAt: now + CHECK_INTERVAL,
+      lastNotifiedAt: null,
+      lastNotifiedPercentage: null,
+      baselineBalances: initialBalances ? this.serializeBalances(initialBalances) : null,
+      alertRules: normalizeAlertRules(alertRules),
+      levelState: null,
+      recentPoints: [],
+      // Store wallets for wallet-based tracking
+      wallets: trackedWallets,
+      timeoutId: null
     };
 
-    userTrackers.set(trackerId, tracker);
-    this.userTrackers.set(chatId.toString(), userTrackers);
-    await this.saveTrackers();
+    // Le tracker n'est ajouté en mémoire qu'une fois enregistré en base
+    await TrackerService.saveTracker(this.serializeTracker(trackerId, tracker));
+    this.addTracker(trackerId, tracker);
+    // Point de départ de l'historique
+    await this.recordHistoryPoint(trackerId, tracker);
+    return { trackerId, tier, expiresAt };
   }
 
   /**
-   * Stoppe un tracking en cours pour un utilisateur donné.
+   * Niveau d'accès du chat pour les limites de trackers (free si le contrôle d'accès est indisponible).
    */
-  stopTracking(chatId, trackerId) {
-    // Si c'est un ID de groupe (les IDs de groupe sont négatifs dans Telegram)
-    const isGroup = chatId < 0;
-    let userTrackers;
-    
-    if (isGroup) {
-        // Pour les groupes, chercher avec l'ID du groupe
-        userTrackers = this.userTrackers.get(chatId.toString());
-    } else {
-        // Pour les chats privés, comportement normal
-        userTrackers = this.userTrackers.get(chatId.toString());
+  async getTrackerTier(chatId, userId = null) {
+    if (typeof this.accessControl?.getTrackerTier !== 'function') return 'free';
+    return this.accessControl.getTrackerTier(chatId, userId);
+  }
+
+  /**
+   * Prolonge un tracker : sa nouvelle échéance est calculée à partir de maintenant
+   * avec la durée du niveau d'accès actuel.
+   * @returns {Promise<{tier: string, expiresAt: number}>}
+   */
+  async extendTracking(chatId, trackerId, userId = null) {
+    const chatKey = chatId.toString();
+    const tracker = this.userTrackers.get(chatKey)?.get(trackerId);
+    if (!tracker) {
+      throw new Error('This tracking is no longer active. Please start a new tracking session.');
     }
 
-    if (!userTrackers) {
-        logger.debug(`No trackers found for ${isGroup ? 'group' : 'user'} ${chatId}`);
-        return false;
+    const tier = await this.getTrackerTier(chatKey, userId || tracker.userId);
+    const expiresAt = Date.now() + getTrackerLimits(tier).duration;
+    if (expiresAt <= tracker.expiresAt) {
+      return { tier: tracker.tier, expiresAt: tracker.expiresAt };
     }
-    
-    const tracker = userTrackers.get(trackerId);
-    if (!tracker) return false;
 
-    clearInterval(tracker.intervalId);
-    userTrackers.delete(trackerId);
+    tracker.tier = tier;
+    tracker.expiresAt = expiresAt;
+    tracker.expiryWarnedAt = null;
+    await TrackerService.updateTrackerState(chatKey, trackerId, { tier, expiresAt, expiryWarnedAt: null });
+    logger.debug(`Tracker ${trackerId} extended until ${new Date(expiresAt).toLocaleString()} (${tier})`);
+    return { tier, expiresAt };
+  }
 
-    if (userTrackers.size === 0) {
-        this.userTrackers.delete(chatId.toString());
+  /**
+   * Stoppe un tracking en cours pour un utilisateur donné.
+   */
+  stopTracking(chatId, trackerId) {
+    // Les IDs de groupe sont négatifs dans Telegram, mais tous les trackers sont indexés par chatId en string
+    const isGroup = chatId < 0;
+
+    if (!this.unscheduleTracker(chatId, trackerId)) {
+      logger.debug(`No tracker ${trackerId} found for ${isGroup ? 'group' : 'user'} ${chatId}`);
+      return false;
     }
+
+    TrackerService.deleteTracker(chatId.toString(), trackerId).catch(error => {
+      logger.error(`Error deleting tracker ${trackerId} for chat ${chatId}:`, error);
+    });
+    TrackerHistoryService.deleteHistory(chatId.toString(), trackerId);
     return true;
   }
 
@@ -321,7 +805,8 @@ class SupplyTracker {
       currentSupplyPercentage: tracker.currentSupplyPercentage.toFixed(2),
       trackType: tracker.trackType,
       significantChangeThreshold: tracker.significantChangeThreshold.toFixed(2),
-      wallets: (tracker.trackType === 'team' || tracker.trackType === 'fresh' || tracker.trackType === 'bundle') ? tracker.wallets : [] // Include wallets for team, fresh, and bundle tracking
+      expiresAt: tracker.expiresAt,
+      wallets: WALLET_TRACK_TYPES.includes(tracker.trackType) ? tracker.wallets : [] // Include wallets for wallet-based tracking
     }));
    }
 
@@ -344,41 +829,46 @@ async checkSupply(chatId, trackerId) {
     return;
   }
 
+  // Crédits Helius comptés par tracker
+  const subContext = getTrackerContext(chatId, trackerId);
+
   try {
     await retryWithBackoff(async () => {
       let newSupplyPercentage;
+      // Soldes par wallet (null pour le tracking top holders)
+      let walletBalances = null;
 
       if (tracker.trackType === 'team') {
         // Pour le tracking team, utiliser les wallets
-        newSupplyPercentage = await this.getTeamSupply(
+        ({ supplyPercentage: newSupplyPercentage, balances: walletBalances } = await this.getTeamSupply(
           tracker.wallets,
           tracker.tokenAddress,
           tracker.totalSupply,
           tracker.decimals,
-          'supply', 
-          'check' 
-        );
+          'supply',
+          subContext
+        ));
       } else if (tracker.trackType === 'fresh') {
         // Special handling for fresh wallets with 0% bug detection and retry
-        newSupplyPercentage = await this.getFreshSupplyWithRetry(
+        ({ supplyPercentage: newSupplyPercentage, balances: walletBalances } = await this.getFreshSupplyWithRetry(
           tracker.wallets,
           tracker.tokenAddress,
           tracker.totalSupply,
           tracker.decimals,
           tracker.currentSupplyPercentage,
           'supply',
-          'freshCheck'
-        );
-      } else if (tracker.trackType === 'bundle') {
-        // Pour le tracking bundle wallets, utiliser getControlledSupply
-        newSupplyPercentage = await this.getControlledSupply(
+          subContext
+        ));
+      } else if (WALLET_TRACK_TYPES.includes(tracker.trackType)) {
+        // Bundle, dev, early buyers, entry map : somme des soldes des wallets suivis
+        ({ supplyPercentage: newSupplyPercentage, balances: walletBalances } = await this.getControlledSupply(
           tracker.wallets,
           tracker.tokenAddress,
           tracker.totalSupply,
           tracker.decimals,
           'supply',
-          'bundleCheck'
-        );
+          subContext
+        ));
       } else {
         // Pour le tracking top holders, utiliser scanToken
         const scanResult = await scanToken(
@@ -393,18 +883,18 @@ async checkSupply(chatId, trackerId) {
         newSupplyPercentage = new BigNumber(scanResult.totalSupplyControlled);
       }
 
-      if (newSupplyPercentage.isNaN() || !newSupplyPercentage.isFinite()) {
-        throw new Error(`Invalid supply percentage calculated for ${tracker.tokenAddress}`);
-      }
+      await this.applySupplyUpdate(tracker, newSupplyPercentage, walletBalances);
 
-      const change = newSupplyPercentage.minus(tracker.initialSupplyPercentage);
-      if (change.abs().isGreaterThanOrEqualTo(tracker.significantChangeThreshold)) {
-        await this.notifyChange(tracker, newSupplyPercentage, change);
-        tracker.initialSupplyPercentage = newSupplyPercentage;
+      // Le polling resynchronise les soldes suivis en temps réel
+      if (tracker.realtime && walletBalances) {
+        tracker.realtime.balances = walletBalances;
       }
-
-      tracker.currentSupplyPercentage = newSupplyPercentage;
     });
+    await this.persistTrackerState(trackerId, tracker);
+    await this.recordHistoryPoint(trackerId, tracker);
+
+    const usage = ApiCallCounter.getUsage('Helius', 'supply', subContext);
+    logger.debug(`Tracker ${trackerId} (chat ${chatId}) has used ${usage.totalCredits} Helius credits in ${usage.totalCalls} calls`);
   } catch (error) {
     logger.error(`Error checking supply for ${tracker.tokenAddress}:`, {
       error: error.message,
@@ -415,6 +905,59 @@ async checkSupply(chatId, trackerId) {
   }
 }
 
+/**
+ * Compare la nouvelle supply à la baseline et notifie si le seuil est dépassé.
+ * Utilisé par le polling comme par les notifications websocket.
+ */
+async applySupplyUpdate(tracker, newSupplyPercentage, walletBalances) {
+  if (newSupplyPercentage.isNaN() || !newSupplyPercentage.isFinite()) {
+    throw new Error(`Invalid supply percentage calculated for ${tracker.tokenAddress}`);
+  }
+
+  const now = Date.now();
+  recordRecentPoint(tracker, newSupplyPercentage, now);
+  const { alerts, levelState } = evaluateAlertRules(tracker, newSupplyPercentage);
+  // Retour entre plancher et plafond : la règle est réarmée
+  if (!levelState) tracker.levelState = null;
+
+  const change = newSupplyPercentage.minus(tracker.initialSupplyPercentage);
+  if (alerts.length > 0 && await this.canNotify(tracker, now)) {
+    const walletChanges = await this.getWalletChanges(tracker, walletBalances);
+    await this.notifyChange(tracker, newSupplyPercentage, change, walletChanges, alerts);
+    // Nouvelle baseline : les alertes suivantes partent de cette valeur
+    tracker.initialSupplyPercentage = newSupplyPercentage;
+    tracker.lastNotifiedAt = now;
+    tracker.lastNotifiedPercentage = newSupplyPercentage;
+    tracker.levelState = levelState;
+    tracker.recentPoints = tracker.recentPoints.slice(-1);
+    // Les soldes de référence suivent la baseline
+    tracker.baselineBalances = walletBalances ? this.serializeBalances(walletBalances) : null;
+  } else if (walletBalances && !tracker.baselineBalances) {
+    // Premier relevé des soldes pour ce tracker
+    tracker.baselineBalances = this.serializeBalances(walletBalances);
+  }
+
+  tracker.currentSupplyPercentage = newSupplyPercentage;
+  tracker.lastCheckedAt = Date.now();
+}
+
+/**
+ * Une alerte déclenchée est retenue (baseline inchangée) pendant le délai minimum
+ * entre notifications et les heures calmes du chat : elle partira à la vérification suivante.
+ */
+async canNotify(tracker, now = Date.now()) {
+  if (isInCooldown(tracker, now)) {
+    logger.debug(`Alert held for ${tracker.tokenAddress}: cooldown`);
+    return false;
+  }
+  const quietHours = await TrackerSettingsService.getQuietHours(tracker.chatId);
+  if (isInQuietHours(quietHours, now)) {
+    logger.debug(`Alert held for ${tracker.tokenAddress}: quiet hours in chat ${tracker.chatId}`);
+    return false;
+  }
+  return true;
+}
+
 /**
  * Special method to handle fresh wallet supply calculation with 0% bug detection and retry.
  * If 0% is detected, it re-runs the entire fresh wallet analysis up to 3 times with exponential backoff.
@@ -429,7 +972,7 @@ async getFreshSupplyWithRetry(wallets, tokenAddress, totalSupply, decimals, curr
   });
 
   // First, try the normal supply calculation
-  let supplyPercentage = await this.getControlledSupply(
+  const { supplyPercentage, balances } = await this.getControlledSupply(
     wallets,
     tokenAddress,
     totalSupply,
@@ -472,7 +1015,8 @@ async getFreshSupplyWithRetry(wallets, tokenAddress, totalSupply, decimals, curr
         // If we got a non-zero result, use it
         if (freshSupplyPercentage.isGreaterThan(0)) {
           logger.info(`Successfully recovered from 0% bug. Fresh supply is now ${freshSupplyPercentage.toFixed(2)}%`);
-          return freshSupplyPercentage;
+          // Per-wallet balances are not available from the full analysis
+          return { supplyPercentage: freshSupplyPercentage, balances: null };
         }
         
         // If still 0%, continue to next retry
@@ -499,56 +1043,60 @@ async getFreshSupplyWithRetry(wallets, tokenAddress, totalSupply, decimals, curr
     logger.warn(`After ${MAX_RETRIES} retries, fresh supply for ${tokenAddress} is still 0%. This will be reported to Telegram.`);
   }
 
-  return supplyPercentage;
+  return { supplyPercentage, balances };
 }
 
 
   /**
-   * Récupère le solde d'un wallet pour un token donné, en gérant les retries (backoff).
+   * Adresses des wallets suivis (chaînes ou objets { address }).
    */
-  async getTokenBalance(walletAddress, tokenAddress, mainContext, subContext) {
-    return retryWithBackoff(async () => {
-      try {
-        // Handle case where walletAddress is an object
-        const address = typeof walletAddress === 'object' ? 
-          (walletAddress.address || '') : walletAddress;
-        
-        if (!address || !tokenAddress) {
-          logger.warn(`Invalid wallet address or token address:`, {
-            wallet: typeof walletAddress === 'object' ? 'object' : walletAddress,
-            token: tokenAddress
-          });
-          return new BigNumber(0);
-        }
-        
-        logger.debug(`Getting token balance for ${address.slice(0, 8)}...`);
-        const tokenAccounts = await solanaApi.getTokenAccountsByOwner(address, tokenAddress, mainContext, subContext);
-        
-        if (
-          tokenAccounts &&
-          tokenAccounts.length > 0 &&
-          tokenAccounts[0].account?.data?.parsed?.info?.tokenAmount?.amount
-        ) {
-          const balance = new BigNumber(tokenAccounts[0].account.data.parsed.info.tokenAmount.amount);
-          logger.debug(`Found balance for ${address.slice(0, 8)}...: ${balance.toString()}`);
-          return balance;
-        }
-        
-        logger.warn(`No valid token account found for wallet ${address} and token ${tokenAddress}`);
-        return new BigNumber(0);
-      } catch (error) {
-        logger.error(`Error getting token balance:`, { 
-          wallet: typeof walletAddress === 'object' ? JSON.stringify(walletAddress).slice(0, 50) : walletAddress,
-          error: error.message
-        });
-        // Return 0 instead of throwing so tracking can continue
-        return new BigNumber(0);
-      }
-    });
+  getWalletAddresses(wallets) {
+    return (wallets || [])
+      .map(wallet => {
+        if (typeof wallet === 'string') return wallet;
+        if (wallet && wallet.address) return wallet.address;
+        logger.warn(`Invalid wallet structure: ${JSON.stringify(wallet)}`);
+        return null;
+      })
+      .filter(Boolean);
+  }
+
+  /**
+   * Récupère le solde (en unités du token) de chaque wallet, par lots via getMultipleAccounts.
+   * @returns {Promise<Map<string, BigNumber>>} adresse -> solde
+   */
+  async getWalletBalances(wallets, tokenAddress, decimals, mainContext, subContext) {
+    const addresses = this.getWalletAddresses(wallets);
+    const rawBalances = await retryWithBackoff(
+      () => solanaApi.getTokenBalancesByOwners(addresses, tokenAddress, mainContext, subContext),
+      3
+    );
+
+    const divisor = new BigNumber(10).pow(decimals);
+    const balances = new Map();
+    for (const [address, rawBalance] of rawBalances.entries()) {
+      balances.set(address, rawBalance.dividedBy(divisor));
+    }
+    return balances;
+  }
+
+  /**
+   * Somme des soldes rapportée à la supply totale, en pourcentage.
+   */
+  computeSupplyPercentage(balances, totalSupply) {
+    const totalBalance = Array.from(balances.values()).reduce(
+      (total, balance) => total.plus(balance),
+      new BigNumber(0)
+    );
+    return {
+      totalBalance,
+      supplyPercentage: totalBalance.dividedBy(totalSupply).multipliedBy(100)
+    };
   }
 
   /**
    * Calcule le pourcentage de supply contrôlé par les wallets passés en paramètre.
+   * @returns {Promise<{supplyPercentage: BigNumber, balances: Map<string, BigNumber>}>}
    */
   async getControlledSupply(controllingWallets, tokenAddress, totalSupply, decimals, mainContext, subContext) {
     logger.debug(`Calculating controlled supply for ${tokenAddress}`, {
@@ -558,33 +1106,18 @@ async getFreshSupplyWithRetry(wallets, tokenAddress, totalSupply, decimals, curr
     });
     if (!controllingWallets || controllingWallets.length === 0) {
       logger.warn(`No controlling wallets found for ${tokenAddress}. Returning 0.`);
-      return new BigNumber(0);
+      return { supplyPercentage: new BigNumber(0), balances: new Map() };
     }
 
-    const balances = await Promise.all(
-      controllingWallets.map(wallet => {
-        if (typeof wallet === 'string') {
-          return this.getTokenBalance(wallet, tokenAddress, mainContext, subContext);
-        } else if (wallet && wallet.address) {
-          return this.getTokenBalance(wallet.address, tokenAddress, mainContext, subContext);
-        } else {
-          logger.warn(`Invalid wallet structure: ${JSON.stringify(wallet)}`);
-          return new BigNumber(0);
-        }
-      })
-    );
-
-    const totalBalance = balances.reduce(
-      (total, balance) => total.plus(balance.dividedBy(new BigNumber(10).pow(decimals))),
-      new BigNumber(0)
-    );
-    const supplyPercentage = totalBalance.dividedBy(totalSupply).multipliedBy(100);
+    const balances = await this.getWalletBalances(controllingWallets, tokenAddress, decimals, mainContext, subContext);
+    const { totalBalance, supplyPercentage } = this.computeSupplyPercentage(balances, totalSupply);
     logger.debug(`Total controlled balance: ${totalBalance.toString()}, Supply percentage: ${supplyPercentage.toFixed(2)}%`);
-    return supplyPercentage;
+    return { supplyPercentage, balances };
   }
 
   /**
    * Calcule le pourcentage de supply contrôlé par des team wallets.
+   * @returns {Promise<{supplyPercentage: BigNumber, balances: Map<string, BigNumber>}>}
    */
   async getTeamSupply(teamWallets, tokenAddress, totalSupply, decimals, mainContext, subContext) {
     logger.debug(`Calculating team supply for ${tokenAddress}`, {
@@ -595,31 +1128,112 @@ async getFreshSupplyWithRetry(wallets, tokenAddress, totalSupply, decimals, curr
     });
     if (!teamWallets || teamWallets.length === 0) {
       logger.warn(`No team wallets found for ${tokenAddress}. Returning 0.`);
-      return new BigNumber(0);
+      return { supplyPercentage: new BigNumber(0), balances: new Map() };
     }
 
-    const balances = await Promise.all(
-      teamWallets.map(wallet => this.getTokenBalance(wallet, tokenAddress, mainContext, subContext))
-    );
-    const totalBalance = balances.reduce(
-      (total, balance) => total.plus(balance.dividedBy(new BigNumber(10).pow(decimals))),
-      new BigNumber(0)
-    );
-    const supplyPercentage = totalBalance.dividedBy(totalSupply).multipliedBy(100);
+    const balances = await this.getWalletBalances(teamWallets, tokenAddress, decimals, mainContext, subContext);
+    const { totalBalance, supplyPercentage } = this.computeSupplyPercentage(balances, totalSupply);
     logger.debug(`Total team balance: ${totalBalance.toString()}, Supply percentage: ${supplyPercentage.toFixed(2)}%`);
-    return supplyPercentage;
+    return { supplyPercentage, balances };
+  }
+
+  serializeBalances(balances) {
+    const serialized = {};
+    for (const [address, balance] of balances.entries()) {
+      serialized[address] = balance.toString();
+    }
+    return serialized;
+  }
+
+  /**
+   * Compare les soldes actuels aux soldes de référence et identifie, pour les wallets
+   * qui ont vendu ou transféré, où sont partis les tokens.
+   * @returns {Promise<Array>} Changements triés par montant décroissant.
+   */
+  async getWalletChanges(tracker, walletBalances) {
+    if (!walletBalances || !tracker.baselineBalances) return [];
+
+    const changes = [];
+    for (const [address, balance] of walletBalances.entries()) {
+      const previous = new BigNumber(tracker.baselineBalances[address] || 0);
+      const delta = balance.minus(previous);
+      if (delta.isZero()) continue;
+
+      changes.push({
+        address,
+        delta,
+        supplyPercentage: delta.abs().dividedBy(tracker.totalSupply).multipliedBy(100),
+        destination: null
+      });
+    }
+    changes.sort((a, b) => b.delta.abs().comparedTo(a.delta.abs()));
+
+    // On ne retrace que les plus grosses sorties pour limiter les appels RPC
+    const trackedAddresses = new Set(walletBalances.keys());
+    const since = tracker.lastNotifiedAt || tracker.startTimestamp;
+    const outgoing = changes.filter(change => change.delta.isNegative()).slice(0, MAX_TRACED_OUTFLOWS);
+    await Promise.all(outgoing.map(async change => {
+      const outflows = await traceRecentOutflows(change.address, tracker.tokenAddress, since, 'supply', 'walletOutflow');
+      if (outflows.length > 0) {
+        const outflow = outflows[0];
+        change.destination = { ...outflow, toTracked: outflow.to ? trackedAddresses.has(outflow.to) : false };
+      }
+    }));
+
+    return changes;
+  }
+
+  /**
+   * Construit la ligne HTML d'un wallet dans la notification.
+   */
+  formatWalletChange(change, ticker) {
+    const emoji = change.delta.isNegative() ? '🔴' : '🟢';
+    const sign = change.delta.isNegative() ? '-' : '+';
+    const amount = formatNumber(change.delta.abs().toNumber(), 1, false, false);
+    const walletLink = `<a href="https://solscan.io/account/${change.address}">${truncateAddress(change.address)}</a>`;
+
+    let line = `${emoji} ${walletLink} ${sign}${amount} ${escapeHtml(ticker)} (${change.supplyPercentage.toFixed(2)}%)`;
+
+    const destination = change.destination;
+    if (destination?.type === 'sold') {
+      line += destination.venue ? ` → sold on ${destination.venue}` : ' → sold';
+    } else if (destination?.type === 'transfer') {
+      const label = (destination.toName && escapeHtml(destination.toName)) ||
+        `<a href="https://solscan.io/account/${destination.to}">${truncateAddress(destination.to)}</a>`;
+      line += ` → sent to ${label}${destination.toTracked ? ' (tracked)' : ''}`;
+    }
+    return line;
   }
 
  /**
  * Enhanced notification method that includes context about retries for 0% values
  */
-async notifyChange(tracker, newPercentage, change) {
+async notifyChange(tracker, newPercentage, change, walletChanges = [], alerts = []) {
   const emoji = change.isGreaterThan(0) ? '📈' : '📉';
   const changeStr = change.isGreaterThan(0) ? `+${change.toFixed(2)}` : change.toFixed(2);
   
-  let message = `⚠️ Significant change detected in ${tracker.trackType} supply for ${tracker.ticker}\n`;
-  message += `${tracker.trackType.charAt(0).toUpperCase() + tracker.trackType.slice(1)} wallets now hold ${newPercentage.toFixed(2)}% (previously ${tracker.initialSupplyPercentage.toFixed(2)}%)\n`;
+  const typeLabel = TRACK_TYPE_LABELS[tracker.trackType] || tracker.trackType;
+  // Message envoyé en HTML : le ticker est choisi par le créateur du token
+  let message = `⚠️ Significant change detected in ${typeLabel} supply for ${escapeHtml(tracker.ticker)}\n`;
+  message += `${typeLabel.charAt(0).toUpperCase() + typeLabel.slice(1)} wallets now hold ${newPercentage.toFixed(2)}% (previously ${tracker.initialSupplyPercentage.toFixed(2)}%)\n`;
   message += `${emoji} ${changeStr}%`;
+
+  // Règles autres que le seuil de variation, déjà résumé ci-dessus
+  const ruleAlerts = alerts.filter(alert => alert.type !== 'threshold');
+  if (ruleAlerts.length > 0) {
+    message += `\n${ruleAlerts.map(alert => alert.message).join('\n')}`;
+  }
+
+  if (walletChanges.length > 0) {
+    message += `\n\n<b>Wallet moves:</b>\n`;
+    message += walletChanges
+      .slice(0, MAX_LISTED_WALLET_CHANGES)
+      .map(walletChange => this.formatWalletChange(walletChange, tracker.ticker))
+      .join('\n');
+    if (walletChanges.length > MAX_LISTED_WALLET_CHANGES) {
+      message += `\n…and ${walletChanges.length - MAX_LISTED_WALLET_CHANGES} more wallets`;
+    }
+  }
   
   // Add special note for 0% values that might be due to API issues
   if (newPercentage.isEqualTo(0) && tracker.trackType === 'fresh') {
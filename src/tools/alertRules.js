@@ -0,0 +1,228 @@
+// tools/alertRules.js
+const BigNumber = require('bignumber.js');
+
+/**
+ * Règles d'alerte des supply trackers.
+ *
+ * En plus du seuil de variation (significantChangeThreshold, comparé à la baseline),
+ * un tracker peut avoir :
+ * - un plancher / plafond absolu (alerte au franchissement, réarmée au retour dans la zone)
+ * - une vitesse de variation (X% en N minutes)
+ * - un délai minimum entre deux notifications
+ * Les heures calmes sont réglées par chat (TrackerSettingsService).
+ *
+ * Après chaque alerte, la baseline est recalée sur la valeur courante : on reçoit
+ * des alertes par paliers plutôt que la même alerte à chaque vérification.
+ */
+
+const DEFAULT_ALERT_RULES = {
+  floor: null,
+  ceiling: null,
+  rateOfChange: null,    // { percent, minutes }
+  cooldownMinutes: 0
+};
+
+const MAX_RATE_WINDOW_MINUTES = 24 * 60;
+const MAX_COOLDOWN_MINUTES = 24 * 60;
+// Garde-fou sur le nombre de points conservés pour la vitesse de variation (mode temps réel)
+const MAX_RECENT_POINTS = 500;
+
+function parsePercentage(value) {
+  const number = parseFloat(String(value).replace('%', ''));
+  return isNaN(number) || number < 0 || number > 100 ? null : number;
+}
+
+function parseMinutes(value) {
+  const match = String(value).toLowerCase().match(/^(\d+(?:\.\d+)?)(m|min|h)?$/);
+  if (!match) return null;
+  const minutes = parseFloat(match[1]) * (match[2] === 'h' ? 60 : 1);
+  return Math.round(minutes);
+}
+
+/**
+ * Interprète la saisie de l'éditeur de règles.
+ * Exemples : "2.5", "2 floor 5 ceiling 40", "rate 2/10 cooldown 15", "quiet 22-7", "quiet off"
+ * @param {string} text
+ * @returns {{threshold: number|null, rules: Object, quietHours: Object|null|undefined, errors: string[]}}
+ *   quietHours vaut undefined si la saisie ne les mentionne pas, null pour les désactiver.
+ */
+function parseAlertRulesInput(text) {
+  const tokens = String(text || '').toLowerCase().replace(/,/g, ' ').split(/\s+/).filter(Boolean);
+  const result = { threshold: null, rules: {}, quietHours: undefined, errors: [] };
+
+  for (let i = 0; i < tokens.length; i++) {
+    const token = tokens[i];
+    const next = tokens[i + 1];
+
+    switch (token) {
+      case 'floor':
+      case 'below': {
+        const floor = parsePercentage(next);
+        if (floor === null) result.errors.push('Floor must be a percentage between 0 and 100 (e.g. "floor 5")');
+        else result.rules.floor = floor;
+        i++;
+        break;
+      }
+      case 'ceiling':
+      case 'above': {
+        const ceiling = parsePercentage(next);
+        if (ceiling === null) result.errors.push('Ceiling must be a percentage between 0 and 100 (e.g. "ceiling 40")');
+        else result.rules.ceiling = ceiling;
+        i++;
+        break;
+      }
+      case 'rate': {
+        const [percentPart, minutesPart] = String(next || '').split('/');
+        const percent = parsePercentage(percentPart);
+        const minutes = parseMinutes(minutesPart || '');
+        if (!percent || !minutes || minutes > MAX_RATE_WINDOW_MINUTES) {
+          result.errors.push('Rate must look like "rate 2/10" (2% within 10 minutes, up to 24h)');
+        } else {
+          result.rules.rateOfChange = { percent, minutes };
+        }
+        i++;
+        break;
+      }
+      case 'cooldown': {
+        const minutes = parseMinutes(next || '');
+        if (minutes === null || minutes > MAX_COOLDOWN_MINUTES) {
+          result.errors.push('Cooldown must be a number of minutes up to 24h (e.g. "cooldown 15")');
+        } else {
+          result.rules.cooldownMinutes = minutes;
+        }
+        i++;
+        break;
+      }
+      case 'quiet': {
+        if (next === 'off') {
+          result.quietHours = null;
+        } else {
+          const match = String(next || '').match(/^(\d{1,2})-(\d{1,2})$/);
+          const startHour = match ? parseInt(match[1], 10) : NaN;
+          const endHour = match ? parseInt(match[2], 10) : NaN;
+          if (!match || startHour > 23 || endHour > 23 || startHour === endHour) {
+            result.errors.push('Quiet hours must look like "quiet 22-7" (UTC hours) or "quiet off"');
+          } else {
+            result.quietHours = { startHour, endHour };
+          }
+        }
+        i++;
+        break;
+      }
+      default: {
+        const threshold = parseFloat(token.replace('%', ''));
+        if (isNaN(threshold) || threshold < 0.1 || threshold > 100) {
+          result.errors.push(`Unknown input "${token}"`);
+        } else {
+          result.threshold = threshold;
+        }
+      }
+    }
+  }
+
+  const { floor, ceiling } = result.rules;
+  if (floor != null && ceiling != null && floor >= ceiling) {
+    result.errors.push('Floor must be lower than ceiling');
+  }
+
+  return result;
+}
+
+function normalizeAlertRules(rules) {
+  return { ...DEFAULT_ALERT_RULES, ...(rules || {}) };
+}
+
+/**
+ * Description courte des règles, une par ligne.
+ */
+function describeAlertRules(rules, quietHours = null) {
+  const { floor, ceiling, rateOfChange, cooldownMinutes } = normalizeAlertRules(rules);
+  const lines = [];
+  if (floor != null) lines.push(`Alert below ${floor}%`);
+  if (ceiling != null) lines.push(`Alert above ${ceiling}%`);
+  if (rateOfChange) lines.push(`Alert on ${rateOfChange.percent}% move within ${rateOfChange.minutes} min`);
+  if (cooldownMinutes > 0) lines.push(`At most one alert every ${cooldownMinutes} min`);
+  if (quietHours) lines.push(`Quiet hours ${quietHours.startHour}:00-${quietHours.endHour}:00 UTC`);
+  return lines;
+}
+
+function isInQuietHours(quietHours, now = Date.now()) {
+  if (!quietHours) return false;
+  const hour = new Date(now).getUTCHours();
+  const { startHour, endHour } = quietHours;
+  return startHour < endHour
+    ? hour >= startHour && hour < endHour
+    : hour >= startHour || hour < endHour;
+}
+
+function isInCooldown(tracker, now = Date.now()) {
+  const { cooldownMinutes } = normalizeAlertRules(tracker.alertRules);
+  return !!(cooldownMinutes > 0 && tracker.lastNotifiedAt && now - tracker.lastNotifiedAt < cooldownMinutes * 60 * 1000);
+}
+
+/**
+ * Ajoute la valeur courante aux points récents et supprime ceux sortis de la fenêtre de vitesse.
+ */
+function recordRecentPoint(tracker, supplyPercentage, now = Date.now()) {
+  const { rateOfChange } = normalizeAlertRules(tracker.alertRules);
+  if (!rateOfChange) {
+    tracker.recentPoints = [];
+    return;
+  }
+
+  const windowStart = now - rateOfChange.minutes * 60 * 1000;
+  tracker.recentPoints = (tracker.recentPoints || [])
+    .filter(point => point.timestamp >= windowStart)
+    .concat({ timestamp: now, supplyPercentage: new BigNumber(supplyPercentage).toNumber() })
+    .slice(-MAX_RECENT_POINTS);
+}
+
+/**
+ * Évalue les règles d'un tracker pour une nouvelle valeur.
+ * @param {Object} tracker - Tracker en mémoire (baseline, seuil, règles, points récents, état plancher/plafond)
+ * @param {BigNumber} newPercentage
+ * @returns {{alerts: Array<{type: string, message: string}>, levelState: string|null}}
+ *   levelState est l'état plancher/plafond à retenir si l'alerte est envoyée.
+ */
+function evaluateAlertRules(tracker, newPercentage) {
+  const rules = normalizeAlertRules(tracker.alertRules);
+  const value = new BigNumber(newPercentage);
+  const alerts = [];
+
+  const change = value.minus(tracker.initialSupplyPercentage);
+  if (change.abs().isGreaterThanOrEqualTo(tracker.significantChangeThreshold)) {
+    alerts.push({ type: 'threshold', message: `Moved ${change.toFixed(2)}% since last alert` });
+  }
+
+  let levelState = null;
+  if (rules.floor != null && value.isLessThan(rules.floor)) levelState = 'below';
+  if (rules.ceiling != null && value.isGreaterThan(rules.ceiling)) levelState = 'above';
+  // On n'alerte qu'au franchissement, pas tant que la valeur reste hors zone
+  if (levelState && levelState !== tracker.levelState) {
+    alerts.push(levelState === 'below'
+      ? { type: 'floor', message: `🔻 Dropped below ${rules.floor}% floor` }
+      : { type: 'ceiling', message: `🔺 Rose above ${rules.ceiling}% ceiling` });
+  }
+
+  if (rules.rateOfChange && tracker.recentPoints?.length > 1) {
+    const oldest = tracker.recentPoints[0];
+    const move = value.minus(oldest.supplyPercentage);
+    if (move.abs().isGreaterThanOrEqualTo(rules.rateOfChange.percent)) {
+      const minutes = Math.max(1, Math.round((Date.now() - oldest.timestamp) / 60000));
+      alerts.push({ type: 'rate', message: `⚡ ${move.isPositive() ? '+' : ''}${move.toFixed(2)}% in ${minutes} min` });
+    }
+  }
+
+  return { alerts, levelState };
+}
+
+module.exports = {
+  DEFAULT_ALERT_RULES,
+  parseAlertRulesInput,
+  normalizeAlertRules,
+  describeAlertRules,
+  isInQuietHours,
+  isInCooldown,
+  recordRecentPoint,
+  evaluateAlertRules
+};
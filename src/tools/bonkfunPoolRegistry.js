@@ -0,0 +1,198 @@
+const { PublicKey } = require('@solana/web3.js');
+const { getSolanaApi } = require('../integrations/solanaApi');
+const { BonkfunPoolService } = require('../database');
+const logger = require('../utils/logger');
+
+const solanaApi = getSolanaApi();
+
+const LAUNCHLAB_PROGRAM = new PublicKey('LanMV9sAd7wArD4vJFi2qDdfnVhFxYSUg6eADduJ3uj');
+const SOL_MINT = new PublicKey('So11111111111111111111111111111111111111112');
+const RAYDIUM_V3_API = 'https://api-v3.raydium.io';
+
+// LaunchLab PoolState layout: discriminator, epoch, 5 u8 flags, 10 u64 amounts and fees,
+// 5 u64 vesting schedule, then configId, platformId, mintA, mintB, vaultA, vaultB, creator
+const POOL_STATE_SIZE = 429;
+const POOL_STATUS_OFFSET = 17;
+const POOL_MINT_A_OFFSET = 205;
+const POOL_CREATOR_OFFSET = 333;
+// Pool status: 0 while the bonding curve is funding, then migrating and migrated
+const POOL_STATUS_FUNDING = 0;
+
+/**
+ * LaunchLab pool state of a mint quoted in SOL (seeds: "pool", base mint, quote mint).
+ * @param {string} mint - Token mint address.
+ * @returns {string} Pool address.
+ */
+function deriveLaunchpadPoolId(mint) {
+  const [poolId] = PublicKey.findProgramAddressSync(
+    [Buffer.from('pool'), new PublicKey(mint).toBuffer(), SOL_MINT.toBuffer()],
+    LAUNCHLAB_PROGRAM
+  );
+  return poolId.toBase58();
+}
+
+/**
+ * Reads the creator of a LaunchLab pool from its state account data.
+ * @param {Buffer} data - Pool state account data.
+ * @param {string} mint - Expected base mint, guards against an unexpected layout.
+ * @returns {string|null} Creator address, null when the data does not match the layout.
+ */
+function decodeLaunchpadPoolCreator(data, mint) {
+  if (!data || data.length < POOL_CREATOR_OFFSET + 32) return null;
+
+  const mintA = new PublicKey(data.subarray(POOL_MINT_A_OFFSET, POOL_MINT_A_OFFSET + 32)).toBase58();
+  if (mintA !== mint) return null;
+  return new PublicKey(data.subarray(POOL_CREATOR_OFFSET, POOL_CREATOR_OFFSET + 32)).toBase58();
+}
+
+/**
+ * Fetches the derived LaunchLab pool of a mint, checking it belongs to the LaunchLab program.
+ * @returns {Promise<{creator: string|null}|null>} null when the pool does not exist on-chain.
+ */
+async function fetchLaunchpadPool(mint, poolId, mainContext, subContext) {
+  const accountInfo = await solanaApi.getAccountInfo(poolId, { encoding: 'base64' }, mainContext, subContext);
+  if (accountInfo?.value?.owner !== LAUNCHLAB_PROGRAM.toBase58()) return null;
+
+  const [base64Data] = accountInfo.value.data || [];
+  const creator = decodeLaunchpadPoolCreator(base64Data ? Buffer.from(base64Data, 'base64') : null, mint);
+  if (!creator) logger.debug(`Could not read the creator of LaunchLab pool ${poolId}`);
+  return { creator };
+}
+
+/**
+ * Lists the SOL-quoted LaunchLab pools of a creator in one program accounts query,
+ * filtered on the creator field of the pool state. Found pools are saved to the registry.
+ *
+ * @param {string} creator - Creator wallet address.
+ * @param {string} mainContext - The main context for API calls.
+ * @param {string} subContext - The sub-context for API calls.
+ * @returns {Promise<Array<{mint: string, launchpadPoolId: string, bondingComplete: boolean}>>}
+ */
+async function findCreatorPools(creator, mainContext = 'default', subContext = 'creatorPools') {
+  const accounts = await solanaApi.getProgramAccounts(
+    LAUNCHLAB_PROGRAM.toBase58(),
+    {
+      encoding: 'base64',
+      filters: [
+        { dataSize: POOL_STATE_SIZE },
+        { memcmp: { offset: POOL_CREATOR_OFFSET, bytes: creator } }
+      ]
+    },
+    mainContext,
+    subContext
+  );
+
+  const pools = [];
+  for (const { pubkey, account } of accounts) {
+    const [base64Data] = account?.data || [];
+    if (!base64Data) continue;
+
+    const data = Buffer.from(base64Data, 'base64');
+    const mint = new PublicKey(data.subarray(POOL_MINT_A_OFFSET, POOL_MINT_A_OFFSET + 32)).toBase58();
+    // Pools quoted in another token than SOL are not bonk.fun launches
+    if (deriveLaunchpadPoolId(mint) !== pubkey) continue;
+
+    pools.push({ mint, launchpadPoolId: pubkey, bondingComplete: data[POOL_STATUS_OFFSET] !== POOL_STATUS_FUNDING });
+    await saveEntry({ mint, launchpadPoolId: pubkey, creator, source: 'pda' });
+  }
+
+  logger.debug(`LaunchLab pools of ${creator}: ${pools.length} found`);
+  return pools;
+}
+
+/**
+ * Looks up the Raydium pool a LaunchLab token migrated to (most liquid CPMM pool first, then AMM).
+ * @returns {Promise<{poolId: string, type: string}|null>}
+ */
+async function findMigratedPool(mint) {
+  for (const [poolType, type] of [['cpmm', 'cpmm'], ['standard', 'amm']]) {
+    try {
+      const url = `${RAYDIUM_V3_API}/pools/info/mint?mint1=${mint}&mint2=${SOL_MINT.toBase58()}&poolType=${poolType}&poolSortField=liquidity&sortType=desc&pageSize=1&page=1`;
+      const response = await fetch(url);
+      if (!response.ok) continue;
+
+      const data = await response.json();
+      const pool = data?.success ? data.data?.data?.[0] : null;
+      if (pool?.id) return { poolId: pool.id, type };
+    } catch (error) {
+      logger.debug(`Raydium ${poolType} pool lookup failed for ${mint}: ${error.message}`);
+    }
+  }
+  return null;
+}
+
+/**
+ * Resolves the pools of a Bonk.fun (LaunchLab) token, from the registry first.
+ * Unknown mints are checked once through PDA derivation, which also gives the creator stored
+ * in the pool state; the migrated pool is looked up while it is still missing, and every
+ * discovery is saved back to the registry.
+ *
+ * @param {string} mint - Token mint address.
+ * @param {string} mainContext - The main context for API calls.
+ * @param {string} subContext - The sub-context for API calls.
+ * @returns {Promise<{mint: string, launchpadPoolId: string|null, migratedPoolId: string|null, migratedPoolType: string|null, creator: string|null}|null>}
+ *   null when the mint was not launched on LaunchLab.
+ */
+async function resolveBonkfunPools(mint, mainContext = 'default', subContext = 'bonkfunPools') {
+  let entry = await BonkfunPoolService.getPool(mint);
+
+  if (!entry) {
+    let launchpadPoolId;
+    try {
+      launchpadPoolId = deriveLaunchpadPoolId(mint);
+    } catch (error) {
+      logger.debug(`Invalid mint ${mint} for LaunchLab derivation: ${error.message}`);
+      return null;
+    }
+
+    const pool = await fetchLaunchpadPool(mint, launchpadPoolId, mainContext, subContext);
+    if (!pool) {
+      logger.debug(`No LaunchLab pool on-chain for ${mint} (${launchpadPoolId})`);
+      return null;
+    }
+
+    entry = { mint, launchpadPoolId, migratedPoolId: null, migratedPoolType: null, creator: pool.creator, source: 'pda' };
+    await saveEntry(entry);
+  } else if (entry.launchpadPoolId && !entry.creator) {
+    // Entries saved before the creator was read from the pool state
+    const pool = await fetchLaunchpadPool(mint, entry.launchpadPoolId, mainContext, subContext);
+    if (pool?.creator) {
+      entry = { ...entry, creator: pool.creator };
+      await saveEntry({ mint, creator: pool.creator, source: 'pda' });
+    }
+  }
+
+  if (!entry.migratedPoolId) {
+    const migrated = await findMigratedPool(mint);
+    if (migrated) {
+      entry = { ...entry, migratedPoolId: migrated.poolId, migratedPoolType: migrated.type };
+      await saveEntry({ mint, migratedPoolId: migrated.poolId, migratedPoolType: migrated.type, source: 'raydium_api' });
+    }
+  }
+
+  return {
+    mint,
+    launchpadPoolId: entry.launchpadPoolId || null,
+    migratedPoolId: entry.migratedPoolId || null,
+    migratedPoolType: entry.migratedPoolType || null,
+    creator: entry.creator || null
+  };
+}
+
+// The registry is a cache: a failed write must not fail the analysis
+async function saveEntry(entry) {
+  try {
+    await BonkfunPoolService.savePool(entry);
+  } catch (error) {
+    logger.warn(`Could not save bonk.fun pool registry entry for ${entry.mint}: ${error.message}`);
+  }
+}
+
+module.exports = {
+  LAUNCHLAB_PROGRAM,
+  deriveLaunchpadPoolId,
+  decodeLaunchpadPoolCreator,
+  findCreatorPools,
+  findMigratedPool,
+  resolveBonkfunPools
+};
@@ -0,0 +1,157 @@
+const { traceRecentOutflows } = require('./tokenFlowAnalyzer');
+const logger = require('../utils/logger');
+
+// Sells of a bundle closer than this to each other belong to the same wave
+const WAVE_GAP_SECONDS = 60;
+// A wave holding this share of the sold tokens, from 2+ wallets, is a coordinated dump
+const DUMP_WAVE_SHARE = 0.6;
+// Spread over this many waves, with no dominant one, the bundle is bleeding out
+const BLEED_MIN_WAVES = 3;
+const BLEED_MAX_WAVE_SHARE = 0.4;
+// Tokens missing from a wallet (bought - sold - held) above this share of its buys were moved out
+const UNEXPLAINED_OUTFLOW_SHARE = 0.05;
+
+/**
+ * Splits sells (sorted by time) into waves separated by more than WAVE_GAP_SECONDS.
+ * @param {Array<{user: string, tokens: number, timestamp: number}>} sells
+ * @returns {Array<{start: number, end: number, tokens: number, wallets: Set<string>, sells: Array}>}
+ */
+function groupSellWaves(sells) {
+  const waves = [];
+  sells.forEach(sell => {
+    const wave = waves[waves.length - 1];
+    if (wave && sell.timestamp - wave.end <= WAVE_GAP_SECONDS) {
+      wave.end = sell.timestamp;
+      wave.tokens += sell.tokens;
+      wave.wallets.add(sell.user);
+      wave.sells.push(sell);
+    } else {
+      waves.push({ start: sell.timestamp, end: sell.timestamp, tokens: sell.tokens, wallets: new Set([sell.user]), sells: [sell] });
+    }
+  });
+  return waves;
+}
+
+/**
+ * @param {Object} timeline - Result of buildSellTimeline (without pattern).
+ * @returns {string} 'holding' | 'dump' | 'bleed' | 'partial'
+ */
+function classifyExitPattern(timeline) {
+  if (timeline.sellCount === 0) return 'holding';
+
+  const largestWave = timeline.waves.reduce((max, wave) => (wave.tokens > max.tokens ? wave : max), timeline.waves[0]);
+  const largestShare = timeline.soldTokens > 0 ? largestWave.tokens / timeline.soldTokens : 0;
+
+  if (largestShare >= DUMP_WAVE_SHARE && largestWave.wallets.size >= 2) return 'dump';
+  if (timeline.waves.length >= BLEED_MIN_WAVES && largestShare <= BLEED_MAX_WAVE_SHARE) return 'bleed';
+  return 'partial';
+}
+
+/**
+ * Builds the exit timeline of a bundle from the token trade history.
+ *
+ * @param {Object} bundle - Bundle ({ uniqueWallets, tokensBought, transactions }).
+ * @param {Array<{user: string, isBuy: boolean, tokens: number, sol: number, timestamp: number}>} trades
+ *   Whole trade history of the token, UI amounts.
+ * @param {Object} context
+ * @param {number} context.totalSupply - Token supply (UI units), for market caps.
+ * @param {number} context.solPriceUsd - SOL price, 0 when unknown (market caps stay in SOL).
+ * @param {Map<string, Array>} [context.transfersByWallet] - Outgoing SPL transfers per wallet.
+ * @returns {Object} Timeline: sells, waves, market caps, transfers and exit pattern.
+ */
+function buildSellTimeline(bundle, trades, { totalSupply, solPriceUsd = 0, transfersByWallet = new Map() }) {
+  const wallets = new Set(bundle.uniqueWallets);
+  const buyTime = Math.min(...bundle.transactions.map(trade => Number(trade.timestamp)).filter(Number.isFinite));
+
+  const toMarketCap = sell => {
+    if (!sell.tokens || !totalSupply) return null;
+    const marketCapSol = (sell.sol / sell.tokens) * totalSupply;
+    return solPriceUsd > 0 ? { usd: marketCapSol * solPriceUsd } : { sol: marketCapSol };
+  };
+
+  const sells = trades
+    .filter(trade => !trade.isBuy && wallets.has(trade.user))
+    .sort((a, b) => a.timestamp - b.timestamp)
+    .map(trade => ({ ...trade, marketCap: toMarketCap(trade) }));
+
+  const transfers = [...wallets]
+    .flatMap(wallet => (transfersByWallet.get(wallet) || []).map(transfer => ({ ...transfer, from: wallet })))
+    .sort((a, b) => (a.timestamp || 0) - (b.timestamp || 0));
+
+  const firstSellTime = sells.length > 0 ? sells[0].timestamp : null;
+  const transfersBeforeSelling = transfers.filter(transfer =>
+    firstSellTime === null || !transfer.timestamp || transfer.timestamp < firstSellTime
+  );
+
+  // Receivers that sold afterwards: the bundle exited through other wallets
+  const receivers = new Set(transfers.map(transfer => transfer.to));
+  const soldByReceivers = trades
+    .filter(trade => !trade.isBuy && receivers.has(trade.user) && !wallets.has(trade.user))
+    .reduce((sum, trade) => sum + trade.tokens, 0);
+
+  const soldTokens = sells.reduce((sum, sell) => sum + sell.tokens, 0);
+  const timeline = {
+    buyTime: Number.isFinite(buyTime) ? buyTime : null,
+    sellCount: sells.length,
+    sellingWallets: new Set(sells.map(sell => sell.user)).size,
+    soldTokens,
+    soldShare: bundle.tokensBought > 0 ? Math.min(soldTokens / bundle.tokensBought, 1) : 0,
+    firstSell: sells[0] || null,
+    lastSell: sells[sells.length - 1] || null,
+    waves: groupSellWaves(sells),
+    transfers,
+    transfersBeforeSelling,
+    transferredTokens: transfers.reduce((sum, transfer) => sum + transfer.amount, 0),
+    soldByReceivers
+  };
+  timeline.pattern = classifyExitPattern(timeline);
+  return timeline;
+}
+
+/**
+ * Wallets whose tokens left without a sell in the history (bought - sold - held).
+ * @param {Array<string>} wallets
+ * @param {Array} trades - Normalized trades (see buildSellTimeline).
+ * @param {Map<string, number>} walletHoldings - Current balance per wallet (UI units).
+ * @returns {string[]}
+ */
+function findUnexplainedOutflows(wallets, trades, walletHoldings) {
+  const flows = new Map(wallets.map(wallet => [wallet, { bought: 0, sold: 0 }]));
+  trades.forEach(trade => {
+    const flow = flows.get(trade.user);
+    if (flow) flow[trade.isBuy ? 'bought' : 'sold'] += trade.tokens;
+  });
+
+  return wallets.filter(wallet => {
+    const { bought, sold } = flows.get(wallet);
+    const missing = bought - sold - (walletHoldings.get(wallet) || 0);
+    return bought > 0 && missing > bought * UNEXPLAINED_OUTFLOW_SHARE;
+  });
+}
+
+/**
+ * Looks up the recent SPL transfers out of wallets that lost tokens outside of the trade history.
+ * @returns {Promise<Map<string, Array<{to: string, toName: string|null, amount: number, timestamp: number}>>>}
+ */
+async function traceBundleTransfers(wallets, mint, sinceMs, mainContext, subContext) {
+  const transfersByWallet = new Map();
+
+  for (const wallet of wallets) {
+    const outflows = await traceRecentOutflows(wallet, mint, sinceMs, mainContext, subContext);
+    const transfers = outflows
+      .filter(outflow => outflow.type === 'transfer')
+      .map(({ to, toName, amount, timestamp, signature }) => ({ to, toName, amount, timestamp, signature }));
+    if (transfers.length > 0) transfersByWallet.set(wallet, transfers);
+  }
+
+  logger.debug(`Bundle transfers: ${transfersByWallet.size}/${wallets.length} wallets moved tokens out`);
+  return transfersByWallet;
+}
+
+module.exports = {
+  groupSellWaves,
+  classifyExitPattern,
+  buildSellTimeline,
+  findUnexplainedOutflows,
+  traceBundleTransfers
+};
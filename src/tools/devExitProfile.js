@@ -0,0 +1,137 @@
+const config = require('../utils/config');
+
+const TOKEN_FACTOR = Math.pow(10, config.PUMPFUN_DECIMALS);
+const SOL_FACTOR = Math.pow(10, config.SOL_DECIMALS);
+// PumpFun and LaunchLab tokens are all minted with a 1B supply
+const LAUNCHPAD_TOTAL_SUPPLY = 1000000000;
+// Share of the allocation sold above which the dev fully exited (dust left behind)
+const FULL_EXIT_SHARE = 0.99;
+// Exit windows tried for the profile headline, shortest first
+const EXIT_WINDOWS_SECONDS = [60, 5 * 60, 60 * 60, 24 * 60 * 60];
+
+/**
+ * Normalizes launchpad trades (PumpFun format, raw amounts) to UI amounts sorted by time.
+ * @param {Array} trades - Trades with is_buy, user, token_amount, sol_amount and timestamp.
+ * @returns {Array<{user: string, isBuy: boolean, tokens: number, sol: number, timestamp: number, slot: number|null}>}
+ */
+function normalizeTrades(trades) {
+  return (trades || [])
+    .map(trade => ({
+      user: trade.user,
+      isBuy: trade.is_buy,
+      tokens: trade.token_amount / TOKEN_FACTOR,
+      sol: trade.sol_amount / SOL_FACTOR,
+      timestamp: Number(trade.timestamp || trade.block_time),
+      slot: Number.isInteger(trade.slot) ? trade.slot : null
+    }))
+    .filter(trade => trade.tokens > 0 && Number.isFinite(trade.timestamp))
+    .sort((a, b) => a.timestamp - b.timestamp || (a.slot ?? 0) - (b.slot ?? 0));
+}
+
+const toMarketCapSol = trade => (trade.sol / trade.tokens) * LAUNCHPAD_TOTAL_SUPPLY;
+
+/**
+ * How the dev exited one of their coins, from its launchpad (bonding curve) trade history.
+ * Sells made after migration are not in that history: a bonded coin without curve sells
+ * was held through bonding, unless the history is only the launch window.
+ *
+ * @param {string} devAddress
+ * @param {Object} coin - Created coin (mint, symbol, complete, created_timestamp in ms).
+ * @param {Array} trades - Normalized trades of the coin (see normalizeTrades).
+ * @param {Object} [options]
+ * @param {boolean} [options.partialHistory=false] - The trades are the launch window only, later curve trades are missing.
+ * @returns {Object|null} null when the dev never bought the coin (no allocation to exit).
+ */
+function analyzeCoinExit(devAddress, coin, trades, { partialHistory = false } = {}) {
+  const devTrades = trades.filter(trade => trade.user === devAddress);
+  const boughtTokens = devTrades.filter(trade => trade.isBuy).reduce((sum, trade) => sum + trade.tokens, 0);
+  if (boughtTokens === 0) return null;
+
+  const launchTime = coin.created_timestamp
+    ? Math.floor(coin.created_timestamp / 1000)
+    : (trades[0]?.timestamp ?? devTrades[0].timestamp);
+  const athMarketCap = Math.max(...trades.map(toMarketCapSol));
+
+  const sells = devTrades.filter(trade => !trade.isBuy);
+  let soldTokens = 0;
+  let fullExitTime = null;
+  let weightedMarketCap = 0;
+  sells.forEach(sell => {
+    soldTokens += sell.tokens;
+    weightedMarketCap += toMarketCapSol(sell) * sell.tokens;
+    if (fullExitTime === null && soldTokens >= boughtTokens * FULL_EXIT_SHARE) fullExitTime = sell.timestamp;
+  });
+
+  const avgSellMarketCap = soldTokens > 0 ? weightedMarketCap / soldTokens : null;
+
+  return {
+    mint: coin.mint,
+    symbol: coin.symbol || null,
+    complete: coin.complete === true,
+    boughtTokens,
+    soldTokens,
+    soldShare: Math.min(soldTokens / boughtTokens, 1),
+    firstSellAfter: sells.length > 0 ? Math.max(0, sells[0].timestamp - launchTime) : null,
+    // Time held before the full exit, null while the dev still holds part of the allocation
+    holdSeconds: fullExitTime !== null ? Math.max(0, fullExitTime - launchTime) : null,
+    avgSellMarketCap,
+    athMarketCap,
+    sellMarketCapVsAth: avgSellMarketCap !== null && athMarketCap > 0 ? avgSellMarketCap / athMarketCap : null,
+    soldIntoCurve: sells.length > 0,
+    partialHistory
+  };
+}
+
+const median = values => {
+  if (values.length === 0) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+};
+
+const average = values => (values.length > 0 ? values.reduce((sum, value) => sum + value, 0) / values.length : null);
+
+/**
+ * Aggregates the per-coin exits into a dev exit profile. The headline is the shortest exit
+ * window covering at least half of the full exits, e.g. "sold 100% within 5 minutes on 12/15 coins".
+ *
+ * @param {Array<Object>} coinExits - Results of analyzeCoinExit (nulls ignored).
+ * @param {number} [skippedCoins=0] - Coins whose trade history could not be analyzed.
+ * @returns {Object|null} null when no coin could be analyzed.
+ */
+function buildDevExitProfile(coinExits, skippedCoins = 0) {
+  const exits = coinExits.filter(Boolean);
+  if (exits.length === 0) return null;
+
+  const fullExits = exits.filter(exit => exit.holdSeconds !== null);
+  const headlineWindow = EXIT_WINDOWS_SECONDS.find(window =>
+    fullExits.filter(exit => exit.holdSeconds <= window).length * 2 >= fullExits.length
+  );
+
+  return {
+    coinsAnalyzed: exits.length,
+    skippedCoins,
+    fullExitCount: fullExits.length,
+    headline: fullExits.length > 0
+      ? {
+        windowSeconds: headlineWindow || null,
+        count: headlineWindow ? fullExits.filter(exit => exit.holdSeconds <= headlineWindow).length : fullExits.length
+      }
+      : null,
+    medianHoldSeconds: median(fullExits.map(exit => exit.holdSeconds)),
+    medianFirstSellSeconds: median(exits.filter(exit => exit.firstSellAfter !== null).map(exit => exit.firstSellAfter)),
+    avgSoldShare: average(exits.map(exit => exit.soldShare)),
+    avgSellMarketCapVsAth: average(exits.filter(exit => exit.sellMarketCapVsAth !== null).map(exit => exit.sellMarketCapVsAth)),
+    soldIntoCurveCount: exits.filter(exit => exit.soldIntoCurve).length,
+    heldThroughBondingCount: exits.filter(exit => exit.complete && !exit.soldIntoCurve && !exit.partialHistory).length,
+    partialHistoryCount: exits.filter(exit => exit.partialHistory).length,
+    coins: exits
+  };
+}
+
+module.exports = {
+  FULL_EXIT_SHARE,
+  normalizeTrades,
+  analyzeCoinExit,
+  buildDevExitProfile
+};
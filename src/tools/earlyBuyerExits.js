@@ -0,0 +1,96 @@
+const { FULL_EXIT_SHARE } = require('./devExitProfile');
+
+// Share of the bag still held above which the wallet is considered holding
+const HOLDING_MIN_SHARE = 0.9;
+// Below this share left (dust), the wallet exited
+const EXITED_MAX_SHARE = 1 - FULL_EXIT_SHARE;
+
+const EXIT_STATUSES = ['holding', 'partial', 'exited'];
+
+/**
+ * Status of an early buyer from the share of its bag it still holds.
+ * @param {number} heldShare - Current balance / tokens bought since entry, capped to 1.
+ * @returns {'holding'|'partial'|'exited'}
+ */
+function getExitStatus(heldShare) {
+  if (heldShare >= HOLDING_MIN_SHARE) return 'holding';
+  if (heldShare <= EXITED_MAX_SHARE) return 'exited';
+  return 'partial';
+}
+
+/**
+ * Realized PnL in SOL: what the sells returned minus the average cost of the tokens sold.
+ * Tokens sold beyond those bought (received by transfer) have no known cost and are left out.
+ */
+function computeRealizedPnl({ boughtTokens, boughtSol, soldTokens, soldSol }) {
+  if (boughtTokens <= 0 || soldTokens <= 0) return 0;
+
+  const costedTokens = Math.min(soldTokens, boughtTokens);
+  const costedSol = soldSol * (costedTokens / soldTokens);
+  return costedSol - costedTokens * (boughtSol / boughtTokens);
+}
+
+/**
+ * What an early buyer did with its bag after entry.
+ *
+ * @param {Object} sinceEntry - UI amounts traded since the first buy: boughtTokens, boughtSol, soldTokens, soldSol.
+ * @param {number} currentBalance - Current token balance (UI amount).
+ * @returns {Object|null} null when no buy is known.
+ */
+function buildBuyerExit(sinceEntry, currentBalance) {
+  const { boughtTokens, soldTokens } = sinceEntry;
+  if (!(boughtTokens > 0)) return null;
+
+  const heldShare = Math.min(currentBalance / boughtTokens, 1);
+  return {
+    status: getExitStatus(heldShare),
+    boughtTokens,
+    soldTokens,
+    currentBalance,
+    heldShare,
+    soldShare: Math.min(soldTokens / boughtTokens, 1),
+    realizedPnlSol: computeRealizedPnl(sinceEntry)
+  };
+}
+
+/**
+ * Aggregates the exits of the early buyers, e.g. "62% of early-buyer supply already sold,
+ * 18% still held by 7 wallets". Sold and held shares do not add up to 100% when tokens
+ * left the wallets by transfer. windowOnlyCount counts exits built from the analysis window
+ * trades only (trades since entry unavailable).
+ *
+ * @param {Array<Object>} buyers - Early buyers with an `exit` (see buildBuyerExit).
+ * @returns {Object|null} null when no buyer has exit data.
+ */
+function summarizeEarlyBuyerExits(buyers) {
+  const exits = buyers.map(buyer => buyer.exit).filter(Boolean);
+  if (exits.length === 0) return null;
+
+  const supply = exits.reduce((sum, exit) => sum + exit.boughtTokens, 0);
+  const sold = exits.reduce((sum, exit) => sum + Math.min(exit.soldTokens, exit.boughtTokens), 0);
+  const held = exits.reduce((sum, exit) => sum + Math.min(exit.currentBalance, exit.boughtTokens), 0);
+
+  const counts = {};
+  EXIT_STATUSES.forEach(status => {
+    counts[status] = exits.filter(exit => exit.status === status).length;
+  });
+
+  return {
+    walletsAnalyzed: exits.length,
+    supply,
+    soldShare: sold / supply,
+    heldShare: held / supply,
+    holdersCount: counts.holding + counts.partial,
+    counts,
+    realizedPnlSol: exits.reduce((sum, exit) => sum + exit.realizedPnlSol, 0),
+    windowOnlyCount: exits.filter(exit => exit.windowOnly).length
+  };
+}
+
+module.exports = {
+  EXIT_STATUSES,
+  getExitStatus,
+  computeRealizedPnl,
+  buildBuyerExit,
+  summarizeEarlyBuyerExits
+};
@@ -0,0 +1,91 @@
+const DEFAULT_BUCKET_SIZE_USD = 50000;
+const MIN_BUCKET_SIZE_USD = 1000;
+// Entries above the last bucket are grouped in an open-ended one
+const MAX_BUCKETS = 12;
+
+const BUCKET_SIZE_UNITS = { k: 1e3, m: 1e6 };
+
+/**
+ * Parses a user bucket size such as "50k" or "1m". A unit is required so the argument
+ * cannot be mistaken for a holders count.
+ * @param {string} arg
+ * @returns {number|null} Bucket size in USD, null when the argument is not a valid bucket size.
+ */
+function parseBucketSize(arg) {
+  const match = /^\$?(\d+(?:\.\d+)?)(k|m)$/i.exec(String(arg || '').trim());
+  if (!match) return null;
+
+  const size = parseFloat(match[1]) * BUCKET_SIZE_UNITS[match[2].toLowerCase()];
+  return size >= MIN_BUCKET_SIZE_USD ? size : null;
+}
+
+/**
+ * Aggregates the holders entries into market-cap buckets weighted by the tokens they still hold.
+ * A holder is in profit when its average entry market cap is below the current one.
+ *
+ * @param {Object} entryMap - Result of EntryPriceAnalyzer.analyzeTokenEntries.
+ * @param {number} [bucketSize=DEFAULT_BUCKET_SIZE_USD] - Bucket width in USD of market cap.
+ * @returns {Object|null} null when no holder has both an entry price and a balance.
+ */
+function buildEntryHistogram(entryMap, bucketSize = DEFAULT_BUCKET_SIZE_USD) {
+  const { tokenInfo, holders } = entryMap;
+  const totalSupply = Number(tokenInfo.totalSupply) || 0;
+  const decimalsFactor = Math.pow(10, tokenInfo.decimals || 0);
+  const toMarketCap = priceInSol => priceInSol * tokenInfo.solPriceUsd * totalSupply;
+
+  const entries = Object.values(holders || {})
+    .filter(holder => holder && holder.averagePrice > 0 && holder.currentBalance > 0)
+    .map(holder => ({
+      marketCap: toMarketCap(holder.averagePrice),
+      tokens: holder.currentBalance / decimalsFactor
+    }));
+  if (entries.length === 0 || totalSupply === 0) return null;
+
+  const currentMarketCapUsd = toMarketCap(tokenInfo.currentPriceInSol || 0);
+  const bucketIndex = marketCap => Math.min(Math.floor(marketCap / bucketSize), MAX_BUCKETS - 1);
+  const lastIndex = Math.max(...entries.map(entry => bucketIndex(entry.marketCap)));
+
+  const buckets = Array.from({ length: lastIndex + 1 }, (_, index) => ({
+    start: index * bucketSize,
+    // Open-ended when entries were grouped above the last bucket
+    end: index === MAX_BUCKETS - 1 ? null : (index + 1) * bucketSize,
+    holders: 0,
+    tokens: 0,
+    profitTokens: 0,
+    underwaterTokens: 0
+  }));
+
+  entries.forEach(entry => {
+    const bucket = buckets[bucketIndex(entry.marketCap)];
+    bucket.holders++;
+    bucket.tokens += entry.tokens;
+    if (entry.marketCap <= currentMarketCapUsd) {
+      bucket.profitTokens += entry.tokens;
+    } else {
+      bucket.underwaterTokens += entry.tokens;
+    }
+  });
+
+  const heldTokens = entries.reduce((sum, entry) => sum + entry.tokens, 0);
+  buckets.forEach(bucket => {
+    bucket.heldShare = bucket.tokens / heldTokens;
+    bucket.supplyShare = bucket.tokens / totalSupply;
+  });
+
+  return {
+    bucketSize,
+    currentMarketCapUsd,
+    holdersCount: entries.length,
+    heldTokens,
+    heldSupplyShare: heldTokens / totalSupply,
+    profitShare: buckets.reduce((sum, bucket) => sum + bucket.profitTokens, 0) / heldTokens,
+    underwaterShare: buckets.reduce((sum, bucket) => sum + bucket.underwaterTokens, 0) / heldTokens,
+    buckets
+  };
+}
+
+module.exports = {
+  DEFAULT_BUCKET_SIZE_USD,
+  parseBucketSize,
+  buildEntryHistogram
+};
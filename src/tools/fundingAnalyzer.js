@@ -8,19 +8,33 @@ const solanaApi = getSolanaApi();
 const MAX_SIGNATURES = 1000;
 const MAX_TRANSACTIONS_TO_CHECK = 10;
 const BATCH_SIZE = 20;
+// Funding chains are followed up to this many hops unless the caller asks otherwise
+const DEFAULT_MAX_HOPS = 3;
+const MAX_HOPS_LIMIT = 6;
+// Recent transactions of a funder scanned for the other wallets it funded
+const MAX_FUNDER_TRANSACTIONS = 100;
+// A funding chain ends at these sources: past them, funds belong to unrelated users
+const ORIGIN_CATEGORIES = new Set([
+  addressCategorization.ADDRESS_CATEGORIES.EXCHANGE,
+  addressCategorization.ADDRESS_CATEGORIES.BRIDGE
+]);
 
 /**
  * Analyzes the funding of multiple wallets in batches.
  * @param {Array} wallets - List of wallets to analyze.
  * @param {string} mainContext - The main context for API calls.
  * @param {string} subContext - The sub-context for API calls.
+ * @param {Object} [options]
+ * @param {number} [options.maxHops=1] - Funding hops to follow (see traceFundingPath); 1 only looks up the direct funder.
  * @returns {Array} - List of wallets with analyzed funding data.
  */
-async function analyzeFunding(wallets, mainContext, subContext) {
+async function analyzeFunding(wallets, mainContext, subContext, options = {}) {
+  // Wallets of a batch often share funders: each funder is looked up once
+  const funderCache = new Map();
   const analyzedWallets = [];
   for (let i = 0; i < wallets.length; i += BATCH_SIZE) {
     const batch = wallets.slice(i, i + BATCH_SIZE);
-    const batchResults = await Promise.all(batch.map(wallet => analyzeWalletFunding(wallet, mainContext, subContext)));
+    const batchResults = await Promise.all(batch.map(wallet => analyzeWalletFunding(wallet, mainContext, subContext, { ...options, funderCache })));
     analyzedWallets.push(...batchResults);
   }
 
@@ -32,12 +46,29 @@ async function analyzeFunding(wallets, mainContext, subContext) {
  * @param {Object} wallet - Wallet object containing wallet address.
  * @param {string} mainContext - The main context for API calls.
  * @param {string} subContext - The sub-context for API calls.
+ * @param {Object} [options] - See analyzeFunding.
  * @returns {Object} - Wallet object with funder address and details.
  */
-async function analyzeWalletFunding(wallet, mainContext, subContext) {
+async function analyzeWalletFunding(wallet, mainContext, subContext, options = {}) {
   const { address } = wallet;
 
   try {
+    if ((options.maxHops || 1) > 1) {
+      const trace = await traceFundingPath(address, mainContext, subContext, options);
+      const directFunding = trace.path[0] || null;
+      return {
+        ...wallet,
+        funderAddress: directFunding?.funderAddress || null,
+        fundingDetails: directFunding ? {
+          ...directFunding.fundingDetails,
+          fundingPath: trace.path.map(toPathStep),
+          origin: trace.origin,
+          hops: trace.path.length,
+          endReason: trace.endReason
+        } : null
+      };
+    }
+
     const fundingResult = await getFunderInfo(address, mainContext, subContext);
     return { 
       ...wallet, 
@@ -50,14 +81,95 @@ async function analyzeWalletFunding(wallet, mainContext, subContext) {
   }
 }
 
+/**
+ * Follows the funding chain of a wallet (funder of the funder...) up to maxHops hops.
+ * The trace stops at a known exchange or bridge (addressCategorization), at a wallet whose
+ * funder cannot be found (too many transactions, no incoming transfer) or on a loop.
+ *
+ * @param {string} address - Wallet to trace.
+ * @param {string} mainContext - The main context for API calls.
+ * @param {string} subContext - The sub-context for API calls.
+ * @param {Object} [options]
+ * @param {number} [options.maxHops=DEFAULT_MAX_HOPS] - Maximum hops to follow (capped at MAX_HOPS_LIMIT).
+ * @param {number} [options.maxTransactions=MAX_TRANSACTIONS_TO_CHECK] - Oldest transactions inspected per wallet.
+ * @param {Map} [options.funderCache] - Funder lookups shared between traces.
+ * @returns {Promise<{path: Array<{recipient: string, funderAddress: string, fundingDetails: Object}>,
+ *   origin: {address: string, name: string|null, category: string|null}|null,
+ *   endReason: string}>} path starts at the direct funder; endReason is 'exchange', 'bridge',
+ *   'no_funder', 'max_hops' or 'loop'.
+ */
+async function traceFundingPath(address, mainContext, subContext, options = {}) {
+  const maxHops = Math.min(Math.max(1, options.maxHops || DEFAULT_MAX_HOPS), MAX_HOPS_LIMIT);
+  const funderCache = options.funderCache || new Map();
+  const lookup = wallet => {
+    if (!funderCache.has(wallet)) {
+      funderCache.set(wallet, getFunderInfo(wallet, mainContext, subContext, { maxTransactions: options.maxTransactions }));
+    }
+    return funderCache.get(wallet);
+  };
+
+  const path = [];
+  const visited = new Set([address]);
+  let current = address;
+  let endReason = 'max_hops';
+
+  while (path.length < maxHops) {
+    const funding = await lookup(current);
+    if (!funding) {
+      endReason = 'no_funder';
+      break;
+    }
+
+    path.push({ recipient: current, ...funding });
+
+    const category = funding.fundingDetails?.sourceCategory;
+    if (ORIGIN_CATEGORIES.has(category)) {
+      endReason = category === addressCategorization.ADDRESS_CATEGORIES.BRIDGE ? 'bridge' : 'exchange';
+      break;
+    }
+    if (visited.has(funding.funderAddress)) {
+      endReason = 'loop';
+      break;
+    }
+
+    visited.add(funding.funderAddress);
+    current = funding.funderAddress;
+  }
+
+  const last = path[path.length - 1];
+  return {
+    path,
+    origin: last ? {
+      address: last.funderAddress,
+      name: last.fundingDetails?.sourceName || null,
+      category: last.fundingDetails?.sourceCategory || null
+    } : null,
+    endReason
+  };
+}
+
+// Compact step of a funding path, as stored on analyzed wallets
+function toPathStep({ recipient, funderAddress, fundingDetails }) {
+  return {
+    from: funderAddress,
+    to: recipient,
+    amount: fundingDetails?.amount ?? null,
+    timestamp: fundingDetails?.timestamp ?? null,
+    signature: fundingDetails?.signature || null,
+    sourceName: fundingDetails?.sourceName || null
+  };
+}
+
 /**
  * Identifies the funder address and details for a given recipient wallet.
  * @param {string} recipientAddress - Wallet address of the recipient.
  * @param {string} mainContext - The main context for API calls.
  * @param {string} subContext - The sub-context for API calls.
+ * @param {Object} [options]
+ * @param {number} [options.maxTransactions=MAX_TRANSACTIONS_TO_CHECK] - Oldest transactions inspected.
  * @returns {Object|null} - Funding information or null if not found.
  */
-async function getFunderInfo(recipientAddress, mainContext, subContext) {
+async function getFunderInfo(recipientAddress, mainContext, subContext, options = {}) {
   try {
     const signatures = await solanaApi.getSignaturesForAddress(recipientAddress, { limit: MAX_SIGNATURES }, mainContext, subContext);
 
@@ -67,7 +179,7 @@ async function getFunderInfo(recipientAddress, mainContext, subContext) {
     }
 
     // Check the earliest transactions for this wallet, as these would likely be funding transactions
-    const txsToCheck = Math.min(signatures.length, MAX_TRANSACTIONS_TO_CHECK);
+    const txsToCheck = Math.min(signatures.length, options.maxTransactions || MAX_TRANSACTIONS_TO_CHECK);
     const startIdx = Math.max(0, signatures.length - txsToCheck);
     
     for (let i = signatures.length - 1; i >= startIdx; i--) {
@@ -168,6 +280,94 @@ function analyzeTxForFunding(txDetails, recipientAddress, txInfo) {
   return null;
 }
 
+/**
+ * Lists the wallets a funder sent SOL to in its recent transactions (reverse lookup of getFunderInfo).
+ * @param {string} funderAddress - Address of the funder.
+ * @param {string} mainContext - The main context for API calls.
+ * @param {string} subContext - The sub-context for API calls.
+ * @param {Object} [options]
+ * @param {number} [options.maxTransactions=MAX_FUNDER_TRANSACTIONS] - Recent transactions inspected.
+ * @returns {Promise<Array<{address: string, amount: number, timestamp: number, signature: string}>>}
+ *   One entry per funded wallet (its most recent funding), most recent first.
+ */
+async function findFundedWallets(funderAddress, mainContext, subContext, options = {}) {
+  const funded = new Map();
+
+  try {
+    const signatures = await solanaApi.getSignaturesForAddress(
+      funderAddress,
+      { limit: options.maxTransactions || MAX_FUNDER_TRANSACTIONS },
+      mainContext,
+      subContext
+    );
+    const validSignatures = (signatures || []).filter(sig => !sig.err);
+
+    for (let i = 0; i < validSignatures.length; i += BATCH_SIZE) {
+      const batch = validSignatures.slice(i, i + BATCH_SIZE);
+      const results = await Promise.all(batch.map(txInfo =>
+        solanaApi.getTransaction(txInfo.signature, { encoding: 'jsonParsed', maxSupportedTransactionVersion: 0 }, mainContext, subContext)
+          .catch(() => null)
+      ));
+
+      results.forEach((txDetails, index) => {
+        const txInfo = batch[index];
+        (txDetails?.transaction?.message?.instructions || []).forEach(instruction => {
+          const info = instruction.parsed?.info;
+          if (instruction.program !== 'system' || instruction.parsed?.type !== 'transfer') return;
+          if (info.source !== funderAddress || info.destination === funderAddress || funded.has(info.destination)) return;
+
+          funded.set(info.destination, {
+            address: info.destination,
+            amount: new BigNumber(info.lamports).dividedBy(1e9).toNumber(),
+            timestamp: txInfo.blockTime,
+            signature: txInfo.signature
+          });
+        });
+      });
+    }
+  } catch (error) {
+    logger.error(`Error listing wallets funded by ${funderAddress}`, { error });
+  }
+
+  return [...funded.values()];
+}
+
+/**
+ * Exchanges and bridges fund unrelated users: sharing one of them as funder does not link two wallets.
+ * @param {string} address - Funder address.
+ * @param {string|null} [sourceCategory] - Category already resolved for the funding (fundingDetails.sourceCategory).
+ * @returns {boolean}
+ */
+function isPublicFunder(address, sourceCategory = null) {
+  return ORIGIN_CATEGORIES.has(sourceCategory || addressCategorization.getAddressCategory(address));
+}
+
+/**
+ * Groups analyzed wallets (see analyzeFunding) by funder address.
+ * Exchange and bridge funders are left out (see isPublicFunder).
+ * @param {Array} analyzedWallets - Wallets returned by analyzeFunding.
+ * @returns {Map<string, {funderAddress: string, sourceName: string|null, sourceCategory: string|null, wallets: string[]}>}
+ */
+function groupWalletsByFunder(analyzedWallets) {
+  const groups = new Map();
+
+  for (const wallet of analyzedWallets) {
+    if (!wallet.funderAddress || isPublicFunder(wallet.funderAddress, wallet.fundingDetails?.sourceCategory)) continue;
+
+    if (!groups.has(wallet.funderAddress)) {
+      groups.set(wallet.funderAddress, {
+        funderAddress: wallet.funderAddress,
+        sourceName: wallet.fundingDetails?.sourceName || null,
+        sourceCategory: wallet.fundingDetails?.sourceCategory || null,
+        wallets: []
+      });
+    }
+    groups.get(wallet.funderAddress).wallets.push(wallet.address);
+  }
+
+  return groups;
+}
+
 /**
  * Check if an address is a known exchange or entity
  * @param {string} address - The address to check
@@ -179,7 +379,12 @@ function getKnownEntityName(address) {
 }
 
 module.exports = { 
+  DEFAULT_MAX_HOPS,
   analyzeFunding, 
   getFunderInfo,
+  findFundedWallets,
+  traceFundingPath,
+  isPublicFunder,
+  groupWalletsByFunder,
   getKnownEntityName
 };
\ No newline at end of file
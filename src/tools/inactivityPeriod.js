@@ -4,7 +4,7 @@ const logger = require('../utils/logger');
 
 const solanaApi = getSolanaApi();
 
-async function checkInactivityPeriod(address, coinAddress, mainContext, subContext = 'checkInactivity') {
+async function checkInactivityPeriod(address, coinAddress, mainContext, subContext = 'checkInactivity', thresholdDays = config.INACTIVITY_THRESHOLD_DAYS) {
   try {
     const tokenAccounts = await solanaApi.getTokenAccountsByOwner(address, coinAddress, mainContext, subContext);
 
@@ -29,7 +29,7 @@ async function checkInactivityPeriod(address, coinAddress, mainContext, subConte
     const lastSwapTime = lastSwapTransaction.blockTime;
     const daysSinceLastActivity = (ataCreationTime - lastSwapTime) / (24 * 60 * 60);
 
-    const isInactive = daysSinceLastActivity > config.INACTIVITY_THRESHOLD_DAYS;
+    const isInactive = daysSinceLastActivity > thresholdDays;
     return { isInactive, daysSinceLastActivity };
   } catch (error) {
     logger.error(`Error checking inactivity for address: ${shortenAddress(String(address))}.`, { error });
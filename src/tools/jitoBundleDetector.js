@@ -0,0 +1,220 @@
+const { getSolanaApi } = require('../integrations/solanaApi');
+const logger = require('../utils/logger');
+
+const solanaApi = getSolanaApi();
+
+// Jito block engine tip accounts (mainnet)
+const JITO_TIP_ACCOUNTS = new Set([
+  '96gYZGLnJYVFmbjzopPSU6QiEV5fGqZNyN9nmNhvrZU5',
+  'HFqU5x63VTqvQss8hp11i4wVV8bD44PvwucfZ2bU7gRe',
+  'Cw8CFyM9FkoMi7K7Crf6HNQqf4uEMzpKw6QNghXLvLkY',
+  'ADaUMid9yfUytqMBgopwjb2DTLSokTSzL1zt6iGPaS49',
+  'DfXygSm4jCyNCybVYYK6DwvWqjKee8pbDmJGcLWNDXjh',
+  'ADuUkR4vqLUMWXxW9gh6D6L8pMSawimctcNZ5pGwDcEt',
+  'DttWaMuVvTiduZRnguLF7jNxTgiMBZ1hyAumKUiL2KRL',
+  '3AVi9Tg9Uo68tJfuvoKvqKNWKkC5wPdSSdeBnizKZ6jT'
+]);
+
+// A Jito bundle holds at most 5 transactions, executed back to back in the block
+const MAX_JITO_BUNDLE_SIZE = 5;
+// Without a tip, same-slot buys are only reported from this many wallets (legacy rule)
+const MIN_COINCIDENCE_WALLETS = 3;
+const TRANSACTION_BATCH_SIZE = 5;
+
+/**
+ * Lists the SOL transfers to Jito tip accounts made by a transaction, inner instructions included.
+ * @param {Object} txDetails - Parsed transaction (jsonParsed encoding).
+ * @returns {Array<{payer: string, tipAccount: string, lamports: number}>}
+ */
+function getJitoTips(txDetails) {
+  const instructions = [
+    ...(txDetails?.transaction?.message?.instructions || []),
+    ...(txDetails?.meta?.innerInstructions || []).flatMap(inner => inner.instructions || [])
+  ];
+
+  return instructions
+    .filter(ix => ix.program === 'system' && ix.parsed?.type === 'transfer' && JITO_TIP_ACCOUNTS.has(ix.parsed.info?.destination))
+    .map(ix => ({
+      payer: ix.parsed.info.source,
+      tipAccount: ix.parsed.info.destination,
+      lamports: Number(ix.parsed.info.lamports) || 0
+    }));
+}
+
+/**
+ * @param {Object} txDetails - Parsed transaction.
+ * @returns {Set<string>} Accounts that signed the transaction.
+ */
+function getSigners(txDetails) {
+  const accountKeys = txDetails?.transaction?.message?.accountKeys || [];
+  return new Set(accountKeys.filter(key => key.signer).map(key => key.pubkey?.toString() || key.toString()));
+}
+
+/**
+ * Splits the buys of one slot into Jito bundles and same-slot coincidences.
+ *
+ * Buys are linked when their transactions tip from the same payer, when one of them
+ * pays the tip for a wallet that signed the other, or when they landed at consecutive
+ * positions of the block (at most 5) next to a tipping transaction. Tipping transactions
+ * that are not buys (the usual layout of a multi-wallet bundle) link buys the same way.
+ *
+ * @param {Array<Object>} buys - Buy trades of the slot ({ signature, user, tx_index?, ... }).
+ * @param {Map<string, Object>} transactions - signature -> parsed transaction, buys and their neighbours.
+ * @param {Object} [block]
+ * @param {Map<string, number>} [block.positions] - signature -> position in the block, tx_index of the buy otherwise.
+ * @param {string[]} [block.neighbours] - Signatures of the non-buy transactions around the buys.
+ * @returns {Array<{detection: string, buys: Array, tipPayers: string[], tipLamports: number}>}
+ */
+function groupSlotBuys(buys, transactions, { positions = new Map(), neighbours = [] } = {}) {
+  const buySignatures = new Set(buys.map(buy => buy.signature));
+  const tipTransactions = neighbours
+    .filter(signature => !buySignatures.has(signature) && getJitoTips(transactions.get(signature)).length > 0);
+
+  // Nodes: the buys first, then the tipping transactions that are not buys
+  const nodes = [
+    ...buys.map(buy => ({ buy, signature: buy.signature, position: positions.get(buy.signature) ?? buy.tx_index })),
+    ...tipTransactions.map(signature => ({ buy: null, signature, position: positions.get(signature) }))
+  ];
+
+  const parent = nodes.map((_, index) => index);
+  const find = index => (parent[index] === index ? index : (parent[index] = find(parent[index])));
+  const union = (a, b) => { parent[find(a)] = find(b); };
+
+  const details = nodes.map(node => {
+    const txDetails = transactions.get(node.signature);
+    const tips = getJitoTips(txDetails);
+    const signers = getSigners(txDetails);
+    if (node.buy) signers.add(node.buy.user);
+    return { tips, tipPayers: new Set(tips.map(tip => tip.payer)), signers };
+  });
+
+  for (let i = 0; i < nodes.length; i++) {
+    for (let j = i + 1; j < nodes.length; j++) {
+      const sharedPayer = [...details[i].tipPayers].some(payer =>
+        details[j].tipPayers.has(payer) || details[j].signers.has(payer)
+      ) || [...details[j].tipPayers].some(payer => details[i].signers.has(payer));
+      if (sharedPayer) union(i, j);
+    }
+  }
+
+  // Consecutive positions in the block
+  const positioned = nodes
+    .map((node, index) => ({ index, position: node.position }))
+    .filter(entry => Number.isInteger(entry.position))
+    .sort((a, b) => a.position - b.position);
+  let run = [];
+  const closeRun = () => {
+    if (run.length > 1 && run.length <= MAX_JITO_BUNDLE_SIZE && run.some(entry => details[entry.index].tips.length > 0)) {
+      run.slice(1).forEach(entry => union(run[0].index, entry.index));
+    }
+    run = [];
+  };
+  positioned.forEach(entry => {
+    const previous = run[run.length - 1];
+    if (previous && entry.position !== previous.position + 1) closeRun();
+    run.push(entry);
+  });
+  closeRun();
+
+  const components = new Map();
+  nodes.forEach((_, index) => {
+    const root = find(index);
+    if (!components.has(root)) components.set(root, []);
+    components.get(root).push(index);
+  });
+
+  const groups = [];
+  const leftovers = [];
+  for (const indexes of components.values()) {
+    const buyIndexes = indexes.filter(index => nodes[index].buy);
+    if (buyIndexes.length === 0) continue;
+
+    const tips = indexes.flatMap(index => details[index].tips);
+    const wallets = new Set(buyIndexes.map(index => nodes[index].buy.user));
+    if (tips.length > 0 && wallets.size >= 2) {
+      groups.push({
+        detection: 'jito',
+        buys: buyIndexes.map(index => nodes[index].buy),
+        tipPayers: [...new Set(tips.map(tip => tip.payer))],
+        tipLamports: tips.reduce((sum, tip) => sum + tip.lamports, 0)
+      });
+    } else {
+      leftovers.push(...buyIndexes);
+    }
+  }
+
+  if (new Set(leftovers.map(index => nodes[index].buy.user)).size >= MIN_COINCIDENCE_WALLETS) {
+    groups.push({
+      detection: 'coincidence',
+      buys: leftovers.map(index => nodes[index].buy),
+      tipPayers: [],
+      tipLamports: 0
+    });
+  }
+
+  return groups;
+}
+
+async function fetchTransactions(signatures, mainContext, subContext) {
+  const transactions = new Map();
+
+  for (let i = 0; i < signatures.length; i += TRANSACTION_BATCH_SIZE) {
+    const batch = signatures.slice(i, i + TRANSACTION_BATCH_SIZE);
+    const results = await Promise.all(batch.map(signature =>
+      solanaApi.getTransaction(
+        signature,
+        { encoding: 'jsonParsed', maxSupportedTransactionVersion: 0 },
+        mainContext,
+        subContext
+      ).catch(error => {
+        logger.debug(`Could not fetch transaction ${signature}: ${error.message}`);
+        return null;
+      })
+    ));
+    batch.forEach((signature, index) => results[index] && transactions.set(signature, results[index]));
+  }
+
+  return transactions;
+}
+
+/**
+ * Reads the transaction order of the slot, fetches the buys and the transactions that could
+ * share a bundle with them (up to 4 positions away), then groups them (see groupSlotBuys).
+ * Without the block, only the buy transactions are inspected.
+ *
+ * @param {number} slot
+ * @param {Array<Object>} buys - Buy trades of the slot.
+ * @param {string} mainContext - The main context for API calls.
+ * @param {string} subContext - The sub-context for API calls.
+ */
+async function detectSlotBundles(slot, buys, mainContext, subContext) {
+  const buySignatures = [...new Set(buys.map(buy => buy.signature).filter(Boolean))];
+
+  let blockSignatures = null;
+  try {
+    blockSignatures = await solanaApi.getBlockSignatures(slot, mainContext, subContext);
+  } catch (error) {
+    logger.debug(`Could not fetch block ${slot}: ${error.message}`);
+  }
+
+  const positions = new Map((blockSignatures || []).map((signature, position) => [signature, position]));
+  const neighbours = new Set();
+  buySignatures.forEach(signature => {
+    const position = positions.get(signature);
+    if (position === undefined) return;
+    const from = Math.max(0, position - (MAX_JITO_BUNDLE_SIZE - 1));
+    const to = Math.min(blockSignatures.length - 1, position + (MAX_JITO_BUNDLE_SIZE - 1));
+    for (let index = from; index <= to; index++) neighbours.add(blockSignatures[index]);
+  });
+  buySignatures.forEach(signature => neighbours.delete(signature));
+
+  const transactions = await fetchTransactions([...buySignatures, ...neighbours], mainContext, subContext);
+  return groupSlotBuys(buys, transactions, { positions, neighbours: [...neighbours] });
+}
+
+module.exports = {
+  JITO_TIP_ACCOUNTS,
+  getJitoTips,
+  groupSlotBuys,
+  detectSlotBundles
+};
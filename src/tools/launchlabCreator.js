@@ -0,0 +1,46 @@
+const { findCreatorPools, resolveBonkfunPools } = require('./bonkfunPoolRegistry');
+const logger = require('../utils/logger');
+
+/**
+ * Finds the creator of a Bonk.fun (LaunchLab) token, stored in its pool state (see resolveBonkfunPools).
+ * @param {string} tokenAddress
+ * @param {string} mainContext - The main context for API calls.
+ * @param {string} subContext - The sub-context for API calls.
+ * @returns {Promise<{creator: string|null, poolId: string}|null>}
+ *   null when the token was not launched on LaunchLab, creator null when the pool state could not be read.
+ */
+async function findLaunchLabCreator(tokenAddress, mainContext = 'default', subContext = 'launchlabCreator') {
+  const pools = await resolveBonkfunPools(tokenAddress, mainContext, subContext);
+  if (!pools?.launchpadPoolId) return null;
+
+  if (!pools.creator) {
+    logger.warn(`Creator of LaunchLab pool ${pools.launchpadPoolId} not found for ${tokenAddress}`);
+  }
+  return { creator: pools.creator || null, poolId: pools.launchpadPoolId };
+}
+
+/**
+ * Lists the LaunchLab launches of a creator, in the coin shape of pumpfunApi.getCreatedCoins
+ * (complete = bonding curve finished) so both launchpads share the dev statistics.
+ * Pool states carry no creation time: created_timestamp stays null.
+ *
+ * @param {string} creator - Creator wallet address.
+ * @param {string} mainContext - The main context for API calls.
+ * @param {string} subContext - The sub-context for API calls.
+ * @returns {Promise<Array<{mint: string, complete: boolean, created_timestamp: null, launchpadPoolId: string}>>}
+ */
+async function getLaunchLabLaunches(creator, mainContext = 'default', subContext = 'launchlabLaunches') {
+  const pools = await findCreatorPools(creator, mainContext, subContext);
+
+  return pools.map(pool => ({
+    mint: pool.mint,
+    complete: pool.bondingComplete,
+    created_timestamp: null,
+    launchpadPoolId: pool.launchpadPoolId
+  }));
+}
+
+module.exports = {
+  findLaunchLabCreator,
+  getLaunchLabLaunches
+};
@@ -15,6 +15,83 @@ class PoolAndBotDetector {
         ]);
 
         this.RAYDIUM_V4_POOL_ADDRESS = '5Q544fKrFoe6tsEbD7S8EmxGTJYAKtTVhAW5Q5pge4j1';
+
+        // Early buyer classification (see classifyEarlyBuyer)
+        this.SNIPER_MAX_SLOT_DISTANCE = 2;
+        // Wallets sniping often elsewhere are still snipers a little later
+        this.FREQUENT_SNIPER_MAX_SLOT_DISTANCE = 10;
+        this.MEV_ROUND_TRIP_MAX_SLOTS = 1;
+        this.FREQUENT_SNIPER_FAST_TX_RATIO = 0.3;
+        this.SNIPER_TAG = 'sniper';
+    }
+
+    /**
+     * Trade signals of a wallet on the analyzed token.
+     * @param {Object} activity - { launchSlot, trades: [{ slot, is_buy }] }; launchSlot is the
+     *   creation or pool-open slot (first trade of the token).
+     * @returns {{buySlotDistance: number|null, roundTrips: number}} roundTrips counts buys followed
+     *   by a sell in the same or the next MEV_ROUND_TRIP_MAX_SLOTS slots.
+     */
+    getTradeSignals(activity) {
+        const trades = (activity?.trades || []).filter(trade => Number.isInteger(trade.slot));
+        const buys = trades.filter(trade => trade.is_buy).sort((a, b) => a.slot - b.slot);
+        const sells = trades.filter(trade => !trade.is_buy).sort((a, b) => a.slot - b.slot);
+
+        const buySlotDistance = buys.length > 0 && Number.isInteger(activity.launchSlot)
+            ? buys[0].slot - activity.launchSlot
+            : null;
+
+        const pairedSells = new Set();
+        let roundTrips = 0;
+        buys.forEach(buy => {
+            const sellIndex = sells.findIndex((sell, index) => !pairedSells.has(index)
+                && sell.slot >= buy.slot
+                && sell.slot - buy.slot <= this.MEV_ROUND_TRIP_MAX_SLOTS);
+            if (sellIndex !== -1) {
+                pairedSells.add(sellIndex);
+                roundTrips++;
+            }
+        });
+
+        return { buySlotDistance, roundTrips };
+    }
+
+    /**
+     * How often a wallet snipes other tokens, from its stored wallet data (fast trades ratio, sniper tag).
+     */
+    getSnipingHistory(walletInfo) {
+        const fastTxRatio = Number(walletInfo?.risk?.fast_tx_ratio) || 0;
+        const taggedSniper = Array.isArray(walletInfo?.tags) && walletInfo.tags.includes(this.SNIPER_TAG);
+
+        return {
+            fastTxRatio,
+            taggedSniper,
+            isFrequentSniper: taggedSniper || fastTxRatio >= this.FREQUENT_SNIPER_FAST_TX_RATIO
+        };
+    }
+
+    /**
+     * Early buyer label: 'mev' (buy/sell round trip in the same or adjacent slot), 'sniper'
+     * (bought in the first slots after launch, a few more for frequent snipers) or 'organic'.
+     */
+    classifyEarlyBuyer(signals, history) {
+        if (signals.roundTrips > 0) return 'mev';
+        if (signals.buySlotDistance === null) return 'organic';
+
+        const maxDistance = history.isFrequentSniper ? this.FREQUENT_SNIPER_MAX_SLOT_DISTANCE : this.SNIPER_MAX_SLOT_DISTANCE;
+        return signals.buySlotDistance <= maxDistance ? 'sniper' : 'organic';
+    }
+
+    withClassification(result, walletData, walletInfo) {
+        if (!walletData.activity) return result;
+
+        const signals = this.getTradeSignals(walletData.activity);
+        const snipingHistory = this.getSnipingHistory(walletInfo);
+        return {
+            ...result,
+            classification: this.classifyEarlyBuyer(signals, snipingHistory),
+            signals: { ...signals, ...snipingHistory }
+        };
     }
 
     async checkLiquidityPool(address, mainContext = 'default') {
@@ -61,7 +138,7 @@ class PoolAndBotDetector {
 
         if (!data || !data.data) {
             logger.warn(`No data available for wallet ${wallet}`);
-            return { ...walletData, type: 'unknown', subType: null };
+            return this.withClassification({ ...walletData, type: 'unknown', subType: null }, walletData, null);
         }
 
         const walletInfo = data.data;
@@ -79,12 +156,12 @@ class PoolAndBotDetector {
 
             if (difference.isLessThan(this.BOT_TRANSACTION_DIFFERENCE_THRESHOLD) || isHighUPL) {
                 logger.debug(`Wallet ${wallet} identified as bot`);
-                return { ...walletData, type: 'bot', subType: null };
+                return this.withClassification({ ...walletData, type: 'bot', subType: null }, walletData, walletInfo);
             }
         }
 
         logger.info(`Wallet ${wallet} identified as normal`);
-        return { ...walletData, type: 'normal', subType: null };
+        return this.withClassification({ ...walletData, type: 'normal', subType: null }, walletData, walletInfo);
     }
 }
 
@@ -0,0 +1,73 @@
+// Buys in the first slots of a launch (from the slot of its first trade) are snipes
+const EARLY_BUY_SLOTS = 3;
+// Without slots (some launch histories), buys within this delay of the first trade
+const EARLY_BUY_SECONDS = 2;
+// A wallet sniping at least this many launches of the same dev is a recurring sniper
+const MIN_LAUNCHES_SNIPED = 2;
+
+/**
+ * Wallets that bought a launch in its first slots, the dev excluded.
+ * @param {Array} trades - Normalized trades of the coin (see devExitProfile.normalizeTrades), oldest first.
+ * @param {string} devAddress
+ * @returns {Set<string>}
+ */
+function findEarlyBuyers(trades, devAddress) {
+  if (trades.length === 0) return new Set();
+
+  const slots = trades.map(trade => trade.slot).filter(Number.isInteger);
+  const firstSlot = slots.length > 0 ? Math.min(...slots) : null;
+  const firstTime = trades[0].timestamp;
+  const isEarly = trade => (firstSlot !== null && Number.isInteger(trade.slot)
+    ? trade.slot - firstSlot < EARLY_BUY_SLOTS
+    : trade.timestamp - firstTime <= EARLY_BUY_SECONDS);
+
+  return new Set(trades
+    .filter(trade => trade.isBuy && trade.user !== devAddress && isEarly(trade))
+    .map(trade => trade.user));
+}
+
+/**
+ * Realized profit of a wallet on a coin: SOL received from its sells minus SOL spent on buys.
+ */
+function getRealizedProfit(trades, wallet) {
+  return trades
+    .filter(trade => trade.user === wallet)
+    .reduce((sum, trade) => sum + (trade.isBuy ? -trade.sol : trade.sol), 0);
+}
+
+/**
+ * Finds the wallets that sniped several launches of a dev.
+ *
+ * @param {Array<{coin: Object, trades: Array}>} coinTrades - Normalized trade history of each previous coin.
+ * @param {string} devAddress
+ * @param {Object} [options]
+ * @param {number} [options.minLaunches=MIN_LAUNCHES_SNIPED]
+ * @returns {Array<{address: string, launchesSniped: number, mints: string[], totalProfitSol: number, avgProfitSol: number}>}
+ *   Most launches sniped first, then highest average profit.
+ */
+function findRecurringSnipers(coinTrades, devAddress, { minLaunches = MIN_LAUNCHES_SNIPED } = {}) {
+  const snipers = new Map();
+
+  coinTrades.forEach(({ coin, trades }) => {
+    findEarlyBuyers(trades, devAddress).forEach(wallet => {
+      if (!snipers.has(wallet)) snipers.set(wallet, { address: wallet, mints: [], totalProfitSol: 0 });
+      const sniper = snipers.get(wallet);
+      sniper.mints.push(coin.mint);
+      sniper.totalProfitSol += getRealizedProfit(trades, wallet);
+    });
+  });
+
+  return [...snipers.values()]
+    .filter(sniper => sniper.mints.length >= minLaunches)
+    .map(sniper => ({
+      ...sniper,
+      launchesSniped: sniper.mints.length,
+      avgProfitSol: sniper.totalProfitSol / sniper.mints.length
+    }))
+    .sort((a, b) => b.launchesSniped - a.launchesSniped || b.avgProfitSol - a.avgProfitSol);
+}
+
+module.exports = {
+  findEarlyBuyers,
+  findRecurringSnipers
+};
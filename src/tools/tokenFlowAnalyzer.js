@@ -0,0 +1,135 @@
+const { getSolanaApi } = require('../integrations/solanaApi');
+const logger = require('../utils/logger');
+const BigNumber = require('bignumber.js');
+const addressCategorization = require('../utils/addressCategorization');
+
+const solanaApi = getSolanaApi();
+
+const MAX_SIGNATURES_TO_SCAN = 15;
+const MAX_TRANSACTIONS_TO_PARSE = 5;
+
+/**
+ * Computes the token balance change of every owner touched by a transaction for a given mint.
+ * @param {Object} txDetails - Parsed transaction (jsonParsed encoding).
+ * @param {string} mint - Token mint address.
+ * @returns {Map<string, BigNumber>} - Owner address -> UI amount delta.
+ */
+function getOwnerTokenDeltas(txDetails, mint) {
+  const deltas = new Map();
+  const meta = txDetails?.meta;
+  if (!meta) return deltas;
+
+  const apply = (balances, sign) => {
+    for (const balance of balances || []) {
+      if (balance.mint !== mint || !balance.owner) continue;
+      const amount = new BigNumber(balance.uiTokenAmount?.uiAmountString || 0).multipliedBy(sign);
+      deltas.set(balance.owner, (deltas.get(balance.owner) || new BigNumber(0)).plus(amount));
+    }
+  };
+
+  apply(meta.preTokenBalances, -1);
+  apply(meta.postTokenBalances, 1);
+  return deltas;
+}
+
+/**
+ * Lists the program ids invoked by a transaction, inner instructions included.
+ * @param {Object} txDetails - Parsed transaction.
+ * @returns {Set<string>}
+ */
+function getInvokedPrograms(txDetails) {
+  const programs = new Set();
+  const instructions = txDetails?.transaction?.message?.instructions || [];
+  instructions.forEach(ix => ix.programId && programs.add(ix.programId.toString()));
+  (txDetails?.meta?.innerInstructions || []).forEach(inner => {
+    (inner.instructions || []).forEach(ix => ix.programId && programs.add(ix.programId.toString()));
+  });
+  return programs;
+}
+
+/**
+ * Determines where tokens leaving a wallet went in a single transaction.
+ * @param {Object} txDetails - Parsed transaction.
+ * @param {string} walletAddress - Wallet whose balance decreased.
+ * @param {string} mint - Token mint address.
+ * @returns {Object|null} - { type: 'sold'|'transfer', venue?, to?, amount, signature, timestamp } or null.
+ */
+function classifyTokenOutflow(txDetails, walletAddress, mint) {
+  const deltas = getOwnerTokenDeltas(txDetails, mint);
+  const walletDelta = deltas.get(walletAddress);
+  if (!walletDelta || !walletDelta.isNegative()) return null;
+
+  const base = {
+    amount: walletDelta.abs().toNumber(),
+    signature: txDetails.transaction?.signatures?.[0] || null,
+    timestamp: txDetails.blockTime || null
+  };
+
+  const dexProgram = Array.from(getInvokedPrograms(txDetails)).find(program => addressCategorization.isDEX(program));
+  if (dexProgram) {
+    return { ...base, type: 'sold', venue: addressCategorization.getAddressName(dexProgram) };
+  }
+
+  // Tokens went to another owner without going through a known DEX: keep the largest receiver
+  const receivers = Array.from(deltas.entries())
+    .filter(([owner, delta]) => owner !== walletAddress && delta.isPositive())
+    .sort((a, b) => b[1].comparedTo(a[1]));
+
+  if (receivers.length === 0) {
+    // Burned or closed through an unknown program
+    return { ...base, type: 'sold', venue: null };
+  }
+
+  const [receiver] = receivers[0];
+  if (addressCategorization.isDEX(receiver)) {
+    return { ...base, type: 'sold', venue: addressCategorization.getAddressName(receiver) };
+  }
+  return { ...base, type: 'transfer', to: receiver, toName: addressCategorization.getAddressName(receiver) };
+}
+
+/**
+ * Looks at the most recent transactions of a wallet and reports where its tokens went.
+ * @param {string} walletAddress - Wallet whose balance decreased.
+ * @param {string} mint - Token mint address.
+ * @param {number|null} sinceMs - Only consider transactions after this timestamp (ms).
+ * @param {string} mainContext - The main context for API calls.
+ * @param {string} subContext - The sub-context for API calls.
+ * @returns {Promise<Array>} - Outflows, most recent first.
+ */
+async function traceRecentOutflows(walletAddress, mint, sinceMs, mainContext, subContext) {
+  try {
+    const signatures = await solanaApi.getSignaturesForAddress(
+      walletAddress,
+      { limit: MAX_SIGNATURES_TO_SCAN },
+      mainContext,
+      subContext
+    );
+
+    const candidates = (signatures || [])
+      .filter(sig => !sig.err && (!sinceMs || !sig.blockTime || sig.blockTime >= Math.floor(sinceMs / 1000)))
+      .slice(0, MAX_TRANSACTIONS_TO_PARSE);
+
+    const outflows = [];
+    for (const sig of candidates) {
+      const txDetails = await solanaApi.getTransaction(
+        sig.signature,
+        { encoding: 'jsonParsed', maxSupportedTransactionVersion: 0 },
+        mainContext,
+        subContext
+      );
+      const outflow = txDetails && classifyTokenOutflow(txDetails, walletAddress, mint);
+      if (outflow) outflows.push(outflow);
+    }
+    return outflows;
+  } catch (error) {
+    logger.error(`Error tracing outflows for ${walletAddress}`, { error: error.message });
+    return [];
+  }
+}
+
+module.exports = {
+  getOwnerTokenDeltas,
+  getInvokedPrograms,
+  classifyTokenOutflow,
+  traceRecentOutflows
+};
@@ -0,0 +1,53 @@
+// tools/trackerCallbacks.js
+
+/**
+ * Boutons agissant sur un tracker actif (stop, historique, prolongation).
+ *
+ * Un même token peut avoir plusieurs trackers (un par type), le callback porte donc
+ * le type du tracker : track:<action>:<tokenAddress>:<code du type>.
+ * Telegram limite callback_data à 64 octets, d'où des codes de deux lettres.
+ */
+
+const TRACK_TYPE_CODES = {
+  topHolders: 'th',
+  team: 'tm',
+  fresh: 'fr',
+  bundle: 'bd',
+  dev: 'dv',
+  earlyBuyers: 'eb',
+  entryMap: 'em'
+};
+
+const TRACK_TYPES_BY_CODE = Object.fromEntries(
+  Object.entries(TRACK_TYPE_CODES).map(([trackType, code]) => [code, trackType])
+);
+
+function getTrackerId(tokenAddress, trackType) {
+  return `${tokenAddress}_${trackType}`;
+}
+
+/**
+ * @param {string} action
+ * @param {{tokenAddress: string, trackType: string}} tracker
+ * @returns {string}
+ */
+function getTrackerCallbackData(action, tracker) {
+  return `track:${action}:${tracker.tokenAddress}:${TRACK_TYPE_CODES[tracker.trackType]}`;
+}
+
+/**
+ * @param {string} tokenAddress
+ * @param {string} typeCode - Dernier segment du callback
+ * @returns {string|null} ID du tracker, null si le code ne correspond à aucun type
+ */
+function getTrackerIdFromCallback(tokenAddress, typeCode) {
+  const trackType = TRACK_TYPES_BY_CODE[typeCode];
+  return trackType ? getTrackerId(tokenAddress, trackType) : null;
+}
+
+module.exports = {
+  TRACK_TYPE_CODES,
+  getTrackerId,
+  getTrackerCallbackData,
+  getTrackerIdFromCallback
+};
@@ -0,0 +1,166 @@
+const { getSolanaApi } = require('../integrations/solanaApi');
+const dexscreenerApi = require('../integrations/dexScreenerApi');
+const pumpfunApi = require('../integrations/pumpfunApi');
+const logger = require('../utils/logger');
+
+const solanaApi = getSolanaApi();
+
+const SIGNATURE_PAGE_SIZE = 1000;
+// Pages walked back to reach the first transaction; busier wallets keep an unknown age
+const MAX_SIGNATURE_PAGES = 5;
+// Wallets with more transactions are never fresh, their history is not walked further
+const MAX_FRESH_TRANSACTIONS = 1000;
+const DAY_SECONDS = 24 * 60 * 60;
+// Wallet age at token creation: fully fresh below FRESH_AGE_DAYS, not fresh at all past OLD_AGE_DAYS
+const FRESH_AGE_DAYS = 2;
+const OLD_AGE_DAYS = 30;
+// Weights of the age and transaction count signals in the freshness score
+const AGE_WEIGHT = 0.6;
+const TX_WEIGHT = 0.4;
+const FRESH_SCORE_THRESHOLD = 0.5;
+const DEFAULT_TX_THRESHOLD = 100;
+
+/**
+ * Walks the signature history of an address backwards to its first transaction.
+ * @param {string} address
+ * @param {string} mainContext - The main context for API calls.
+ * @param {string} subContext - The sub-context for API calls.
+ * @param {Object} [options]
+ * @param {number} [options.maxPages=MAX_SIGNATURE_PAGES]
+ * @param {number} [options.firstPageSize=SIGNATURE_PAGE_SIZE] - Size of the first request, a cheap check
+ *   that already gives the full history of quiet addresses.
+ * @param {number} [options.maxTransactions=Infinity] - Stops once more transactions than this are seen.
+ * @returns {Promise<{txCount: number, firstTxTime: number|null, complete: boolean}>}
+ *   firstTxTime in seconds; complete is false when the walk stopped before the first transaction
+ *   (txCount is then a lower bound and firstTxTime the oldest transaction seen).
+ */
+async function findFirstTransaction(address, mainContext, subContext, {
+  maxPages = MAX_SIGNATURE_PAGES,
+  firstPageSize = SIGNATURE_PAGE_SIZE,
+  maxTransactions = Infinity
+} = {}) {
+  let before;
+  let txCount = 0;
+  let oldest = null;
+
+  for (let page = 0; page < maxPages; page++) {
+    const limit = Math.min(page === 0 ? firstPageSize : SIGNATURE_PAGE_SIZE, maxTransactions + 1 - txCount);
+    const signatures = await solanaApi.getSignaturesForAddress(
+      address,
+      { limit, ...before && { before } },
+      mainContext,
+      subContext
+    );
+    if (!signatures || signatures.length === 0) break;
+
+    txCount += signatures.length;
+    oldest = signatures[signatures.length - 1];
+
+    if (signatures.length < limit) {
+      return { txCount, firstTxTime: oldest.blockTime || null, complete: true };
+    }
+    if (txCount > maxTransactions) break;
+    before = oldest.signature;
+  }
+
+  return { txCount, firstTxTime: oldest?.blockTime || null, complete: txCount === 0 };
+}
+
+/**
+ * Creation time of a token. The main DexScreener pair of a bonded PumpFun or LaunchLab token is
+ * its migration pool, so the launchpad creation time comes first (PumpFun coin), then the earliest
+ * DexScreener pair (bonding curve pairs included), else the first transaction of the mint.
+ * @returns {Promise<number|null>} Unix time in seconds, null when unknown.
+ */
+async function getTokenCreationTime(tokenAddress, mainContext, subContext) {
+  if (tokenAddress.endsWith('pump')) {
+    try {
+      const coin = await pumpfunApi.getCoinInfo(tokenAddress, mainContext, subContext);
+      if (coin?.created_timestamp) return Math.floor(coin.created_timestamp / 1000);
+    } catch (error) {
+      logger.debug(`No PumpFun coin for ${tokenAddress}: ${error.message}`);
+    }
+  }
+
+  try {
+    const pairs = await dexscreenerApi.getTokenPairs(tokenAddress, mainContext, subContext);
+    const createdAt = pairs.map(pair => pair.pairCreatedAt).filter(Boolean);
+    if (createdAt.length > 0) return Math.floor(Math.min(...createdAt) / 1000);
+  } catch (error) {
+    logger.debug(`No DexScreener pair for ${tokenAddress}: ${error.message}`);
+  }
+
+  const history = await findFirstTransaction(tokenAddress, mainContext, subContext);
+  return history.complete ? history.firstTxTime : null;
+}
+
+/**
+ * Combines the wallet age at token creation and its transaction count into a 0-1 freshness score.
+ * A wallet created after the token counts as 0 days old. Without a known age (history too long),
+ * the score only reflects the transaction count.
+ * Wallets with txThreshold transactions or more are only fresh when created less than
+ * FRESH_AGE_DAYS before the token, which still catches new bots spamming transactions.
+ *
+ * @param {Object} history - Result of findFirstTransaction.
+ * @param {number|null} referenceTime - Token creation time (seconds), now when unknown.
+ * @param {number} [txThreshold=DEFAULT_TX_THRESHOLD] - Transaction count scoring 0.5 on the count signal.
+ * @returns {{score: number, isFresh: boolean, ageDays: number|null, txCount: number, firstTxTime: number|null}}
+ */
+function computeFreshnessScore(history, referenceTime, txThreshold = DEFAULT_TX_THRESHOLD) {
+  const reference = referenceTime || Math.floor(Date.now() / 1000);
+  const clamp = value => Math.min(1, Math.max(0, value));
+
+  const txScore = history.complete ? clamp(1 - history.txCount / (2 * txThreshold)) : 0;
+
+  let ageDays = null;
+  let ageScore = null;
+  if (history.complete && history.firstTxTime) {
+    ageDays = Math.max(0, (reference - history.firstTxTime) / DAY_SECONDS);
+    ageScore = clamp(1 - (ageDays - FRESH_AGE_DAYS) / (OLD_AGE_DAYS - FRESH_AGE_DAYS));
+  }
+
+  const score = ageScore === null
+    ? txScore * TX_WEIGHT
+    : ageScore * AGE_WEIGHT + txScore * TX_WEIGHT;
+  const withinTxThreshold = history.txCount < txThreshold || (ageDays !== null && ageDays <= FRESH_AGE_DAYS);
+
+  return {
+    score: Number(score.toFixed(2)),
+    isFresh: history.txCount > 0 && withinTxThreshold && score >= FRESH_SCORE_THRESHOLD,
+    ageDays: ageDays === null ? null : Number(ageDays.toFixed(1)),
+    txCount: history.txCount,
+    firstTxTime: history.firstTxTime
+  };
+}
+
+/**
+ * Freshness of a wallet relative to a token creation time (see computeFreshnessScore).
+ * The first request only fetches txThreshold + 1 signatures; busier wallets are walked further,
+ * up to maxTransactions, to find whether they were created just before the token.
+ * @param {string} address
+ * @param {number|null} tokenCreatedAt - Token creation time in seconds.
+ * @param {Object} [options]
+ * @param {number} [options.txThreshold=DEFAULT_TX_THRESHOLD]
+ * @param {number} [options.maxTransactions=MAX_FRESH_TRANSACTIONS] - Busier wallets are not fresh, their
+ *   txCount is then maxTransactions + 1.
+ * @param {string} mainContext - The main context for API calls.
+ * @param {string} subContext - The sub-context for API calls.
+ */
+async function getWalletFreshness(address, tokenCreatedAt, options = {}, mainContext = 'default', subContext = 'walletFreshness') {
+  const txThreshold = options.txThreshold || DEFAULT_TX_THRESHOLD;
+  const history = await findFirstTransaction(address, mainContext, subContext, {
+    firstPageSize: txThreshold + 1,
+    maxTransactions: options.maxTransactions || MAX_FRESH_TRANSACTIONS
+  });
+  return computeFreshnessScore(history, tokenCreatedAt, txThreshold);
+}
+
+module.exports = {
+  FRESH_SCORE_THRESHOLD,
+  SIGNATURE_PAGE_SIZE,
+  MAX_FRESH_TRANSACTIONS,
+  findFirstTransaction,
+  getTokenCreationTime,
+  computeFreshnessScore,
+  getWalletFreshness
+};
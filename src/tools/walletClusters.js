@@ -0,0 +1,271 @@
+const { getSolanaApi } = require('../integrations/solanaApi');
+const { isPublicFunder } = require('./fundingAnalyzer');
+const logger = require('../utils/logger');
+
+const solanaApi = getSolanaApi();
+
+// Recent signatures fetched per holder to find transactions shared with other holders
+const MAX_LINK_SIGNATURES = 100;
+// Shared transactions parsed to confirm a direct transfer between two holders
+const MAX_SHARED_TRANSACTIONS = 60;
+const TRANSACTION_BATCH_SIZE = 5;
+// Two fundings of the same amount (SOL) within this window are linked
+const SAME_AMOUNT_TOLERANCE = 0.001;
+const SAME_AMOUNT_WINDOW_SECONDS = 24 * 60 * 60;
+// Two fundings this close in time are linked whatever the amount
+const SAME_TIME_WINDOW_SECONDS = 60;
+
+const LINK_REASONS = {
+  SHARED_FUNDER: 'shared_funder',
+  HOLDER_FUNDED: 'holder_funded',
+  SAME_AMOUNT: 'same_amount',
+  SAME_TIME: 'same_time',
+  SOL_TRANSFER: 'sol_transfer',
+  TOKEN_TRANSFER: 'token_transfer'
+};
+
+// Same amount and same time happen by chance between unrelated wallets: on their own,
+// they only join two wallets when both hold for the pair
+const STRONG_REASONS = new Set([
+  LINK_REASONS.SHARED_FUNDER,
+  LINK_REASONS.HOLDER_FUNDED,
+  LINK_REASONS.SOL_TRANSFER,
+  LINK_REASONS.TOKEN_TRANSFER
+]);
+
+/**
+ * Finds the funding relations between holders: shared private funder, a holder funding
+ * another one, identical amounts funded close together and fundings in the same minute.
+ * Exchange and bridge fundings are never linked: their amounts and times match by chance.
+ *
+ * @param {Array<{address: string, funderAddress?: string, fundingDetails?: Object}>} wallets
+ * @returns {Array<{from: string, to: string, reason: string}>}
+ */
+function findFundingLinks(wallets) {
+  const links = [];
+  const holders = new Set(wallets.map(wallet => wallet.address));
+  const funded = wallets.filter(wallet => wallet.funderAddress);
+
+  funded.forEach(wallet => {
+    if (holders.has(wallet.funderAddress) && wallet.funderAddress !== wallet.address) {
+      links.push({ from: wallet.funderAddress, to: wallet.address, reason: LINK_REASONS.HOLDER_FUNDED });
+    }
+  });
+
+  for (let i = 0; i < funded.length; i++) {
+    for (let j = i + 1; j < funded.length; j++) {
+      const a = funded[i];
+      const b = funded[j];
+      if (isPublicFunder(a.funderAddress, a.fundingDetails?.sourceCategory)
+        || isPublicFunder(b.funderAddress, b.fundingDetails?.sourceCategory)) {
+        continue;
+      }
+
+      if (a.funderAddress === b.funderAddress) {
+        links.push({ from: a.address, to: b.address, reason: LINK_REASONS.SHARED_FUNDER });
+      }
+
+      const timeA = a.fundingDetails?.timestamp;
+      const timeB = b.fundingDetails?.timestamp;
+      if (!timeA || !timeB) continue;
+      const gap = Math.abs(timeA - timeB);
+
+      const amountA = a.fundingDetails.amount;
+      const amountB = b.fundingDetails.amount;
+      if (amountA > 0 && Math.abs(amountA - amountB) <= SAME_AMOUNT_TOLERANCE && gap <= SAME_AMOUNT_WINDOW_SECONDS) {
+        links.push({ from: a.address, to: b.address, reason: LINK_REASONS.SAME_AMOUNT });
+      }
+      if (gap <= SAME_TIME_WINDOW_SECONDS) {
+        links.push({ from: a.address, to: b.address, reason: LINK_REASONS.SAME_TIME });
+      }
+    }
+  }
+
+  return links;
+}
+
+/**
+ * Lists the SOL and SPL transfers between two holders made by a transaction, inner instructions included.
+ * @param {Object} txDetails - Parsed transaction (jsonParsed encoding).
+ * @param {Set<string>} holders - Holder addresses.
+ * @returns {Array<{from: string, to: string, reason: string, signature: string}>}
+ */
+function getHolderTransfers(txDetails, holders) {
+  const accountKeys = txDetails?.transaction?.message?.accountKeys || [];
+  const signature = txDetails?.transaction?.signatures?.[0] || null;
+
+  // Token account -> owner, to resolve the destination of SPL transfers
+  const tokenAccountOwners = new Map();
+  [...(txDetails?.meta?.preTokenBalances || []), ...(txDetails?.meta?.postTokenBalances || [])].forEach(balance => {
+    const key = accountKeys[balance.accountIndex];
+    if (key && balance.owner) tokenAccountOwners.set(key.pubkey?.toString() || key.toString(), balance.owner);
+  });
+
+  const instructions = [
+    ...(txDetails?.transaction?.message?.instructions || []),
+    ...(txDetails?.meta?.innerInstructions || []).flatMap(inner => inner.instructions || [])
+  ];
+
+  const transfers = [];
+  instructions.forEach(ix => {
+    const info = ix.parsed?.info;
+    if (!info) return;
+
+    if (ix.program === 'system' && ix.parsed.type === 'transfer') {
+      if (holders.has(info.source) && holders.has(info.destination) && info.source !== info.destination) {
+        transfers.push({ from: info.source, to: info.destination, reason: LINK_REASONS.SOL_TRANSFER, signature });
+      }
+    } else if ((ix.program === 'spl-token' || ix.program === 'spl-token-2022')
+      && (ix.parsed.type === 'transfer' || ix.parsed.type === 'transferChecked')) {
+      const from = info.authority || info.multisigAuthority || tokenAccountOwners.get(info.source);
+      const to = tokenAccountOwners.get(info.destination);
+      if (holders.has(from) && holders.has(to) && from !== to) {
+        transfers.push({ from, to, reason: LINK_REASONS.TOKEN_TRANSFER, signature });
+      }
+    }
+  });
+
+  return transfers;
+}
+
+/**
+ * Looks for direct SOL/SPL transfers between holders. A transfer appears in the signature
+ * history of both wallets, so only the transactions shared by two holders are parsed.
+ *
+ * @param {Array<string>} addresses - Holder addresses.
+ * @param {string} mainContext - The main context for API calls.
+ * @param {string} subContext - The sub-context for API calls.
+ * @returns {Promise<Array<{from: string, to: string, reason: string, signature: string}>>}
+ */
+async function findTransferLinks(addresses, mainContext, subContext) {
+  const holders = new Set(addresses);
+  const walletsBySignature = new Map();
+
+  for (let i = 0; i < addresses.length; i += TRANSACTION_BATCH_SIZE) {
+    const batch = addresses.slice(i, i + TRANSACTION_BATCH_SIZE);
+    const results = await Promise.all(batch.map(address =>
+      solanaApi.getSignaturesForAddress(address, { limit: MAX_LINK_SIGNATURES }, mainContext, subContext)
+        .catch(error => {
+          logger.debug(`Could not fetch signatures of ${address}: ${error.message}`);
+          return [];
+        })
+    ));
+
+    batch.forEach((address, index) => {
+      (results[index] || []).forEach(({ signature, err }) => {
+        if (err) return;
+        if (!walletsBySignature.has(signature)) walletsBySignature.set(signature, new Set());
+        walletsBySignature.get(signature).add(address);
+      });
+    });
+  }
+
+  const sharedSignatures = [...walletsBySignature.entries()]
+    .filter(([, wallets]) => wallets.size >= 2)
+    .map(([signature]) => signature)
+    .slice(0, MAX_SHARED_TRANSACTIONS);
+
+  const transfers = [];
+  for (let i = 0; i < sharedSignatures.length; i += TRANSACTION_BATCH_SIZE) {
+    const batch = sharedSignatures.slice(i, i + TRANSACTION_BATCH_SIZE);
+    const results = await Promise.all(batch.map(signature =>
+      solanaApi.getTransaction(
+        signature,
+        { encoding: 'jsonParsed', maxSupportedTransactionVersion: 0 },
+        mainContext,
+        subContext
+      ).catch(error => {
+        logger.debug(`Could not fetch transaction ${signature}: ${error.message}`);
+        return null;
+      })
+    ));
+    results.forEach(txDetails => txDetails && transfers.push(...getHolderTransfers(txDetails, holders)));
+  }
+
+  logger.debug(`Wallet clusters: ${sharedSignatures.length} shared transactions, ${transfers.length} transfers between holders`);
+  return transfers;
+}
+
+/**
+ * Groups wallets connected by links into clusters (connected components of 2+ wallets).
+ * Two wallets are connected by a strong link (shared funder, holder funding, transfer),
+ * or by two different weak ones (same amount and same time).
+ * @param {Array<string>} addresses - Wallet addresses (graph nodes).
+ * @param {Array<{from: string, to: string, reason: string}>} links - Graph edges.
+ * @returns {Array<{id: number, wallets: string[], links: Array, reasons: string[]}>} Largest clusters first.
+ */
+function buildWalletClusters(addresses, links) {
+  const parent = new Map(addresses.map(address => [address, address]));
+  const find = address => {
+    const root = parent.get(address);
+    if (root === address) return address;
+    const top = find(root);
+    parent.set(address, top);
+    return top;
+  };
+
+  const validLinks = links.filter(link => parent.has(link.from) && parent.has(link.to));
+
+  const reasonsByPair = new Map();
+  validLinks.forEach(link => {
+    const key = [link.from, link.to].sort().join(':');
+    if (!reasonsByPair.has(key)) reasonsByPair.set(key, { from: link.from, to: link.to, reasons: new Set() });
+    reasonsByPair.get(key).reasons.add(link.reason);
+  });
+  reasonsByPair.forEach(({ from, to, reasons }) => {
+    if (reasons.size >= 2 || [...reasons].some(reason => STRONG_REASONS.has(reason))) {
+      parent.set(find(from), find(to));
+    }
+  });
+
+  const components = new Map();
+  addresses.forEach(address => {
+    const root = find(address);
+    if (!components.has(root)) components.set(root, { wallets: [], links: [] });
+    components.get(root).wallets.push(address);
+  });
+  // Weak links between wallets left in different clusters are dropped
+  validLinks
+    .filter(link => find(link.from) === find(link.to))
+    .forEach(link => components.get(find(link.from)).links.push(link));
+
+  return [...components.values()]
+    .filter(component => component.wallets.length >= 2)
+    .sort((a, b) => b.wallets.length - a.wallets.length)
+    .map((component, index) => ({
+      id: index + 1,
+      wallets: component.wallets,
+      links: component.links,
+      reasons: [...new Set(component.links.map(link => link.reason))]
+    }));
+}
+
+/**
+ * Builds the relationship graph of analyzed holders and returns its clusters.
+ * @param {Array} analyzedWallets - Holders with their funding (see fundingAnalyzer.analyzeFunding).
+ * @param {string} mainContext - The main context for API calls.
+ * @param {string} subContext - The sub-context for API calls.
+ * @returns {Promise<Array>} See buildWalletClusters.
+ */
+async function findWalletClusters(analyzedWallets, mainContext, subContext = 'walletClusters') {
+  const addresses = analyzedWallets.map(wallet => wallet.address);
+  const fundingLinks = findFundingLinks(analyzedWallets);
+
+  let transferLinks = [];
+  try {
+    transferLinks = await findTransferLinks(addresses, mainContext, subContext);
+  } catch (error) {
+    logger.warn(`Transfer links between holders could not be checked: ${error.message}`);
+  }
+
+  return buildWalletClusters(addresses, [...fundingLinks, ...transferLinks]);
+}
+
+module.exports = {
+  LINK_REASONS,
+  findFundingLinks,
+  getHolderTransfers,
+  findTransferLinks,
+  buildWalletClusters,
+  findWalletClusters
+};
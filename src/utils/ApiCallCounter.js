@@ -90,6 +90,25 @@ class ApiCallCounter {
         return report;
     }
 
+    /**
+     * Calls and credits recorded for a context, or one of its sub-contexts
+     * (e.g. the usage of a single supply tracker).
+     */
+    getUsage(api, mainContext = 'default', subContext = null) {
+        const context = this.contexts[api]?.[mainContext];
+        const usage = subContext ? context?.subContexts[subContext] : context;
+        return {
+            totalCalls: usage?.totalCalls || 0,
+            totalCredits: usage?.totalCredits || 0
+        };
+    }
+
+    clearSubContext(api, mainContext, subContext) {
+        if (this.contexts[api]?.[mainContext]) {
+            delete this.contexts[api][mainContext].subContexts[subContext];
+        }
+    }
+
     resetCounter(api, mainContext = 'default') {
         if (this.contexts[api]) {
             this.contexts[api][mainContext] = { totalCalls: 0, totalCredits: 0, callsByStep: {}, subContexts: {} };
@@ -50,6 +50,9 @@ const KNOWN_ADDRESSES = {
   "6EF8rrecthR5Dkzon8Nwu78hRvfCKubJ14M5uBEwF6P": { name: "Pump.fun", category: ADDRESS_CATEGORIES.DEX },
   "CPMMoo8L3F4NbTegBCKVNunggL7H1ZpdTHKxQB5qKP1C": { name: "Orca", category: ADDRESS_CATEGORIES.DEX },
   "G2YxRa6wt1qePMwfJzdXZG62ej4qaTC7YURzuh2Lwd3t": { name: "Jupiter", category: ADDRESS_CATEGORIES.DEX },
+  "JUP6LkbZbjS1jKKwapdHNy74zcZ3tLUZoi5QNyVTaV4": { name: "Jupiter", category: ADDRESS_CATEGORIES.DEX },
+  "pAMMBay6oceH9fJKBRHGP5D4bD4sWpmSwMn52FMfXEA": { name: "PumpSwap", category: ADDRESS_CATEGORIES.DEX },
+  "LanMV9sAd7wArD4vJFi2qDdfnVhFxYSUg6eADduJ3uj": { name: "Raydium LaunchLab", category: ADDRESS_CATEGORIES.DEX },
   
   // Bridges and Cross-Chain Infrastructure
   "GugU1tP7doLeTw9hQP51xRJyS8Da1fWxuiy2rVrnMD2m": { name: "Wormhole 2", category: ADDRESS_CATEGORIES.BRIDGE },
@@ -12,6 +12,7 @@ const sensitiveConfig = {
   CLAUDE_API_KEY: process.env.CLAUDE_API_KEY || '',
   AI_ASSISTANT_ENABLED: process.env.AI_ASSISTANT_ENABLED === 'true' || true,
   AI_FALLBACK_ENABLED: process.env.AI_FALLBACK_ENABLED === 'true' || true,
+  SUPPLY_TRACKER_REALTIME: process.env.SUPPLY_TRACKER_REALTIME === 'true',
 };
 
 const nonSensitiveConfig = {
@@ -45,6 +46,7 @@ const config = {
   ...nonSensitiveConfig,
   ...tokenGatingConfig,
   HELIUS_RPC_URL: sensitiveConfig.HELIUS_API_KEY ? `https://mainnet.helius-rpc.com/?api-key=${sensitiveConfig.HELIUS_API_KEY}` : '',
+  HELIUS_WS_URL: sensitiveConfig.HELIUS_API_KEY ? `wss://mainnet.helius-rpc.com/?api-key=${sensitiveConfig.HELIUS_API_KEY}` : '',
 };
 
 const requiredEnvVars = ['TELEGRAM_TOKEN', 'HELIUS_API_KEY', 'MONGODB_URI'];
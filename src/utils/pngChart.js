@@ -0,0 +1,218 @@
+const zlib = require('zlib');
+
+/**
+ * Minimal PNG chart renderer (no native dependency).
+ * Charts carry no text: titles, axes values and stats belong in the Telegram caption.
+ */
+
+const COLORS = {
+  background: [24, 26, 32],
+  grid: [52, 56, 66],
+  line: [80, 200, 120],
+  fill: [40, 90, 60],
+  bar: [90, 150, 240],
+  profit: [80, 200, 120],
+  loss: [220, 80, 80],
+  marker: [240, 200, 80]
+};
+
+const PADDING = 16;
+const GRID_LINES = 4;
+
+let crcTable = null;
+
+function crc32(buffer) {
+  if (!crcTable) {
+    crcTable = new Int32Array(256);
+    for (let n = 0; n < 256; n++) {
+      let c = n;
+      for (let k = 0; k < 8; k++) {
+        c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+      }
+      crcTable[n] = c;
+    }
+  }
+
+  let crc = -1;
+  for (let i = 0; i < buffer.length; i++) {
+    crc = crcTable[(crc ^ buffer[i]) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ -1) >>> 0;
+}
+
+function pngChunk(type, data) {
+  const length = Buffer.alloc(4);
+  length.writeUInt32BE(data.length);
+  const body = Buffer.concat([Buffer.from(type, 'ascii'), data]);
+  const crc = Buffer.alloc(4);
+  crc.writeUInt32BE(crc32(body));
+  return Buffer.concat([length, body, crc]);
+}
+
+/**
+ * RGB pixel buffer with the few drawing primitives the charts need.
+ */
+class Canvas {
+  constructor(width, height, background = COLORS.background) {
+    this.width = width;
+    this.height = height;
+    this.pixels = Buffer.alloc(width * height * 3);
+    this.fillRect(0, 0, width, height, background);
+  }
+
+  setPixel(x, y, color) {
+    x = Math.round(x);
+    y = Math.round(y);
+    if (x < 0 || y < 0 || x >= this.width || y >= this.height) return;
+    const offset = (y * this.width + x) * 3;
+    this.pixels[offset] = color[0];
+    this.pixels[offset + 1] = color[1];
+    this.pixels[offset + 2] = color[2];
+  }
+
+  fillRect(x, y, width, height, color) {
+    for (let row = Math.max(0, Math.floor(y)); row < Math.min(this.height, Math.ceil(y + height)); row++) {
+      for (let col = Math.max(0, Math.floor(x)); col < Math.min(this.width, Math.ceil(x + width)); col++) {
+        this.setPixel(col, row, color);
+      }
+    }
+  }
+
+  drawLine(x0, y0, x1, y1, color, thickness = 1) {
+    const steps = Math.max(Math.abs(x1 - x0), Math.abs(y1 - y0), 1);
+    const half = Math.floor(thickness / 2);
+    for (let i = 0; i <= steps; i++) {
+      const x = x0 + ((x1 - x0) * i) / steps;
+      const y = y0 + ((y1 - y0) * i) / steps;
+      this.fillRect(x - half, y - half, thickness, thickness, color);
+    }
+  }
+
+  drawGrid(lines = GRID_LINES) {
+    for (let i = 0; i <= lines; i++) {
+      const y = PADDING + ((this.height - 2 * PADDING) * i) / lines;
+      this.drawLine(PADDING, y, this.width - PADDING, y, COLORS.grid);
+    }
+  }
+
+  toPng() {
+    // Each scanline is prefixed with filter type 0 (none)
+    const rowLength = this.width * 3;
+    const raw = Buffer.alloc((rowLength + 1) * this.height);
+    for (let y = 0; y < this.height; y++) {
+      raw[y * (rowLength + 1)] = 0;
+      this.pixels.copy(raw, y * (rowLength + 1) + 1, y * rowLength, (y + 1) * rowLength);
+    }
+
+    const header = Buffer.alloc(13);
+    header.writeUInt32BE(this.width, 0);
+    header.writeUInt32BE(this.height, 4);
+    header[8] = 8;  // bit depth
+    header[9] = 2;  // color type: RGB
+    header[10] = 0; // compression
+    header[11] = 0; // filter
+    header[12] = 0; // interlace
+
+    return Buffer.concat([
+      Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+      pngChunk('IHDR', header),
+      pngChunk('IDAT', zlib.deflateSync(raw)),
+      pngChunk('IEND', Buffer.alloc(0))
+    ]);
+  }
+}
+
+/**
+ * Renders a line chart of a time series.
+ * @param {Array<{x: number, y: number}>} points - Points sorted by x.
+ * @param {Object} options - { width, height, minY, maxY }
+ * @returns {Buffer} PNG image.
+ */
+function renderLineChart(points, options = {}) {
+  const { width = 800, height = 400 } = options;
+  const canvas = new Canvas(width, height);
+  canvas.drawGrid();
+  if (!points || points.length === 0) return canvas.toPng();
+
+  const xs = points.map(p => p.x);
+  const ys = points.map(p => p.y);
+  const minX = Math.min(...xs);
+  const maxX = Math.max(...xs);
+  let minY = options.minY ?? Math.min(...ys);
+  let maxY = options.maxY ?? Math.max(...ys);
+  if (minY === maxY) {
+    // Flat series: center it
+    minY -= 1;
+    maxY += 1;
+  }
+
+  const plotWidth = width - 2 * PADDING;
+  const plotHeight = height - 2 * PADDING;
+  const toX = x => PADDING + (maxX === minX ? plotWidth / 2 : ((x - minX) / (maxX - minX)) * plotWidth);
+  const toY = y => PADDING + plotHeight - ((y - minY) / (maxY - minY)) * plotHeight;
+
+  // Area under the curve, then the curve itself on top
+  for (let i = 1; i < points.length; i++) {
+    const x0 = Math.round(toX(points[i - 1].x));
+    const x1 = Math.round(toX(points[i].x));
+    for (let x = x0; x <= x1; x++) {
+      const t = x1 === x0 ? 0 : (x - x0) / (x1 - x0);
+      const y = toY(points[i - 1].y + (points[i].y - points[i - 1].y) * t);
+      canvas.drawLine(x, y, x, PADDING + plotHeight, COLORS.fill);
+    }
+  }
+  for (let i = 1; i < points.length; i++) {
+    canvas.drawLine(toX(points[i - 1].x), toY(points[i - 1].y), toX(points[i].x), toY(points[i].y), COLORS.line, 3);
+  }
+  if (points.length === 1) {
+    canvas.fillRect(toX(points[0].x) - 3, toY(points[0].y) - 3, 6, 6, COLORS.line);
+  }
+
+  return canvas.toPng();
+}
+
+/**
+ * Renders a bar chart, bars left to right, with an optional vertical marker.
+ * @param {Array<{value: number, color?: number[]}>} bars - Bar heights (>= 0), COLORS.bar by default.
+ * @param {Object} options - { width, height, marker } where marker is a position in bars
+ *   (e.g. 2.5 = middle of the third bar).
+ * @returns {Buffer} PNG image.
+ */
+function renderBarChart(bars, options = {}) {
+  const { width = 800, height = 400 } = options;
+  const canvas = new Canvas(width, height);
+  canvas.drawGrid();
+  if (!bars || bars.length === 0) return canvas.toPng();
+
+  const maxValue = Math.max(...bars.map(bar => bar.value)) || 1;
+  const plotWidth = width - 2 * PADDING;
+  const plotHeight = height - 2 * PADDING;
+  const slotWidth = plotWidth / bars.length;
+  const gap = Math.max(1, Math.floor(slotWidth * 0.15));
+
+  bars.forEach((bar, index) => {
+    const barHeight = (bar.value / maxValue) * plotHeight;
+    if (barHeight <= 0) return;
+    canvas.fillRect(
+      PADDING + index * slotWidth + gap,
+      PADDING + plotHeight - barHeight,
+      slotWidth - 2 * gap,
+      barHeight,
+      bar.color || COLORS.bar
+    );
+  });
+
+  if (Number.isFinite(options.marker)) {
+    const x = PADDING + Math.min(Math.max(options.marker, 0), bars.length) * slotWidth;
+    canvas.drawLine(x, PADDING, x, PADDING + plotHeight, COLORS.marker, 3);
+  }
+
+  return canvas.toPng();
+}
+
+module.exports = {
+  Canvas,
+  COLORS,
+  renderLineChart,
+  renderBarChart
+};